@@ -6,12 +6,13 @@
 
 import { getProvider, getDefaultProvider } from './providers/index.mjs';
 import { evaluate } from './evaluators/index.mjs';
-import { createTrace, addTraceResult, saveTrace } from './tracer.mjs';
 import { calculateCost } from './costs.mjs';
+import { DEFAULT_ALPHA, DEFAULT_POWER, wilsonInterval, mcnemarTest, pairedBootstrapCI, mcnemarSampleSize, holmAdjust } from './stats.mjs';
 
 function testCaseRequiresJudge(testCase) {
   const evalType = detectedEvalType(testCase);
   if (evalType === 'llm_judge') return true;
+  if (evalType === 'rubric_judge') return true;
   if (evalType === 'pairwise_judge') return true;
   if (/^rag_(?!retrieval)/.test(evalType)) return true;
   return false;
@@ -19,7 +20,10 @@ function testCaseRequiresJudge(testCase) {
 
 function detectedEvalType(testCase) {
   if (testCase.eval_type) return testCase.eval_type;
+  if (testCase.expected_trajectory || testCase.must_not_call) return 'tool_trajectory';
   if (testCase.expected_tool) return 'tool_call';
+  if (testCase.code_tests) return 'code_execution';
+  if (testCase.json_schema || testCase.json_schema_path) return 'json_schema';
   if (testCase.expected_json) return 'json_match';
   if (testCase.expected_regex) return 'regex';
   if (testCase.expected_contains) return 'contains';
@@ -31,6 +35,7 @@ function detectedEvalType(testCase) {
   if (testCase.context_surface || testCase.required_context_facts || testCase.irrelevant_context_facts) return 'personalization_context';
   if (testCase.response_a || testCase.response_b || testCase.candidate_a || testCase.candidate_b) return 'pairwise_judge';
   if (testCase.retrieved_context_ids && testCase.expected_relevant_context_ids) return 'rag_retrieval';
+  if (testCase.rubric) return 'rubric_judge';
   if (testCase.expected) return 'exact_match';
   if (testCase.criteria) return 'llm_judge';
   return 'existence';
@@ -44,25 +49,52 @@ function isEvaluatorInfrastructureFailure(evalResult) {
  * Run A/B test comparing two prompt variants
  */
 export async function runABTest(config, options = {}) {
+  const experiment = await runExperiment({
+    ...config,
+    variants: [config.variantA, config.variantB],
+  }, options);
+  const [variantA, variantB] = experiment.variants;
+  const results = {
+    ...experiment,
+    variantA,
+    variantB,
+  };
+
+  results.summary = calculateSummary(results);
+  return results;
+}
+
+/**
+ * Run an N-way prompt variant experiment.
+ * Every variant runs on every test case and model; results stay index-aligned
+ * across variants so they can be compared pairwise.
+ */
+export async function runExperiment(config, options = {}) {
   const {
     name,
     description,
-    variantA,
-    variantB,
     testCases,
     models,
   } = config;
+  const variants = (config.variants || []).filter(Boolean);
+  if (variants.length < 2) {
+    throw new Error('Experiment config needs at least two variants (variants: [...] or variantA/variantB)');
+  }
   
   const provider = options.provider || await getDefaultProvider();
   const results = {
     name,
     description,
-    variantA: { name: variantA.name || 'Variant A', results: [] },
-    variantB: { name: variantB.name || 'Variant B', results: [] },
+    alpha: options.alpha ?? config.alpha ?? DEFAULT_ALPHA,
+    variants: variants.map((variant, index) => ({
+      name: variant.name || `Variant ${variantLabel(index)}`,
+      label: variantLabel(index),
+      results: [],
+    })),
   };
   
-  console.log(`\n🧪 A/B Test: ${name}`);
-  console.log(`   Comparing: "${variantA.name || 'A'}" vs "${variantB.name || 'B'}"`);
+  console.log(`\n🧪 Experiment: ${name}`);
+  console.log(`   Variants: ${results.variants.map(variant => `${variant.label}="${variant.name}"`).join(', ')}`);
   console.log(`   Test cases: ${testCases.length}`);
   console.log('');
 
@@ -76,61 +108,48 @@ export async function runABTest(config, options = {}) {
     for (const modelConfig of executionModels) {
       const model = modelConfig.model;
       const runProvider = modelConfig.provider ? getProvider(modelConfig.provider) : provider;
-      
-      // Run Variant A
-      const resultA = await runVariant(
-        testCase,
-        variantA,
-        runProvider,
-        model,
-        options
-      );
-      results.variantA.results.push(resultA);
-      const limitAfterA = costLimitMessage(results, options.maxCostUsd);
-      if (limitAfterA) {
-        results.costLimitError = limitAfterA;
-        results.summary = calculateSummary(results);
-        return results;
-      }
-      
-      // Run Variant B
-      const resultB = await runVariant(
-        testCase,
-        variantB,
-        runProvider,
-        model,
-        options
-      );
-      results.variantB.results.push(resultB);
-      const limitAfterB = costLimitMessage(results, options.maxCostUsd);
-      if (limitAfterB) {
-        results.costLimitError = limitAfterB;
-        results.summary = calculateSummary(results);
-        return results;
+      const rowResults = [];
+
+      for (let index = 0; index < variants.length; index++) {
+        const result = await runVariant(testCase, variants[index], runProvider, model, options);
+        result.variant = results.variants[index].name;
+        results.variants[index].results.push(result);
+        rowResults.push(result);
+
+        const limitMessage = costLimitMessage(results, options.maxCostUsd);
+        if (limitMessage) {
+          results.costLimitError = limitMessage;
+          results.summary = calculateExperimentSummary(results);
+          return results;
+        }
       }
       
       // Print comparison
-      const iconA = resultA.pass ? '✅' : '❌';
-      const iconB = resultB.pass ? '✅' : '❌';
-      console.log(`   ${testCase.name}: A${iconA} ${(resultA.score * 100).toFixed(0)}% | B${iconB} ${(resultB.score * 100).toFixed(0)}%`);
+      const cells = rowResults.map((result, index) =>
+        `${results.variants[index].label}${result.pass ? '✅' : '❌'} ${(result.score * 100).toFixed(0)}%`);
+      console.log(`   ${testCase.name}: ${cells.join(' | ')}`);
     }
   }
   
   // Calculate summary statistics
-  results.summary = calculateSummary(results);
+  results.summary = calculateExperimentSummary(results);
   
   return results;
 }
 
+function variantLabel(index) {
+  return String.fromCharCode(65 + (index % 26)) + (index >= 26 ? String(Math.floor(index / 26)) : '');
+}
+
 function costLimitMessage(results, maxCostUsd) {
   if (maxCostUsd === null || maxCostUsd === undefined) return null;
-  const allResults = results.variantA.results.concat(results.variantB.results);
+  const allResults = results.variants.flatMap(variant => variant.results);
   const unknownCost = allResults.find(result => result.costUnknown || result.metadata?.cost_unknown);
   if (unknownCost) {
-    return `A/B test has unknown billable cost for ${unknownCost.provider || 'unknown'}/${unknownCost.model}; --max-cost requires known pricing`;
+    return `Experiment has unknown billable cost for ${unknownCost.provider || 'unknown'}/${unknownCost.model}; --max-cost requires known pricing`;
   }
   const total = allResults.reduce((sum, result) => sum + (result.cost || 0), 0);
-  return total > maxCostUsd ? `A/B test cost $${total.toFixed(4)} exceeded --max-cost $${maxCostUsd.toFixed(4)}` : null;
+  return total > maxCostUsd ? `Experiment cost $${total.toFixed(4)} exceeded --max-cost $${maxCostUsd.toFixed(4)}` : null;
 }
 
 /**
@@ -164,6 +183,7 @@ async function runVariant(testCase, variant, provider, model, options) {
       max_tokens: maxTokens,
       tools: testCase.tools || options.tools,
       tool_choice: testCase.tool_choice || options.tool_choice,
+      testCase: testCase.name,
     });
     enforceCallCostAfter(provider, model, response, options.maxCallCostUsd);
     
@@ -191,6 +211,7 @@ async function runVariant(testCase, variant, provider, model, options) {
         model,
         provider: provider.name,
         prompt,
+        systemPrompt,
         response: response.text,
         pass: false,
         score: 0,
@@ -215,6 +236,7 @@ async function runVariant(testCase, variant, provider, model, options) {
       model,
       provider: provider.name,
       prompt,
+      systemPrompt,
       response: response.text,
       pass: evalResult.pass,
       score: evalResult.score ?? 0,
@@ -237,6 +259,7 @@ async function runVariant(testCase, variant, provider, model, options) {
       model,
       provider: provider.name,
       prompt,
+      systemPrompt,
       response: null,
       pass: false,
       score: 0,
@@ -301,56 +324,179 @@ function applyTemplate(template, testCase) {
 
 /**
  * Calculate summary statistics
+ * Variant results are paired by index (same test case and model).
  */
 function calculateSummary(results) {
-  const statsA = calculateStats(results.variantA.results);
-  const statsB = calculateStats(results.variantB.results);
-  
-  // Determine winner
-  let winner = null;
-  let confidence = 0;
-  
-  if (statsA.passRate > statsB.passRate + 0.1) {
-    winner = 'A';
-    confidence = (statsA.passRate - statsB.passRate) * 100;
-  } else if (statsB.passRate > statsA.passRate + 0.1) {
-    winner = 'B';
-    confidence = (statsB.passRate - statsA.passRate) * 100;
+  const alpha = results.alpha ?? DEFAULT_ALPHA;
+  const statsA = calculateStats(results.variantA.results, alpha);
+  const statsB = calculateStats(results.variantB.results, alpha);
+  const comparison = comparePair(results.variantA.results, results.variantB.results, alpha);
+  const { pairs, onlyA, onlyB, passRateDelta, requiredSampleSize } = comparison;
+
+  const significant = comparison.pValue < alpha;
+  const winner = significant ? (onlyA > onlyB ? 'A' : 'B') : null;
+
+  let recommendation;
+  if (pairs === 0) {
+    recommendation = 'No comparable pairs (every pair had an error)';
+  } else if (winner) {
+    recommendation = `Use Variant ${winner} (pass rate ${formatPoints(Math.abs(passRateDelta))} better, p=${formatPValue(comparison.pValue)} < α=${alpha})`;
+  } else if (passRateDelta === 0) {
+    recommendation = `No significant difference at α=${alpha} (no pass-rate difference observed)`;
+  } else {
+    recommendation = `No significant difference at α=${alpha} (p=${formatPValue(comparison.pValue)}; ~${requiredSampleSize} pairs needed to detect the observed effect)`;
   }
-  
+
   return {
     variantA: statsA,
     variantB: statsB,
     winner,
-    confidence: confidence.toFixed(1),
-    recommendation: winner 
-      ? `Use Variant ${winner} (${confidence.toFixed(0)}% better)`
-      : 'No significant difference',
+    significant,
+    alpha,
+    pairs,
+    excludedPairs: comparison.excludedPairs,
+    test: comparison.test,
+    statistic: comparison.statistic,
+    pValue: comparison.pValue,
+    discordant: { onlyA, onlyB },
+    passRateDelta,
+    scoreDelta: comparison.scoreDelta,
+    requiredSampleSize,
+    recommendation,
+  };
+}
+
+/**
+ * Leaderboard, pairwise win matrix, and Holm-corrected pairwise significance
+ */
+function calculateExperimentSummary(results) {
+  const alpha = results.alpha ?? DEFAULT_ALPHA;
+  const variants = results.variants;
+  const stats = variants.map(variant => ({ name: variant.name, label: variant.label, ...calculateStats(variant.results, alpha) }));
+
+  const comparisons = [];
+  for (let i = 0; i < variants.length; i++) {
+    for (let j = i + 1; j < variants.length; j++) {
+      comparisons.push({ a: i, b: j, ...comparePair(variants[i].results, variants[j].results, alpha) });
+    }
+  }
+
+  // Every pair is a separate hypothesis, so control the family-wise error rate
+  const adjusted = holmAdjust(comparisons.map(comparison => comparison.pValue));
+  comparisons.forEach((comparison, index) => {
+    comparison.adjustedPValue = adjusted[index];
+    comparison.significant = comparison.pairs > 0 && adjusted[index] < alpha;
+    comparison.winner = comparison.significant ? (comparison.onlyA > comparison.onlyB ? comparison.a : comparison.b) : null;
+  });
+
+  const winMatrix = variants.map(() => variants.map(() => 0));
+  for (const comparison of comparisons) {
+    winMatrix[comparison.a][comparison.b] = comparison.winsA;
+    winMatrix[comparison.b][comparison.a] = comparison.winsB;
+  }
+
+  const leaderboard = stats
+    .map((variantStats, index) => ({
+      ...variantStats,
+      index,
+      significantlyBeats: comparisons
+        .filter(comparison => comparison.winner === index)
+        .map(comparison => variants[comparison.a === index ? comparison.b : comparison.a].name),
+    }))
+    .sort((a, b) => b.passRate - a.passRate || b.avgScore - a.avgScore)
+    .map((entry, rank) => ({ rank: rank + 1, ...entry }));
+
+  const leader = leaderboard[0];
+  const others = variants.length - 1;
+  let winner = null;
+  let recommendation;
+  if (leader.significantlyBeats.length === others) {
+    winner = leader.name;
+    recommendation = `Use ${leader.name} (significantly better than every other variant at α=${alpha}, Holm-corrected)`;
+  } else if (leader.significantlyBeats.length > 0) {
+    recommendation = `${leader.name} leads but is only significantly better than ${leader.significantlyBeats.join(', ')} at α=${alpha} (Holm-corrected)`;
+  } else {
+    recommendation = `No variant is significantly better than another at α=${alpha} (Holm-corrected)`;
+  }
+
+  return {
+    alpha,
+    correction: 'holm',
+    leaderboard,
+    comparisons,
+    winMatrix,
+    winner,
+    recommendation,
+  };
+}
+
+/**
+ * Paired comparison of two index-aligned result lists
+ */
+function comparePair(resultsA, resultsB, alpha) {
+  // Errored rows carry no verdict, so drop the whole pair rather than count them as fails
+  const pairs = resultsA
+    .map((a, index) => [a, resultsB[index]])
+    .filter(([a, b]) => b && a.success !== false && b.success !== false);
+  const onlyA = pairs.filter(([a, b]) => a.pass && !b.pass).length;
+  const onlyB = pairs.filter(([a, b]) => !a.pass && b.pass).length;
+  const mcnemar = mcnemarTest(onlyA, onlyB);
+  const scoreDeltas = pairs.map(([a, b]) => (b.score ?? 0) - (a.score ?? 0));
+
+  return {
+    pairs: pairs.length,
+    excludedPairs: Math.max(resultsA.length, resultsB.length) - pairs.length,
+    onlyA,
+    onlyB,
+    test: mcnemar.test,
+    statistic: mcnemar.statistic,
+    pValue: mcnemar.pValue,
+    passRateDelta: pairs.length > 0 ? (onlyB - onlyA) / pairs.length : 0,
+    scoreDelta: pairedBootstrapCI(scoreDeltas, { alpha }),
+    requiredSampleSize: mcnemarSampleSize(onlyA, onlyB, pairs.length, { alpha }),
+    winsA: scoreDeltas.filter(delta => delta < 0).length,
+    winsB: scoreDeltas.filter(delta => delta > 0).length,
+    ties: scoreDeltas.filter(delta => delta === 0).length,
   };
 }
 
 /**
  * Calculate statistics for a variant
  */
-function calculateStats(results) {
+function calculateStats(results, alpha = DEFAULT_ALPHA) {
   const total = results.length;
   const passed = results.filter(r => r.pass).length;
   const errors = results.filter(r => r.success === false).length;
   const avgScore = total > 0 ? results.reduce((s, r) => s + (r.score ?? 0), 0) / total : 0;
   const avgLatency = total > 0 ? results.reduce((s, r) => s + (r.latencyMs ?? 0), 0) / total : 0;
   const totalCost = results.reduce((s, r) => s + (r.cost || 0), 0);
+  const interval = wilsonInterval(passed, total, alpha);
   
   return {
     total,
     passed,
     errors,
     passRate: total > 0 ? passed / total : 0,
+    passRateLower: interval.lower,
+    passRateUpper: interval.upper,
     avgScore,
     avgLatency,
     totalCost,
   };
 }
 
+function formatPValue(pValue) {
+  return pValue < 0.001 ? '<0.001' : pValue.toFixed(3);
+}
+
+function formatPoints(delta) {
+  return `${(delta * 100).toFixed(1)} pts`;
+}
+
+function formatInterval(lower, upper, scale = 100, digits = 1) {
+  return `[${(lower * scale).toFixed(digits)}, ${(upper * scale).toFixed(digits)}]`;
+}
+
 /**
  * Generate A/B test report
  */
@@ -367,7 +513,10 @@ export function generateABReport(results) {
   lines.push('');
   lines.push(`| Metric | ${results.variantA.name} | ${results.variantB.name} |`);
   lines.push('|--------|----------|----------|');
+  const summary = results.summary;
+  const confidenceLevel = `${Math.round((1 - summary.alpha) * 100)}%`;
   lines.push(`| Pass Rate | ${(results.summary.variantA.passRate * 100).toFixed(1)}% | ${(results.summary.variantB.passRate * 100).toFixed(1)}% |`);
+  lines.push(`| Pass Rate ${confidenceLevel} CI (Wilson) | ${formatInterval(summary.variantA.passRateLower, summary.variantA.passRateUpper)}% | ${formatInterval(summary.variantB.passRateLower, summary.variantB.passRateUpper)}% |`);
   lines.push(`| Evaluator Errors | ${results.summary.variantA.errors} | ${results.summary.variantB.errors} |`);
   lines.push(`| Avg Score | ${(results.summary.variantA.avgScore * 100).toFixed(1)}% | ${(results.summary.variantB.avgScore * 100).toFixed(1)}% |`);
   lines.push(`| Avg Latency | ${results.summary.variantA.avgLatency.toFixed(0)}ms | ${results.summary.variantB.avgLatency.toFixed(0)}ms |`);
@@ -376,6 +525,19 @@ export function generateABReport(results) {
   // Winner
   lines.push(`**Recommendation:** ${results.summary.recommendation}`);
   lines.push('');
+
+  lines.push('## Significance');
+  lines.push('');
+  lines.push(`- Test: ${summary.test}`);
+  lines.push(`- Paired comparisons: ${summary.pairs}${summary.excludedPairs > 0 ? ` (${summary.excludedPairs} excluded for errors)` : ''}`);
+  lines.push(`- Discordant pairs: ${summary.discordant.onlyA} ${results.variantA.name} only, ${summary.discordant.onlyB} ${results.variantB.name} only`);
+  lines.push(`- p-value: ${formatPValue(summary.pValue)} (α = ${summary.alpha}, ${summary.significant ? 'significant' : 'not significant'})`);
+  lines.push(`- Pass-rate delta (B − A): ${summary.passRateDelta >= 0 ? '+' : '-'}${formatPoints(Math.abs(summary.passRateDelta))}`);
+  lines.push(`- Score delta (B − A): ${(summary.scoreDelta.mean * 100).toFixed(1)} pts, ${confidenceLevel} paired bootstrap CI ${formatInterval(summary.scoreDelta.lower, summary.scoreDelta.upper)} pts`);
+  lines.push(summary.requiredSampleSize === null
+    ? '- Required sample size: n/a (no pass-rate difference observed)'
+    : `- Required sample size: ~${summary.requiredSampleSize} pairs to detect a ${formatPoints(Math.abs(summary.passRateDelta))} difference at ${Math.round(DEFAULT_POWER * 100)}% power`);
+  lines.push('');
   
   // Detailed results
   lines.push('## Detailed Results');
@@ -398,6 +560,75 @@ export function generateABReport(results) {
   return lines.join('\n');
 }
 
+/**
+ * Generate N-way experiment report
+ */
+export function generateExperimentReport(results) {
+  const lines = [];
+  const summary = results.summary;
+  const variants = results.variants;
+  const confidenceLevel = `${Math.round((1 - summary.alpha) * 100)}%`;
+
+  lines.push(`# Experiment Results: ${results.name}`);
+  lines.push('');
+  lines.push(`> ${results.description || 'No description'}`);
+  lines.push('');
+
+  lines.push('## Leaderboard');
+  lines.push('');
+  lines.push(`| Rank | Variant | Pass Rate | ${confidenceLevel} CI (Wilson) | Avg Score | Avg Latency | Errors | Significantly Beats |`);
+  lines.push('|------|---------|-----------|----------|-----------|-------------|--------|---------------------|');
+  for (const entry of summary.leaderboard) {
+    lines.push(`| ${entry.rank} | ${entry.label}: ${entry.name} | ${(entry.passRate * 100).toFixed(1)}% | ${formatInterval(entry.passRateLower, entry.passRateUpper)}% | ${(entry.avgScore * 100).toFixed(1)}% | ${entry.avgLatency.toFixed(0)}ms | ${entry.errors} | ${entry.significantlyBeats.join(', ') || '-'} |`);
+  }
+  lines.push('');
+  lines.push(`**Recommendation:** ${summary.recommendation}`);
+  lines.push('');
+
+  lines.push('## Pairwise Win Matrix');
+  lines.push('');
+  lines.push('Cells count paired rows where the row variant scored higher than the column variant.');
+  lines.push('');
+  lines.push(`| | ${variants.map(variant => variant.label).join(' | ')} |`);
+  lines.push(`|--|${variants.map(() => '---').join('|')}|`);
+  variants.forEach((variant, i) => {
+    lines.push(`| ${variant.label} | ${variants.map((_, j) => (i === j ? '-' : summary.winMatrix[i][j])).join(' | ')} |`);
+  });
+  lines.push('');
+
+  lines.push('## Pairwise Significance');
+  lines.push('');
+  lines.push(`McNemar's test on paired pass/fail, Holm-corrected across ${summary.comparisons.length} comparisons (α = ${summary.alpha}).`);
+  lines.push('');
+  lines.push(`| Pair | Pairs | Discordant | p-value | Holm p | Significant | Score Δ (second − first), ${confidenceLevel} CI |`);
+  lines.push('|------|-------|------------|---------|--------|-------------|------------------|');
+  for (const comparison of summary.comparisons) {
+    const a = variants[comparison.a];
+    const b = variants[comparison.b];
+    const verdict = comparison.significant ? `Yes (${variants[comparison.winner].label})` : 'No';
+    lines.push(`| ${a.label} vs ${b.label} | ${comparison.pairs} | ${comparison.onlyA} / ${comparison.onlyB} | ${formatPValue(comparison.pValue)} | ${formatPValue(comparison.adjustedPValue)} | ${verdict} | ${(comparison.scoreDelta.mean * 100).toFixed(1)} pts ${formatInterval(comparison.scoreDelta.lower, comparison.scoreDelta.upper)} |`);
+  }
+  lines.push('');
+
+  lines.push('## Detailed Results');
+  lines.push('');
+  lines.push(`| Test Case | Model | ${variants.map(variant => variant.label).join(' | ')} |`);
+  lines.push(`|-----------|-------|${variants.map(() => '---').join('|')}|`);
+  const rows = Math.max(...variants.map(variant => variant.results.length));
+  for (let i = 0; i < rows; i++) {
+    const first = variants.find(variant => variant.results[i])?.results[i];
+    const cells = variants.map(variant => {
+      const result = variant.results[i];
+      if (!result) return 'not run';
+      if (result.success === false) return '⚠️ error';
+      return `${result.pass ? '✅' : '❌'} ${((result.score ?? 0) * 100).toFixed(0)}%`;
+    });
+    lines.push(`| ${first.testCase} | ${first.model} | ${cells.join(' | ')} |`);
+  }
+
+  return lines.join('\n');
+}
+
 /**
  * Example A/B test configuration
  */
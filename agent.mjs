@@ -0,0 +1,276 @@
+/**
+ * Agent Tool Loop
+ *
+ * Runs a model against simulated tool backends: every tool call is answered by a
+ * suite-defined handler and fed back until the model answers or hits the step limit
+ */
+
+import { resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { normalizeToolCalls, argsMatch } from './evaluators/trajectory.mjs';
+
+export const DEFAULT_MAX_STEPS = 8;
+
+const moduleCache = new Map();
+
+/**
+ * Whether a test case runs through the tool loop (test case `agent` wins over the suite's)
+ */
+export function isAgentTestCase(testCase, suiteOptions = {}) {
+  return Boolean(testCase.agent ?? suiteOptions.agent);
+}
+
+/**
+ * Run the tool loop
+ * @param {Object} testCase - Test case (tool_handlers, tool_state, max_steps)
+ * @param {Object} options
+ * @param {Array} options.messages - Initial conversation
+ * @param {Function} options.complete - (messages, step) => provider result
+ * @param {Object} [options.toolHandlers] - Suite-level handlers, overridden per tool by the test case
+ * @param {number} [options.maxSteps] - Suite-level step limit
+ * @param {Object} [options.backends] - Backends to reuse (a conversation keeps one set across turns)
+ * @param {Object} [options.state] - State the handlers read and mutate in place, instead of a copy of tool_state
+ * @param {string} [options.callIdPrefix] - Prefix for generated tool call ids (default `call`)
+ * @returns {Promise<Object>} - Provider-shaped result plus toolCalls, toolResults, messages and agent summary
+ */
+export async function runAgentLoop(testCase, options = {}) {
+  const startTime = Date.now();
+  const maxSteps = Number(testCase.max_steps ?? options.maxSteps ?? DEFAULT_MAX_STEPS);
+  const backends = options.backends
+    || createToolBackends({ ...(options.toolHandlers || {}), ...(testCase.tool_handlers || {}) });
+  const state = options.state || cloneJson(testCase.tool_state || {});
+  const messages = [...options.messages];
+  const toolCalls = [];
+  const toolResults = [];
+  const steps = [];
+  let text = '';
+  let stopReason = 'max_steps';
+
+  for (let step = 1; step <= maxSteps; step++) {
+    const response = await options.complete(messages, step);
+    const calls = normalizeToolCalls(response.toolCalls || response.tool_calls || [])
+      .map((call, index) => ({ ...call, id: call.id || `${options.callIdPrefix || 'call'}_${step}_${index + 1}` }));
+    text = response.text || '';
+    steps.push({ step, text, usage: response.usage || null, cost: response.cost ?? null, latencyMs: response.latencyMs ?? null, toolCalls: calls.length });
+
+    if (calls.length === 0) {
+      messages.push({ role: 'assistant', content: text });
+      stopReason = 'final_answer';
+      break;
+    }
+
+    messages.push({
+      role: 'assistant',
+      content: text,
+      tool_calls: calls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: JSON.stringify(call.args ?? {}) },
+      })),
+    });
+
+    for (const call of calls) {
+      toolCalls.push({ ...call, step });
+      const outcome = await backends.execute(call, { state, step, testCase: testCase.name });
+      toolResults.push({ id: call.id, name: call.name, step, ...outcome });
+      messages.push({
+        role: 'tool',
+        tool_call_id: call.id,
+        content: formatToolContent(outcome),
+      });
+    }
+  }
+
+  return {
+    text,
+    usage: sumUsage(steps),
+    cost: steps.every(step => typeof step.cost === 'number') ? steps.reduce((sum, step) => sum + step.cost, 0) : null,
+    latencyMs: Date.now() - startTime,
+    toolCalls,
+    toolResults,
+    messages,
+    agent: { steps: steps.length, maxSteps, stopReason, state, stepDetails: steps },
+  };
+}
+
+/**
+ * Build the simulated backends for a map of tool name -> handler spec.
+ *
+ * Handler specs:
+ * - fixture: `result`, `results` (served in call order), `error`, or argument-matched `cases`
+ * - module: `module` path (resolved from the working directory) and optional `export`;
+ *   the handler receives `context.state` and may mutate it
+ * - state machine: `initial` and `states`, each state a fixture whose entries may set `next`
+ * Fixture entries may also carry `events` (see applyStateEvents), rendered with
+ * `{{args.*}}`/`{{state.*}}` and applied to `context.state` when the entry is served.
+ */
+export function createToolBackends(handlers = {}) {
+  const callCounts = new Map();
+  const currentStates = new Map();
+
+  return {
+    async execute(call, context) {
+      const spec = handlers[call.name];
+      const callIndex = callCounts.get(call.name) || 0;
+      callCounts.set(call.name, callIndex + 1);
+
+      if (!spec) {
+        return { error: `No simulated backend for tool "${call.name}"` };
+      }
+
+      if (spec.module) {
+        const handler = await loadModuleHandler(spec);
+        try {
+          const result = await handler(call.args ?? {}, { ...context, callIndex, tool: call.name });
+          return { result: result ?? null };
+        } catch (error) {
+          // A throwing handler simulates a failing tool; the model sees the error like any other result
+          return { error: error.message };
+        }
+      }
+
+      if (spec.states) {
+        const stateName = currentStates.get(call.name) ?? spec.initial ?? Object.keys(spec.states)[0];
+        const entry = resolveFixture(spec.states[stateName] || {}, call.args, callIndex);
+        if (entry?.next !== undefined) currentStates.set(call.name, entry.next);
+        return entry
+          ? serveEntry(entry, call.args, context.state)
+          : { error: `Tool "${call.name}" has no response in state "${stateName}"` };
+      }
+
+      const entry = resolveFixture(spec, call.args, callIndex);
+      return entry
+        ? serveEntry(entry, call.args, context.state)
+        : { error: `Tool "${call.name}" has no fixture matching ${JSON.stringify(call.args ?? {})}` };
+    },
+  };
+}
+
+/**
+ * Apply state events in order. Ops: `set` (default), `delete`, `increment`
+ * (by `value`, default 1) and `append` (to an array), each at a dotted `path`.
+ * @returns {Array} - The events that had a path and were applied
+ */
+export function applyStateEvents(state, events) {
+  const applied = [];
+  for (const event of Array.isArray(events) ? events : events ? [events] : []) {
+    const op = event.op || event.type || 'set';
+    const path = event.path || event.key;
+    if (!path) continue;
+    if (op === 'delete') {
+      setPath(state, path, undefined, { delete: true });
+    } else if (op === 'increment') {
+      const current = Number(getPath(state, path) || 0);
+      setPath(state, path, current + Number(event.value ?? 1));
+    } else if (op === 'append') {
+      const current = getPath(state, path);
+      setPath(state, path, Array.isArray(current) ? [...current, event.value] : [event.value]);
+    } else {
+      setPath(state, path, event.value);
+    }
+    applied.push(event);
+  }
+  return applied;
+}
+
+// Events apply before the result renders, so a result can report the state it just changed
+function serveEntry(entry, args, state) {
+  if (entry.events === undefined) return renderOutcome(entry, args, state);
+  const events = applyStateEvents(state, renderEventValues(entry.events, { args, state }));
+  return { ...renderOutcome(entry, args, state), events };
+}
+
+function resolveFixture(fixture, args, callIndex) {
+  for (const entry of fixture.cases || []) {
+    if (argsMatch(entry.match || entry.when || {}, args)) return entry;
+  }
+  if (Array.isArray(fixture.results) && fixture.results.length > 0) {
+    return { result: fixture.results[Math.min(callIndex, fixture.results.length - 1)], next: fixture.next, events: fixture.events };
+  }
+  if (fixture.result !== undefined || fixture.error !== undefined) return fixture;
+  return fixture.default || null;
+}
+
+function renderOutcome(entry, args, state) {
+  if (entry.error !== undefined) {
+    return { error: renderTemplate(entry.error, { args, state }) };
+  }
+  return { result: renderTemplate(entry.result ?? null, { args, state }) };
+}
+
+function renderTemplate(value, values) {
+  if (typeof value === 'string') {
+    return value.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+      const resolved = getPath(values, path);
+      if (resolved === undefined) return match;
+      return typeof resolved === 'object' ? JSON.stringify(resolved) : String(resolved);
+    });
+  }
+  if (Array.isArray(value)) return value.map(item => renderTemplate(item, values));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, renderTemplate(item, values)]));
+  }
+  return value;
+}
+
+// Like renderTemplate, but a value that is a single placeholder keeps its type,
+// so `"value": "{{args}}"` stores the arguments object rather than its JSON
+function renderEventValues(value, values) {
+  if (typeof value === 'string') {
+    const whole = value.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+    const resolved = whole ? getPath(values, whole[1]) : undefined;
+    return resolved === undefined ? renderTemplate(value, values) : JSON.parse(JSON.stringify(resolved));
+  }
+  if (Array.isArray(value)) return value.map(item => renderEventValues(item, values));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, renderEventValues(item, values)]));
+  }
+  return value;
+}
+
+async function loadModuleHandler(spec) {
+  const path = resolve(process.cwd(), spec.module);
+  if (!moduleCache.has(path)) {
+    moduleCache.set(path, await import(pathToFileURL(path).href));
+  }
+  const exported = moduleCache.get(path)[spec.export || 'default'];
+  if (typeof exported !== 'function') {
+    throw new Error(`Tool handler module ${spec.module} does not export a function "${spec.export || 'default'}"`);
+  }
+  return exported;
+}
+
+function formatToolContent(outcome) {
+  if (outcome.error !== undefined) return JSON.stringify({ error: outcome.error });
+  return typeof outcome.result === 'string' ? outcome.result : JSON.stringify(outcome.result);
+}
+
+function sumUsage(steps) {
+  const usages = steps.map(step => step.usage).filter(Boolean);
+  if (usages.length === 0) return null;
+  return usages.reduce((total, usage) => ({
+    prompt_tokens: total.prompt_tokens + (usage.prompt_tokens || 0),
+    completion_tokens: total.completion_tokens + (usage.completion_tokens || 0),
+    total_tokens: total.total_tokens + (usage.total_tokens || 0),
+  }), { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 });
+}
+
+function getPath(object, path) {
+  return String(path || '').split('.').reduce((current, part) => current?.[part], object);
+}
+
+function setPath(object, path, value, options = {}) {
+  const parts = String(path || '').split('.').filter(Boolean);
+  let current = object;
+  for (let i = 0; i < parts.length - 1; i++) {
+    current[parts[i]] = current[parts[i]] && typeof current[parts[i]] === 'object' ? current[parts[i]] : {};
+    current = current[parts[i]];
+  }
+  if (parts.length === 0) return;
+  if (options.delete) delete current[parts[parts.length - 1]];
+  else current[parts[parts.length - 1]] = value;
+}
+
+function cloneJson(value) {
+  return JSON.parse(JSON.stringify(value ?? {}));
+}
@@ -1,21 +1,64 @@
 /**
  * Response Cache
- * 
- * Caches LLM responses to avoid re-running identical prompts
+ *
+ * Content-addressed cache for provider completions and judge verdicts. Keys are
+ * full SHA-256 digests namespaced by provider (`openai/<sha256>`). Entries live
+ * in one JSON file each under `.cache/<provider>/` (default) or in a single
+ * SQLite file; expired entries are ignored on read, and the least recently used
+ * entries are evicted once CACHE_MAX_BYTES or CACHE_MAX_ENTRIES is exceeded.
  */
 
 import { createHash } from 'crypto';
-import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, unlinkSync, statSync } from 'fs';
-import { join, resolve } from 'path';
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, unlinkSync, statSync, utimesSync, renameSync } from 'fs';
+import { createRequire } from 'module';
+import { join, resolve, dirname, relative, isAbsolute } from 'path';
+
+export const CACHE_BACKENDS = ['file', 'sqlite'];
+export const DEFAULT_CACHE_DIR = '.cache';
+export const DEFAULT_CACHE_DB = '.cache/cache.db';
+export const DEFAULT_CACHE_MAX_BYTES = 512 * 1024 * 1024;
 
-const CACHE_DIR = resolve(process.cwd(), '.cache');
 const DEFAULT_CACHE_TTL_MS = 86400000;
+const DEFAULT_JUDGE_CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
 const MIN_CACHE_TTL_MS = 1000;
 const MAX_CACHE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+// A leading alphanumeric keeps `.` and `..` out of namespaces, which are directory names
+const CACHE_KEY_PATTERN = /^([A-Za-z0-9][A-Za-z0-9._-]*)\/([0-9a-f]{64})$/;
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+
+const require = createRequire(import.meta.url);
+let defaultStore = null;
+
+/**
+ * Create a cache store
+ * @param {{backend?: 'file'|'sqlite', dir?: string, dbPath?: string, maxBytes?: number|null, maxEntries?: number|null}} options
+ */
+export function createCacheStore(options = {}) {
+  const backend = String(options.backend || 'file').toLowerCase();
+  const limits = { maxBytes: options.maxBytes ?? null, maxEntries: options.maxEntries ?? null };
+  if (backend === 'file') {
+    return new FileCacheStore(resolve(process.cwd(), options.dir || DEFAULT_CACHE_DIR), limits);
+  }
+  if (backend === 'sqlite') {
+    return new SqliteCacheStore(resolve(process.cwd(), options.dbPath || DEFAULT_CACHE_DB), limits);
+  }
+  throw new Error(`Unknown cache store backend: ${options.backend} (expected ${CACHE_BACKENDS.join(' or ')})`);
+}
 
-// Ensure cache directory exists
-if (!existsSync(CACHE_DIR)) {
-  mkdirSync(CACHE_DIR, { recursive: true });
+/**
+ * The store configured by CACHE_STORE, CACHE_DIR / CACHE_DB_PATH, CACHE_MAX_BYTES and CACHE_MAX_ENTRIES
+ */
+export function getCacheStore() {
+  if (!defaultStore) {
+    defaultStore = createCacheStore({
+      backend: process.env.CACHE_STORE || 'file',
+      dir: process.env.CACHE_DIR,
+      dbPath: process.env.CACHE_DB_PATH,
+      maxBytes: parseCacheSize(process.env.CACHE_MAX_BYTES, DEFAULT_CACHE_MAX_BYTES),
+      maxEntries: parseCacheSize(process.env.CACHE_MAX_ENTRIES, null),
+    });
+  }
+  return defaultStore;
 }
 
 /**
@@ -31,55 +74,88 @@ export function getCacheKey(provider, model, messages, options = {}) {
     tools: options.tools,
     tool_choice: options.tool_choice,
   });
-  
-  return createHash('sha256').update(data).digest('hex').substring(0, 16);
+
+  return namespacedKey(provider, data);
+}
+
+/**
+ * Cache key for a judge verdict. The judge prompt hash (judgePromptHash in
+ * results) already covers the rendered template, criteria and response.
+ */
+export function getJudgeCacheKey(kind, provider, model, judgePromptHash) {
+  return namespacedKey(provider, JSON.stringify({ kind, provider, model, judgePromptHash }));
+}
+
+/**
+ * Split a cache key into its provider namespace and SHA-256 digest
+ * @returns {{namespace: string, hash: string}|null}
+ */
+export function parseCacheKey(key) {
+  const match = String(key || '').match(CACHE_KEY_PATTERN);
+  return match ? { namespace: match[1], hash: match[2] } : null;
+}
+
+/**
+ * Judge verdicts use JUDGE_CACHE_TTL_MS (default 7 days), independent of CACHE_TTL_MS
+ */
+export function getJudgeCacheTtlMs() {
+  return parseCacheTtlMs(process.env.JUDGE_CACHE_TTL_MS, DEFAULT_JUDGE_CACHE_TTL_MS);
 }
 
 /**
  * Get cached response if exists
  */
-export function getCachedResponse(cacheKey) {
-  const cachePath = join(CACHE_DIR, `${cacheKey}.json`);
-  
-  if (!existsSync(cachePath)) {
-    return null;
-  }
-  
+export function getCachedResponse(cacheKey, ttlMs = parseCacheTtlMs(process.env.CACHE_TTL_MS)) {
   try {
-    const data = JSON.parse(readFileSync(cachePath, 'utf8'));
-    
+    const store = getCacheStore();
+    const entry = store.get(cacheKey);
+
     // Check TTL (default 24 hours)
-    const ttlMs = parseCacheTtlMs(process.env.CACHE_TTL_MS);
-    if (Date.now() - data.timestamp > ttlMs) {
+    if (!entry || Date.now() - entry.createdAt > ttlMs) {
       return null;
     }
-    
-    return data.response;
+
+    store.touch(cacheKey);
+    return entry.response;
   } catch {
     return null;
   }
 }
 
-export function parseCacheTtlMs(value) {
-  if (value === undefined || value === null || value === '') return DEFAULT_CACHE_TTL_MS;
+export function parseCacheTtlMs(value, fallback = DEFAULT_CACHE_TTL_MS) {
+  if (value === undefined || value === null || value === '') return fallback;
   const parsed = Number(value);
-  if (!Number.isFinite(parsed)) return DEFAULT_CACHE_TTL_MS;
+  if (!Number.isFinite(parsed)) return fallback;
   return Math.min(Math.max(parsed, MIN_CACHE_TTL_MS), MAX_CACHE_TTL_MS);
 }
 
+/**
+ * Parse a size limit such as 500000, 200MB or 2GB (plain numbers also serve as entry counts).
+ * 0 disables the limit.
+ */
+export function parseCacheSize(value, fallback = null) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i);
+  if (!match) {
+    throw new Error(`Invalid cache size: ${value} (use a number or a size like 500MB)`);
+  }
+  const parsed = Math.floor(Number(match[1]) * SIZE_UNITS[(match[2] || 'b').toLowerCase()]);
+  return parsed > 0 ? parsed : null;
+}
+
 /**
  * Save response to cache
+ * @param {{kind?: 'completion'|'judge', model?: string}} [meta]
  */
-export function setCachedResponse(cacheKey, response) {
-  const cachePath = join(CACHE_DIR, `${cacheKey}.json`);
-  
-  const data = {
-    timestamp: Date.now(),
-    response,
-  };
-  
+export function setCachedResponse(cacheKey, response, meta = {}) {
   try {
-    writeFileSync(cachePath, JSON.stringify(data, null, 2), 'utf8');
+    getCacheStore().set({
+      key: cacheKey,
+      kind: meta.kind || 'completion',
+      model: meta.model ?? null,
+      createdAt: Date.now(),
+      response,
+    });
   } catch (err) {
     console.warn(`Cache write failed: ${err.message}`);
   }
@@ -88,33 +164,406 @@ export function setCachedResponse(cacheKey, response) {
 /**
  * Clear all cache
  */
-export function clearCache() {
-  if (!existsSync(CACHE_DIR)) {
-    return 0;
+export function clearCache(store = getCacheStore()) {
+  return store.clear();
+}
+
+/**
+ * Get cache stats: totals, per-namespace counts and the configured limits
+ */
+export function getCacheStats(store = getCacheStore(), now = Date.now()) {
+  const entries = store.list();
+  const judgeTtlMs = getJudgeCacheTtlMs();
+  const ttlMs = parseCacheTtlMs(process.env.CACHE_TTL_MS);
+  const namespaces = new Map();
+
+  for (const entry of entries) {
+    if (!namespaces.has(entry.namespace)) {
+      namespaces.set(entry.namespace, { namespace: entry.namespace, entries: 0, sizeBytes: 0, completions: 0, judge: 0, expired: 0, oldest: null, newest: null });
+    }
+    const stats = namespaces.get(entry.namespace);
+    stats.entries++;
+    stats.sizeBytes += entry.sizeBytes;
+    if (entry.kind === 'judge') stats.judge++;
+    else stats.completions++;
+    if (now - entry.createdAt > (entry.kind === 'judge' ? judgeTtlMs : ttlMs)) stats.expired++;
+    stats.oldest = stats.oldest === null ? entry.createdAt : Math.min(stats.oldest, entry.createdAt);
+    stats.newest = stats.newest === null ? entry.createdAt : Math.max(stats.newest, entry.createdAt);
   }
-  
-  const files = readdirSync(CACHE_DIR).filter(f => f.endsWith('.json'));
-  files.forEach(f => unlinkSync(join(CACHE_DIR, f)));
-  
-  return files.length;
+
+  return {
+    backend: store.backend,
+    location: store.location,
+    entries: entries.length,
+    sizeBytes: entries.reduce((sum, entry) => sum + entry.sizeBytes, 0),
+    expired: [...namespaces.values()].reduce((sum, stats) => sum + stats.expired, 0),
+    maxBytes: store.limits.maxBytes,
+    maxEntries: store.limits.maxEntries,
+    legacyFiles: store.legacyFiles?.().length || 0,
+    namespaces: [...namespaces.values()].sort((a, b) => a.namespace.localeCompare(b.namespace)),
+  };
 }
 
 /**
- * Get cache stats
+ * Remove entries created before `olderThanMs` ago, or, without it, entries past
+ * their TTL (CACHE_TTL_MS for completions, JUDGE_CACHE_TTL_MS for judge verdicts).
+ * Then evicts least recently used entries down to the size limits.
+ * @returns {{removed: number, evicted: number, legacy: number}}
  */
-export function getCacheStats() {
-  if (!existsSync(CACHE_DIR)) {
-    return { entries: 0, sizeBytes: 0 };
+export function pruneCache(options = {}, store = getCacheStore()) {
+  const now = options.now ?? Date.now();
+  const judgeTtlMs = getJudgeCacheTtlMs();
+  const ttlMs = parseCacheTtlMs(process.env.CACHE_TTL_MS);
+  let removed = 0;
+
+  for (const entry of store.list({ namespace: options.namespace })) {
+    const maxAgeMs = options.olderThanMs ?? (entry.kind === 'judge' ? judgeTtlMs : ttlMs);
+    if (now - entry.createdAt > maxAgeMs) {
+      store.delete(entry.key);
+      removed++;
+    }
   }
-  
-  const files = readdirSync(CACHE_DIR).filter(f => f.endsWith('.json'));
-  const sizeBytes = files.reduce((sum, f) => {
+
+  return {
+    removed,
+    evicted: store.evict(),
+    // Flat .cache/*.json files from before namespaced keys are never read again
+    legacy: store.removeLegacyFiles?.() || 0,
+  };
+}
+
+/**
+ * Entries as JSONL lines for sharing a cached baseline
+ */
+export function exportCacheEntries(options = {}, store = getCacheStore()) {
+  return store.list({ namespace: options.namespace })
+    .map(entry => JSON.stringify({
+      key: entry.key,
+      kind: entry.kind,
+      model: entry.model,
+      createdAt: entry.createdAt,
+      response: store.get(entry.key)?.response,
+    }))
+    .join('\n') + '\n';
+}
+
+/**
+ * Load exported JSONL entries. Existing keys are kept unless `overwrite` is set;
+ * `touch` restamps entries with the import time so they are not already expired.
+ * @returns {{imported: number, skipped: number, invalid: Array<{line: number, reason: string}>}}
+ */
+export function importCacheEntries(text, options = {}, store = getCacheStore()) {
+  const report = { imported: 0, skipped: 0, invalid: [] };
+  const now = Date.now();
+
+  String(text).split('\n').forEach((line, index) => {
+    if (!line.trim()) return;
+    let entry;
     try {
-      return sum + statSync(join(CACHE_DIR, f)).size;
-    } catch {
-      return sum;
+      entry = JSON.parse(line);
+    } catch (error) {
+      report.invalid.push({ line: index + 1, reason: `invalid JSON: ${error.message}` });
+      return;
+    }
+    if (!parseCacheKey(entry.key) || entry.response === undefined || !Number.isFinite(entry.createdAt)) {
+      report.invalid.push({ line: index + 1, reason: 'expected {key, createdAt, response} with a namespaced SHA-256 key' });
+      return;
     }
-  }, 0);
-  
-  return { entries: files.length, sizeBytes };
+    if (!options.overwrite && store.get(entry.key)) {
+      report.skipped++;
+      return;
+    }
+    store.set({
+      key: entry.key,
+      kind: entry.kind === 'judge' ? 'judge' : 'completion',
+      model: entry.model ?? null,
+      createdAt: options.touch ? now : entry.createdAt,
+      response: entry.response,
+    }, { evict: false });
+    report.imported++;
+  });
+
+  store.evict();
+  return report;
+}
+
+function namespacedKey(provider, data) {
+  const namespace = String(provider || '').replace(/[^A-Za-z0-9._-]/g, '_').replace(/^[._-]+/, '') || 'default';
+  return `${namespace}/${createHash('sha256').update(data).digest('hex')}`;
+}
+
+function requireKey(key) {
+  const parsed = parseCacheKey(key);
+  if (!parsed) {
+    throw new Error(`Invalid cache key: ${key} (expected <namespace>/<sha256>)`);
+  }
+  return parsed;
+}
+
+class FileCacheStore {
+  constructor(dir, limits) {
+    this.backend = 'file';
+    this.dir = dir;
+    this.location = dir;
+    this.limits = limits;
+    // key -> {sizeBytes, accessedAt}; built on the first write that needs eviction
+    this.index = null;
+  }
+
+  pathFor(key) {
+    const { namespace, hash } = requireKey(key);
+    const path = join(this.dir, namespace, `${hash}.json`);
+    // Keys arrive from shared export files; never let one address a file outside the cache dir
+    const fromDir = relative(this.dir, path);
+    if (fromDir.startsWith('..') || isAbsolute(fromDir)) {
+      throw new Error(`Invalid cache key: ${key} (resolves outside ${this.dir})`);
+    }
+    return path;
+  }
+
+  get(key) {
+    const path = this.pathFor(key);
+    if (!existsSync(path)) return null;
+    const data = JSON.parse(readFileSync(path, 'utf8'));
+    return { ...this.describe(key, path, data), response: data.response };
+  }
+
+  touch(key) {
+    const path = this.pathFor(key);
+    const now = new Date();
+    // Last access is the file mtime, so LRU order survives restarts without a rewrite
+    utimesSync(path, now, now);
+    if (this.index?.has(key)) this.index.get(key).accessedAt = now.getTime();
+  }
+
+  set(entry, options = {}) {
+    const path = this.pathFor(entry.key);
+    const { namespace } = requireKey(entry.key);
+    const body = JSON.stringify({
+      key: entry.key,
+      namespace,
+      kind: entry.kind,
+      model: entry.model,
+      timestamp: entry.createdAt,
+      response: entry.response,
+    }, null, 2);
+
+    mkdirSync(dirname(path), { recursive: true });
+    writeFileSync(`${path}.tmp`, body, 'utf8');
+    renameSync(`${path}.tmp`, path);
+    if (this.index) this.index.set(entry.key, { sizeBytes: Buffer.byteLength(body), accessedAt: Date.now() });
+    if (options.evict !== false) this.evict();
+  }
+
+  delete(key) {
+    const path = this.pathFor(key);
+    if (existsSync(path)) unlinkSync(path);
+    this.index?.delete(key);
+  }
+
+  list(filters = {}) {
+    const entries = [];
+    for (const { key, path } of this.files(filters.namespace)) {
+      try {
+        entries.push(this.describe(key, path, JSON.parse(readFileSync(path, 'utf8'))));
+      } catch {
+        // A file that cannot be parsed is reported by its size only
+        const stats = statSync(path);
+        entries.push({ key, namespace: key.split('/')[0], kind: 'completion', model: null, createdAt: stats.mtimeMs, accessedAt: stats.mtimeMs, sizeBytes: stats.size });
+      }
+    }
+    return entries;
+  }
+
+  clear() {
+    const files = this.files();
+    files.forEach(({ path }) => unlinkSync(path));
+    this.index = null;
+    return files.length + this.removeLegacyFiles();
+  }
+
+  evict() {
+    const { maxBytes, maxEntries } = this.limits;
+    if (!maxBytes && !maxEntries) return 0;
+    if (!this.index) {
+      this.index = new Map(this.files().map(({ key, path }) => {
+        const stats = statSync(path);
+        return [key, { sizeBytes: stats.size, accessedAt: stats.mtimeMs }];
+      }));
+    }
+
+    let totalBytes = [...this.index.values()].reduce((sum, item) => sum + item.sizeBytes, 0);
+    if ((!maxBytes || totalBytes <= maxBytes) && (!maxEntries || this.index.size <= maxEntries)) return 0;
+
+    let evicted = 0;
+    const oldestFirst = [...this.index.entries()].sort((a, b) => a[1].accessedAt - b[1].accessedAt);
+    for (const [key, item] of oldestFirst) {
+      if ((!maxBytes || totalBytes <= maxBytes) && (!maxEntries || this.index.size <= maxEntries)) break;
+      this.delete(key);
+      totalBytes -= item.sizeBytes;
+      evicted++;
+    }
+    return evicted;
+  }
+
+  legacyFiles() {
+    if (!existsSync(this.dir)) return [];
+    return readdirSync(this.dir).filter(name => name.endsWith('.json')).map(name => join(this.dir, name));
+  }
+
+  removeLegacyFiles() {
+    const files = this.legacyFiles();
+    files.forEach(path => unlinkSync(path));
+    return files.length;
+  }
+
+  files(namespace = null) {
+    if (!existsSync(this.dir)) return [];
+    if (namespace && !parseCacheKey(`${namespace}/${'0'.repeat(64)}`)) return [];
+    const namespaces = namespace
+      ? [namespace]
+      : readdirSync(this.dir, { withFileTypes: true }).filter(item => item.isDirectory()).map(item => item.name);
+    const files = [];
+    for (const name of namespaces) {
+      const namespaceDir = join(this.dir, name);
+      if (!existsSync(namespaceDir)) continue;
+      for (const file of readdirSync(namespaceDir)) {
+        const key = `${name}/${file.replace(/\.json$/, '')}`;
+        if (file.endsWith('.json') && parseCacheKey(key)) files.push({ key, path: join(namespaceDir, file) });
+      }
+    }
+    return files;
+  }
+
+  describe(key, path, data) {
+    const stats = statSync(path);
+    return {
+      key,
+      namespace: requireKey(key).namespace,
+      kind: data.kind || 'completion',
+      model: data.model ?? null,
+      createdAt: data.timestamp ?? stats.mtimeMs,
+      accessedAt: stats.mtimeMs,
+      sizeBytes: stats.size,
+    };
+  }
+
+  close() {}
+}
+
+class SqliteCacheStore {
+  constructor(dbPath, limits) {
+    this.backend = 'sqlite';
+    this.dbPath = dbPath;
+    this.location = dbPath;
+    this.limits = limits;
+    let sqlite;
+    try {
+      sqlite = require('node:sqlite');
+    } catch (error) {
+      throw new Error(`SQLite cache store requires Node.js 22.5+ with node:sqlite (${error.message})`);
+    }
+    mkdirSync(dirname(dbPath), { recursive: true });
+    this.db = new sqlite.DatabaseSync(dbPath);
+    this.db.exec(`
+      PRAGMA journal_mode = WAL;
+      CREATE TABLE IF NOT EXISTS cache_entries (
+        key TEXT PRIMARY KEY,
+        namespace TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        model TEXT,
+        created_at INTEGER NOT NULL,
+        accessed_at INTEGER NOT NULL,
+        size_bytes INTEGER NOT NULL,
+        response_json TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS cache_entries_accessed ON cache_entries (accessed_at);
+      CREATE INDEX IF NOT EXISTS cache_entries_namespace ON cache_entries (namespace);
+    `);
+  }
+
+  get(key) {
+    requireKey(key);
+    const row = this.db.prepare('SELECT * FROM cache_entries WHERE key = ?').get(key);
+    return row ? { ...describeRow(row), response: JSON.parse(row.response_json) } : null;
+  }
+
+  touch(key) {
+    this.db.prepare('UPDATE cache_entries SET accessed_at = ? WHERE key = ?').run(Date.now(), key);
+  }
+
+  set(entry, options = {}) {
+    const { namespace } = requireKey(entry.key);
+    const responseJson = JSON.stringify(entry.response);
+    this.db.prepare(`
+      INSERT INTO cache_entries (key, namespace, kind, model, created_at, accessed_at, size_bytes, response_json)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(key) DO UPDATE SET
+        kind = excluded.kind,
+        model = excluded.model,
+        created_at = excluded.created_at,
+        accessed_at = excluded.accessed_at,
+        size_bytes = excluded.size_bytes,
+        response_json = excluded.response_json
+    `).run(entry.key, namespace, entry.kind, entry.model ?? null, entry.createdAt, Date.now(), Buffer.byteLength(responseJson), responseJson);
+    if (options.evict !== false) this.evict();
+  }
+
+  delete(key) {
+    this.db.prepare('DELETE FROM cache_entries WHERE key = ?').run(key);
+  }
+
+  list(filters = {}) {
+    const rows = filters.namespace
+      ? this.db.prepare('SELECT key, namespace, kind, model, created_at, accessed_at, size_bytes FROM cache_entries WHERE namespace = ?').all(filters.namespace)
+      : this.db.prepare('SELECT key, namespace, kind, model, created_at, accessed_at, size_bytes FROM cache_entries').all();
+    return rows.map(describeRow);
+  }
+
+  clear() {
+    const { count } = this.db.prepare('SELECT COUNT(*) AS count FROM cache_entries').get();
+    this.db.exec('DELETE FROM cache_entries');
+    return count;
+  }
+
+  evict() {
+    const { maxBytes, maxEntries } = this.limits;
+    if (!maxBytes && !maxEntries) return 0;
+    let { count, total } = this.db.prepare('SELECT COUNT(*) AS count, COALESCE(SUM(size_bytes), 0) AS total FROM cache_entries').get();
+    if ((!maxBytes || total <= maxBytes) && (!maxEntries || count <= maxEntries)) return 0;
+
+    let evicted = 0;
+    const remove = this.db.prepare('DELETE FROM cache_entries WHERE key = ?');
+    this.db.exec('BEGIN');
+    try {
+      for (const row of this.db.prepare('SELECT key, size_bytes FROM cache_entries ORDER BY accessed_at ASC').all()) {
+        if ((!maxBytes || total <= maxBytes) && (!maxEntries || count <= maxEntries)) break;
+        remove.run(row.key);
+        total -= row.size_bytes;
+        count--;
+        evicted++;
+      }
+      this.db.exec('COMMIT');
+    } catch (error) {
+      this.db.exec('ROLLBACK');
+      throw error;
+    }
+    return evicted;
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+function describeRow(row) {
+  return {
+    key: row.key,
+    namespace: row.namespace,
+    kind: row.kind,
+    model: row.model,
+    createdAt: row.created_at,
+    accessedAt: row.accessed_at,
+    sizeBytes: row.size_bytes,
+  };
 }
@@ -0,0 +1,176 @@
+/**
+ * HTTP Cassettes
+ *
+ * Records raw provider HTTP traffic to disk and replays it offline (VCR-style)
+ */
+
+import { createHash } from 'crypto';
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join, resolve } from 'path';
+
+const REDACTED = 'REDACTED';
+const SECRET_HEADERS = ['authorization', 'x-api-key', 'api-key', 'x-goog-api-key', 'cookie', 'set-cookie', 'openai-organization', 'openai-project'];
+const SECRET_QUERY_PARAMS = ['key', 'api_key', 'apikey', 'access_token'];
+const PROVIDER_KEY_ENV = ['OPENAI_API_KEY', 'ANTHROPIC_API_KEY', 'GOOGLE_API_KEY', 'OPENROUTER_API_KEY'];
+
+let activeCassette = null;
+let envChecked = false;
+
+/**
+ * Enable record or replay mode for every provider request made in this process
+ * @param {{record?: string, replay?: string}} options - Cassette directory per mode
+ */
+export function configureCassette(options = {}) {
+  envChecked = true;
+  if (options.record && options.replay) {
+    throw new Error('Cassette record and replay modes cannot be combined');
+  }
+  if (options.record) {
+    activeCassette = { mode: 'record', dir: resolve(process.cwd(), options.record), counters: new Map() };
+    mkdirSync(activeCassette.dir, { recursive: true });
+  } else if (options.replay) {
+    const dir = resolve(process.cwd(), options.replay);
+    if (!existsSync(dir)) {
+      throw new Error(`Cassette directory not found: ${dir}`);
+    }
+    activeCassette = { mode: 'replay', dir, counters: new Map() };
+    // Keys are scrubbed from recordings, so replay only needs adapters to pass their credential checks
+    for (const name of PROVIDER_KEY_ENV) {
+      if (!process.env[name]) process.env[name] = 'cassette-replay';
+    }
+  } else {
+    activeCassette = null;
+  }
+  return activeCassette;
+}
+
+/**
+ * Get the active cassette, falling back to CASSETTE_RECORD_DIR / CASSETTE_REPLAY_DIR
+ */
+export function getCassette() {
+  if (!envChecked) {
+    envChecked = true;
+    if (process.env.CASSETTE_RECORD_DIR || process.env.CASSETTE_REPLAY_DIR) {
+      configureCassette({
+        record: process.env.CASSETTE_RECORD_DIR,
+        replay: process.env.CASSETTE_REPLAY_DIR,
+      });
+    }
+  }
+  return activeCassette;
+}
+
+/**
+ * Fetch through the active cassette: serve recordings in replay mode,
+ * capture the exchange in record mode.
+ */
+export async function fetchWithCassette(url, fetchOptions, doFetch) {
+  const cassette = getCassette();
+  if (!cassette) return doFetch(url, fetchOptions);
+
+  const request = scrubRequest(url, fetchOptions);
+  const key = cassetteKey(request);
+  const path = join(cassette.dir, `${key}.json`);
+  const index = cassette.counters.get(key) || 0;
+  cassette.counters.set(key, index + 1);
+
+  if (cassette.mode === 'replay') {
+    if (!existsSync(path)) {
+      throw new Error(`No cassette recording for ${request.method} ${request.url} (${key}) in ${cassette.dir}`);
+    }
+    const recording = JSON.parse(readFileSync(path, 'utf8'));
+    const responses = recording.responses || [];
+    if (responses.length === 0) {
+      throw new Error(`Cassette recording ${key} has no responses`);
+    }
+    return toResponse(responses[Math.min(index, responses.length - 1)]);
+  }
+
+  const response = await doFetch(url, fetchOptions);
+  const bodyText = await response.text();
+  const recorded = {
+    status: response.status,
+    statusText: response.statusText,
+    headers: scrubHeaders(Object.fromEntries(response.headers.entries())),
+    ...encodeBody(bodyText),
+    recordedAt: new Date().toISOString(),
+  };
+
+  // The first exchange for a key in this run replaces older recordings; later ones append
+  const existing = index > 0 && existsSync(path) ? JSON.parse(readFileSync(path, 'utf8')) : null;
+  writeFileSync(path, JSON.stringify({
+    request,
+    responses: [...(existing?.responses || []), recorded],
+  }, null, 2), 'utf8');
+
+  return toResponse(recorded);
+}
+
+/**
+ * Request fingerprint used as the recording filename; secrets are scrubbed first
+ */
+export function cassetteKey(request) {
+  const body = typeof request.body === 'string' ? request.body : JSON.stringify(request.body ?? null);
+  return createHash('sha256')
+    .update(`${request.method} ${request.url}\n${body}`)
+    .digest('hex')
+    .substring(0, 24);
+}
+
+function scrubRequest(url, fetchOptions = {}) {
+  const rawBody = fetchOptions.body;
+  let body = rawBody ?? null;
+  if (typeof rawBody === 'string') {
+    try {
+      body = JSON.parse(rawBody);
+    } catch {
+      body = rawBody;
+    }
+  }
+  return {
+    method: (fetchOptions.method || 'GET').toUpperCase(),
+    url: scrubUrl(url),
+    headers: scrubHeaders(fetchOptions.headers || {}),
+    body,
+  };
+}
+
+function scrubUrl(url) {
+  try {
+    const parsed = new URL(url);
+    for (const param of SECRET_QUERY_PARAMS) {
+      if (parsed.searchParams.has(param)) parsed.searchParams.set(param, REDACTED);
+    }
+    return parsed.toString();
+  } catch {
+    return String(url);
+  }
+}
+
+function scrubHeaders(headers) {
+  const entries = headers instanceof Headers ? [...headers.entries()] : Object.entries(headers);
+  return Object.fromEntries(entries.map(([name, value]) => [
+    name,
+    SECRET_HEADERS.includes(name.toLowerCase()) ? REDACTED : value,
+  ]));
+}
+
+function encodeBody(text) {
+  try {
+    return { json: JSON.parse(text) };
+  } catch {
+    return { text };
+  }
+}
+
+function toResponse(recorded) {
+  const body = recorded.json !== undefined ? JSON.stringify(recorded.json) : recorded.text ?? '';
+  const headers = Object.fromEntries(
+    Object.entries(recorded.headers || {}).filter(([name]) => !['content-length', 'content-encoding', 'transfer-encoding'].includes(name.toLowerCase()))
+  );
+  return new Response(body, {
+    status: recorded.status,
+    statusText: recorded.statusText || '',
+    headers,
+  });
+}
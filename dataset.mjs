@@ -6,6 +6,7 @@
 
 import { readFileSync } from 'fs';
 import { extname } from 'path';
+import { parseBoolean } from './labels/schema.mjs';
 
 /**
  * Load dataset from file
@@ -55,14 +56,15 @@ function loadJson(content) {
  * Load JSONL dataset (one JSON object per line)
  */
 function loadJsonl(content) {
-  const lines = content.trim().split('\n').filter(line => line.trim());
-  const testCases = lines.map(line => {
+  const testCases = [];
+  content.split('\n').forEach((line, index) => {
+    if (!line.trim()) return;
     try {
-      return normalizeTestCase(JSON.parse(line));
-    } catch {
-      return null;
+      testCases.push(normalizeTestCase(JSON.parse(line)));
+    } catch (error) {
+      throw new Error(`JSONL line ${index + 1}: ${error.message}`);
     }
-  }).filter(Boolean);
+  });
   
   return {
     name: 'Dataset',
@@ -115,6 +117,8 @@ function loadCsv(content) {
         expected_winner: row.expected_winner,
         system_prompt: row.system_prompt,
         criteria: row.criteria ? row.criteria.split('|') : undefined,
+        rubric: parseRubricColumn(row.rubric),
+        rubric_pass_threshold: row.rubric_pass_threshold,
         max_tokens: parseOptionalPositiveInteger(row.max_tokens),
       });
     });
@@ -192,7 +196,9 @@ function parseCsvRows(content) {
 }
 
 /**
- * Normalize test case to standard format
+ * Normalize test case to standard format. Numeric and boolean fields are
+ * converted from the strings CSV (and hand-edited JSONL) tend to hold, and
+ * rejected when they cannot be, so the suite schema only sees typed values.
  */
 function normalizeTestCase(tc) {
   const prompt = tc.prompt || tc.input || tc.question || tc.text || '';
@@ -215,7 +221,7 @@ function normalizeTestCase(tc) {
     response_b: tc.response_b || tc.responseB || tc.candidate_b || tc.candidateB || undefined,
     expected_winner: tc.expected_winner || tc.expectedWinner || undefined,
     order: tc.order || undefined,
-    require_native_tool_call: tc.require_native_tool_call || tc.requireNativeToolCall || undefined,
+    require_native_tool_call: optionalBoolean(tc.require_native_tool_call ?? tc.requireNativeToolCall, 'require_native_tool_call', name),
     tools: tc.tools || undefined,
     tool_choice: tc.tool_choice || tc.toolChoice || undefined,
     expected_json: tc.expected_json || tc.json || undefined,
@@ -225,11 +231,13 @@ function normalizeTestCase(tc) {
     context: tc.context || undefined,
     question: tc.question || undefined,
     answer: tc.answer || undefined,
-    criteria: tc.criteria || tc.rubric || undefined,
+    criteria: tc.criteria || undefined,
+    rubric: tc.rubric || undefined,
+    rubric_pass_threshold: optionalNumber(tc.rubric_pass_threshold ?? tc.rubricPassThreshold, 'rubric_pass_threshold', name),
     judge_template: tc.judge_template || tc.judgeTemplate || undefined,
     eval_type: tc.eval_type || tc.type || undefined,
     max_tokens: parseOptionalPositiveInteger(tc.max_tokens ?? tc.maxTokens) ?? 512,
-    temperature: tc.temperature ?? undefined,
+    temperature: optionalNumber(tc.temperature, 'temperature', name),
     paraphrases: tc.paraphrases || undefined,
     unauthorized_patterns: tc.unauthorized_patterns || tc.unauthorizedPatterns || undefined,
     forbidden_actions: tc.forbidden_actions || tc.forbiddenActions || undefined,
@@ -243,15 +251,46 @@ function normalizeTestCase(tc) {
     irrelevant_context_facts: tc.irrelevant_context_facts || tc.irrelevantContextFacts || undefined,
     stale_context_patterns: tc.stale_context_patterns || tc.staleContextPatterns || undefined,
     counterfactual_context_facts: tc.counterfactual_context_facts || tc.counterfactualContextFacts || undefined,
-    safety_weight: tc.safety_weight ?? tc.safetyWeight,
-    failure_weight: tc.failure_weight ?? tc.failureWeight,
-    recovery_expected: tc.recovery_expected ?? tc.recoveryExpected,
-    expected_confidence: tc.expected_confidence ?? tc.expectedConfidence,
-    confidence_tolerance: tc.confidence_tolerance ?? tc.confidenceTolerance,
+    safety_weight: optionalNumber(tc.safety_weight ?? tc.safetyWeight, 'safety_weight', name),
+    failure_weight: optionalNumber(tc.failure_weight ?? tc.failureWeight, 'failure_weight', name),
+    recovery_expected: optionalBoolean(tc.recovery_expected ?? tc.recoveryExpected, 'recovery_expected', name),
+    expected_confidence: optionalNumber(tc.expected_confidence ?? tc.expectedConfidence, 'expected_confidence', name),
+    confidence_tolerance: optionalNumber(tc.confidence_tolerance ?? tc.confidenceTolerance, 'confidence_tolerance', name),
     metadata: tc.metadata || {},
   };
 }
 
+// A rubric cell is a JSON array/object, or criterion names separated by |
+function parseRubricColumn(value) {
+  if (!value) return undefined;
+  if (/^[[{]/.test(value)) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      throw new Error(`Invalid rubric JSON in CSV: ${error.message}`);
+    }
+  }
+  return value.split('|').map(name => name.trim()).filter(Boolean);
+}
+
+function optionalNumber(value, field, name) {
+  if (value === undefined || value === null || String(value).trim() === '') return undefined;
+  const parsed = typeof value === 'string' ? Number(value.trim()) : value;
+  if (typeof parsed !== 'number' || !Number.isFinite(parsed)) {
+    throw new Error(`Test case "${name}": ${field} must be a number, got ${JSON.stringify(value)}`);
+  }
+  return parsed;
+}
+
+function optionalBoolean(value, field, name) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const parsed = parseBoolean(value);
+  if (parsed === null) {
+    throw new Error(`Test case "${name}": ${field} must be true or false, got ${JSON.stringify(value)}`);
+  }
+  return parsed;
+}
+
 function parseOptionalPositiveInteger(value) {
   if (value === undefined || value === null || value === '') return undefined;
   const parsed = Number(value);
@@ -0,0 +1,461 @@
+/**
+ * Eval Suite Linter
+ *
+ * Validates suites against docs/schemas/eval-suite.schema.json and checks the
+ * things a schema cannot: judge templates and personas exist, expected tools are declared,
+ * regexes compile, rubric thresholds fit their scales and RAG cases carry the
+ * fields their eval type reads.
+ * A typo like `expected_contain` otherwise falls through to an existence check
+ * and the case "passes".
+ */
+
+import { existsSync, readFileSync, readdirSync } from 'fs';
+import { resolve, dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { validateJsonSchema } from './evaluators/json-schema.mjs';
+import { detectEvalType, unsafeRegexReason } from './evaluators/index.mjs';
+import { getRagContext } from './evaluators/rag.mjs';
+import { normalizeRubric } from './evaluators/rubric.mjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const EVAL_SUITE_SCHEMA_PATH = join(__dirname, 'docs', 'schemas', 'eval-suite.schema.json');
+
+const JUDGE_TEMPLATE_NAME_PATTERN = /^[A-Za-z0-9_-]+(?:\.md)?$/;
+const PERSONA_NAME_PATTERN = /^[A-Za-z0-9_-]+(?:\.json)?$/;
+const MAX_REGEX_LENGTH = 512;
+
+// Fields an eval type reads; each entry lists alternatives, any one of which satisfies it
+const REQUIRED_FIELDS = {
+  exact_match: [['expected']],
+  contains: [['expected_contains', 'expected']],
+  regex: [['expected_regex', 'expected']],
+  tool_call: [['expected_tool']],
+  tool_trajectory: [['expected_trajectory', 'must_not_call']],
+  json_match: [['expected_json']],
+  json_schema: [['json_schema', 'json_schema_path']],
+  code_execution: [['code_tests']],
+  rubric_judge: [['rubric']],
+  pairwise_judge: [['response_a', 'responseA', 'candidate_a', 'candidateA'], ['response_b', 'responseB', 'candidate_b', 'candidateB']],
+  rag_retrieval: [['retrieved_context_ids', 'retrievedContextIds'], ['expected_relevant_context_ids', 'expectedRelevantContextIds']],
+};
+
+// RAG judge types by whether their default template renders the retrieved context
+const RAG_JUDGE_TYPES = {
+  rag_context_relevance: { context: true },
+  rag_cq: { context: true },
+  rag_faithfulness: { context: true },
+  rag_ac: { context: true },
+  rag_context_support: { context: true },
+  rag_ca: { context: true },
+  rag_answerability: { context: true },
+  rag_qc: { context: true },
+  rag_answer_relevance: { context: false },
+  rag_aq: { context: false },
+  rag_self_containment: { context: false },
+  rag_qa: { context: false },
+};
+
+let suiteSchema = null;
+
+/**
+ * The published eval suite JSON Schema
+ */
+export function loadEvalSuiteSchema() {
+  if (!suiteSchema) {
+    suiteSchema = JSON.parse(readFileSync(EVAL_SUITE_SCHEMA_PATH, 'utf8'));
+  }
+  return suiteSchema;
+}
+
+/**
+ * Lint a parsed eval suite
+ * @param {Object} config - Suite as loaded from JSON
+ * @param {Object} [options]
+ * @param {string} [options.judgesDir] - Where judge templates live (default: judges/ in the working directory)
+ * @param {string} [options.personasDir] - Where simulated-user personas live (default: personas/ in the working directory)
+ * @returns {Array<{severity: 'error'|'warning', path: string, message: string, suggestion?: string}>}
+ */
+export function lintEvalConfig(config, options = {}) {
+  const judgesDir = options.judgesDir || resolve(process.cwd(), 'judges');
+  const personasDir = options.personasDir || resolve(process.cwd(), 'personas');
+  const findings = [];
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return [{ severity: 'error', path: '', message: 'Eval suite must be a JSON object' }];
+  }
+
+  const schema = loadEvalSuiteSchema();
+  for (const violation of validateJsonSchema(schema, config).violations) {
+    findings.push(...schemaFindings(schema, config, violation));
+  }
+
+  const suiteTools = Array.isArray(config.tools) ? config.tools : null;
+  const caseListKey = ['test_cases', 'testCases', 'conversations'].find(key => Array.isArray(config[key]));
+  const testCases = caseListKey
+    ? config[caseListKey].map((testCase, index) => ({ testCase, path: `${caseListKey}[${index}]` }))
+    : [{ testCase: config, path: '' }];
+
+  for (const { testCase, path } of testCases) {
+    if (!testCase || typeof testCase !== 'object') continue;
+    const tools = Array.isArray(testCase.tools) ? testCase.tools : suiteTools;
+    const turns = testCase.turns || testCase.conversation;
+    // A bare conversation suite has no case-level assertions of its own
+    if (caseListKey || !Array.isArray(turns)) {
+      lintCase(testCase, path, { tools, judgesDir, findings });
+    }
+
+    if (Array.isArray(turns)) {
+      const turnsKey = testCase.turns ? 'turns' : 'conversation';
+      turns.forEach((turn, index) => {
+        if (!turn || typeof turn !== 'object') return;
+        lintCase(turn, joinPath(path, `${turnsKey}[${index}]`), { tools, judgesDir, findings, turn: true });
+      });
+    }
+
+    if (testCase.simulated_user && typeof testCase.simulated_user === 'object') {
+      lintSimulatedUser(testCase.simulated_user, joinPath(path, 'simulated_user'), { tools, judgesDir, personasDir, findings });
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Lint an eval suite file; JSON parse errors come back as findings
+ */
+export function lintEvalFile(filePath, options = {}) {
+  let config;
+  try {
+    config = JSON.parse(readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return [{ severity: 'error', path: '', message: `Cannot parse ${filePath}: ${error.message}` }];
+  }
+  return lintEvalConfig(config, options);
+}
+
+/**
+ * One line per finding, e.g. `error test_cases[2].expected_contain: Unknown key (did you mean "expected_contains"?)`
+ */
+export function formatLintFinding(finding) {
+  const location = finding.path || '(suite)';
+  const hint = finding.suggestion ? ` (did you mean "${finding.suggestion}"?)` : '';
+  return `${finding.severity} ${location}: ${finding.message}${hint}`;
+}
+
+function lintCase(testCase, path, context) {
+  const { findings } = context;
+  const evalType = testCase.eval_type || detectEvalType(testCase);
+
+  for (const [key, template] of [['judge_template', testCase.judge_template], ['metadata.judge_template', testCase.metadata?.judge_template]]) {
+    if (typeof template !== 'string' || !JUDGE_TEMPLATE_NAME_PATTERN.test(template)) continue;
+    const filename = template.endsWith('.md') ? template : `${template}.md`;
+    if (!existsSync(join(context.judgesDir, filename))) {
+      findings.push({
+        severity: 'error',
+        path: joinPath(path, key),
+        message: `Judge template not found: judges/${filename}`,
+        suggestion: closestMatch(template.replace(/\.md$/, ''), listJudgeTemplates(context.judgesDir)),
+      });
+    }
+  }
+
+  lintToolNames(testCase, path, context);
+  lintRegexes(testCase, path, evalType, findings);
+
+  for (const alternatives of REQUIRED_FIELDS[evalType] || []) {
+    if (!alternatives.some(field => hasValue(testCase[field]))) {
+      findings.push({
+        severity: 'error',
+        path: joinPath(path, alternatives[0]),
+        message: `eval_type ${evalType} needs ${alternatives.join(' or ')}`,
+      });
+    }
+  }
+
+  if (hasValue(testCase.rubric)) {
+    try {
+      normalizeRubric(testCase.rubric);
+    } catch (error) {
+      findings.push({ severity: 'error', path: joinPath(path, 'rubric'), message: error.message });
+    }
+  }
+
+  const ragJudge = RAG_JUDGE_TYPES[evalType];
+  if (ragJudge && !context.turn) {
+    if (!hasValue(testCase.question) && !hasValue(testCase.prompt)) {
+      findings.push({ severity: 'error', path: joinPath(path, 'question'), message: `eval_type ${evalType} needs question or prompt` });
+    }
+    if (ragJudge.context && !getRagContext(testCase)) {
+      findings.push({
+        severity: 'error',
+        path: joinPath(path, 'context'),
+        message: `eval_type ${evalType} needs context, contexts or retrieved_contexts (or a "Context:\\n---" block in the prompt)`,
+      });
+    }
+  }
+}
+
+function lintSimulatedUser(simulatedUser, path, context) {
+  const { findings } = context;
+  const persona = simulatedUser.persona;
+  if (typeof persona === 'string' && PERSONA_NAME_PATTERN.test(persona)) {
+    const filename = persona.endsWith('.json') ? persona : `${persona}.json`;
+    if (!existsSync(join(context.personasDir, filename))) {
+      findings.push({
+        severity: 'error',
+        path: joinPath(path, 'persona'),
+        message: `Persona not found: personas/${filename}`,
+        suggestion: closestMatch(persona.replace(/\.json$/, ''), listPersonas(context.personasDir)),
+      });
+    }
+  }
+
+  for (const key of ['escalation_patterns', 'give_up_patterns']) {
+    if (!Array.isArray(simulatedUser[key])) continue;
+    simulatedUser[key].forEach((pattern, index) => {
+      const unsafeReason = typeof pattern === 'string' ? unsafeRegexReason(pattern) : null;
+      if (unsafeReason) {
+        findings.push({ severity: 'error', path: joinPath(path, `${key}[${index}]`), message: unsafeReason });
+        return;
+      }
+      try {
+        new RegExp(pattern, 'i');
+      } catch (error) {
+        findings.push({ severity: 'error', path: joinPath(path, `${key}[${index}]`), message: `Invalid regex: ${error.message}` });
+      }
+    });
+  }
+
+  if (Array.isArray(simulatedUser.goal_conditions)) {
+    simulatedUser.goal_conditions.forEach((condition, index) => {
+      if (!condition || typeof condition !== 'object') return;
+      lintCase(condition, joinPath(path, `goal_conditions[${index}]`), { ...context, turn: true });
+    });
+  }
+}
+
+function lintToolNames(testCase, path, { tools, findings }) {
+  if (!tools) return;
+  const names = tools.map(tool => tool?.function?.name || tool?.name).filter(Boolean);
+
+  // expected_tool "none" asserts that no tool is called
+  const expectedTool = typeof testCase.expected_tool === 'string' ? testCase.expected_tool.toLowerCase() : null;
+  if (expectedTool && expectedTool !== 'none' && !names.some(name => name.toLowerCase() === expectedTool)) {
+    findings.push({
+      severity: 'error',
+      path: joinPath(path, 'expected_tool'),
+      message: `Tool "${testCase.expected_tool}" is not declared in tools (${names.join(', ') || 'none'})`,
+      suggestion: closestMatch(testCase.expected_tool, names),
+    });
+  }
+
+  for (const [key, severity] of [['expected_trajectory', 'error'], ['must_not_call', 'warning']]) {
+    trajectorySteps(testCase[key]).forEach((step, index) => {
+      if (!step.tool || names.includes(step.tool)) return;
+      findings.push({
+        severity,
+        path: joinPath(path, `${key}[${index}]`),
+        message: `Tool "${step.tool}" is not declared in tools`,
+        suggestion: closestMatch(step.tool, names),
+      });
+    });
+  }
+}
+
+function lintRegexes(testCase, path, evalType, findings) {
+  const regexPattern = testCase.expected_regex ?? (evalType === 'regex' ? testCase.expected : undefined);
+  if (typeof regexPattern === 'string') {
+    const key = testCase.expected_regex !== undefined ? 'expected_regex' : 'expected';
+    const error = regexError(regexPattern, testCase.regex_flags || 'i');
+    if (error) findings.push({ severity: 'error', path: joinPath(path, key), message: error });
+  }
+
+  // Pattern lists treat "/source/flags" strings as regexes and silently never match when they do not compile
+  const patternLists = ['unauthorized_patterns', 'forbidden_actions', 'stale_context_patterns',
+    'required_response_facts', 'forbidden_response_facts', 'irrelevant_response_facts', 'salient_response_facts',
+    'required_context_facts', 'irrelevant_context_facts', 'contradictory_context_facts', 'counterfactual_context_facts'];
+  for (const key of patternLists) {
+    const items = Array.isArray(testCase[key]) ? testCase[key] : [testCase[key]];
+    items.forEach((item, index) => {
+      if (typeof item !== 'string' || !item.startsWith('/') || item.lastIndexOf('/') <= 0) return;
+      const lastSlash = item.lastIndexOf('/');
+      const error = regexError(item.slice(1, lastSlash), item.slice(lastSlash + 1));
+      if (error) {
+        const itemPath = Array.isArray(testCase[key]) ? `${key}[${index}]` : key;
+        findings.push({ severity: 'error', path: joinPath(path, itemPath), message: error });
+      }
+    });
+  }
+
+  for (const key of ['expected_trajectory', 'must_not_call']) {
+    trajectorySteps(testCase[key]).forEach((step, index) => {
+      for (const [argPath, matcher] of Object.entries(step.args || {})) {
+        if (!matcher || typeof matcher !== 'object' || typeof matcher.regex !== 'string') continue;
+        const error = regexError(matcher.regex, matcher.flags || '');
+        if (error) {
+          findings.push({ severity: 'error', path: joinPath(path, `${key}[${index}].args["${argPath}"].regex`), message: error });
+        }
+      }
+    });
+  }
+}
+
+function regexError(pattern, flags) {
+  if (pattern.length > MAX_REGEX_LENGTH) {
+    return `Regex is ${pattern.length} chars; evaluators reject patterns over ${MAX_REGEX_LENGTH}`;
+  }
+  try {
+    new RegExp(pattern, flags);
+    return null;
+  } catch (error) {
+    return `Regex does not compile: ${error.message}`;
+  }
+}
+
+function trajectorySteps(trajectory) {
+  const steps = Array.isArray(trajectory) ? trajectory : trajectory ? [trajectory] : [];
+  return steps.map(step => (typeof step === 'string'
+    ? { tool: step, args: {} }
+    : { tool: step?.tool || step?.name || '', args: step?.args || {} }));
+}
+
+/**
+ * A value that fits none of a string-or-object choice is reported against the
+ * object branch, so a typo inside it still reads as an unknown key
+ */
+function schemaFindings(schema, config, violation) {
+  if (violation.keyword === 'oneOf' || violation.keyword === 'anyOf') {
+    const segments = violation.pointer.split('/').filter(Boolean).map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'));
+    const value = segments.reduce((node, part) => node?.[part], config);
+    const branch = objectBranch(schema, schemaAt(schema, segments));
+    if (branch && value && typeof value === 'object' && !Array.isArray(value)) {
+      const nested = validateJsonSchema({ definitions: schema.definitions, ...branch }, value).violations;
+      if (nested.length > 0) {
+        return nested.map(item => schemaFinding(schema, config, { ...item, pointer: `${violation.pointer}${item.pointer}` }));
+      }
+    }
+  }
+  return [schemaFinding(schema, config, violation)];
+}
+
+function schemaFinding(schema, config, violation) {
+  const segments = violation.pointer.split('/').filter(Boolean).map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'));
+  const path = formatPath(segments);
+
+  if (violation.keyword === 'additionalProperties') {
+    const key = segments[segments.length - 1];
+    const parentNode = schemaAt(schema, segments.slice(0, -1));
+    const parent = objectBranch(schema, parentNode) || parentNode;
+    return {
+      severity: 'error',
+      path,
+      message: `Unknown key "${key}"`,
+      suggestion: closestMatch(key, Object.keys(parent?.properties || {})),
+    };
+  }
+  if (violation.keyword === 'enum') {
+    const value = segments.reduce((node, part) => node?.[part], config);
+    const options = schemaAt(schema, segments)?.enum || [];
+    return {
+      severity: 'error',
+      path,
+      message: options.length > 5 ? `Unknown value ${JSON.stringify(value)}` : violation.message,
+      suggestion: typeof value === 'string' ? closestMatch(value, options) : undefined,
+    };
+  }
+  return { severity: 'error', path, message: violation.message };
+}
+
+/**
+ * Subschema that applies at a JSON path, following properties, items and $refs
+ */
+function schemaAt(schema, segments) {
+  let node = resolveRef(schema, schema);
+  for (const segment of segments) {
+    if (!node) return null;
+    node = objectBranch(schema, node) || node;
+    node = /^\d+$/.test(segment) && node.items
+      ? node.items
+      : node.properties?.[segment] ?? (typeof node.additionalProperties === 'object' ? node.additionalProperties : undefined);
+    node = resolveRef(schema, node);
+  }
+  return node;
+}
+
+function objectBranch(root, node) {
+  const branches = node?.oneOf || node?.anyOf;
+  if (!Array.isArray(branches)) return null;
+  return branches.map(branch => resolveRef(root, branch)).find(branch => branch?.properties) || null;
+}
+
+function resolveRef(root, node) {
+  let current = node;
+  while (current?.$ref) {
+    current = current.$ref.slice(2).split('/').reduce((target, part) => target?.[part], root);
+  }
+  return current;
+}
+
+/**
+ * Closest candidate by edit distance, if it is near enough to be a plausible typo
+ */
+function closestMatch(value, candidates) {
+  let best;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = editDistance(value.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  const allowed = Math.max(2, Math.floor(value.length / 3));
+  return bestDistance <= allowed ? best : undefined;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function listJudgeTemplates(judgesDir) {
+  try {
+    return readdirSync(judgesDir).filter(name => name.endsWith('.md')).map(name => name.slice(0, -3));
+  } catch {
+    return [];
+  }
+}
+
+function listPersonas(personasDir) {
+  try {
+    return readdirSync(personasDir).filter(name => name.endsWith('.json')).map(name => name.slice(0, -5));
+  } catch {
+    return [];
+  }
+}
+
+function hasValue(value) {
+  if (value === undefined || value === null || value === '') return false;
+  return !Array.isArray(value) || value.length > 0;
+}
+
+function joinPath(base, key) {
+  if (!base) return key;
+  return key.startsWith('[') ? `${base}${key}` : `${base}.${key}`;
+}
+
+function formatPath(segments) {
+  return segments.reduce((path, segment) => joinPath(path, /^\d+$/.test(segment) ? `[${segment}]` : segment), '');
+}
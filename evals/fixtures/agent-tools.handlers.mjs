@@ -0,0 +1,21 @@
+/**
+ * Simulated tool backends for the agentic cases in evals/agent-tools.json
+ */
+
+const KNOWN_COMMANDS = {
+  'check-eval-threshold': { exitCode: 1, output: 'Pass rate 0.82 is below threshold 0.90 (rag-pipeline.json)' },
+  'validate-evaluator': { exitCode: 0, output: 'Judge agreement 0.91 (TPR 0.93, TNR 0.88)' },
+};
+
+/**
+ * run_tests: looks the command up by script name and records each run in the shared state
+ */
+export function runTests(args, context) {
+  const command = String(args.command || '');
+  const known = Object.entries(KNOWN_COMMANDS).find(([script]) => command.includes(script));
+  if (!known) {
+    throw new Error(`Unknown validation command: ${command}`);
+  }
+  context.state.commandsRun = [...(context.state.commandsRun || []), command];
+  return { command, ...known[1] };
+}
@@ -0,0 +1,373 @@
+/**
+ * Code Execution Evaluator
+ *
+ * Extracts the generated code from a response and runs suite-provided tests
+ * against it in a child process with time/CPU/memory limits, a private network
+ * namespace, no child processes and file access limited to its temp work dir.
+ * These guard against mistakes in generated code; they are not a boundary for
+ * hostile code.
+ */
+
+import { spawn, spawnSync } from 'child_process';
+import { mkdtempSync, realpathSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_MEMORY_MB = 256;
+const MAX_OUTPUT_CHARS = 4000;
+
+const LANGUAGE_ALIASES = {
+  python: 'python',
+  python3: 'python',
+  py: 'python',
+  javascript: 'javascript',
+  js: 'javascript',
+  node: 'javascript',
+  mjs: 'javascript',
+};
+
+// Audit hooks cannot be removed once added: they refuse processes, native code,
+// sockets and file access outside the work dir (reads may also reach the stdlib)
+const PYTHON_GUARD = `
+def __eval_install_guard():
+    import os, sys
+    work = os.getcwd()
+    read_roots = (work, *{os.path.abspath(p) for p in (sys.prefix, sys.base_prefix, sys.exec_prefix, sys.base_exec_prefix)})
+    devices = ('/dev/null', '/dev/urandom')
+    write_flags = os.O_WRONLY | os.O_RDWR | os.O_CREAT | os.O_APPEND | os.O_TRUNC
+    blocked_modules = {'subprocess', '_posixsubprocess', 'ctypes', '_ctypes'}
+    blocked_events = {
+        'subprocess.Popen', 'os.system', 'os.exec', 'os.spawn', 'os.posix_spawn', 'os.fork', 'os.forkpty',
+        'os.kill', 'os.killpg', 'os.symlink', 'os.link', 'ctypes.dlopen', 'gc.get_objects', 'gc.get_referrers',
+        'socket.connect', 'socket.getaddrinfo', 'socket.sendto', 'socket.sendmsg',
+    }
+    write_events = {'os.remove', 'os.rmdir', 'os.rename', 'os.mkdir', 'os.chmod', 'os.chown', 'os.truncate', 'os.utime'}
+
+    def inside(path, roots):
+        if not isinstance(path, (str, bytes, os.PathLike)):
+            return True
+        path = os.path.abspath(os.fsdecode(path))
+        return any(path == root or path.startswith(root.rstrip('/') + '/') for root in roots)
+
+    def refuse(what):
+        raise PermissionError(f'{what} is disabled in the code_execution sandbox')
+
+    def hook(event, args):
+        if event in blocked_events:
+            refuse(event)
+        elif event == 'import' and args[0] in blocked_modules:
+            refuse(f'import {args[0]}')
+        elif event == 'open':
+            path, mode, flags = args
+            writing = any(c in (mode or '') for c in 'wax+') or bool((flags or 0) & write_flags)
+            if not inside(path, (work,) if writing else read_roots) and (writing or path not in devices):
+                refuse(f'Access to {path!r}')
+        elif event in write_events:
+            for path in args[:2]:
+                if not inside(path, (work,)):
+                    refuse(f'{event} on {path!r}')
+        elif event in ('os.listdir', 'os.scandir') and not inside(args[0], read_roots):
+            refuse(f'Listing {args[0]!r}')
+
+    sys.addaudithook(hook)
+__eval_install_guard()
+del __eval_install_guard
+`;
+
+const NODE_PRELOAD = `
+const net = require('net');
+const dns = require('dns');
+const childProcess = require('child_process');
+const blocked = what => () => { throw new Error(\`\${what} is disabled in the code_execution sandbox\`); };
+net.Socket.prototype.connect = blocked('Network access');
+dns.lookup = blocked('Network access');
+globalThis.fetch = async () => blocked('Network access')();
+for (const name of ['spawn', 'spawnSync', 'exec', 'execSync', 'execFile', 'execFileSync', 'fork']) {
+  childProcess[name] = blocked('child_process');
+}
+globalThis.assert = require('assert');
+`;
+
+const RUNTIMES = {
+  python: {
+    command: process.env.CODE_EVAL_PYTHON || 'python3',
+    file: 'main.py',
+    args: file => ['-I', file],
+    build: (code, testCode) => `${PYTHON_GUARD}\n${code}\n\n${testCode || ''}\n`,
+    // Python honours an address-space limit; V8 reserves far more virtual memory than it uses
+    limitAddressSpace: true,
+  },
+  javascript: {
+    command: process.env.CODE_EVAL_NODE || process.execPath,
+    file: 'main.cjs',
+    // The permission model keeps file access inside the work dir and refuses child processes and workers
+    args: (file, memoryMb, workDir) => [
+      nodePermissionFlag(), `--allow-fs-read=${workDir}/`, `--allow-fs-write=${workDir}/`, '--no-warnings',
+      `--max-old-space-size=${memoryMb}`, '-r', './preload.cjs', file,
+    ],
+    // Runs as CommonJS so assertions can require(); ESM export keywords are dropped
+    build: (code, testCode) => `${code.replace(/^export\s+(default\s+)?/gm, '')}\n\n${testCode || ''}\n`,
+    limitAddressSpace: false,
+  },
+};
+
+let networkNamespaceSupport = null;
+let permissionFlag;
+
+/**
+ * Run the test case's code_tests against the code in the response
+ */
+export async function codeExecutionEval(testCase, response) {
+  const tests = normalizeTests(testCase.code_tests);
+  if (tests.length === 0) {
+    return {
+      pass: false,
+      score: 0,
+      reason: 'code_execution eval requires code_tests',
+      evalType: 'code_execution',
+      parseError: true,
+    };
+  }
+
+  const extracted = extractCode(response, testCase.language);
+  const language = LANGUAGE_ALIASES[String(testCase.language || extracted.language || 'python').toLowerCase()];
+  if (!language) {
+    return {
+      pass: false,
+      score: 0,
+      reason: `Unsupported code_execution language: ${testCase.language || extracted.language}`,
+      evalType: 'code_execution',
+      parseError: true,
+    };
+  }
+  if (!extracted.code) {
+    return {
+      pass: false,
+      score: 0,
+      reason: 'No code found in response',
+      evalType: 'code_execution',
+      metrics: { testsPassed: 0, testsTotal: tests.length, language },
+    };
+  }
+
+  const isolationError = sandboxUnavailableReason(language, testCase);
+  if (isolationError) {
+    return {
+      pass: false,
+      score: 0,
+      reason: isolationError,
+      evalType: 'code_execution',
+      evalError: true,
+    };
+  }
+
+  const limits = {
+    timeoutMs: Number(testCase.code_timeout_ms || process.env.CODE_EVAL_TIMEOUT_MS || DEFAULT_TIMEOUT_MS),
+    memoryMb: Number(testCase.code_memory_mb || process.env.CODE_EVAL_MEMORY_MB || DEFAULT_MEMORY_MB),
+  };
+  const setupCode = testCase.code_setup || '';
+  const testResults = [];
+
+  for (const test of tests) {
+    let run;
+    try {
+      run = await runSandboxed(language, RUNTIMES[language].build(`${setupCode}\n${extracted.code}`, test.code), test.stdin, limits);
+    } catch (error) {
+      return {
+        pass: false,
+        score: 0,
+        reason: `Code execution failed to start: ${error.message}`,
+        evalType: 'code_execution',
+        evalError: true,
+      };
+    }
+    testResults.push(scoreTestRun(test, run));
+  }
+
+  const testsPassed = testResults.filter(result => result.pass).length;
+  const score = testsPassed / testResults.length;
+  const threshold = testCase.threshold ?? 1;
+  const pass = score >= threshold;
+  const firstFailure = testResults.find(result => !result.pass);
+
+  return {
+    pass,
+    score,
+    reason: pass
+      ? `${testsPassed}/${testResults.length} tests passed`
+      : `${testsPassed}/${testResults.length} tests passed; ${firstFailure.name}: ${firstFailure.reason}`,
+    evalType: 'code_execution',
+    metrics: { testsPassed, testsTotal: testResults.length, language },
+    metadata: {
+      code_execution: {
+        language,
+        codeSource: extracted.source,
+        code: extracted.code,
+        sandbox: networkNamespaceSupport ? 'network-namespace' : 'network-guard',
+        tests: testResults,
+      },
+    },
+  };
+}
+
+/**
+ * Pull code out of a response: fenced blocks in the requested language,
+ * then any fenced block, then the whole response.
+ */
+export function extractCode(response, preferredLanguage) {
+  const text = String(response || '');
+  const blocks = [...text.matchAll(/```([\w+-]*)[^\n]*\n([\s\S]*?)```/g)].map(match => ({
+    language: LANGUAGE_ALIASES[match[1].toLowerCase()] || null,
+    code: match[2].trim(),
+  }));
+  const wanted = LANGUAGE_ALIASES[String(preferredLanguage || '').toLowerCase()];
+
+  if (blocks.length > 0) {
+    const matching = wanted ? blocks.filter(block => block.language === wanted) : [];
+    const selected = matching.length > 0 ? matching : [blocks[0]];
+    return {
+      code: selected.map(block => block.code).join('\n\n'),
+      language: selected[0].language || wanted || null,
+      source: 'fenced',
+    };
+  }
+
+  return { code: text.trim(), language: wanted || null, source: 'raw' };
+}
+
+function normalizeTests(tests) {
+  if (!tests) return [];
+  const list = Array.isArray(tests) ? tests : [tests];
+  return list.map((test, index) => (typeof test === 'string'
+    ? { name: `test_${index + 1}`, code: test }
+    : {
+        name: test.name || `test_${index + 1}`,
+        code: test.code || test.assert || '',
+        stdin: test.stdin ?? test.input ?? null,
+        expectedStdout: test.expected_stdout ?? test.expected_output ?? null,
+      }));
+}
+
+function scoreTestRun(test, run) {
+  const stdout = truncate(run.stdout);
+  const stderr = truncate(run.stderr);
+  const base = { name: test.name, exitCode: run.exitCode, timedOut: run.timedOut, durationMs: run.durationMs, stdout, stderr };
+
+  if (run.timedOut) {
+    return { ...base, pass: false, reason: 'Timed out' };
+  }
+  if (run.exitCode !== 0) {
+    return { ...base, pass: false, reason: failureLine(run.stderr) || `Exited with code ${run.exitCode}${run.signal ? ` (${run.signal})` : ''}` };
+  }
+  if (test.expectedStdout !== null && test.expectedStdout !== undefined
+    && run.stdout.trim() !== String(test.expectedStdout).trim()) {
+    return { ...base, pass: false, reason: `Expected stdout ${JSON.stringify(String(test.expectedStdout).trim())}, got ${JSON.stringify(truncate(run.stdout.trim(), 200))}` };
+  }
+  return { ...base, pass: true, reason: 'Passed' };
+}
+
+async function runSandboxed(language, source, stdin, limits) {
+  const runtime = RUNTIMES[language];
+  // Resolved so permission paths match what the interpreter sees (e.g. /private/var on macOS)
+  const workDir = realpathSync(mkdtempSync(join(tmpdir(), 'code-eval-')));
+  try {
+    writeFileSync(join(workDir, runtime.file), source, 'utf8');
+    writeFileSync(join(workDir, 'preload.cjs'), NODE_PRELOAD, 'utf8');
+
+    const cpuSeconds = Math.max(1, Math.ceil(limits.timeoutMs / 1000));
+    const ulimits = [`ulimit -t ${cpuSeconds}`];
+    if (runtime.limitAddressSpace) ulimits.push(`ulimit -v ${limits.memoryMb * 1024}`);
+    const command = [
+      ...(hasNetworkNamespaceSupport() ? ['unshare', '-rn'] : []),
+      '/bin/sh', '-c', `${ulimits.join('; ')}; exec "$@"`, 'sandbox',
+      runtime.command, ...runtime.args(runtime.file, limits.memoryMb, workDir),
+    ];
+
+    return await spawnWithTimeout(command, {
+      cwd: workDir,
+      // Only what the interpreter needs: provider API keys must never reach generated code
+      env: { PATH: process.env.PATH, HOME: workDir, LANG: 'C.UTF-8', PYTHONDONTWRITEBYTECODE: '1' },
+      stdin,
+      timeoutMs: limits.timeoutMs,
+    });
+  } finally {
+    rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+function spawnWithTimeout([command, ...args], { cwd, env, stdin, timeoutMs }) {
+  return new Promise((resolveRun, rejectRun) => {
+    const startTime = Date.now();
+    const child = spawn(command, args, { cwd, env, stdio: ['pipe', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    let timedOut = false;
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill('SIGKILL');
+    }, timeoutMs);
+
+    child.stdout.on('data', chunk => { if (stdout.length < MAX_OUTPUT_CHARS * 4) stdout += chunk; });
+    child.stderr.on('data', chunk => { if (stderr.length < MAX_OUTPUT_CHARS * 4) stderr += chunk; });
+    child.stdin.on('error', () => {});
+    child.once('error', error => {
+      clearTimeout(timer);
+      rejectRun(error);
+    });
+    child.once('close', (exitCode, signal) => {
+      clearTimeout(timer);
+      resolveRun({ exitCode, signal, stdout, stderr, timedOut, durationMs: Date.now() - startTime });
+    });
+
+    child.stdin.end(stdin === null || stdin === undefined ? '' : String(stdin));
+  });
+}
+
+/**
+ * Why the sandbox cannot run this case here, or null. Without a network
+ * namespace only the in-interpreter guards stand between generated code and
+ * the network, so that needs `code_allow_no_network_namespace: true`.
+ */
+function sandboxUnavailableReason(language, testCase) {
+  if (!hasNetworkNamespaceSupport() && testCase.code_allow_no_network_namespace !== true) {
+    return 'code_execution needs a network namespace (unshare -rn), which is unavailable here; '
+      + 'set code_allow_no_network_namespace: true to rely on the in-interpreter network guards';
+  }
+  if (language === 'javascript' && !nodePermissionFlag()) {
+    return `code_execution needs a Node.js with the permission model (20+) to confine file access; ${RUNTIMES.javascript.command} has none (set CODE_EVAL_NODE)`;
+  }
+  return null;
+}
+
+// --permission on Node 22+, --experimental-permission on 20-21, null before that
+function nodePermissionFlag() {
+  if (permissionFlag === undefined) {
+    permissionFlag = ['--permission', '--experimental-permission'].find(flag => spawnSync(
+      RUNTIMES.javascript.command,
+      [flag, '--no-warnings', '-e', '0'],
+      { stdio: 'ignore', timeout: 5000 }
+    ).status === 0) || null;
+  }
+  return permissionFlag;
+}
+
+function hasNetworkNamespaceSupport() {
+  if (networkNamespaceSupport === null) {
+    networkNamespaceSupport = process.platform === 'linux'
+      && spawnSync('unshare', ['-rn', 'true'], { stdio: 'ignore', timeout: 2000 }).status === 0;
+  }
+  return networkNamespaceSupport;
+}
+
+function failureLine(text) {
+  // Prefer the error line over trailing noise such as Node's version footer
+  const lines = String(text || '').trim().split('\n').map(line => line.trim()).filter(Boolean);
+  return [...lines].reverse().find(line => /\b\w*(Error|Exception)\b/.test(line)) || lines.pop() || '';
+}
+
+function truncate(text, maxLength = MAX_OUTPUT_CHARS) {
+  const value = String(text || '');
+  return value.length <= maxLength ? value : `${value.substring(0, maxLength - 3)}...`;
+}
@@ -8,12 +8,19 @@ import { getProvider } from '../providers/index.mjs';
 import { semanticSimilarityEval } from '../similarity.mjs';
 import { safetyEval } from '../safety.mjs';
 import { ragRetrievalEval, getRagContext } from './rag.mjs';
+import { codeExecutionEval } from './code-execution.mjs';
+import { jsonSchemaEval } from './json-schema.mjs';
+import { toolTrajectoryEval, normalizeToolCalls } from './trajectory.mjs';
+import { normalizeRubric, buildRubricPrompt, formatRubric, parseRubricVerdict, rubricVerdictSchema, scoreRubric, mergeRubricVerdicts } from './rubric.mjs';
+import { JUDGE_VERDICT_SCHEMA, parseJudgeVerdict, buildRepairPrompt } from './judge-output.mjs';
 import { existsSync, readFileSync } from 'fs';
 import { resolve } from 'path';
 import { createHash } from 'crypto';
 import { Worker } from 'worker_threads';
 import { parseBoolean } from '../labels/schema.mjs';
 import { calculateCost } from '../costs.mjs';
+import { withRateLimit } from '../rate-limiter.mjs';
+import { getJudgeCacheKey, getJudgeCacheTtlMs, getCachedResponse, setCachedResponse } from '../cache.mjs';
 
 const SAFE_REGEX_MAX_PATTERN_LENGTH = 512;
 const SAFE_REGEX_MAX_INPUT_LENGTH = 20000;
@@ -62,10 +69,18 @@ export async function evaluate(testCase, response, options = {}) {
       return regexMatch(testCase, cleanedResponse);
     case 'tool_call':
       return toolCallMatch(testCase, cleanedResponse, options);
+    case 'tool_trajectory':
+      return toolTrajectoryEval(testCase, cleanedResponse, options, spec => evaluate({ name: testCase.name, prompt: testCase.prompt, ...spec }, response, options));
     case 'json_match':
       return jsonMatch(testCase, cleanedResponse);
+    case 'json_schema':
+      return jsonSchemaEval(testCase, cleanedResponse);
+    case 'code_execution':
+      return codeExecutionEval(testCase, cleanedResponse);
     case 'llm_judge':
       return llmJudge(testCase, cleanedResponse, options);
+    case 'rubric_judge':
+      return rubricJudge(testCase, cleanedResponse, options);
     case 'pairwise_judge':
       return pairwiseJudge(testCase, options);
     case 'semantic_similarity':
@@ -125,8 +140,11 @@ export async function evaluate(testCase, response, options = {}) {
 /**
  * Detect evaluation type from test case structure
  */
-function detectEvalType(testCase) {
+export function detectEvalType(testCase) {
+  if (testCase.expected_trajectory || testCase.must_not_call) return 'tool_trajectory';
   if (testCase.expected_tool) return 'tool_call';
+  if (testCase.code_tests) return 'code_execution';
+  if (testCase.json_schema || testCase.json_schema_path) return 'json_schema';
   if (testCase.expected_json) return 'json_match';
   if (testCase.expected_regex) return 'regex';
   if (testCase.expected_contains) return 'contains';
@@ -138,6 +156,7 @@ function detectEvalType(testCase) {
   if (testCase.context_surface || testCase.required_context_facts || testCase.irrelevant_context_facts) return 'personalization_context';
   if (testCase.response_a || testCase.response_b || testCase.candidate_a || testCase.candidate_b) return 'pairwise_judge';
   if (testCase.retrieved_context_ids && testCase.expected_relevant_context_ids) return 'rag_retrieval';
+  if (testCase.rubric) return 'rubric_judge';
   if (testCase.expected) return 'exact_match';
   if (testCase.criteria) return 'llm_judge';
   return 'existence';
@@ -363,29 +382,12 @@ async function regexMatch(testCase, response) {
   try {
     const patternText = String(pattern || '');
     const responseText = String(response || '');
-    if (patternText.length > SAFE_REGEX_MAX_PATTERN_LENGTH) {
+    const unsafeReason = unsafeRegexReason(patternText, responseText);
+    if (unsafeReason) {
       return {
         pass: false,
         score: 0,
-        reason: `Regex pattern too long: ${patternText.length} chars`,
-        evalType: 'regex',
-        parseError: true,
-      };
-    }
-    if (responseText.length > SAFE_REGEX_MAX_INPUT_LENGTH) {
-      return {
-        pass: false,
-        score: 0,
-        reason: `Regex input too long: ${responseText.length} chars`,
-        evalType: 'regex',
-        parseError: true,
-      };
-    }
-    if (hasNestedQuantifierRisk(patternText)) {
-      return {
-        pass: false,
-        score: 0,
-        reason: 'Regex pattern rejected: nested quantifier risk',
+        reason: unsafeReason,
         evalType: 'regex',
         parseError: true,
       };
@@ -410,6 +412,36 @@ async function regexMatch(testCase, response) {
   }
 }
 
+/**
+ * Why a user-supplied pattern (or the text it would run on) is refused before
+ * it reaches the regex engine, or null when it is safe to run
+ */
+export function unsafeRegexReason(pattern, input = '') {
+  if (pattern.length > SAFE_REGEX_MAX_PATTERN_LENGTH) {
+    return `Regex pattern too long: ${pattern.length} chars`;
+  }
+  if (input.length > SAFE_REGEX_MAX_INPUT_LENGTH) {
+    return `Regex input too long: ${input.length} chars`;
+  }
+  if (hasNestedQuantifierRisk(pattern)) {
+    return 'Regex pattern rejected: nested quantifier risk';
+  }
+  return null;
+}
+
+/**
+ * Test a user-supplied pattern the way regex evaluators do: guarded by
+ * unsafeRegexReason and run in a worker with a timeout. Input past the length
+ * limit is truncated rather than refused.
+ * @returns {Promise<boolean>}
+ */
+export async function safeRegexTest(pattern, flags, input) {
+  const text = String(input ?? '').slice(0, SAFE_REGEX_MAX_INPUT_LENGTH);
+  const reason = unsafeRegexReason(pattern, text);
+  if (reason) throw new Error(reason);
+  return runRegexWithTimeout(pattern, flags, text, SAFE_REGEX_TIMEOUT_MS);
+}
+
 function hasNestedQuantifierRisk(pattern) {
   return /\((?:[^()\\]|\\.)*[+*](?:[^()\\]|\\.)*\)[+*{]/.test(pattern);
 }
@@ -555,26 +587,6 @@ function toolCallMatch(testCase, response, options = {}) {
   };
 }
 
-function normalizeToolCalls(toolCalls) {
-  const calls = Array.isArray(toolCalls) ? toolCalls : [toolCalls];
-  return calls
-    .filter(Boolean)
-    .map(call => {
-      const fn = call.function || call;
-      const name = call.name || fn.name || call.tool || call.type || '';
-      let args = call.args ?? call.arguments ?? fn.arguments ?? call.input ?? {};
-      if (typeof args === 'string') {
-        try {
-          args = JSON.parse(args);
-        } catch {
-          args = args.split(',').map(arg => arg.trim()).filter(Boolean);
-        }
-      }
-      return { name: String(name), args };
-    })
-    .filter(call => call.name);
-}
-
 function parseJsonToolCall(response) {
   for (const candidate of extractJsonObjects(String(response || ''))) {
     try {
@@ -807,54 +819,29 @@ async function llmJudgePanel(judgePrompt, options = {}) {
 }
 
 async function runSingleLlmJudge(judgeProvider, judgeModel, judgePrompt, options = {}) {
-    enforceJudgeCallBudget(options, 'llm_judge', judgeProvider, judgeModel, judgePrompt, 200);
-    // Pass as messages array (not string) for proper API compatibility
-    const messages = [
-      { role: 'user', content: judgePrompt }
-    ];
-    
-    const result = await judgeProvider.complete(messages, {
-      model: judgeModel,
-      temperature: 0.1,
-      max_tokens: 200,
-      timeoutMs: options.timeoutMs,
-    });
-    enforceJudgeActualCost(options, 'llm_judge', judgeProvider, judgeModel, result);
-    
-    // Strip thinking tags from judge response too
-    const judgeResponse = stripThinkingTags(result.text);
-    
-    // Parse judge response
-    const scoreMatch = judgeResponse.match(/SCORE:\s*(\d+)/i);
-    const passMatch = judgeResponse.match(/PASS:\s*(YES|NO)/i);
-    const reasonMatch = judgeResponse.match(/REASON:\s*(.+?)(?:\n|$)/is);
-
-    if (!scoreMatch || !passMatch || !reasonMatch) {
-      return {
-        pass: null,
-        score: null,
-        reason: `Unparseable judge response: ${judgeResponse.substring(0, 200) || '(empty)'}`,
-        evalType: 'llm_judge',
-        judgeResponse: judgeResponse.substring(0, 1000),
-        ...judgeAccounting(result),
-        parseError: true,
-      };
-    }
-
-    const rawScore = parseInt(scoreMatch[1], 10);
-    if (rawScore < 0 || rawScore > 100) {
+    const call = await completeJudge(judgeProvider, judgeModel, judgePrompt, {
+      kind: 'llm_judge',
+      maxTokens: 200,
+      schemaName: 'judge_verdict',
+      schema: JUDGE_VERDICT_SCHEMA,
+      parse: parseJudgeVerdict,
+    }, options);
+    const judgeResponse = call.judgeResponse;
+
+    if (!call.value) {
       return {
         pass: null,
         score: null,
-        reason: `Invalid judge score: ${rawScore}`,
+        reason: `Unparseable judge response${call.repairAttempted ? ' after repair' : ''}: ${call.errors.slice(0, 3).join('; ')}`,
         evalType: 'llm_judge',
         judgeResponse: judgeResponse.substring(0, 1000),
-        ...judgeAccounting(result),
+        ...call.metadata,
         parseError: true,
       };
     }
 
-    const reason = reasonMatch[1].trim();
+    const { score: rawScore, pass, reason: rawReason } = call.value;
+    const reason = rawReason.trim();
     if (isWeakJudgeReason(reason)) {
       return {
         pass: null,
@@ -862,22 +849,253 @@ async function runSingleLlmJudge(judgeProvider, judgeModel, judgePrompt, options
         reason: `Weak judge reason: ${reason || '(empty)'}`,
         evalType: 'llm_judge',
         judgeResponse: judgeResponse.substring(0, 1000),
-        ...judgeAccounting(result),
+        ...call.metadata,
         parseError: true,
       };
     }
 
-    const score = rawScore / 100;
-    const pass = passMatch[1].toUpperCase() === 'YES';
-    
     return {
       pass,
-      score,
+      score: rawScore / 100,
       reason,
       evalType: 'llm_judge',
       judgeResponse: judgeResponse.substring(0, 500),
-      ...judgeAccounting(result),
+      ...call.metadata,
+    };
+}
+
+/**
+ * Rubric judge: one structured score per criterion, each with its own scale,
+ * weight and pass threshold
+ */
+async function rubricJudge(testCase, response, options = {}) {
+  let promptMetadata = {};
+  try {
+    let criteria;
+    try {
+      criteria = normalizeRubric(testCase.rubric);
+    } catch (error) {
+      return { pass: false, score: 0, reason: `Invalid rubric: ${error.message}`, evalType: 'rubric_judge', parseError: true };
+    }
+    const template = loadJudgeTemplate(testCase.judge_template);
+    const judgePrompt = template
+      ? renderTemplate(template, {
+          prompt: testCase.prompt || testCase.question || '',
+          question: testCase.question || testCase.prompt || '',
+          response,
+          answer: response,
+          context: getRagContext(testCase),
+          expected: testCase.expected || testCase.reference_answer || testCase.reference || '',
+          criteria: criteria.map(criterion => criterion.name).join(', '),
+          rubric: formatRubric(criteria),
+        })
+      : buildRubricPrompt(testCase, response, criteria);
+    promptMetadata = getJudgePromptMetadata(testCase, judgePrompt);
+    const overallThreshold = testCase.rubric_pass_threshold ?? null;
+
+    if (Array.isArray(options.judgePanel) && options.judgePanel.length > 0) {
+      return withJudgeMetadata(await rubricJudgePanel(judgePrompt, criteria, overallThreshold, options), promptMetadata);
+    }
+    const judgeProvider = options.judgeProvider || await getDefaultJudgeProvider();
+    const judgeModel = options.judgeModel || judgeProvider.defaultModel;
+    const result = await runSingleRubricJudge(judgeProvider, judgeModel, judgePrompt, criteria, options);
+    if (!result.verdict) return withJudgeMetadata(result, promptMetadata);
+    const { verdict, ...accounting } = result;
+    return withJudgeMetadata({
+      ...accounting,
+      ...scoreRubric(criteria, verdict, overallThreshold),
+    }, promptMetadata);
+  } catch (error) {
+    return withJudgeMetadata({
+      pass: null,
+      score: null,
+      reason: `Rubric judge error: ${error.message}`,
+      evalType: 'rubric_judge',
+      evalError: true,
+    }, promptMetadata);
+  }
+}
+
+async function rubricJudgePanel(judgePrompt, criteria, overallThreshold, options = {}) {
+  const panelResults = [];
+  const verdicts = [];
+  for (const member of options.judgePanel) {
+    try {
+      const provider = member.provider || getProvider(member.providerName);
+      const model = member.model || provider.defaultModel;
+      const { verdict, ...result } = await runSingleRubricJudge(provider, model, judgePrompt, criteria, options);
+      if (verdict) {
+        verdicts.push(verdict);
+        Object.assign(result, scoreRubric(criteria, verdict, overallThreshold));
+      }
+      panelResults.push({ provider: provider.name, model, ...result });
+    } catch (error) {
+      panelResults.push({
+        provider: member.providerName || member.provider?.name || 'unknown',
+        model: member.model || member.provider?.defaultModel || 'unknown',
+        pass: null,
+        score: null,
+        reason: `Rubric judge error: ${error.message}`,
+        evalType: 'rubric_judge',
+        evalError: true,
+      });
+    }
+  }
+
+  if (verdicts.length === 0) {
+    return {
+      pass: null,
+      score: null,
+      reason: 'All rubric judge panel members failed',
+      evalType: 'rubric_judge',
+      evalError: true,
+      panelResults,
+      ...panelAccounting(panelResults),
     };
+  }
+
+  const merged = scoreRubric(criteria, mergeRubricVerdicts(criteria, verdicts), overallThreshold);
+  return {
+    ...merged,
+    reason: `Rubric panel average of ${verdicts.length}/${panelResults.length} judges. ${merged.reason}`,
+    evalType: 'rubric_judge',
+    panelResults,
+    ...panelAccounting(panelResults),
+  };
+}
+
+async function runSingleRubricJudge(judgeProvider, judgeModel, judgePrompt, criteria, options = {}) {
+  const call = await completeJudge(judgeProvider, judgeModel, judgePrompt, {
+    kind: 'rubric_judge',
+    // Room for a sentence of reasoning per criterion
+    maxTokens: Math.min(200 + criteria.length * 100, 2000),
+    schemaName: 'rubric_verdict',
+    schema: rubricVerdictSchema(criteria),
+    parse: text => {
+      const { verdict, errors } = parseRubricVerdict(text, criteria);
+      return { value: verdict, format: 'json', errors };
+    },
+  }, options);
+
+  if (!call.value) {
+    return {
+      pass: null,
+      score: null,
+      reason: `Invalid rubric judge response${call.repairAttempted ? ' after repair' : ''}: ${call.errors.slice(0, 3).join('; ')}`,
+      evalType: 'rubric_judge',
+      judgeResponse: call.judgeResponse.substring(0, 1000),
+      ...call.metadata,
+      parseError: true,
+    };
+  }
+
+  return {
+    verdict: call.value,
+    evalType: 'rubric_judge',
+    judgeResponse: call.judgeResponse.substring(0, 1000),
+    ...call.metadata,
+  };
+}
+
+/**
+ * One judge verdict with schema-validated parsing. Providers that can constrain
+ * output are sent the verdict schema (JUDGE_STRUCTURED_OUTPUT=false disables);
+ * a reply that still does not parse gets one repair turn (JUDGE_REPAIR=false
+ * disables) before the caller reports a parse error.
+ * @param {Object} spec - { kind, maxTokens, schemaName, schema, parse: text => {value, format, errors} }
+ * @returns {Promise<{value: *, errors: string[], judgeResponse: string, repairAttempted: boolean, metadata: Object}>}
+ */
+async function completeJudge(judgeProvider, judgeModel, judgePrompt, spec, options = {}) {
+  const cacheKey = judgeCacheKey(spec.kind, judgeProvider, judgeModel, judgePrompt, options);
+  const cached = cacheKey ? getCachedResponse(cacheKey, getJudgeCacheTtlMs()) : null;
+  if (cached) {
+    return { ...cached, metadata: { ...cached.metadata, judgeLatencyMs: 0, judgeCached: true } };
+  }
+
+  const structured = Boolean(judgeProvider.structuredOutput) && parseBoolean(process.env.JUDGE_STRUCTURED_OUTPUT) !== false;
+  const request = {
+    model: judgeModel,
+    temperature: 0.1,
+    max_tokens: spec.maxTokens,
+    timeoutMs: options.timeoutMs,
+    ...(structured ? { response_schema: { name: spec.schemaName, schema: spec.schema } } : {}),
+  };
+  // Pass as messages array (not string) for proper API compatibility
+  const messages = [
+    { role: 'user', content: judgePrompt }
+  ];
+
+  const first = await callJudgeProvider(options, spec.kind, judgeProvider, judgeModel, messages, request);
+  const calls = [first];
+
+  // Strip thinking tags from judge response too
+  let judgeResponse = stripThinkingTags(first.text);
+  let parsed = spec.parse(judgeResponse);
+  let judgeParse = parsed.value ? parsed.format : 'failed';
+  const repairAttempted = !parsed.value && parseBoolean(process.env.JUDGE_REPAIR) !== false;
+
+  if (repairAttempted) {
+    const repairPrompt = buildRepairPrompt(parsed.errors, spec.schema);
+    const repairMessages = [
+      ...messages,
+      { role: 'assistant', content: judgeResponse || '(empty)' },
+      { role: 'user', content: repairPrompt },
+    ];
+    const repair = await callJudgeProvider(options, spec.kind, judgeProvider, judgeModel, repairMessages, request);
+    calls.push(repair);
+
+    judgeResponse = stripThinkingTags(repair.text);
+    parsed = spec.parse(judgeResponse);
+    judgeParse = parsed.value ? 'repaired' : 'failed';
+  }
+
+  const call = {
+    value: parsed.value || null,
+    errors: parsed.errors || [],
+    judgeResponse,
+    repairAttempted,
+    metadata: {
+      ...judgeAccounting(combineJudgeCalls(calls)),
+      judgeProviderName: judgeProvider.name,
+      judgeModel,
+      judgeParse,
+      judgeStructured: structured,
+      judgeCached: false,
+    },
+  };
+  // Unparseable verdicts are not cached so the next run asks again
+  if (cacheKey && call.value) setCachedResponse(cacheKey, call, { kind: 'judge', model: judgeModel });
+  return call;
+}
+
+/**
+ * Cache key for a judge call, or null when judge caching is off (options.judgeCache)
+ * or the provider opts out of caching
+ */
+function judgeCacheKey(kind, judgeProvider, judgeModel, judgePrompt, options = {}) {
+  if (!options.judgeCache || judgeProvider.cacheable === false) return null;
+  // Same hash as judgePromptHash in the result metadata
+  return getJudgeCacheKey(kind, judgeProvider.name, judgeModel, hashString(judgePrompt));
+}
+
+/**
+ * Usage, cost and latency of a judge call and its repair turn, as one call
+ */
+function combineJudgeCalls(calls) {
+  if (calls.length === 1) return calls[0];
+  const sum = values => values.reduce((total, value) => total + (value || 0), 0);
+  const usages = calls.map(call => call.usage);
+  return {
+    cost: calls.every(call => typeof call.cost === 'number') ? sum(calls.map(call => call.cost)) : null,
+    usage: usages.every(Boolean)
+      ? {
+          prompt_tokens: sum(usages.map(usage => usage.prompt_tokens)),
+          completion_tokens: sum(usages.map(usage => usage.completion_tokens)),
+          total_tokens: sum(usages.map(usage => usage.total_tokens)),
+        }
+      : usages.find(Boolean) || null,
+    latencyMs: sum(calls.map(call => call.latencyMs)),
+  };
 }
 
 async function pairwiseJudge(testCase, options = {}) {
@@ -996,16 +1214,22 @@ async function pairwiseJudgePanel(prompt, options = {}) {
 }
 
 async function runSinglePairwiseJudge(judgeProvider, judgeModel, prompt, options = {}) {
-  enforceJudgeCallBudget(options, 'pairwise_judge', judgeProvider, judgeModel, prompt, 200);
-  const result = await judgeProvider.complete([
-    { role: 'user', content: prompt }
-  ], {
-    model: judgeModel,
-    temperature: 0,
-    max_tokens: 200,
-    timeoutMs: options.timeoutMs,
-  });
-  enforceJudgeActualCost(options, 'pairwise_judge', judgeProvider, judgeModel, result);
+  // The raw response is cached; the winner is re-derived for this case's order and expected winner
+  const cacheKey = judgeCacheKey('pairwise_judge', judgeProvider, judgeModel, prompt, options);
+  const cached = cacheKey ? getCachedResponse(cacheKey, getJudgeCacheTtlMs()) : null;
+  let result;
+  if (cached) {
+    result = { ...cached, latencyMs: 0 };
+  } else {
+    result = await callJudgeProvider(options, 'pairwise_judge', judgeProvider, judgeModel, [
+      { role: 'user', content: prompt }
+    ], {
+      model: judgeModel,
+      temperature: 0,
+      max_tokens: 200,
+      timeoutMs: options.timeoutMs,
+    });
+  }
 
   const judgeResponse = result.text || '';
   const winnerMatch = judgeResponse.match(/WINNER:\s*(A|B|TIE)/i);
@@ -1020,9 +1244,12 @@ async function runSinglePairwiseJudge(judgeProvider, judgeModel, prompt, options
       parseError: true,
       judgeResponse,
       ...judgeAccounting(result),
+      judgeCached: Boolean(cached),
     };
   }
 
+  if (cacheKey && !cached) setCachedResponse(cacheKey, result, { kind: 'judge', model: judgeModel });
+
   const shownWinner = winnerMatch[1].toUpperCase();
   const canonicalWinner = options.order === 'BA'
     ? shownWinner === 'A'
@@ -1047,6 +1274,7 @@ async function runSinglePairwiseJudge(judgeProvider, judgeModel, prompt, options
     order: options.order,
     judgeResponse: judgeResponse.substring(0, 500),
     ...judgeAccounting(result),
+    judgeCached: Boolean(cached),
   };
 }
 
@@ -1062,13 +1290,38 @@ function judgeAccounting(result = {}) {
   };
 }
 
+/**
+ * One judge completion: call budget and cost checks at admission, a judge-lane
+ * provider slot when the run caps concurrency, then the actual-cost check
+ */
+async function callJudgeProvider(options, kind, provider, model, messages, request) {
+  const prompt = messages.map(message => message.content).join('\n');
+  const reservation = enforceJudgeCallBudget(options, kind, provider, model, prompt, request.max_tokens);
+  // Judge calls share the provider's limiter, so they wait out Retry-After pauses and report 429s
+  const call = () => withRateLimit(provider.name, () => provider.complete(messages, request), {
+    model,
+    estimatedTokens: Math.ceil(prompt.length / 4) + (request.max_tokens || 0),
+  });
+  let result;
+  try {
+    result = options.providerSlots
+      ? await options.providerSlots.run(provider.name, call, { judge: true })
+      : await call();
+  } catch (error) {
+    options.callBudget?.settleCost?.(reservation, null);
+    throw error;
+  }
+  options.callBudget?.settleCost?.(reservation, result.cost);
+  enforceJudgeActualCost(options, kind, provider, model, result);
+  return result;
+}
+
 function enforceJudgeCallBudget(options, kind, provider, model, prompt, maxTokens) {
   options.callBudget?.consume(kind, {
     provider: provider.name,
     model,
   });
-  if (options.maxCallCostUsd === null || options.maxCallCostUsd === undefined) return;
-  if (provider.name === 'ollama' || provider.name === 'static') return;
+  if (provider.name === 'ollama' || provider.name === 'static') return null;
 
   const usage = {
     prompt_tokens: Math.ceil(String(prompt || '').length / 4),
@@ -1079,12 +1332,15 @@ function enforceJudgeCallBudget(options, kind, provider, model, prompt, maxToken
   const estimatedCost = typeof provider.calculateCost === 'function'
     ? provider.calculateCost(usage, model)
     : calculateCost(model, usage);
-  if (estimatedCost === null || estimatedCost === undefined) {
-    throw new Error(`${kind} call cost is unknown for ${provider.name}/${model}; --max-call-cost requires known pricing`);
-  }
-  if (estimatedCost > options.maxCallCostUsd) {
-    throw new Error(`${kind} call estimated cost $${estimatedCost.toFixed(4)} exceeds --max-call-cost $${options.maxCallCostUsd.toFixed(4)}`);
+  if (options.maxCallCostUsd !== null && options.maxCallCostUsd !== undefined) {
+    if (estimatedCost === null || estimatedCost === undefined) {
+      throw new Error(`${kind} call cost is unknown for ${provider.name}/${model}; --max-call-cost requires known pricing`);
+    }
+    if (estimatedCost > options.maxCallCostUsd) {
+      throw new Error(`${kind} call estimated cost $${estimatedCost.toFixed(4)} exceeds --max-call-cost $${options.maxCallCostUsd.toFixed(4)}`);
+    }
   }
+  return options.callBudget?.reserveCost?.(kind, estimatedCost) ?? null;
 }
 
 function enforceJudgeActualCost(options, kind, provider, model, result = {}) {
@@ -1279,4 +1535,4 @@ function customEval(testCase, response) {
   };
 }
 
-export { exactMatch, containsMatch, regexMatch, toolCallMatch, jsonMatch, llmJudge };
+export { exactMatch, containsMatch, regexMatch, toolCallMatch, jsonMatch, llmJudge, rubricJudge };
@@ -0,0 +1,432 @@
+/**
+ * JSON Schema Evaluator
+ *
+ * Validates structured output against a JSON Schema (draft-07 style subset)
+ * and scores by the fraction of schema constraints the response satisfies.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { resolve } from 'path';
+
+const MAX_EXTRACTION_ATTEMPTS = 50;
+
+/**
+ * Validate the JSON in a response against the test case's schema
+ */
+export function jsonSchemaEval(testCase, response) {
+  let schema;
+  try {
+    schema = loadSchema(testCase);
+  } catch (error) {
+    return {
+      pass: false,
+      score: 0,
+      reason: `JSON schema error: ${error.message}`,
+      evalType: 'json_schema',
+      parseError: true,
+    };
+  }
+
+  const extracted = extractJsonValue(response);
+  if (!extracted) {
+    return {
+      pass: false,
+      score: 0,
+      reason: 'No parseable JSON found in response',
+      evalType: 'json_schema',
+      metrics: { constraintsSatisfied: 0, constraintsTotal: countConstraints(schema, schema), violations: 1 },
+    };
+  }
+
+  const validation = validateJsonSchema(schema, extracted.value);
+  const threshold = testCase.threshold ?? 1;
+  const pass = validation.valid || validation.score >= threshold;
+  const shown = validation.violations.slice(0, 3).map(formatViolation).join('; ');
+  const more = validation.violations.length > 3 ? ` (+${validation.violations.length - 3} more)` : '';
+
+  return {
+    pass,
+    score: validation.score,
+    reason: validation.valid
+      ? `Matches schema (${validation.total} constraints)`
+      : `${validation.violations.length} schema violation(s): ${shown}${more}`,
+    evalType: 'json_schema',
+    metrics: {
+      constraintsSatisfied: validation.satisfied,
+      constraintsTotal: validation.total,
+      violations: validation.violations.length,
+    },
+    metadata: {
+      json_schema: {
+        extractedFrom: extracted.source,
+        violations: validation.violations,
+      },
+    },
+  };
+}
+
+/**
+ * Validate a value against a schema.
+ * Every keyword checked at every location counts as one constraint; a missing
+ * required property also fails every constraint its subschema would have checked.
+ * @returns {{valid: boolean, score: number, satisfied: number, total: number, violations: Array<{pointer: string, keyword: string, message: string}>}}
+ */
+export function validateJsonSchema(schema, value) {
+  const state = { satisfied: 0, total: 0, violations: [], root: schema };
+  validateNode(schema, value, '', state);
+  return {
+    valid: state.violations.length === 0,
+    score: state.total > 0 ? state.satisfied / state.total : 1,
+    satisfied: state.satisfied,
+    total: state.total,
+    violations: state.violations,
+  };
+}
+
+/**
+ * Find JSON in a model response: the whole response, then fenced blocks,
+ * then the first balanced object/array that parses.
+ */
+export function extractJsonValue(response) {
+  const text = String(response || '').trim();
+  if (!text) return null;
+
+  const whole = tryParse(text);
+  if (whole.ok) return { value: whole.value, source: 'response' };
+
+  for (const match of text.matchAll(/```(?:json|jsonc|javascript|js)?[^\n]*\n([\s\S]*?)```/gi)) {
+    const fenced = tryParse(match[1].trim());
+    if (fenced.ok) return { value: fenced.value, source: 'fenced' };
+  }
+
+  for (const candidate of balancedJsonCandidates(text)) {
+    const parsed = tryParse(candidate);
+    if (parsed.ok) return { value: parsed.value, source: 'embedded' };
+  }
+
+  return null;
+}
+
+function loadSchema(testCase) {
+  if (testCase.json_schema && typeof testCase.json_schema === 'object') {
+    return testCase.json_schema;
+  }
+  const path = testCase.json_schema_path || (typeof testCase.json_schema === 'string' ? testCase.json_schema : null);
+  if (!path) {
+    throw new Error('json_schema eval requires json_schema or json_schema_path');
+  }
+  const fullPath = resolve(process.cwd(), path);
+  if (!existsSync(fullPath)) {
+    throw new Error(`Schema file not found: ${path}`);
+  }
+  return JSON.parse(readFileSync(fullPath, 'utf8'));
+}
+
+function validateNode(schema, value, pointer, state) {
+  if (schema === true || schema === undefined) return;
+  if (schema === false) {
+    check(state, false, pointer, 'false', 'No value is allowed here');
+    return;
+  }
+
+  if (schema.$ref) {
+    const target = resolveRef(state.root, schema.$ref);
+    if (!target) {
+      check(state, false, pointer, '$ref', `Unresolvable $ref ${schema.$ref}`);
+      return;
+    }
+    validateNode(target, value, pointer, state);
+    return;
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const ok = types.some(type => matchesType(type, value));
+    check(state, ok, pointer, 'type', `Expected ${types.join(' or ')}, got ${typeOf(value)}`);
+    // Structural keywords below assume the right type, so stop here
+    if (!ok) {
+      state.total += countConstraints(schema, state.root) - 1;
+      return;
+    }
+  }
+
+  if (schema.enum !== undefined) {
+    check(state, schema.enum.some(option => deepEqual(option, value)), pointer, 'enum',
+      `Expected one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}`);
+  }
+  if (schema.const !== undefined) {
+    check(state, deepEqual(schema.const, value), pointer, 'const', `Expected ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`);
+  }
+
+  if (typeof value === 'string') validateString(schema, value, pointer, state);
+  if (typeof value === 'number') validateNumber(schema, value, pointer, state);
+  if (Array.isArray(value)) validateArray(schema, value, pointer, state);
+  if (isPlainObject(value)) validateObject(schema, value, pointer, state);
+
+  if (Array.isArray(schema.allOf)) {
+    for (const subschema of schema.allOf) validateNode(subschema, value, pointer, state);
+  }
+  if (Array.isArray(schema.anyOf)) {
+    const ok = schema.anyOf.some(subschema => validateJsonSchema(withRoot(subschema, state.root), value).valid);
+    check(state, ok, pointer, 'anyOf', 'Does not match any allowed schema');
+  }
+  if (Array.isArray(schema.oneOf)) {
+    const matches = schema.oneOf.filter(subschema => validateJsonSchema(withRoot(subschema, state.root), value).valid).length;
+    check(state, matches === 1, pointer, 'oneOf', `Matches ${matches} schemas, expected exactly 1`);
+  }
+  if (schema.not !== undefined) {
+    check(state, !validateJsonSchema(withRoot(schema.not, state.root), value).valid, pointer, 'not', 'Matches a disallowed schema');
+  }
+}
+
+function validateString(schema, value, pointer, state) {
+  if (schema.minLength !== undefined) {
+    check(state, value.length >= schema.minLength, pointer, 'minLength', `Length ${value.length} is below ${schema.minLength}`);
+  }
+  if (schema.maxLength !== undefined) {
+    check(state, value.length <= schema.maxLength, pointer, 'maxLength', `Length ${value.length} exceeds ${schema.maxLength}`);
+  }
+  if (schema.pattern !== undefined) {
+    let ok = false;
+    try {
+      ok = new RegExp(schema.pattern, 'u').test(value);
+    } catch {
+      ok = false;
+    }
+    check(state, ok, pointer, 'pattern', `Does not match pattern ${schema.pattern}`);
+  }
+}
+
+function validateNumber(schema, value, pointer, state) {
+  if (schema.minimum !== undefined) {
+    check(state, value >= schema.minimum, pointer, 'minimum', `${value} is below minimum ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined) {
+    check(state, value <= schema.maximum, pointer, 'maximum', `${value} exceeds maximum ${schema.maximum}`);
+  }
+  if (schema.exclusiveMinimum !== undefined) {
+    check(state, value > schema.exclusiveMinimum, pointer, 'exclusiveMinimum', `${value} must be greater than ${schema.exclusiveMinimum}`);
+  }
+  if (schema.exclusiveMaximum !== undefined) {
+    check(state, value < schema.exclusiveMaximum, pointer, 'exclusiveMaximum', `${value} must be less than ${schema.exclusiveMaximum}`);
+  }
+  if (schema.multipleOf !== undefined) {
+    const quotient = value / schema.multipleOf;
+    check(state, Math.abs(quotient - Math.round(quotient)) < 1e-9, pointer, 'multipleOf', `${value} is not a multiple of ${schema.multipleOf}`);
+  }
+}
+
+function validateArray(schema, value, pointer, state) {
+  if (schema.minItems !== undefined) {
+    check(state, value.length >= schema.minItems, pointer, 'minItems', `Has ${value.length} items, expected at least ${schema.minItems}`);
+  }
+  if (schema.maxItems !== undefined) {
+    check(state, value.length <= schema.maxItems, pointer, 'maxItems', `Has ${value.length} items, expected at most ${schema.maxItems}`);
+  }
+  if (schema.uniqueItems === true) {
+    const unique = new Set(value.map(item => stableStringify(item))).size === value.length;
+    check(state, unique, pointer, 'uniqueItems', 'Items are not unique');
+  }
+  if (Array.isArray(schema.items)) {
+    schema.items.forEach((itemSchema, index) => {
+      if (index < value.length) validateNode(itemSchema, value[index], `${pointer}/${index}`, state);
+    });
+  } else if (schema.items !== undefined) {
+    value.forEach((item, index) => validateNode(schema.items, item, `${pointer}/${index}`, state));
+  }
+  if (schema.contains !== undefined) {
+    const ok = value.some(item => validateJsonSchema(withRoot(schema.contains, state.root), item).valid);
+    check(state, ok, pointer, 'contains', 'No item matches the contains schema');
+  }
+}
+
+function validateObject(schema, value, pointer, state) {
+  const properties = schema.properties || {};
+
+  for (const key of schema.required || []) {
+    const present = Object.prototype.hasOwnProperty.call(value, key);
+    check(state, present, `${pointer}/${escapePointer(key)}`, 'required', 'Required property is missing');
+    if (!present && properties[key] !== undefined) {
+      // Partial credit: the missing subtree's constraints count as unsatisfied
+      state.total += countConstraints(properties[key], state.root);
+    }
+  }
+
+  for (const [key, propertySchema] of Object.entries(properties)) {
+    if (Object.prototype.hasOwnProperty.call(value, key)) {
+      validateNode(propertySchema, value[key], `${pointer}/${escapePointer(key)}`, state);
+    }
+  }
+
+  const patternProperties = Object.entries(schema.patternProperties || {});
+  for (const [key, item] of Object.entries(value)) {
+    const childPointer = `${pointer}/${escapePointer(key)}`;
+    const matchedPatterns = patternProperties.filter(([pattern]) => safeRegex(pattern)?.test(key));
+    for (const [, patternSchema] of matchedPatterns) validateNode(patternSchema, item, childPointer, state);
+
+    if (schema.additionalProperties !== undefined && properties[key] === undefined && matchedPatterns.length === 0) {
+      if (schema.additionalProperties === false) {
+        check(state, false, childPointer, 'additionalProperties', 'Property is not allowed');
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateNode(schema.additionalProperties, item, childPointer, state);
+      }
+    }
+  }
+
+  if (schema.minProperties !== undefined) {
+    check(state, Object.keys(value).length >= schema.minProperties, pointer, 'minProperties', `Expected at least ${schema.minProperties} properties`);
+  }
+  if (schema.maxProperties !== undefined) {
+    check(state, Object.keys(value).length <= schema.maxProperties, pointer, 'maxProperties', `Expected at most ${schema.maxProperties} properties`);
+  }
+}
+
+/**
+ * Number of constraints a subschema would check, used to charge missing subtrees
+ */
+function countConstraints(schema, root, seen = new Set()) {
+  if (!schema || typeof schema !== 'object') return 1;
+  if (schema.$ref) {
+    if (seen.has(schema.$ref)) return 1;
+    const target = resolveRef(root, schema.$ref);
+    return target ? countConstraints(target, root, new Set([...seen, schema.$ref])) : 1;
+  }
+
+  const scalarKeywords = ['type', 'enum', 'const', 'minLength', 'maxLength', 'pattern', 'minimum', 'maximum',
+    'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf', 'minItems', 'maxItems', 'uniqueItems', 'contains',
+    'anyOf', 'oneOf', 'not', 'minProperties', 'maxProperties'];
+  let count = scalarKeywords.filter(keyword => schema[keyword] !== undefined).length;
+  count += (schema.required || []).length;
+  for (const propertySchema of Object.values(schema.properties || {})) {
+    count += countConstraints(propertySchema, root, seen);
+  }
+  for (const subschema of schema.allOf || []) {
+    count += countConstraints(subschema, root, seen);
+  }
+  return Math.max(count, 1);
+}
+
+function check(state, ok, pointer, keyword, message) {
+  state.total++;
+  if (ok) {
+    state.satisfied++;
+  } else {
+    state.violations.push({ pointer: pointer || '/', keyword, message });
+  }
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#')) return null;
+  const parts = ref.slice(1).split('/').filter(Boolean).map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'));
+  let node = root;
+  for (const part of parts) {
+    if (!node || typeof node !== 'object') return null;
+    node = node[part];
+  }
+  return node ?? null;
+}
+
+function withRoot(schema, root) {
+  // Keep local $refs resolvable when validating a subschema on its own
+  if (!schema || typeof schema !== 'object') return schema;
+  return { ...schema, definitions: schema.definitions || root.definitions, $defs: schema.$defs || root.$defs };
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return isPlainObject(value);
+    default: return false;
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepEqual(a, b) {
+  return stableStringify(a) === stableStringify(b);
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (isPlainObject(value)) {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function escapePointer(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function safeRegex(pattern) {
+  try {
+    return new RegExp(pattern, 'u');
+  } catch {
+    return null;
+  }
+}
+
+function formatViolation(violation) {
+  return `${violation.pointer} ${violation.keyword}: ${violation.message}`;
+}
+
+function tryParse(text) {
+  try {
+    return { ok: true, value: JSON.parse(text) };
+  } catch {
+    return { ok: false };
+  }
+}
+
+function balancedJsonCandidates(text) {
+  const candidates = [];
+  let attempts = 0;
+  // Bounded so long prose full of stray brackets cannot make extraction quadratic
+  for (let start = 0; start < text.length && attempts < MAX_EXTRACTION_ATTEMPTS; start++) {
+    if (text[start] !== '{' && text[start] !== '[') continue;
+    attempts++;
+    const end = findBalancedEnd(text, start);
+    if (end > start) {
+      candidates.push(text.slice(start, end + 1));
+      start = end;
+    }
+  }
+  return candidates;
+}
+
+function findBalancedEnd(text, start) {
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+    if (char === '"') inString = true;
+    else if (char === '{' || char === '[') stack.push(char === '{' ? '}' : ']');
+    else if (char === '}' || char === ']') {
+      if (stack.pop() !== char) return -1;
+      if (stack.length === 0) return i;
+    }
+  }
+  return -1;
+}
@@ -0,0 +1,88 @@
+/**
+ * Judge Output Parsing
+ *
+ * Verdict schema for structured judge calls, parsing of JSON and legacy
+ * SCORE/PASS/REASON replies, and the one-shot repair prompt sent when a
+ * reply cannot be parsed
+ */
+
+import { extractJsonValue, validateJsonSchema } from './json-schema.mjs';
+
+/**
+ * Single-verdict judge output (llm_judge and the RAG judges)
+ */
+export const JUDGE_VERDICT_SCHEMA = {
+  type: 'object',
+  required: ['score', 'pass', 'reason'],
+  properties: {
+    score: { type: 'number', minimum: 0, maximum: 100, description: 'Quality score from 0 to 100' },
+    pass: { type: 'boolean', description: 'Whether the response meets the criteria' },
+    reason: { type: 'string', minLength: 1, description: 'One sentence citing the criteria' },
+  },
+};
+
+/**
+ * Parse a judge reply: a JSON verdict (structured output, or JSON in the text),
+ * then the legacy SCORE/PASS/REASON lines
+ * @returns {{value: {score: number, pass: boolean, reason: string}|null, format: 'json'|'text'|null, errors: string[]}}
+ */
+export function parseJudgeVerdict(text) {
+  const extracted = extractJsonValue(text);
+  if (extracted && isPlainObject(extracted.value) && ['score', 'pass', 'reason'].some(key => key in extracted.value)) {
+    const candidate = { ...extracted.value, pass: normalizePass(extracted.value.pass) };
+    const errors = validateJsonValue(JUDGE_VERDICT_SCHEMA, candidate);
+    if (errors.length > 0) return { value: null, format: null, errors };
+    return { value: { score: candidate.score, pass: candidate.pass, reason: candidate.reason }, format: 'json', errors: [] };
+  }
+
+  const scoreMatch = text.match(/SCORE:\s*(\d+)/i);
+  const passMatch = text.match(/PASS:\s*(YES|NO)/i);
+  const reasonMatch = text.match(/REASON:\s*(.+?)(?:\n|$)/is);
+  const errors = [
+    scoreMatch ? null : 'missing SCORE',
+    passMatch ? null : 'missing PASS',
+    reasonMatch ? null : 'missing REASON',
+  ].filter(Boolean);
+  if (errors.length > 0) {
+    return { value: null, format: null, errors: [`not a JSON verdict or SCORE/PASS/REASON lines (${errors.join(', ')})`] };
+  }
+
+  const score = parseInt(scoreMatch[1], 10);
+  if (score < 0 || score > 100) {
+    return { value: null, format: null, errors: [`score ${score} is outside 0-100`] };
+  }
+  return {
+    value: { score, pass: passMatch[1].toUpperCase() === 'YES', reason: reasonMatch[1].trim() },
+    format: 'text',
+    errors: [],
+  };
+}
+
+/**
+ * Schema violations for a parsed value, as "pointer: message" strings
+ */
+export function validateJsonValue(schema, value) {
+  return validateJsonSchema(schema, value).violations.map(violation => `${violation.pointer || '/'}: ${violation.message}`);
+}
+
+/**
+ * Follow-up turn asking the judge to restate its verdict in the required shape
+ */
+export function buildRepairPrompt(errors, schema) {
+  return `Your previous reply could not be used: ${errors.slice(0, 5).join('; ')}.
+
+Reply again with the same judgment as a single JSON object matching this JSON Schema, and nothing else:
+${JSON.stringify(schema, null, 2)}`;
+}
+
+function normalizePass(value) {
+  if (typeof value !== 'string') return value;
+  const normalized = value.trim().toUpperCase();
+  if (['YES', 'TRUE', 'PASS'].includes(normalized)) return true;
+  if (['NO', 'FALSE', 'FAIL'].includes(normalized)) return false;
+  return value;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,218 @@
+/**
+ * Rubric Judge
+ *
+ * Multi-criterion judging: each rubric criterion has its own description,
+ * scale, weight and pass threshold, and the judge returns one JSON score per
+ * criterion so failures can be traced to accuracy vs. tone vs. format
+ */
+
+import { extractJsonValue } from './json-schema.mjs';
+import { validateJsonValue } from './judge-output.mjs';
+
+const DEFAULT_SCALE = { min: 1, max: 5 };
+const DEFAULT_THRESHOLD_FRACTION = 0.6;
+const CRITERION_NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+/**
+ * Normalize `rubric` into criteria with explicit scale, weight and threshold.
+ * Accepts an array of criteria (objects, or strings for a default 1-5 criterion)
+ * or an object keyed by criterion name.
+ * @returns {Array<{name: string, description: string, min: number, max: number, weight: number, passThreshold: number}>}
+ */
+export function normalizeRubric(rubric) {
+  const entries = Array.isArray(rubric)
+    ? rubric
+    : rubric && typeof rubric === 'object'
+      ? Object.entries(rubric).map(([name, spec]) => (typeof spec === 'string' ? { name, description: spec } : { name, ...spec }))
+      : null;
+  if (!entries || entries.length === 0) {
+    throw new Error('rubric must be a non-empty array of criteria');
+  }
+
+  const seen = new Set();
+  return entries.map((entry, index) => {
+    const spec = typeof entry === 'string' ? { name: entry } : entry;
+    if (!spec || typeof spec.name !== 'string' || !CRITERION_NAME_PATTERN.test(spec.name)) {
+      throw new Error(`rubric[${index}] needs a name made of letters, digits, "_", "-" or "."`);
+    }
+    if (seen.has(spec.name)) {
+      throw new Error(`rubric criterion "${spec.name}" is defined twice`);
+    }
+    seen.add(spec.name);
+
+    const scale = normalizeScale(spec.scale, spec.name);
+    const weight = spec.weight ?? 1;
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+      throw new Error(`rubric criterion "${spec.name}" weight must be a non-negative number`);
+    }
+    const passThreshold = spec.pass_threshold ?? spec.passThreshold
+      ?? Math.ceil(scale.min + (scale.max - scale.min) * DEFAULT_THRESHOLD_FRACTION);
+    if (typeof passThreshold !== 'number' || passThreshold < scale.min || passThreshold > scale.max) {
+      throw new Error(`rubric criterion "${spec.name}" pass_threshold must be within its scale ${scale.min}-${scale.max}`);
+    }
+
+    return {
+      name: spec.name,
+      description: spec.description || spec.name,
+      min: scale.min,
+      max: scale.max,
+      weight,
+      passThreshold,
+    };
+  });
+}
+
+/**
+ * JSON Schema the judge's verdict must satisfy for this rubric
+ */
+export function rubricVerdictSchema(criteria) {
+  return {
+    type: 'object',
+    required: ['criteria'],
+    properties: {
+      criteria: {
+        type: 'object',
+        required: criteria.map(criterion => criterion.name),
+        properties: Object.fromEntries(criteria.map(criterion => [criterion.name, {
+          type: 'object',
+          required: ['score', 'reason'],
+          properties: {
+            score: { type: 'number', minimum: criterion.min, maximum: criterion.max },
+            reason: { type: 'string', minLength: 1 },
+          },
+        }])),
+        additionalProperties: false,
+      },
+      summary: { type: 'string' },
+    },
+  };
+}
+
+/**
+ * Rubric section of the judge prompt; also exposed to judge templates as {{rubric}}
+ */
+export function formatRubric(criteria) {
+  return criteria
+    .map(criterion => `- ${criterion.name} (${criterion.min}-${criterion.max}, pass at ${criterion.passThreshold}+): ${criterion.description}`)
+    .join('\n');
+}
+
+/**
+ * Default rubric judge prompt
+ */
+export function buildRubricPrompt(testCase, response, criteria) {
+  const reference = testCase.expected || testCase.reference_answer || testCase.reference || '';
+  const example = Object.fromEntries(criteria.map(criterion => [criterion.name, { score: criterion.max, reason: 'one sentence citing the response' }]));
+
+  return `You are an evaluation judge. Score the response on each rubric criterion independently.
+
+QUESTION/PROMPT:
+${testCase.prompt || testCase.question || ''}
+
+RESPONSE TO EVALUATE:
+${response}
+${reference ? `
+REFERENCE ANSWER:
+${reference}
+` : ''}
+RUBRIC:
+${formatRubric(criteria)}
+
+Return only a JSON object with one entry per criterion, using that criterion's scale:
+${JSON.stringify({ criteria: example, summary: 'one sentence overall' }, null, 2)}`;
+}
+
+/**
+ * Parse and validate a judge response against the rubric
+ * @returns {{verdict: Object|null, errors: string[]}}
+ */
+export function parseRubricVerdict(text, criteria) {
+  const extracted = extractJsonValue(text);
+  if (!extracted || !extracted.value || typeof extracted.value !== 'object' || Array.isArray(extracted.value)) {
+    return { verdict: null, errors: ['response is not a JSON object'] };
+  }
+
+  const errors = validateJsonValue(rubricVerdictSchema(criteria), extracted.value);
+  if (errors.length > 0) {
+    return { verdict: null, errors };
+  }
+  return { verdict: extracted.value, errors: [] };
+}
+
+/**
+ * Per-criterion results and the weighted overall score (each criterion normalized to 0-1).
+ * The case passes when every criterion reaches its threshold and, when
+ * `rubric_pass_threshold` is set, the weighted score reaches it too.
+ */
+export function scoreRubric(criteria, verdict, overallThreshold = null) {
+  const rubricScores = criteria.map(criterion => {
+    const entry = verdict.criteria[criterion.name];
+    const normalized = criterion.max === criterion.min ? 1 : (entry.score - criterion.min) / (criterion.max - criterion.min);
+    return {
+      name: criterion.name,
+      score: entry.score,
+      min: criterion.min,
+      max: criterion.max,
+      normalized,
+      weight: criterion.weight,
+      passThreshold: criterion.passThreshold,
+      pass: entry.score >= criterion.passThreshold,
+      reason: entry.reason.trim(),
+    };
+  });
+
+  const totalWeight = rubricScores.reduce((sum, item) => sum + item.weight, 0);
+  const score = totalWeight > 0
+    ? rubricScores.reduce((sum, item) => sum + item.normalized * item.weight, 0) / totalWeight
+    : rubricScores.reduce((sum, item) => sum + item.normalized, 0) / rubricScores.length;
+  const failed = rubricScores.filter(item => !item.pass);
+  const belowOverall = overallThreshold !== null && overallThreshold !== undefined && score < overallThreshold;
+  const pass = failed.length === 0 && !belowOverall;
+
+  const reasons = [
+    failed.length > 0
+      ? `Failed ${failed.map(item => `${item.name} ${item.score}/${item.max} (needs ${item.passThreshold}): ${item.reason}`).join('; ')}`
+      : `All ${rubricScores.length} criteria met`,
+    belowOverall ? `Weighted score ${Math.round(score * 100)}% is below ${Math.round(overallThreshold * 100)}%` : null,
+    typeof verdict.summary === 'string' && verdict.summary.trim() ? verdict.summary.trim() : null,
+  ];
+
+  return {
+    pass,
+    score,
+    reason: reasons.filter(Boolean).map(sentence).join(' '),
+    rubricScores,
+  };
+}
+
+/**
+ * Average per-criterion scores across judge panel members, then score as one verdict
+ */
+export function mergeRubricVerdicts(criteria, verdicts) {
+  return {
+    criteria: Object.fromEntries(criteria.map(criterion => {
+      const entries = verdicts.map(verdict => verdict.criteria[criterion.name]);
+      return [criterion.name, {
+        score: entries.reduce((sum, entry) => sum + entry.score, 0) / entries.length,
+        reason: entries.map(entry => entry.reason.trim()).join(' | '),
+      }];
+    })),
+  };
+}
+
+function sentence(text) {
+  return /[.!?]$/.test(text) ? text : `${text}.`;
+}
+
+function normalizeScale(scale, name) {
+  if (scale === undefined || scale === null) return { ...DEFAULT_SCALE };
+  const [min, max] = Array.isArray(scale)
+    ? scale
+    : typeof scale === 'number'
+      ? [0, scale]
+      : [scale.min, scale.max];
+  if (typeof min !== 'number' || typeof max !== 'number' || !Number.isFinite(min) || !Number.isFinite(max) || max <= min) {
+    throw new Error(`rubric criterion "${name}" scale must be {min, max}, [min, max] or a maximum with max > min`);
+  }
+  return { min, max };
+}
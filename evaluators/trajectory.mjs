@@ -0,0 +1,337 @@
+/**
+ * Tool Trajectory Evaluator
+ *
+ * Scores the full sequence of tool calls an agent made (plus, optionally, its
+ * final answer) against an expected trajectory and a must-not-call list
+ */
+
+const TRAJECTORY_MODES = ['exact', 'subsequence', 'unordered'];
+const MATCHER_KEYS = ['equals', 'regex', 'flags', 'range', 'min', 'max', 'any'];
+
+/**
+ * Compare the run's tool calls with `expected_trajectory` and `must_not_call`.
+ * `trajectory_mode` (alias `trajectory_order`) is `exact` (default), `subsequence`
+ * or `unordered`; `final_answer` is an evaluator spec (e.g. `{expected_contains: [...]}`)
+ * applied to the final text.
+ * @param {Function} evaluateFinalAnswer - (spec) => evaluator result for the final text
+ */
+export async function toolTrajectoryEval(testCase, response, options = {}, evaluateFinalAnswer = null) {
+  const hasExpected = testCase.expected_trajectory !== undefined && testCase.expected_trajectory !== null;
+  const mode = String(testCase.trajectory_mode || testCase.trajectory_order || 'exact').toLowerCase();
+  if (!TRAJECTORY_MODES.includes(mode)) {
+    return invalidSpec(`Unknown trajectory_mode "${testCase.trajectory_mode || testCase.trajectory_order}" (expected ${TRAJECTORY_MODES.join(', ')})`);
+  }
+
+  let expected;
+  let forbidden;
+  try {
+    expected = normalizeExpectedTrajectory(testCase.expected_trajectory);
+    forbidden = normalizeExpectedTrajectory(testCase.must_not_call);
+    [...expected, ...forbidden].forEach(step => validateConstraints(step.args));
+  } catch (error) {
+    return invalidSpec(error.message);
+  }
+
+  const actual = normalizeToolCalls(options.toolCalls || testCase.tool_calls || testCase.toolCalls || []);
+  const comparison = hasExpected
+    ? COMPARATORS[mode](expected, actual)
+    : { pass: true, score: 1, reason: 'No expected trajectory; checked must_not_call only', steps: [] };
+  const coverage = matchUnordered(expected, actual);
+  const precision = !hasExpected ? null : actual.length > 0 ? coverage.matched / actual.length : (expected.length === 0 ? 1 : 0);
+  const recall = !hasExpected ? null : expected.length > 0 ? coverage.matched / expected.length : 1;
+  const firstDivergence = hasExpected ? findFirstDivergence(expected, actual) : null;
+  const redundantCalls = findRedundantCalls(actual);
+  const forbiddenCalls = actual
+    .map((call, index) => ({ call, index, rule: forbidden.find(step => callMatches(step, call)) }))
+    .filter(item => item.rule)
+    .map(({ call, index }) => ({ index: index + 1, step: call.step ?? null, name: call.name, args: call.args }));
+
+  let pass = comparison.pass && forbiddenCalls.length === 0;
+  // A forbidden call is a hard failure however well the rest of the trajectory matched
+  let score = forbiddenCalls.length > 0 ? 0 : comparison.score;
+  const reasons = [
+    comparison.reason,
+    forbiddenCalls.length > 0 ? `forbidden call${forbiddenCalls.length === 1 ? '' : 's'}: ${forbiddenCalls.map(call => describeActual(call)).join(', ')}` : null,
+    hasExpected ? `precision ${formatRatio(precision)}, recall ${formatRatio(recall)}` : null,
+    redundantCalls.length > 0 ? `${redundantCalls.length} redundant call${redundantCalls.length === 1 ? '' : 's'}` : null,
+  ];
+  let finalAnswer = null;
+
+  if (testCase.final_answer && evaluateFinalAnswer) {
+    finalAnswer = await evaluateFinalAnswer(testCase.final_answer);
+    if (finalAnswer.parseError || finalAnswer.evalError) {
+      return { ...finalAnswer, reason: `Final answer: ${finalAnswer.reason}`, evalType: 'tool_trajectory' };
+    }
+    pass = pass && finalAnswer.pass === true;
+    score = (score + (finalAnswer.score ?? 0)) / 2;
+    reasons.push(`final answer ${finalAnswer.pass ? 'passed' : 'failed'}: ${finalAnswer.reason}`);
+  }
+
+  return {
+    pass,
+    score,
+    reason: reasons.filter(Boolean).join('; '),
+    evalType: 'tool_trajectory',
+    metrics: {
+      expectedCalls: expected.length,
+      actualCalls: actual.length,
+      matchedCalls: coverage.matched,
+      precision,
+      recall,
+      redundantCalls: redundantCalls.length,
+      forbiddenCalls: forbiddenCalls.length,
+      firstDivergenceIndex: firstDivergence?.index ?? null,
+    },
+    metadata: {
+      unauthorized_action: forbiddenCalls.length > 0,
+      forbidden_tool_calls: forbiddenCalls.length,
+      trajectory: {
+        mode,
+        expected,
+        mustNotCall: forbidden,
+        actual: actual.map(call => ({ name: call.name, args: call.args, step: call.step ?? null })),
+        steps: comparison.steps,
+        firstDivergence,
+        redundantCalls,
+        forbiddenCalls,
+        finalAnswer: finalAnswer && { pass: finalAnswer.pass, score: finalAnswer.score, reason: finalAnswer.reason, evalType: finalAnswer.evalType },
+      },
+    },
+  };
+}
+
+/**
+ * Normalize provider/fixture tool calls to {id?, name, args, step?}, parsing JSON argument strings
+ */
+export function normalizeToolCalls(toolCalls) {
+  const calls = Array.isArray(toolCalls) ? toolCalls : [toolCalls];
+  return calls
+    .filter(Boolean)
+    .map(call => {
+      const fn = call.function || call;
+      const name = call.name || fn.name || call.tool || call.type || '';
+      let args = call.args ?? call.arguments ?? fn.arguments ?? call.input ?? {};
+      if (typeof args === 'string') {
+        try {
+          args = JSON.parse(args);
+        } catch {
+          args = args.split(',').map(arg => arg.trim()).filter(Boolean);
+        }
+      }
+      const normalized = { name: String(name), args };
+      if (call.id) normalized.id = call.id;
+      if (call.step !== undefined) normalized.step = call.step;
+      return normalized;
+    })
+    .filter(call => call.name);
+}
+
+/**
+ * Check argument constraints keyed by JSON path (`$.filters[0].field`) or dotted path.
+ * A constraint is a matcher object (`equals`, `regex`/`flags`, `range`/`min`/`max`, `any`)
+ * or a plain value: strings match as case-insensitive substrings, anything else must be deeply equal.
+ */
+export function argsMatch(constraints, args) {
+  return Object.entries(constraints || {}).every(([path, expected]) => valueMatches(expected, resolvePath(args, path)));
+}
+
+function valueMatches(expected, actual) {
+  if (isMatcher(expected)) {
+    if (expected.any !== undefined) return expected.any ? actual !== undefined : actual === undefined;
+    if (expected.equals !== undefined) return JSON.stringify(expected.equals) === JSON.stringify(actual);
+    if (expected.regex !== undefined) {
+      if (actual === undefined || actual === null) return false;
+      const text = typeof actual === 'object' ? JSON.stringify(actual) : String(actual);
+      return new RegExp(expected.regex, expected.flags || '').test(text);
+    }
+    const [min, max] = Array.isArray(expected.range) ? expected.range : [expected.min, expected.max];
+    const value = typeof actual === 'string' && actual.trim() !== '' ? Number(actual) : actual;
+    if (typeof value !== 'number' || Number.isNaN(value)) return false;
+    return (min === undefined || min === null || value >= min) && (max === undefined || max === null || value <= max);
+  }
+  if (typeof expected === 'string') {
+    if (actual === undefined || actual === null) return false;
+    const actualText = typeof actual === 'object' ? JSON.stringify(actual) : String(actual);
+    return actualText.toLowerCase().includes(expected.toLowerCase());
+  }
+  return JSON.stringify(expected) === JSON.stringify(actual);
+}
+
+function isMatcher(value) {
+  return Boolean(value)
+    && typeof value === 'object'
+    && !Array.isArray(value)
+    && Object.keys(value).length > 0
+    && Object.keys(value).every(key => MATCHER_KEYS.includes(key));
+}
+
+function validateConstraints(constraints) {
+  for (const [path, expected] of Object.entries(constraints || {})) {
+    if (isMatcher(expected) && expected.regex !== undefined) {
+      try {
+        new RegExp(expected.regex, expected.flags || '');
+      } catch (error) {
+        throw new Error(`Invalid regex for argument ${path}: ${error.message}`);
+      }
+    }
+  }
+}
+
+function resolvePath(object, path) {
+  const parts = String(path || '')
+    .replace(/^\$\.?/, '')
+    .replace(/\[(\d+|'[^']*'|"[^"]*")\]/g, (match, key) => `.${key.replace(/^['"]|['"]$/g, '')}`)
+    .split('.')
+    .filter(Boolean);
+  return parts.reduce((current, part) => current?.[part], object);
+}
+
+const COMPARATORS = {
+  exact: compareExact,
+  subsequence: compareSubsequence,
+  unordered: compareUnordered,
+};
+
+function compareExact(expected, actual) {
+  const length = Math.max(expected.length, actual.length);
+  const steps = [];
+  let matched = 0;
+
+  for (let i = 0; i < length; i++) {
+    const want = expected[i];
+    const got = actual[i];
+    const ok = Boolean(want && got && callMatches(want, got));
+    if (ok) matched++;
+    steps.push({ index: i, expected: want?.tool ?? null, actual: got?.name ?? null, pass: ok });
+  }
+
+  const firstMismatch = steps.find(step => !step.pass);
+  return {
+    pass: !firstMismatch,
+    score: length === 0 ? 1 : matched / length,
+    steps,
+    reason: firstMismatch
+      ? `Trajectory diverged at call ${firstMismatch.index + 1}: expected ${describeExpected(expected[firstMismatch.index])}, got ${describeActual(actual[firstMismatch.index])}`
+      : `Trajectory matched in order (${matched} call${matched === 1 ? '' : 's'})`,
+  };
+}
+
+function compareSubsequence(expected, actual) {
+  const steps = [];
+  let cursor = 0;
+
+  for (let i = 0; i < expected.length; i++) {
+    let found = -1;
+    for (let j = cursor; j < actual.length; j++) {
+      if (callMatches(expected[i], actual[j])) {
+        found = j;
+        break;
+      }
+    }
+    steps.push({ index: i, expected: expected[i].tool, actual: found >= 0 ? actual[found].name : null, actualIndex: found >= 0 ? found : null, pass: found >= 0 });
+    if (found >= 0) cursor = found + 1;
+  }
+
+  const matched = steps.filter(step => step.pass).length;
+  const missing = steps.filter(step => !step.pass).map(step => describeExpected(expected[step.index]));
+  return {
+    pass: missing.length === 0,
+    score: expected.length === 0 ? 1 : matched / expected.length,
+    steps,
+    reason: missing.length === 0
+      ? `Trajectory contained the expected calls in order (${matched} of ${actual.length} call${actual.length === 1 ? '' : 's'})`
+      : `Expected calls missing or out of order: ${missing.join(', ')}`,
+  };
+}
+
+function compareUnordered(expected, actual) {
+  const { matched, used, steps } = matchUnordered(expected, actual);
+  const missing = steps.filter(step => !step.pass).map(step => describeExpected(expected[step.index]));
+  const extra = actual.filter((call, index) => !used.has(index)).map(call => call.name);
+  const denominator = Math.max(expected.length, actual.length);
+
+  return {
+    pass: missing.length === 0 && extra.length === 0,
+    score: denominator === 0 ? 1 : matched / denominator,
+    steps,
+    reason: missing.length === 0 && extra.length === 0
+      ? `Trajectory matched as a set (${matched} call${matched === 1 ? '' : 's'})`
+      : [
+          missing.length > 0 ? `missing ${missing.join(', ')}` : null,
+          extra.length > 0 ? `unexpected ${extra.join(', ')}` : null,
+        ].filter(Boolean).join('; '),
+  };
+}
+
+function matchUnordered(expected, actual) {
+  const used = new Set();
+  const steps = expected.map((want, index) => {
+    const matchIndex = actual.findIndex((got, actualIndex) => !used.has(actualIndex) && callMatches(want, got));
+    if (matchIndex >= 0) used.add(matchIndex);
+    return { index, expected: want.tool, actual: matchIndex >= 0 ? actual[matchIndex].name : null, pass: matchIndex >= 0 };
+  });
+  return { matched: used.size, used, steps };
+}
+
+function findFirstDivergence(expected, actual) {
+  const length = Math.max(expected.length, actual.length);
+  for (let i = 0; i < length; i++) {
+    if (expected[i] && actual[i] && callMatches(expected[i], actual[i])) continue;
+    return {
+      index: i + 1,
+      step: actual[i]?.step ?? null,
+      expected: expected[i] ? describeExpected(expected[i]) : null,
+      actual: actual[i] ? describeActual(actual[i]) : null,
+    };
+  }
+  return null;
+}
+
+function findRedundantCalls(actual) {
+  const seen = new Map();
+  const redundant = [];
+  actual.forEach((call, index) => {
+    const key = `${call.name.toLowerCase()}::${JSON.stringify(call.args ?? {})}`;
+    if (seen.has(key)) {
+      redundant.push({ index: index + 1, step: call.step ?? null, name: call.name, duplicateOf: seen.get(key) });
+    } else {
+      seen.set(key, index + 1);
+    }
+  });
+  return redundant;
+}
+
+function callMatches(want, got) {
+  return want.tool.toLowerCase() === got.name.toLowerCase() && argsMatch(want.args, got.args);
+}
+
+function normalizeExpectedTrajectory(trajectory) {
+  const steps = Array.isArray(trajectory) ? trajectory : trajectory ? [trajectory] : [];
+  return steps.map(step => (typeof step === 'string'
+    ? { tool: step, args: {} }
+    : { tool: String(step.tool || step.name || ''), args: step.args || {} }));
+}
+
+function invalidSpec(reason) {
+  return {
+    pass: false,
+    score: 0,
+    reason,
+    evalType: 'tool_trajectory',
+    parseError: true,
+  };
+}
+
+function describeExpected(step) {
+  if (!step) return 'no further calls';
+  return Object.keys(step.args).length > 0 ? `${step.tool}(${JSON.stringify(step.args)})` : step.tool;
+}
+
+function describeActual(call) {
+  if (!call) return 'no call';
+  return `${call.name}(${JSON.stringify(call.args ?? {})})`;
+}
+
+function formatRatio(value) {
+  return `${Math.round(value * 100)}%`;
+}
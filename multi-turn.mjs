@@ -7,31 +7,81 @@
 import { getProvider } from './providers/index.mjs';
 import { evaluate } from './evaluators/index.mjs';
 import { calculateCost } from './costs.mjs';
+import { runAgentLoop, createToolBackends, applyStateEvents } from './agent.mjs';
+import {
+  isSimulatedUserTestCase,
+  resolveSimulatedUser,
+  buildSimulatedUserMessages,
+  parseSimulatedUserReply,
+  detectAssistantOutcome,
+  summarizeSimulation,
+} from './simulated-user.mjs';
+
+/**
+ * True for test cases run as a conversation: scripted `turns` (or the older
+ * `conversation`), or a `simulated_user` that writes the user side
+ */
+export function isConversationTestCase(testCase) {
+  return Array.isArray(testCase?.turns) || Array.isArray(testCase?.conversation) || isSimulatedUserTestCase(testCase);
+}
 
 /**
  * Run a multi-turn conversation test
+ * @param {Object} testCase - `turns` or `simulated_user`, optional `system_prompt`, `overall_criteria`,
+ *   and `tools`/`tool_choice`/`tool_handlers`/`max_steps` for tool calling
+ * @param {Object} provider
+ * @param {Object} [options] - evaluate() options plus `model`, `temperature`, `max_tokens`, `skipJudge`,
+ *   suite-level `tools`, `tool_choice`, `toolHandlers` and `maxSteps`,
+ *   `complete(messages, request)` to route turns through the caller's cache/limits,
+ *   `completeUser(messages, request)` (or `simulatorProvider`/`simulatorModel`) for simulated user messages, and
+ *   `turnMetadata(turn, evalResult)` for extra fields on each turn entry
  */
 export async function runConversation(testCase, provider, options = {}) {
-  const turns = testCase.turns || testCase.conversation || [];
+  const simulation = isSimulatedUserTestCase(testCase) ? resolveSimulatedUser(testCase) : null;
+  const turns = simulation ? [] : testCase.turns || testCase.conversation || [];
+  const turnCount = simulation ? simulation.maxTurns : turns.length;
+  const complete = options.complete || ((messages, request) => completeTurn(provider, messages, request, options));
+  const completeUser = options.completeUser
+    || ((messages, request) => completeTurn(options.simulatorProvider || provider, messages, request, options));
+  const simulationState = { endReason: 'max_turns', assistantOutcome: null, outcomeTurn: null, resolvedTurn: null, userCalls: 0, usage: null, cost: null, costUnknown: false, error: null };
   const results = [];
   const messages = [];
   const environment = {
     state: cloneJson(testCase.environment?.state || testCase.initial_state || {}),
     events: [],
   };
+  // Tool handlers read and mutate environment.state; one set of backends lasts the whole conversation
+  const tools = testCase.tools || options.tools || null;
+  const backends = tools?.length
+    ? createToolBackends({ ...(options.toolHandlers || {}), ...(testCase.tool_handlers || {}) })
+    : null;
   
   // Add system prompt if provided
   if (testCase.system_prompt) {
     messages.push({ role: 'system', content: testCase.system_prompt });
   }
   
-  for (let i = 0; i < turns.length; i++) {
-    const turn = turns[i];
+  for (let i = 0; i < turnCount; i++) {
+    const turn = simulation ? {} : turns[i];
     const startTime = Date.now();
     applyEvents(environment, turn.before_events || turn.events_before);
     
     // Add user message
-    const userContent = renderStateTemplate(turn.user_template || turn.user || turn.prompt || turn.input, environment.state);
+    let userContent;
+    if (simulation) {
+      const next = await nextSimulatedUserMessage(simulation, simulationState, messages, completeUser, {
+        model: simulation.model || options.simulatorModel,
+        testCase: testCase.name,
+        turn: i + 1,
+      });
+      if (next.signal) {
+        simulationState.endReason = next.signal === 'goal_met' ? 'goal_met' : next.signal === 'error' ? 'error' : 'user_gave_up';
+        break;
+      }
+      userContent = next.message;
+    } else {
+      userContent = renderStateTemplate(turn.user_template || turn.user || turn.prompt || turn.input, environment.state);
+    }
     const userMessage = { role: 'user', content: userContent };
     messages.push(userMessage);
     
@@ -41,33 +91,58 @@ export async function runConversation(testCase, provider, options = {}) {
         throw new Error(`Injected environment failure: ${typeof injected === 'string' ? injected : injected.message || 'failure'}`);
       }
 
-      // Get model response
-      options.callBudget?.consume('completion', {
-        provider: provider.name,
+      const request = {
         model: options.model,
+        temperature: turn.temperature ?? options.temperature ?? 0.7,
+        max_tokens: turn.max_tokens || options.max_tokens || 512,
         testCase: testCase.name,
         turn: i + 1,
-      });
-      enforceCallCostBefore(provider, options.model, messages, turn.max_tokens || options.max_tokens || 512, options.maxCallCostUsd);
-      const response = await provider.complete(messages, {
-        model: options.model,
-        temperature: options.temperature ?? 0.7,
-        max_tokens: turn.max_tokens || options.max_tokens || 512,
-      });
-      enforceCallCostAfter(provider, options.model, response, options.maxCallCostUsd);
-      
-      // Add assistant response to history
-      messages.push({ role: 'assistant', content: response.text });
+      };
+
+      // Get model response; with tools, run the tool loop and keep its tool messages in the history
+      let response;
+      if (backends) {
+        const toolChoice = turn.tool_choice || testCase.tool_choice || options.tool_choice;
+        response = await runAgentLoop(testCase, {
+          messages: [...messages],
+          backends,
+          state: environment.state,
+          callIdPrefix: `call_t${i + 1}`,
+          maxSteps: turn.max_steps ?? testCase.max_steps ?? options.maxSteps,
+          complete: (stepMessages, step) => complete(stepMessages, {
+            ...request,
+            tools,
+            ...(toolChoice ? { tool_choice: toolChoice } : {}),
+            step,
+          }),
+        });
+        messages.splice(0, messages.length, ...response.messages);
+        for (const result of response.toolResults) {
+          for (const event of result.events || []) {
+            environment.events.push({ ...event, tool: result.name, turn: i + 1, appliedAt: new Date().toISOString() });
+          }
+        }
+      } else {
+        response = await complete([...messages], request);
+        // Add assistant response to history
+        messages.push({ role: 'assistant', content: response.text });
+      }
       applyEvents(environment, turn.after_events || turn.events_after);
       
       // Evaluate this turn if criteria provided
       let evalResult = { pass: null, score: null, reason: 'No evaluation', evalType: 'none' };
       
       if (turnHasEvaluation(turn)) {
-        if (turnRequiresJudge(turn) && !options.judgeProvider && !options.judgePanel?.length) {
+        if (options.skipJudge && turnRequiresJudge(turn)) {
+          evalResult = { pass: null, score: null, reason: 'Skipped judge-based evaluation', evalType: 'skipped_judge' };
+        } else if (turnRequiresJudge(turn) && !options.judgeProvider && !options.judgePanel?.length) {
           evalResult = { pass: false, score: 0, reason: 'No judge provider available', evalType: 'llm_judge', evalError: true };
         } else {
-          evalResult = await evaluate(turn, response.text, options);
+          evalResult = await evaluate(turn, response.text, {
+            ...options,
+            toolCalls: response.toolCalls || [],
+            toolResults: response.toolResults || [],
+          });
         }
       }
 
@@ -97,14 +172,37 @@ export async function runConversation(testCase, provider, options = {}) {
         score: evalResult.score,
         reason: evalResult.reason,
         evalType: evalResult.evalType,
-        latencyMs: Date.now() - startTime,
-        usage: response.usage,
-        cost: response.cost,
+        latencyMs: response.latencyMs ?? Date.now() - startTime,
+        usage: response.usage || null,
+        cost: response.cost ?? null,
+        judgeCost: evalResult.cost ?? evalResult.judgeCost ?? null,
+        judgeCostUnknown: Boolean(evalResult.judgeCostUnknown),
+        evalError: Boolean(evalResult.evalError || evalResult.parseError),
+        fromCache: Boolean(response.fromCache),
+        ...(backends ? {
+          toolCalls: response.toolCalls,
+          toolResults: response.toolResults,
+          steps: response.agent.steps,
+          stopReason: response.agent.stopReason,
+        } : {}),
+        ...(options.turnMetadata ? { metadata: options.turnMetadata(turn, evalResult) } : {}),
         environment: cloneJson(environment),
       });
+
+      const assistantOutcome = simulation ? await detectAssistantOutcome(response.text, simulation) : null;
+      if (assistantOutcome && !simulationState.assistantOutcome) {
+        simulationState.assistantOutcome = assistantOutcome;
+        simulationState.outcomeTurn = i + 1;
+        if (simulation.stopOnEscalation) {
+          simulationState.endReason = assistantOutcome === 'escalated' ? 'assistant_escalated' : 'assistant_gave_up';
+          break;
+        }
+      }
       
     } catch (error) {
-      messages.pop();
+      // Drop the failed exchange; a missing user message must not splice from the end
+      const userIndex = messages.lastIndexOf(userMessage);
+      if (userIndex >= 0) messages.splice(userIndex);
       results.push({
         turn: i + 1,
         user: userContent,
@@ -118,17 +216,18 @@ export async function runConversation(testCase, provider, options = {}) {
       });
       
       // Stop on error unless configured to continue
-      if (!options.continueOnError) break;
+      if (simulation) simulationState.endReason = 'error';
+      if (!options.continueOnError || simulation) break;
     }
   }
   
+  const fullConversation = formatTranscript(results);
+
   // Evaluate overall conversation if criteria provided
   let overallEval = null;
-  if (testCase.overall_criteria) {
-    const fullConversation = results
-      .map(r => `User: ${r.user}\nAssistant: ${r.assistant || '[error]'}`)
-      .join('\n\n');
-    
+  if (testCase.overall_criteria && options.skipJudge) {
+    overallEval = { pass: null, score: null, reason: 'Skipped judge-based evaluation', evalType: 'skipped_judge' };
+  } else if (testCase.overall_criteria) {
     overallEval = options.judgeProvider || options.judgePanel?.length
       ? await evaluate(
           { ...testCase, criteria: testCase.overall_criteria, prompt: fullConversation },
@@ -137,35 +236,145 @@ export async function runConversation(testCase, provider, options = {}) {
         )
       : { pass: false, score: 0, reason: 'No judge provider available', evalType: 'llm_judge', evalError: true };
   }
+
+  let simulationSummary = null;
+  if (simulation) {
+    const goals = await evaluateGoalConditions(simulation.conditions, testCase, results, options);
+    simulationState.resolvedTurn = goals.resolvedTurn;
+    simulationSummary = summarizeSimulation(simulation, simulationState, goals.conditions, results);
+  }
+  const overall = simulationSummary
+    ? simulatedOverall(simulationSummary, overallEval)
+    : {
+        pass: overallEval?.pass ?? results.every(r => r.pass !== false),
+        score: overallEval?.score ?? (results.length > 0 ? results.reduce((s, r) => s + (r.score || 0), 0) / results.length : 0),
+        reason: overallEval?.pass === null || !overallEval ? 'Aggregated from turns' : overallEval.reason,
+      };
   
   return {
     testCase: testCase.name,
     turns: results,
-    overallPass: overallEval?.pass ?? results.every(r => r.pass !== false),
-    overallScore: overallEval?.score ?? (results.length > 0 ? results.reduce((s, r) => s + (r.score || 0), 0) / results.length : 0),
-    overallReason: overallEval?.reason ?? 'Aggregated from turns',
+    overallPass: overall.pass,
+    overallScore: overall.score,
+    overallReason: overall.reason,
+    overallEval,
+    simulation: simulationSummary,
+    usage: sumUsage(results),
     messages, // Full conversation history
     environment,
   };
 }
 
-function applyEvents(environment, events) {
-  for (const event of Array.isArray(events) ? events : events ? [events] : []) {
-    const op = event.op || event.type || 'set';
-    const path = event.path || event.key;
-    if (!path) continue;
-    if (op === 'delete') {
-      setPath(environment.state, path, undefined, { delete: true });
-    } else if (op === 'increment') {
-      const current = Number(getPath(environment.state, path) || 0);
-      setPath(environment.state, path, current + Number(event.value ?? 1));
-    } else if (op === 'append') {
-      const current = getPath(environment.state, path);
-      const next = Array.isArray(current) ? [...current, event.value] : [event.value];
-      setPath(environment.state, path, next);
-    } else {
-      setPath(environment.state, path, event.value);
+async function nextSimulatedUserMessage(simulation, state, messages, completeUser, request) {
+  if (request.turn === 1 && simulation.openingMessage) {
+    return { message: simulation.openingMessage, signal: null };
+  }
+  try {
+    const response = await completeUser(buildSimulatedUserMessages(simulation, messages), {
+      ...request,
+      temperature: simulation.temperature,
+      max_tokens: simulation.max_tokens,
+    });
+    state.userCalls += 1;
+    state.usage = sumUsage([state, response]);
+    if (typeof response.cost === 'number') state.cost = (state.cost || 0) + response.cost;
+    else if (response.usage) state.costUnknown = true;
+    return parseSimulatedUserReply(response.text);
+  } catch (error) {
+    state.error = `Simulated user: ${error.message}`;
+    return { message: '', signal: 'error' };
+  }
+}
+
+/**
+ * Judge each goal condition against the full transcript. When they all hold,
+ * the transcript is cut after each earlier answered turn and re-judged until
+ * they all hold again, so `resolvedTurn` is the turn the goal was first met.
+ * Those extra judge calls are added to each condition's judgeCost.
+ * @returns {Promise<{conditions: Array, resolvedTurn: number|null}>}
+ */
+async function evaluateGoalConditions(conditions, testCase, turns, options) {
+  const fullConversation = formatTranscript(turns);
+  const evaluated = [];
+  for (const condition of conditions) {
+    const evalResult = await evaluateGoalCondition(condition, testCase, fullConversation, options);
+    evaluated.push({
+      name: condition.name,
+      met: evalResult.pass,
+      score: evalResult.score,
+      reason: evalResult.reason,
+      evalType: evalResult.evalType,
+      judgeCost: evalResult.cost ?? evalResult.judgeCost ?? null,
+      judgeCostUnknown: Boolean(evalResult.judgeCostUnknown),
+      evalError: Boolean(evalResult.evalError || evalResult.parseError),
+      ...(options.turnMetadata ? { metadata: options.turnMetadata(condition, evalResult) } : {}),
+    });
+  }
+  if (evaluated.length === 0 || !evaluated.every(condition => condition.met === true)) {
+    return { conditions: evaluated, resolvedTurn: null };
+  }
+
+  const answered = turns.filter(turn => turn.assistant !== null);
+  for (const cutoff of answered.slice(0, -1)) {
+    const transcript = formatTranscript(turns.filter(turn => turn.turn <= cutoff.turn));
+    let held = true;
+    for (const [index, condition] of conditions.entries()) {
+      const probe = await evaluateGoalCondition(condition, testCase, transcript, options);
+      const cost = probe.cost ?? probe.judgeCost;
+      if (typeof cost === 'number') evaluated[index].judgeCost = (evaluated[index].judgeCost || 0) + cost;
+      if (probe.judgeCostUnknown) evaluated[index].judgeCostUnknown = true;
+      if (probe.pass !== true) {
+        held = false;
+        break;
+      }
     }
+    if (held) return { conditions: evaluated, resolvedTurn: cutoff.turn };
+  }
+  return { conditions: evaluated, resolvedTurn: answered.at(-1)?.turn ?? null };
+}
+
+async function evaluateGoalCondition(condition, testCase, transcript, options) {
+  if (options.skipJudge && turnRequiresJudge(condition)) {
+    return { pass: null, score: null, reason: 'Skipped judge-based evaluation', evalType: 'skipped_judge' };
+  }
+  if (turnRequiresJudge(condition) && !options.judgeProvider && !options.judgePanel?.length) {
+    return { pass: false, score: 0, reason: 'No judge provider available', evalType: 'llm_judge', evalError: true };
+  }
+  return evaluate({ ...condition, name: testCase.name, prompt: transcript }, transcript, options);
+}
+
+function simulatedOverall(summary, overallEval) {
+  const scored = summary.conditions.filter(condition => typeof condition.score === 'number');
+  const conditionScore = scored.length > 0
+    ? scored.reduce((sum, condition) => sum + condition.score, 0) / scored.length
+    : null;
+  const score = overallEval?.score ?? conditionScore ?? (summary.pass ? 1 : 0);
+  const pass = summary.pass === false || overallEval?.pass === false
+    ? false
+    : summary.pass === null || overallEval?.pass === null ? null : true;
+  const expected = summary.expectedOutcome.replace('_', ' ');
+  const outcome = summary.expectedOutcome !== 'resolved'
+    ? (summary.assistantOutcome === summary.expectedOutcome ? `${expected} as expected` : `expected outcome ${expected} not reached`)
+    : summary.resolved === null
+      ? 'resolution not judged'
+      : summary.resolved ? `resolved in ${summary.turnsToResolution} turn(s)` : 'not resolved';
+  const parts = [
+    `${outcome} (ended: ${summary.endReason.replace(/_/g, ' ')})`,
+    summary.conditions.length > 0 ? `${summary.conditionsMet}/${summary.conditions.length} goal conditions met` : null,
+    summary.assistantOutcome ? `assistant ${summary.assistantOutcome.replace('_', ' ')} at turn ${summary.outcomeTurn}` : null,
+    overallEval && overallEval.pass !== null ? overallEval.reason : null,
+  ];
+  return { pass: summary.error ? false : pass, score, reason: parts.filter(Boolean).join('; ') };
+}
+
+function formatTranscript(turns) {
+  return turns
+    .map(r => `User: ${r.user}\nAssistant: ${r.assistant || '[error]'}`)
+    .join('\n\n');
+}
+
+function applyEvents(environment, events) {
+  for (const event of applyStateEvents(environment.state, events)) {
     environment.events.push({ ...event, appliedAt: new Date().toISOString() });
   }
 }
@@ -210,16 +419,14 @@ function getPath(object, path) {
   return String(path || '').split('.').reduce((current, part) => current?.[part], object);
 }
 
-function setPath(object, path, value, options = {}) {
-  const parts = String(path || '').split('.').filter(Boolean);
-  let current = object;
-  for (let i = 0; i < parts.length - 1; i++) {
-    current[parts[i]] = current[parts[i]] && typeof current[parts[i]] === 'object' ? current[parts[i]] : {};
-    current = current[parts[i]];
-  }
-  if (parts.length === 0) return;
-  if (options.delete) delete current[parts[parts.length - 1]];
-  else current[parts[parts.length - 1]] = value;
+function sumUsage(turns) {
+  const usages = turns.map(turn => turn.usage).filter(Boolean);
+  if (usages.length === 0) return null;
+  return usages.reduce((total, usage) => ({
+    prompt_tokens: total.prompt_tokens + (usage.prompt_tokens || 0),
+    completion_tokens: total.completion_tokens + (usage.completion_tokens || 0),
+    total_tokens: total.total_tokens + (usage.total_tokens || 0),
+  }), { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 });
 }
 
 function cloneJson(value) {
@@ -233,20 +440,38 @@ function turnHasEvaluation(turn) {
     || turn.expected_regex
     || turn.expected_json
     || turn.expected_tool
+    || turn.expected_trajectory
+    || turn.must_not_call
     || turn.criteria
+    || turn.rubric
   );
 }
 
-function turnRequiresJudge(turn) {
+export function turnRequiresJudge(turn) {
   const evalType = turn.eval_type
-    || (turn.expected_tool ? 'tool_call'
-      : turn.expected_json ? 'json_match'
-        : turn.expected_regex ? 'regex'
-          : turn.expected_contains ? 'contains'
-            : turn.expected ? 'exact_match'
-              : turn.criteria ? 'llm_judge'
-                : 'existence');
-  return evalType === 'llm_judge' || /^rag_(?!retrieval)/.test(evalType);
+    || (turn.expected_trajectory || turn.must_not_call ? 'tool_trajectory'
+      : turn.expected_tool ? 'tool_call'
+        : turn.expected_json ? 'json_match'
+          : turn.expected_regex ? 'regex'
+            : turn.expected_contains ? 'contains'
+              : turn.rubric ? 'rubric_judge'
+                : turn.expected ? 'exact_match'
+                  : turn.criteria ? 'llm_judge'
+                    : 'existence');
+  return evalType === 'llm_judge' || evalType === 'rubric_judge' || /^rag_(?!retrieval)/.test(evalType);
+}
+
+async function completeTurn(provider, messages, request, options) {
+  options.callBudget?.consume('completion', {
+    provider: provider.name,
+    model: request.model,
+    testCase: request.testCase,
+    turn: request.turn,
+  });
+  enforceCallCostBefore(provider, request.model, messages, request.max_tokens, options.maxCallCostUsd);
+  const response = await provider.complete(messages, request);
+  enforceCallCostAfter(provider, request.model, response, options.maxCallCostUsd);
+  return response;
 }
 
 function enforceCallCostBefore(provider, model, messages, maxTokens, maxCallCostUsd) {
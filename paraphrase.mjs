@@ -0,0 +1,350 @@
+/**
+ * Paraphrase Generation
+ *
+ * Rewordings of test prompts for robustness runs: a model writes paraphrases,
+ * and typo, casing and formatting perturbations are applied deterministically
+ */
+
+import { createHash } from 'crypto';
+import { calculateCost } from './costs.mjs';
+import { isConversationTestCase } from './multi-turn.mjs';
+import { isSimulatedUserTestCase } from './simulated-user.mjs';
+import { seededRandom } from './stats.mjs';
+
+export const PERTURBATIONS = ['typo', 'casing', 'formatting'];
+export const DEFAULT_PARAPHRASE_COUNT = 3;
+// Paraphrase pass rate this far below the base prompt's marks the case as brittle
+export const DEFAULT_PARAPHRASE_MAX_DROP = 0.2;
+
+// Spans a perturbation must leave alone: fenced code, inline code, {{placeholders}} and URLs
+const PROTECTED_PATTERN = /```[\s\S]*?```|`[^`\n]*`|\{\{[^}]*\}\}|https?:\/\/\S*[^\s.,;:!?)]/g;
+const PLACEHOLDER_PATTERN = /\{\{[^}]*\}\}/g;
+
+/**
+ * Text of a `paraphrases` entry: a string, or `{text, kind}` as written by paraphraseSuite
+ */
+export function paraphraseText(item) {
+  return typeof item === 'string' ? item : item?.text;
+}
+
+/**
+ * Where a `paraphrases` entry came from; hand-written strings are `manual`
+ */
+export function paraphraseKind(item) {
+  return typeof item === 'string' ? 'manual' : item?.kind || 'manual';
+}
+
+/**
+ * Apply one deterministic perturbation. The same text, kind and seed always
+ * give the same output; the text comes back unchanged when the kind has nothing to change.
+ * @param {string} text
+ * @param {'typo'|'casing'|'formatting'} kind
+ * @param {{seed?: number}} [options]
+ */
+export function perturbText(text, kind, options = {}) {
+  const source = String(text ?? '');
+  // Seeded from a hash of the input so each text gets its own stream
+  const random = seededRandom(createHash('sha256').update(`${options.seed ?? 0}:${kind}:${source}`).digest().readUInt32LE(0));
+  const segments = splitProtected(source);
+  switch (kind) {
+    case 'typo':
+      return addTypos(segments, random);
+    case 'casing':
+      return changeCasing(segments);
+    case 'formatting':
+      return reformat(segments);
+    default:
+      throw new Error(`Unknown perturbation: ${kind}. Available: ${PERTURBATIONS.join(', ')}`);
+  }
+}
+
+/**
+ * Messages asking a model for `count` paraphrases of one prompt
+ */
+export function buildParaphraseMessages(text, count) {
+  return [
+    {
+      role: 'system',
+      content: [
+        `You write paraphrases of prompts for robustness testing. Write ${count} paraphrases of the user's message.`,
+        'Each paraphrase must ask for exactly the same thing: keep every fact, constraint, name, number, code snippet and {{placeholder}} unchanged, and change only the wording and sentence structure.',
+        'Vary the register across paraphrases: casual, formal, terse, or phrased as a question.',
+        `Reply with only a JSON array of ${count} strings.`,
+      ].join('\n'),
+    },
+    { role: 'user', content: text },
+  ];
+}
+
+/**
+ * Read paraphrases from a model reply: a JSON array of strings, or failing that
+ * one per numbered or bulleted line
+ */
+export function parseParaphraseList(text) {
+  const raw = String(text ?? '').replace(/```(?:json)?/g, '').trim();
+  const start = raw.indexOf('[');
+  const end = raw.lastIndexOf(']');
+  if (start >= 0 && end > start) {
+    try {
+      const parsed = JSON.parse(raw.slice(start, end + 1));
+      if (Array.isArray(parsed)) return parsed.filter(item => typeof item === 'string').map(item => item.trim()).filter(Boolean);
+    } catch {
+      // Fall through to line parsing
+    }
+  }
+  return raw.split('\n')
+    .map(line => line.replace(/^\s*(?:\d+[.)]|[-*•])\s+/, '').replace(/^"(.*)"$/, '$1').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Ask a model for paraphrases of one prompt. Paraphrases that repeat the
+ * original or another paraphrase, or drop one of its {{placeholders}}, are rejected.
+ * @param {string} text
+ * @param {Object} provider
+ * @param {Object} [options] - `count`, `model`, `temperature`, `max_tokens` and `testCase` (for mock fixtures)
+ * @returns {Promise<{paraphrases: string[], rejected: string[], usage: Object, cost: number|null}>}
+ */
+export async function generateParaphrases(text, provider, options = {}) {
+  const count = options.count ?? DEFAULT_PARAPHRASE_COUNT;
+  const model = options.model || provider.defaultModel;
+  const response = await provider.complete(buildParaphraseMessages(text, count), {
+    model,
+    temperature: options.temperature ?? 0.9,
+    max_tokens: options.max_tokens || 1024,
+    testCase: options.testCase,
+  });
+
+  const placeholders = String(text).match(PLACEHOLDER_PATTERN) || [];
+  const seen = new Set([normalizeForComparison(text)]);
+  const paraphrases = [];
+  const rejected = [];
+  for (const candidate of parseParaphraseList(response.text)) {
+    const key = normalizeForComparison(candidate);
+    if (seen.has(key) || placeholders.some(placeholder => !candidate.includes(placeholder))) {
+      rejected.push(candidate);
+      continue;
+    }
+    seen.add(key);
+    paraphrases.push(candidate);
+  }
+
+  return {
+    paraphrases: paraphrases.slice(0, count),
+    rejected,
+    usage: response.usage || null,
+    cost: response.cost ?? responseCost(provider, model, response.usage),
+  };
+}
+
+/**
+ * Add generated paraphrases to every test case that sends a prompt to a model.
+ * Prompt cases get them in `paraphrases`; conversations on each turn, slot N of
+ * every turn written together. Generated entries are `{text, kind}`, where kind
+ * is `model` or a perturbation; existing entries are kept as written.
+ * @param {Object} evalConfig - Suite with `test_cases` (or `conversations`, or a top-level conversation)
+ * @param {Object|null} provider - Paraphrasing model; null skips model paraphrases
+ * @param {Object} [options] - `count`, `model`, `perturbations`, `seed`, `temperature`, `max_tokens`, `onCase(name, outcome)`
+ * @returns {Promise<{config: Object, stats: Object}>}
+ */
+export async function paraphraseSuite(evalConfig, provider, options = {}) {
+  const perturbations = options.perturbations ?? PERTURBATIONS;
+  for (const kind of perturbations) {
+    if (!PERTURBATIONS.includes(kind)) {
+      throw new Error(`Unknown perturbation: ${kind}. Available: ${PERTURBATIONS.join(', ')}`);
+    }
+  }
+  const count = provider ? options.count ?? DEFAULT_PARAPHRASE_COUNT : 0;
+  const stats = { cases: 0, skipped: [], slots: {}, rejected: 0, calls: 0, cost: 0, costUnknown: false, errors: [] };
+
+  const paraphraseCase = async testCase => {
+    const texts = paraphraseTargets(testCase);
+    if (!texts) {
+      stats.skipped.push(testCase.name || 'Unnamed');
+      return testCase;
+    }
+
+    const existing = existingSlots(testCase, texts);
+    const slots = [...existing];
+    const seen = new Set([texts, ...existing.map(slot => slot.texts)].map(list => list.map(normalizeForComparison).join('\n')));
+    const addSlot = (kind, slotTexts) => {
+      const key = slotTexts.map(normalizeForComparison).join('\n');
+      if (seen.has(key)) return;
+      seen.add(key);
+      slots.push({ kind, texts: slotTexts });
+      stats.slots[kind] = (stats.slots[kind] || 0) + 1;
+    };
+
+    if (count > 0) {
+      try {
+        const perTurn = [];
+        for (const text of texts) {
+          const generated = await generateParaphrases(text, provider, { ...options, count, testCase: testCase.name });
+          stats.calls++;
+          stats.rejected += generated.rejected.length;
+          if (generated.cost === null || generated.cost === undefined) stats.costUnknown = true;
+          else stats.cost += generated.cost;
+          perTurn.push(generated.paraphrases);
+        }
+        const usable = Math.min(...perTurn.map(list => list.length));
+        for (let i = 0; i < usable; i++) addSlot('model', perTurn.map(list => list[i]));
+      } catch (error) {
+        stats.errors.push({ testCase: testCase.name || 'Unnamed', error: error.message });
+      }
+    }
+    for (const kind of perturbations) {
+      addSlot(kind, texts.map(text => perturbText(text, kind, { seed: options.seed })));
+    }
+
+    stats.cases++;
+    options.onCase?.(testCase.name || 'Unnamed', { slots: slots.length - existing.length });
+    return withSlots(testCase, slots);
+  };
+
+  if (Array.isArray(evalConfig.test_cases) || Array.isArray(evalConfig.conversations)) {
+    const key = Array.isArray(evalConfig.test_cases) ? 'test_cases' : 'conversations';
+    const testCases = [];
+    for (const testCase of evalConfig[key]) testCases.push(await paraphraseCase(testCase));
+    return { config: { ...evalConfig, [key]: testCases }, stats };
+  }
+  return { config: await paraphraseCase(evalConfig), stats };
+}
+
+// The user texts to paraphrase, one per turn, or null for cases that do not send a prompt to a model
+function paraphraseTargets(testCase) {
+  if (isSimulatedUserTestCase(testCase) || usesStaticResponse(testCase)) return null;
+  if (isConversationTestCase(testCase)) {
+    const turns = testCase.turns || testCase.conversation;
+    // A templated turn is rebuilt from state on every run, so it has no fixed text to reword
+    if (turns.length === 0 || turns.some(turn => turn.user_template)) return null;
+    const texts = turns.map(turn => turn.user ?? turn.prompt ?? turn.input);
+    return texts.every(text => typeof text === 'string' && text.trim()) ? texts : null;
+  }
+  return typeof testCase.prompt === 'string' && testCase.prompt.trim() ? [testCase.prompt] : null;
+}
+
+function usesStaticResponse(testCase) {
+  return ['static_response', 'staticResponse', 'response_a', 'responseA', 'candidate_a', 'candidateA']
+    .some(key => testCase[key] !== undefined) || testCase.eval_type === 'pairwise_judge';
+}
+
+// Paraphrases already on the case, kept as written. Conversation turns with fewer entries keep their original text.
+function existingSlots(testCase, texts) {
+  if (!isConversationTestCase(testCase)) {
+    return (testCase.paraphrases || []).map(item => ({ items: [item], texts: [paraphraseText(item)] }));
+  }
+  const turns = testCase.turns || testCase.conversation;
+  const count = Math.max(0, ...turns.map(turn => (Array.isArray(turn.paraphrases) ? turn.paraphrases.length : 0)));
+  return Array.from({ length: count }, (_, i) => {
+    const items = turns.map(turn => turn.paraphrases?.[i]);
+    return { items, texts: items.map((item, t) => paraphraseText(item) || texts[t]) };
+  });
+}
+
+function withSlots(testCase, slots) {
+  const entry = (slot, t) => (slot.items ? slot.items[t] ?? slot.texts[t] : { text: slot.texts[t], kind: slot.kind });
+  if (!isConversationTestCase(testCase)) {
+    return { ...testCase, paraphrases: slots.map(slot => entry(slot, 0)) };
+  }
+  const key = testCase.turns ? 'turns' : 'conversation';
+  return {
+    ...testCase,
+    [key]: testCase[key].map((turn, t) => ({ ...turn, paraphrases: slots.map(slot => entry(slot, t)) })),
+  };
+}
+
+function addTypos(segments, random) {
+  const candidates = [];
+  segments.forEach((segment, index) => {
+    if (segment.protected) return;
+    for (const match of segment.text.matchAll(/[A-Za-z]{4,}/g)) {
+      candidates.push({ index, start: match.index, word: match[0] });
+    }
+  });
+  if (candidates.length === 0) return joinSegments(segments);
+
+  const typoCount = Math.min(3, Math.max(1, Math.round(candidates.length / 10)));
+  const chosen = shuffle(candidates, random).slice(0, typoCount)
+    .sort((a, b) => b.index - a.index || b.start - a.start);
+  const texts = segments.map(segment => segment.text);
+  for (const { index, start, word } of chosen) {
+    const typo = misspell(word, random);
+    texts[index] = texts[index].slice(0, start) + typo + texts[index].slice(start + word.length);
+  }
+  return texts.join('');
+}
+
+// Swap two neighbouring letters, drop one or double one; never the first letter
+function misspell(word, random) {
+  const position = 1 + Math.floor(random() * (word.length - 2));
+  const operation = Math.floor(random() * 3);
+  if (operation === 0 && word[position] !== word[position + 1]) {
+    return word.slice(0, position) + word[position + 1] + word[position] + word.slice(position + 2);
+  }
+  if (operation === 2) {
+    return word.slice(0, position) + word[position] + word.slice(position);
+  }
+  return word.slice(0, position) + word.slice(position + 1);
+}
+
+// All lower case, the way prompts are often typed; all upper case when the text has no capitals
+function changeCasing(segments) {
+  const hasCapitals = segments.some(segment => !segment.protected && /[A-Z]/.test(segment.text));
+  return segments
+    .map(segment => (segment.protected ? segment.text : hasCapitals ? segment.text.toLowerCase() : segment.text.toUpperCase()))
+    .join('');
+}
+
+// Multi-line prompts are flattened onto one line; single-line prompts get one
+// sentence per line. Either way spacing is collapsed and the final punctuation dropped.
+function reformat(segments) {
+  const multiline = segments.some(segment => !segment.protected && /\S[ \t]*\n\s*\S/.test(segment.text));
+  const texts = segments.map(segment => {
+    if (segment.protected) return segment.text;
+    const text = multiline
+      ? segment.text.replace(/(\S)[ \t]*\n\s*(?=\S)/g, '$1 ')
+      : segment.text.replace(/([.!?])[ \t]+(?=[A-Z])/g, '$1\n');
+    return text.replace(/[ \t]{2,}/g, ' ');
+  });
+  const last = segments.length - 1;
+  if (last >= 0 && !segments[last].protected) {
+    texts[last] = texts[last].replace(/[.!?]+(\s*)$/, '$1');
+  }
+  return texts.join('');
+}
+
+function splitProtected(text) {
+  const segments = [];
+  let offset = 0;
+  for (const match of text.matchAll(PROTECTED_PATTERN)) {
+    if (match.index > offset) segments.push({ text: text.slice(offset, match.index), protected: false });
+    segments.push({ text: match[0], protected: true });
+    offset = match.index + match[0].length;
+  }
+  if (offset < text.length) segments.push({ text: text.slice(offset), protected: false });
+  return segments;
+}
+
+function joinSegments(segments) {
+  return segments.map(segment => segment.text).join('');
+}
+
+function normalizeForComparison(text) {
+  return String(text ?? '').trim();
+}
+
+function responseCost(provider, model, usage) {
+  if (!usage) return null;
+  return typeof provider.calculateCost === 'function'
+    ? provider.calculateCost(usage, model)
+    : calculateCost(model, usage);
+}
+
+function shuffle(items, random) {
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
@@ -36,6 +36,7 @@ export class AnthropicProvider extends BaseProvider {
     this.apiKey = config.apiKey || process.env.ANTHROPIC_API_KEY;
     this.baseUrl = 'https://api.anthropic.com/v1';
     this.defaultModel = config.defaultModel || 'claude-sonnet-4-6';
+    this.structuredOutput = true;
   }
 
   async complete(messages, options = {}) {
@@ -60,7 +61,7 @@ export class AnthropicProvider extends BaseProvider {
 
     const requestBody = {
       model,
-      messages: userMessages,
+      messages: this.toAnthropicMessages(userMessages),
       max_tokens: options.max_tokens || options.maxTokens || 2048,
       temperature: options.temperature ?? 0.7,
     };
@@ -79,6 +80,16 @@ export class AnthropicProvider extends BaseProvider {
       });
     }
     if (options.tool_choice) requestBody.tool_choice = options.tool_choice;
+    // Anthropic has no JSON mode: force a single tool whose input schema is the response schema
+    const structuredTool = options.response_schema && !options.tools ? (options.response_schema.name || 'response') : null;
+    if (structuredTool) {
+      requestBody.tools = [{
+        name: structuredTool,
+        description: 'Record the response in the required structure',
+        input_schema: options.response_schema.schema,
+      }];
+      requestBody.tool_choice = { type: 'tool', name: structuredTool };
+    }
 
     const response = await this.fetchWithTimeout(`${this.baseUrl}/messages`, {
       timeoutMs: options.timeoutMs,
@@ -104,12 +115,15 @@ export class AnthropicProvider extends BaseProvider {
     const cost = this.calculateCost(usage, model);
 
     // Anthropic returns content as an array
-    const text = data.content
-      ?.filter(c => c.type === 'text')
-      .map(c => c.text)
-      .join('') || '';
+    const structured = structuredTool ? data.content?.find(c => c.type === 'tool_use' && c.name === structuredTool) : null;
+    const text = structured
+      ? JSON.stringify(structured.input || {})
+      : data.content
+        ?.filter(c => c.type === 'text')
+        .map(c => c.text)
+        .join('') || '';
     const toolCalls = data.content
-      ?.filter(c => c.type === 'tool_use')
+      ?.filter(c => c.type === 'tool_use' && c !== structured)
       .map(c => ({
         id: c.id,
         name: c.name,
@@ -130,6 +144,41 @@ export class AnthropicProvider extends BaseProvider {
       toolCalls,
     };
   }
+  /**
+   * Convert OpenAI-format tool-loop messages to tool_use / tool_result content blocks
+   */
+  toAnthropicMessages(messages) {
+    const converted = [];
+    for (const msg of messages) {
+      if (msg.role === 'tool') {
+        const block = { type: 'tool_result', tool_use_id: msg.tool_call_id, content: String(msg.content ?? '') };
+        const previous = converted[converted.length - 1];
+        // Results for parallel calls must share one user turn
+        if (previous?.role === 'user' && Array.isArray(previous.content) && previous.content.every(item => item.type === 'tool_result')) {
+          previous.content.push(block);
+        } else {
+          converted.push({ role: 'user', content: [block] });
+        }
+      } else if (msg.role === 'assistant' && Array.isArray(msg.tool_calls) && msg.tool_calls.length > 0) {
+        converted.push({
+          role: 'assistant',
+          content: [
+            ...(msg.content ? [{ type: 'text', text: msg.content }] : []),
+            ...msg.tool_calls.map(call => ({
+              type: 'tool_use',
+              id: call.id,
+              name: call.function?.name || call.name,
+              input: this.parseToolArguments(call.function?.arguments ?? call.args),
+            })),
+          ],
+        });
+      } else {
+        converted.push(msg);
+      }
+    }
+    return converted;
+  }
+
 
   async streamComplete(messages, options = {}, onChunk = () => {}) {
     if (!this.apiKey) {
@@ -152,7 +201,7 @@ export class AnthropicProvider extends BaseProvider {
 
     const requestBody = {
       model,
-      messages: userMessages,
+      messages: this.toAnthropicMessages(userMessages),
       max_tokens: options.max_tokens || options.maxTokens || 2048,
       temperature: options.temperature ?? 0.7,
       stream: true,
@@ -1,4 +1,6 @@
 import { parseEnvInteger } from '../env-utils.mjs';
+import { fetchWithCassette } from '../cassette.mjs';
+import { noteRateLimitHeaders } from '../rate-limiter.mjs';
 
 /**
  * Base Provider Class
@@ -10,6 +12,8 @@ export class BaseProvider {
     this.config = config;
     this.name = 'base';
     this.timeout = config.timeout || parseEnvInteger(process.env.EVAL_TIMEOUT_MS, 60000, { min: 1000, max: 30 * 60 * 1000 });
+    // Set by providers whose complete() constrains output to options.response_schema
+    this.structuredOutput = false;
   }
 
   /**
@@ -34,6 +38,81 @@ export class BaseProvider {
     return this.complete(messages, options);
   }
 
+  /**
+   * Stream a completion and time it: time to first token, mean gap per output
+   * token and decode throughput (output tokens/sec after the first token).
+   * Providers without streamComplete() fall back to complete() and report `streamed: false`.
+   * @returns {Promise<Object>} The streamComplete() result plus a `streaming` timing object
+   */
+  async streamWithTimings(messages, options = {}, onChunk = () => {}) {
+    const startTime = performance.now();
+    const chunkTimes = [];
+    const result = await this.streamComplete(messages, options, chunk => {
+      if (chunk) chunkTimes.push(performance.now());
+      onChunk(chunk);
+    });
+    const endTime = performance.now();
+    return { ...result, streaming: streamingTimings(startTime, endTime, chunkTimes, result.usage) };
+  }
+
+  /**
+   * Read an OpenAI-style chat-completions SSE stream.
+   * Lines are buffered across network chunks; tool calls arrive as fragments keyed
+   * by index and their arguments are concatenated.
+   * @param {Response} response
+   * @param {Function} onChunk - Called with each text delta
+   * @returns {Promise<{text: string, usage: Object|null, toolCalls: Array}>}
+   */
+  async readChatCompletionStream(response, onChunk = () => {}) {
+    let text = '';
+    let usage = null;
+    const toolCalls = [];
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const handleLine = line => {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) return;
+      const data = trimmed.slice(5).trim();
+      if (data === '[DONE]') return;
+
+      let parsed;
+      try {
+        parsed = JSON.parse(data);
+      } catch {
+        return; // Skip keep-alives and partial frames
+      }
+      const delta = parsed.choices?.[0]?.delta || {};
+      if (delta.content) {
+        text += delta.content;
+        onChunk(delta.content);
+      }
+      for (const fragment of delta.tool_calls || []) {
+        const index = fragment.index ?? toolCalls.length;
+        const call = toolCalls[index] || (toolCalls[index] = { id: null, type: 'function', function: { name: '', arguments: '' } });
+        if (fragment.id) call.id = fragment.id;
+        if (fragment.function?.name) call.function.name += fragment.function.name;
+        if (fragment.function?.arguments) call.function.arguments += fragment.function.arguments;
+      }
+      if (parsed.usage) {
+        usage = parsed.usage;
+      }
+    };
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    }
+    if (buffer) handleLine(buffer);
+
+    return { text, usage, toolCalls: toolCalls.filter(Boolean) };
+  }
+
   /**
    * Get list of available models for this provider
    * @returns {Promise<Array<{id: string, name: string, contextLength?: number}>>}
@@ -63,7 +142,34 @@ export class BaseProvider {
   }
 
   /**
-   * Make an HTTP request with timeout
+   * OpenAI-style `response_format` for options.response_schema ({name, schema}), if any
+   * @returns {Object|undefined}
+   */
+  responseFormatFor(options = {}) {
+    if (!options.response_schema) return undefined;
+    const { name = 'response', schema } = options.response_schema;
+    return { type: 'json_schema', json_schema: { name, schema, strict: false } };
+  }
+
+  /**
+   * Parse tool-call arguments that arrive as a JSON string (OpenAI message format)
+   * @param {string|Object} args
+   * @returns {Object}
+   */
+  parseToolArguments(args) {
+    if (typeof args !== 'string') return args || {};
+    try {
+      return JSON.parse(args);
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Make an HTTP request with timeout (recorded/replayed when a cassette is active).
+   * Rate-limit headers on the response pause further calls to this provider.
+   * Once headers arrive the timeout becomes an idle timeout on the body: it
+   * restarts with every chunk, so a stalled stream aborts instead of hanging the run.
    * @param {string} url
    * @param {Object} options - fetch options
    * @returns {Promise<Response>}
@@ -72,17 +178,41 @@ export class BaseProvider {
     const controller = new AbortController();
     const timeout = options.timeoutMs || options.timeout || this.timeout;
     const { timeoutMs, timeout: _timeout, ...fetchOptions } = options;
-    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    let timeoutId = setTimeout(() => controller.abort(), timeout);
 
+    let response;
     try {
-      const response = await fetch(url, {
+      response = await fetchWithCassette(url, {
         ...fetchOptions,
         signal: controller.signal,
-      });
-      return response;
-    } finally {
+      }, fetch);
+    } catch (error) {
+      clearTimeout(timeoutId);
+      throw error;
+    }
+    noteRateLimitHeaders(this.name, response);
+    if (!response.body) {
       clearTimeout(timeoutId);
+      return response;
     }
+
+    const restartIdleTimer = () => {
+      clearTimeout(timeoutId);
+      timeoutId = setTimeout(() => controller.abort(new Error(`Response body stalled for ${timeout}ms`)), timeout);
+      // A body nobody reads must not hold the process open
+      timeoutId.unref?.();
+    };
+    restartIdleTimer();
+    const body = response.body.pipeThrough(new TransformStream({
+      transform(chunk, streamController) {
+        restartIdleTimer();
+        streamController.enqueue(chunk);
+      },
+      flush() {
+        clearTimeout(timeoutId);
+      },
+    }));
+    return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
   }
 
   /**
@@ -95,3 +225,28 @@ export class BaseProvider {
     return null;
   }
 }
+
+function streamingTimings(startTime, endTime, chunkTimes, usage) {
+  const outputTokens = usage?.completion_tokens || null;
+  if (chunkTimes.length === 0) {
+    return { streamed: false, ttftMs: null, interTokenMs: null, tokensPerSecond: null, outputTokens, chunks: 0 };
+  }
+
+  // Providers that omit stream usage are approximated with one token per chunk
+  const tokens = outputTokens || chunkTimes.length;
+  const firstChunk = chunkTimes[0];
+  const lastChunk = chunkTimes[chunkTimes.length - 1];
+  const decodeMs = endTime - firstChunk;
+  return {
+    streamed: true,
+    ttftMs: round(firstChunk - startTime),
+    interTokenMs: tokens > 1 ? round((lastChunk - firstChunk) / (tokens - 1)) : null,
+    tokensPerSecond: decodeMs > 0 && tokens > 1 ? round(tokens / (decodeMs / 1000)) : null,
+    outputTokens,
+    chunks: chunkTimes.length,
+  };
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
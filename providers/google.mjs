@@ -31,6 +31,7 @@ export class GoogleProvider extends BaseProvider {
     this.apiKey = config.apiKey || process.env.GOOGLE_API_KEY;
     this.baseUrl = 'https://generativelanguage.googleapis.com/v1beta';
     this.defaultModel = config.defaultModel || 'gemini-2.5-flash';
+    this.structuredOutput = true;
   }
 
   async complete(messages, options = {}) {
@@ -46,9 +47,33 @@ export class GoogleProvider extends BaseProvider {
     const contents = [];
     let systemInstruction = null;
 
+    const toolNames = new Map();
+
     for (const msg of normalizedMessages) {
       if (msg.role === 'system') {
         systemInstruction = { parts: [{ text: msg.content }] };
+      } else if (msg.role === 'assistant' && Array.isArray(msg.tool_calls) && msg.tool_calls.length > 0) {
+        const parts = msg.content ? [{ text: msg.content }] : [];
+        for (const call of msg.tool_calls) {
+          const name = call.function?.name || call.name;
+          toolNames.set(call.id, name);
+          parts.push({ functionCall: { name, args: this.parseToolArguments(call.function?.arguments ?? call.args) } });
+        }
+        contents.push({ role: 'model', parts });
+      } else if (msg.role === 'tool') {
+        const part = {
+          functionResponse: {
+            name: toolNames.get(msg.tool_call_id) || msg.name,
+            response: { content: msg.content },
+          },
+        };
+        const previous = contents[contents.length - 1];
+        // Responses to parallel calls must share one turn
+        if (previous?.parts.every(item => item.functionResponse)) {
+          previous.parts.push(part);
+        } else {
+          contents.push({ role: 'user', parts: [part] });
+        }
       } else {
         contents.push({
           role: msg.role === 'assistant' ? 'model' : 'user',
@@ -72,6 +97,9 @@ export class GoogleProvider extends BaseProvider {
       requestBody.tools = [{
         functionDeclarations: options.tools.map(tool => tool.function || tool),
       }];
+    } else if (options.response_schema) {
+      requestBody.generationConfig.responseMimeType = 'application/json';
+      requestBody.generationConfig.responseSchema = toGeminiSchema(options.response_schema.schema);
     }
 
     const url = `${this.baseUrl}/models/${model}:generateContent?key=${this.apiKey}`;
@@ -133,9 +161,33 @@ export class GoogleProvider extends BaseProvider {
     const contents = [];
     let systemInstruction = null;
 
+    const toolNames = new Map();
+
     for (const msg of normalizedMessages) {
       if (msg.role === 'system') {
         systemInstruction = { parts: [{ text: msg.content }] };
+      } else if (msg.role === 'assistant' && Array.isArray(msg.tool_calls) && msg.tool_calls.length > 0) {
+        const parts = msg.content ? [{ text: msg.content }] : [];
+        for (const call of msg.tool_calls) {
+          const name = call.function?.name || call.name;
+          toolNames.set(call.id, name);
+          parts.push({ functionCall: { name, args: this.parseToolArguments(call.function?.arguments ?? call.args) } });
+        }
+        contents.push({ role: 'model', parts });
+      } else if (msg.role === 'tool') {
+        const part = {
+          functionResponse: {
+            name: toolNames.get(msg.tool_call_id) || msg.name,
+            response: { content: msg.content },
+          },
+        };
+        const previous = contents[contents.length - 1];
+        // Responses to parallel calls must share one turn
+        if (previous?.parts.every(item => item.functionResponse)) {
+          previous.parts.push(part);
+        } else {
+          contents.push({ role: 'user', parts: [part] });
+        }
       } else {
         contents.push({
           role: msg.role === 'assistant' ? 'model' : 'user',
@@ -259,3 +311,28 @@ export class GoogleProvider extends BaseProvider {
     return inputCost + outputCost;
   }
 }
+
+/**
+ * Reduce a JSON Schema to the OpenAPI subset Gemini's responseSchema accepts.
+ * Validation keywords it rejects (additionalProperties, minLength, ...) are dropped;
+ * callers still validate the parsed output themselves.
+ */
+function toGeminiSchema(schema) {
+  if (!schema || typeof schema !== 'object') return schema;
+  const result = {};
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const concrete = types.filter(type => type !== 'null');
+    result.type = String(concrete[0] || 'string').toUpperCase();
+    if (concrete.length < types.length) result.nullable = true;
+  }
+  for (const key of ['description', 'enum', 'format', 'minimum', 'maximum', 'minItems', 'maxItems']) {
+    if (schema[key] !== undefined) result[key] = schema[key];
+  }
+  if (schema.properties) {
+    result.properties = Object.fromEntries(Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)]));
+  }
+  if (Array.isArray(schema.required)) result.required = schema.required;
+  if (schema.items && !Array.isArray(schema.items)) result.items = toGeminiSchema(schema.items);
+  return result;
+}
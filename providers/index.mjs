@@ -8,7 +8,11 @@ import { OpenRouterProvider } from './openrouter.mjs';
 import { OpenAIProvider } from './openai.mjs';
 import { AnthropicProvider } from './anthropic.mjs';
 import { GoogleProvider } from './google.mjs';
+import { MockProvider } from './mock.mjs';
+import { OpenAICompatibleProvider } from './openai-compatible.mjs';
 import { parseEnvInteger } from '../env-utils.mjs';
+import { readFileSync, existsSync } from 'fs';
+import { resolve } from 'path';
 
 const PROVIDERS = {
   ollama: OllamaProvider,
@@ -16,23 +20,34 @@ const PROVIDERS = {
   openai: OpenAIProvider,
   anthropic: AnthropicProvider,
   google: GoogleProvider,
+  mock: MockProvider,
+  'openai-compatible': OpenAICompatibleProvider,
 };
 
+// Provider types a named endpoint can be built from
+const ENDPOINT_TYPES = {
+  'openai-compatible': OpenAICompatibleProvider,
+};
+
+// Named endpoints from providers.json (or PROVIDERS_CONFIG) and eval `providers` blocks
+let endpoints = null;
+
 // Provider instances cache
 const instances = {};
 const DEFAULT_PROVIDER_CACHE_TTL_MS = 5 * 60 * 1000;
 
 /**
  * Get a provider instance by name
- * @param {string} name - Provider name (ollama, openrouter, openai, anthropic, google)
+ * @param {string} name - Provider name (ollama, openrouter, openai, anthropic, google, mock, openai-compatible) or a named endpoint
  * @param {Object} config - Optional provider-specific config
  * @returns {BaseProvider}
  */
 export function getProvider(name, config = {}) {
   const normalizedName = name.toLowerCase();
+  const endpoint = getEndpoints()[normalizedName];
   
-  if (!PROVIDERS[normalizedName]) {
-    throw new Error(`Unknown provider: ${name}. Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  if (!PROVIDERS[normalizedName] && !endpoint) {
+    throw new Error(`Unknown provider: ${name}. Available: ${getProviderNames().join(', ')}`);
   }
 
   // Cache provider instances unless config is passed
@@ -42,8 +57,9 @@ export function getProvider(name, config = {}) {
     return instances[cacheKey].instance;
   }
 
-  const ProviderClass = PROVIDERS[normalizedName];
-  const instance = new ProviderClass(config);
+  const instance = endpoint
+    ? new ENDPOINT_TYPES[endpoint.type]({ ...endpoint, ...config, name: normalizedName })
+    : new PROVIDERS[normalizedName](config);
 
   if (cacheKey) {
     instances[cacheKey] = {
@@ -55,6 +71,46 @@ export function getProvider(name, config = {}) {
   return instance;
 }
 
+/**
+ * Register named endpoints, e.g. from an eval config's `providers` block.
+ * Each entry is `{ type: 'openai-compatible', baseUrl, apiKeyEnv, headers, models, pricing, ... }`.
+ * @param {Object<string, Object>} definitions - Provider name -> endpoint config
+ */
+export function registerProviders(definitions = {}) {
+  const registered = getEndpoints();
+  for (const [name, definition] of Object.entries(definitions || {})) {
+    const normalizedName = name.toLowerCase();
+    if (PROVIDERS[normalizedName]) {
+      throw new Error(`Provider name "${name}" is reserved for the built-in provider`);
+    }
+    const type = String(definition?.type || 'openai-compatible').toLowerCase();
+    if (!ENDPOINT_TYPES[type]) {
+      throw new Error(`Unknown type "${definition?.type}" for provider "${name}". Available: ${Object.keys(ENDPOINT_TYPES).join(', ')}`);
+    }
+    registered[normalizedName] = { ...definition, type };
+    invalidateProvider(normalizedName);
+  }
+}
+
+function getEndpoints() {
+  if (!endpoints) {
+    endpoints = {};
+    const configPath = resolve(process.cwd(), process.env.PROVIDERS_CONFIG || 'providers.json');
+    if (existsSync(configPath)) {
+      let parsed;
+      try {
+        parsed = JSON.parse(readFileSync(configPath, 'utf8'));
+      } catch (error) {
+        throw new Error(`Invalid provider config ${configPath}: ${error.message}`);
+      }
+      registerProviders(parsed.providers || parsed);
+    } else if (process.env.PROVIDERS_CONFIG) {
+      throw new Error(`Provider config not found: ${configPath}`);
+    }
+  }
+  return endpoints;
+}
+
 function isProviderCacheExpired(entry) {
   const ttlMs = parseEnvInteger(process.env.PROVIDER_CACHE_TTL_MS, DEFAULT_PROVIDER_CACHE_TTL_MS, { min: 0, max: 30 * 60 * 1000 });
   return Date.now() - entry.createdAt > ttlMs;
@@ -77,7 +133,7 @@ export function invalidateProvider(name) {
 export async function getAvailableProviders() {
   const results = [];
   
-  for (const [name, ProviderClass] of Object.entries(PROVIDERS)) {
+  for (const name of getProviderNames()) {
     const provider = getProvider(name);
     const available = await provider.isAvailable();
     results.push({ name, provider, available });
@@ -94,7 +150,7 @@ export async function getAvailableProviders() {
 export async function getDefaultProvider() {
   const defaultName = process.env.DEFAULT_PROVIDER?.toLowerCase();
   
-  if (defaultName && PROVIDERS[defaultName]) {
+  if (defaultName && (PROVIDERS[defaultName] || getEndpoints()[defaultName])) {
     const provider = getProvider(defaultName);
     if (await provider.isAvailable()) {
       return provider;
@@ -120,8 +176,8 @@ export async function getDefaultProvider() {
  * @returns {string[]}
  */
 export function getProviderNames() {
-  return Object.keys(PROVIDERS);
+  return [...Object.keys(PROVIDERS), ...Object.keys(getEndpoints())];
 }
 
 // Re-export provider classes
-export { OllamaProvider, OpenRouterProvider, OpenAIProvider, AnthropicProvider, GoogleProvider };
+export { OllamaProvider, OpenRouterProvider, OpenAIProvider, AnthropicProvider, GoogleProvider, MockProvider, OpenAICompatibleProvider };
@@ -0,0 +1,246 @@
+/**
+ * Mock Provider
+ * Scripted and replayed responses for fully offline eval runs
+ */
+
+import { createHash } from 'crypto';
+import { existsSync, readFileSync } from 'fs';
+import { resolve, join } from 'path';
+import { BaseProvider } from './base.mjs';
+import { loadTrace } from '../tracer.mjs';
+import { seededRandom } from '../stats.mjs';
+
+export class MockProvider extends BaseProvider {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'mock';
+    this.defaultModel = config.defaultModel || 'mock-model';
+    // Fixture edits must take effect immediately, so never serve mock output from the response cache
+    this.cacheable = false;
+    this.fixturesPath = config.fixtures || process.env.MOCK_FIXTURES || null;
+    this.replayTrace = config.replayTrace || process.env.MOCK_REPLAY_TRACE || null;
+    this.latencyMs = numberOr(config.latencyMs ?? process.env.MOCK_LATENCY_MS, 0);
+    this.chunkDelayMs = numberOr(config.chunkDelayMs ?? process.env.MOCK_CHUNK_DELAY_MS, 0);
+    this.rateLimitRate = numberOr(config.rateLimitRate ?? process.env.MOCK_RATE_LIMIT_RATE, 0);
+    this.timeoutRate = numberOr(config.timeoutRate ?? process.env.MOCK_TIMEOUT_RATE, 0);
+    this.random = seededRandom(numberOr(config.seed ?? process.env.MOCK_SEED, 42));
+    this.responses = {};
+    this.defaultResponse = null;
+    this.pricing = null;
+    this.callCounts = new Map();
+    this.loaded = false;
+  }
+
+  async complete(messages, options = {}) {
+    return (await this.respond(messages, options)).result;
+  }
+
+  /**
+   * Stream the scripted text word by word: `latencyMs` is the time to first token and
+   * `chunkDelayMs` (entry, fixture file or MOCK_CHUNK_DELAY_MS) the gap between chunks
+   */
+  async streamComplete(messages, options = {}, onChunk = () => {}) {
+    const startTime = Date.now();
+    const { result, entry } = await this.respond(messages, options);
+    const chunkDelayMs = entry.chunkDelayMs ?? entry.chunk_delay_ms ?? this.chunkDelayMs;
+    const chunks = String(result.text).match(/\s*\S+\s*/g) || [];
+    for (const [index, chunk] of chunks.entries()) {
+      if (index > 0 && chunkDelayMs > 0) await sleep(chunkDelayMs);
+      onChunk(chunk);
+    }
+    return { ...result, latencyMs: Date.now() - startTime };
+  }
+
+  async respond(messages, options = {}) {
+    this.loadFixtures();
+
+    const normalizedMessages = this.normalizeMessages(messages);
+    const model = options.model || this.defaultModel;
+    const startTime = Date.now();
+    const promptHash = hashPrompt(normalizedMessages);
+    const entry = this.resolveEntry(model, options.testCase, promptHash);
+
+    if (!entry) {
+      throw new Error(`Mock provider has no response for test case "${options.testCase || 'unknown'}" (prompt hash ${promptHash})`);
+    }
+
+    const latencyMs = entry.latencyMs ?? entry.latency_ms ?? this.latencyMs;
+    if (latencyMs > 0) await sleep(latencyMs);
+
+    const simulatedError = entry.error ?? this.randomError();
+    if (simulatedError !== undefined && simulatedError !== null) {
+      throw simulatedErrorFor(simulatedError, options.timeoutMs || this.timeout);
+    }
+
+    const text = entry.text ?? entry.content ?? '';
+    const promptTokens = normalizedMessages.reduce((sum, message) => sum + Math.ceil(String(message.content || '').length / 4), 0);
+    const completionTokens = Math.ceil(String(text).length / 4);
+    const usage = {
+      prompt_tokens: entry.usage?.prompt_tokens ?? promptTokens,
+      completion_tokens: entry.usage?.completion_tokens ?? completionTokens,
+    };
+    usage.total_tokens = entry.usage?.total_tokens ?? usage.prompt_tokens + usage.completion_tokens;
+
+    return {
+      entry,
+      result: {
+        text,
+        usage,
+        latencyMs: Date.now() - startTime,
+        model,
+        provider: this.name,
+        cost: this.calculateCost(usage, model),
+        toolCalls: entry.toolCalls || entry.tool_calls || [],
+      },
+    };
+  }
+
+  /**
+   * Look up a scripted response. Most specific key wins:
+   * model::testCase, testCase, model::promptHash, promptHash, then the default.
+   * Array entries are served in order, repeating the last one.
+   */
+  resolveEntry(model, testCaseName, promptHash) {
+    const keys = [
+      testCaseName ? `${model}::${testCaseName}` : null,
+      testCaseName || null,
+      `${model}::${promptHash}`,
+      promptHash,
+    ].filter(Boolean);
+
+    for (const key of keys) {
+      if (this.responses[key] !== undefined) return this.nextFromSequence(key, this.responses[key]);
+    }
+    return this.defaultResponse === null ? null : this.nextFromSequence('__default__', this.defaultResponse);
+  }
+
+  nextFromSequence(key, value) {
+    if (!Array.isArray(value)) return typeof value === 'string' ? { text: value } : value;
+    const count = this.callCounts.get(key) || 0;
+    this.callCounts.set(key, count + 1);
+    const item = value[Math.min(count, value.length - 1)];
+    return typeof item === 'string' ? { text: item } : item;
+  }
+
+  randomError() {
+    if (this.rateLimitRate > 0 && this.random() < this.rateLimitRate) return 429;
+    if (this.timeoutRate > 0 && this.random() < this.timeoutRate) return 'timeout';
+    return null;
+  }
+
+  loadFixtures() {
+    if (this.loaded) return;
+    this.loaded = true;
+
+    if (this.replayTrace) {
+      Object.assign(this.responses, responsesFromTrace(loadReplayTrace(this.replayTrace)));
+    }
+
+    if (this.fixturesPath) {
+      const path = resolve(process.cwd(), this.fixturesPath);
+      if (!existsSync(path)) {
+        throw new Error(`Mock fixtures not found: ${path}`);
+      }
+      const fixtures = JSON.parse(readFileSync(path, 'utf8'));
+      Object.assign(this.responses, fixtures.responses || {});
+      if (fixtures.default !== undefined) this.defaultResponse = fixtures.default;
+      if (fixtures.pricing) this.pricing = fixtures.pricing;
+      if (fixtures.latencyMs !== undefined) this.latencyMs = Number(fixtures.latencyMs) || 0;
+      if (fixtures.chunkDelayMs !== undefined) this.chunkDelayMs = Number(fixtures.chunkDelayMs) || 0;
+    }
+  }
+
+  async getModels() {
+    return [{ id: this.defaultModel, name: this.defaultModel }];
+  }
+
+  async isAvailable() {
+    return true;
+  }
+
+  calculateCost(usage, model) {
+    if (!usage) return null;
+    const pricing = this.pricing?.[model] || this.pricing?.default || this.pricing;
+    if (!pricing || typeof pricing.input !== 'number') return 0;
+    const inputCost = (usage.prompt_tokens || 0) * (pricing.input / 1_000_000);
+    const outputCost = (usage.completion_tokens || 0) * ((pricing.output || 0) / 1_000_000);
+    return inputCost + outputCost;
+  }
+}
+
+/**
+ * Hash used to key scripted responses by prompt.
+ * For judge calls this equals the judge_prompt_hash recorded in traces.
+ */
+export function hashPrompt(messages) {
+  const normalized = typeof messages === 'string' ? [{ role: 'user', content: messages }] : messages;
+  const lastUser = [...normalized].reverse().find(message => message.role === 'user');
+  return createHash('sha256').update(String(lastUser?.content || '')).digest('hex').slice(0, 16);
+}
+
+function loadReplayTrace(traceRef) {
+  const candidates = [
+    resolve(process.cwd(), traceRef),
+    join(resolve(process.cwd(), 'traces'), traceRef.endsWith('.json') ? traceRef : `${traceRef}.json`),
+  ];
+  const path = candidates.find(candidate => existsSync(candidate));
+  if (path) {
+    return JSON.parse(readFileSync(path, 'utf8'));
+  }
+  try {
+    // Trace IDs also resolve through the configured trace store (e.g. SQLite)
+    return loadTrace(traceRef.replace(/\.json$/, ''));
+  } catch {
+    throw new Error(`Mock replay trace not found: ${traceRef}`);
+  }
+}
+
+function responsesFromTrace(trace) {
+  const responses = {};
+  for (const result of Array.isArray(trace.results) ? trace.results : []) {
+    if (result.response?.text !== null && result.response?.text !== undefined && result.testCase) {
+      const entry = {
+        text: result.response.text,
+        toolCalls: result.toolCalls || [],
+        ...(result.usage ? { usage: result.usage } : {}),
+      };
+      responses[`${result.model}::${result.testCase}`] = entry;
+      if (responses[result.testCase] === undefined) responses[result.testCase] = entry;
+    }
+
+    const judgeHash = result.judgePromptHash || result.metadata?.judge_prompt_hash;
+    const judgeResponse = result.metadata?.judge_response;
+    if (judgeHash && judgeResponse) {
+      responses[judgeHash] = { text: judgeResponse };
+    }
+    for (const member of result.panelResults || result.metadata?.panelResults || []) {
+      if (judgeHash && member.judgeResponse) {
+        responses[`${member.model}::${judgeHash}`] = { text: member.judgeResponse };
+      }
+    }
+  }
+  return responses;
+}
+
+function simulatedErrorFor(error, timeoutMs) {
+  if (error === 429 || error === '429' || error === 'rate_limit') {
+    return new Error('Mock error: 429 - rate limit exceeded');
+  }
+  if (error === 'timeout') {
+    return new Error(`Mock timeout: request exceeded ${timeoutMs}ms`);
+  }
+  if (typeof error === 'number') {
+    return new Error(`Mock error: ${error} - simulated provider error`);
+  }
+  return new Error(`Mock error: ${error.message || error}`);
+}
+
+function numberOr(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+function sleep(ms) {
+  return new Promise(resolveSleep => setTimeout(resolveSleep, ms));
+}
@@ -12,6 +12,7 @@ export class OllamaProvider extends BaseProvider {
     this.name = 'ollama';
     this.baseUrl = config.baseUrl || process.env.OLLAMA_BASE_URL || 'http://localhost:11434';
     this.defaultModel = config.defaultModel || 'llama3.2';
+    this.structuredOutput = true;
   }
 
   async complete(messages, options = {}) {
@@ -26,12 +27,15 @@ export class OllamaProvider extends BaseProvider {
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
         model,
-        messages: normalizedMessages,
+        messages: this.toOllamaMessages(normalizedMessages),
         stream: false,
         options: {
           temperature: options.temperature ?? 0.7,
           num_predict: options.max_tokens || options.maxTokens || 2048,
         },
+        ...(options.tools ? { tools: options.tools } : {}),
+        // Ollama takes a JSON Schema directly as the output format
+        ...(options.response_schema && !options.tools ? { format: options.response_schema.schema } : {}),
       }),
     });
 
@@ -54,9 +58,31 @@ export class OllamaProvider extends BaseProvider {
       model,
       provider: this.name,
       cost: null, // Ollama is free/local
+      toolCalls: (data.message?.tool_calls || []).map(call => ({
+        name: call.function?.name,
+        args: this.parseToolArguments(call.function?.arguments),
+      })),
     };
   }
 
+  /**
+   * Ollama expects tool-call arguments as objects rather than JSON strings
+   */
+  toOllamaMessages(messages) {
+    return messages.map(msg => {
+      if (!Array.isArray(msg.tool_calls)) return msg;
+      return {
+        ...msg,
+        tool_calls: msg.tool_calls.map(call => ({
+          function: {
+            name: call.function?.name || call.name,
+            arguments: this.parseToolArguments(call.function?.arguments ?? call.args),
+          },
+        })),
+      };
+    });
+  }
+
   async streamComplete(messages, options = {}, onChunk = () => {}) {
     const normalizedMessages = this.normalizeMessages(messages);
     const model = options.model || this.defaultModel;
@@ -0,0 +1,199 @@
+/**
+ * OpenAI-Compatible Provider
+ * Self-hosted or third-party endpoints that speak the OpenAI chat-completions
+ * protocol (vLLM, LM Studio, llama.cpp server, ...). One instance per named endpoint.
+ */
+
+import { BaseProvider } from './base.mjs';
+import { getCachedInputTokens, selectPricingRate } from '../costs.mjs';
+
+export class OpenAICompatibleProvider extends BaseProvider {
+  /**
+   * @param {Object} config
+   * @param {string} [config.name] - Provider name used in --provider and eval `models` entries
+   * @param {string} [config.baseUrl] - e.g. http://localhost:8000/v1
+   * @param {string} [config.apiKey] - Literal key (prefer apiKeyEnv)
+   * @param {string} [config.apiKeyEnv] - Env var holding the key
+   * @param {string} [config.authHeader] - Header carrying the key (default: Authorization)
+   * @param {string} [config.authScheme] - Prefix for the key (default: Bearer; '' for raw keys)
+   * @param {Object} [config.headers] - Extra headers; `${VAR}` is replaced from the environment
+   * @param {string[]} [config.models] - Models served by the endpoint (skips GET /models)
+   * @param {string} [config.defaultModel] - Defaults to the first entry in `models`
+   * @param {Object} [config.pricing] - Per-1M-token rates by model, or a `default` rate
+   * @param {boolean} [config.streamUsage] - Request usage in streams (default: true)
+   * @param {boolean} [config.structuredOutput] - Send response_format json_schema for judge calls (default: true)
+   */
+  constructor(config = {}) {
+    super(config);
+    this.name = config.name || 'openai-compatible';
+    this.baseUrl = String(config.baseUrl || process.env.OPENAI_COMPATIBLE_BASE_URL || '').replace(/\/+$/, '');
+    this.apiKeyEnv = config.apiKeyEnv || (config.name ? null : 'OPENAI_COMPATIBLE_API_KEY');
+    this.apiKey = config.apiKey || (this.apiKeyEnv ? process.env[this.apiKeyEnv] : null) || null;
+    this.authHeader = config.authHeader || 'Authorization';
+    this.authScheme = config.authScheme ?? 'Bearer';
+    this.headers = config.headers || {};
+    this.models = Array.isArray(config.models) ? config.models : [];
+    this.defaultModel = config.defaultModel || this.models[0] || process.env.OPENAI_COMPATIBLE_MODEL || null;
+    this.pricing = config.pricing || null;
+    this.streamUsage = config.streamUsage !== false;
+    this.structuredOutput = config.structuredOutput !== false;
+  }
+
+  async complete(messages, options = {}) {
+    const model = this.requireModel(options);
+    const startTime = Date.now();
+
+    const response = await this.fetchWithTimeout(`${this.requireBaseUrl()}/chat/completions`, {
+      timeoutMs: options.timeoutMs,
+      timeout: options.timeout,
+      method: 'POST',
+      headers: this.requestHeaders(),
+      body: JSON.stringify(this.requestBody(messages, model, options, false)),
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw new Error(`${this.name} error: ${response.status} - ${error}`);
+    }
+
+    const data = await response.json();
+    const latencyMs = Date.now() - startTime;
+    const message = data.choices?.[0]?.message || {};
+    const usage = this.normalizeUsage(data.usage);
+
+    return {
+      text: message.content || '',
+      usage,
+      latencyMs,
+      model,
+      provider: this.name,
+      cost: this.calculateCost(usage, model),
+      toolCalls: message.tool_calls || [],
+    };
+  }
+
+  async streamComplete(messages, options = {}, onChunk = () => {}) {
+    const model = this.requireModel(options);
+    const startTime = Date.now();
+
+    const response = await this.fetchWithTimeout(`${this.requireBaseUrl()}/chat/completions`, {
+      timeoutMs: options.timeoutMs,
+      timeout: options.timeout,
+      method: 'POST',
+      headers: this.requestHeaders(),
+      body: JSON.stringify(this.requestBody(messages, model, options, true)),
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw new Error(`${this.name} error: ${response.status} - ${error}`);
+    }
+
+    const streamed = await this.readChatCompletionStream(response, onChunk);
+    const usage = streamed.usage ? this.normalizeUsage(streamed.usage) : null;
+    const finalUsage = usage || { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+    return {
+      text: streamed.text,
+      usage: finalUsage,
+      latencyMs: Date.now() - startTime,
+      model,
+      provider: this.name,
+      cost: usage ? this.calculateCost(finalUsage, model) : null,
+      toolCalls: streamed.toolCalls,
+    };
+  }
+
+  requestBody(messages, model, options, stream) {
+    const body = {
+      model,
+      messages: this.normalizeMessages(messages),
+      max_tokens: options.max_tokens || options.maxTokens || 2048,
+      temperature: options.temperature ?? 0.7,
+      stream,
+    };
+    if (stream && this.streamUsage) body.stream_options = { include_usage: true };
+    if (options.tools) body.tools = options.tools;
+    if (options.tool_choice) body.tool_choice = options.tool_choice;
+    if (options.response_schema && this.structuredOutput) body.response_format = this.responseFormatFor(options);
+    return body;
+  }
+
+  requestHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    for (const [name, value] of Object.entries(this.headers)) {
+      headers[name] = String(value).replace(/\$\{(\w+)\}/g, (_, key) => process.env[key] ?? '');
+    }
+    if (this.apiKey) {
+      headers[this.authHeader] = this.authScheme ? `${this.authScheme} ${this.apiKey}` : this.apiKey;
+    }
+    return headers;
+  }
+
+  normalizeUsage(usage = {}) {
+    return {
+      ...usage,
+      prompt_tokens: usage?.prompt_tokens || 0,
+      completion_tokens: usage?.completion_tokens || 0,
+      total_tokens: usage?.total_tokens || (usage?.prompt_tokens || 0) + (usage?.completion_tokens || 0),
+    };
+  }
+
+  requireBaseUrl() {
+    if (!this.baseUrl) {
+      throw new Error(`${this.name} base URL not configured`);
+    }
+    return this.baseUrl;
+  }
+
+  requireModel(options) {
+    const model = options.model || this.defaultModel;
+    if (!model) {
+      throw new Error(`${this.name} has no model configured (set "models" or "defaultModel")`);
+    }
+    return model;
+  }
+
+  async getModels() {
+    if (this.models.length > 0) {
+      return this.models.map(id => ({ id, name: id }));
+    }
+    if (!this.baseUrl) return [];
+
+    try {
+      const response = await this.fetchWithTimeout(`${this.baseUrl}/models`, {
+        headers: this.requestHeaders(),
+      });
+      if (!response.ok) {
+        throw new Error(`Failed to fetch models: ${response.status}`);
+      }
+      const data = await response.json();
+      return (data.data || []).map(m => ({ id: m.id, name: m.id, ownedBy: m.owned_by }));
+    } catch (error) {
+      console.warn(`${this.name} getModels failed: ${error.message}`);
+      return [];
+    }
+  }
+
+  async isAvailable() {
+    if (!this.baseUrl) return false;
+    // A named endpoint that declares apiKeyEnv needs that key; keyless local servers do not
+    if (this.config.apiKeyEnv && !this.apiKey) return false;
+    return true;
+  }
+
+  calculateCost(usage, model) {
+    if (!usage || !this.pricing) return null;
+    const pricing = this.pricing[model] || this.pricing.default || this.pricing;
+    if (typeof pricing?.input !== 'number') return null;
+
+    const rate = selectPricingRate(pricing, usage);
+    const cachedInputTokens = getCachedInputTokens(usage);
+    const promptTokens = Math.max(0, (usage.prompt_tokens || 0) - cachedInputTokens);
+    const cachedInputRate = rate.cachedInput === null || rate.cachedInput === undefined
+      ? rate.input
+      : rate.cachedInput;
+    return promptTokens * (rate.input / 1_000_000)
+      + cachedInputTokens * (cachedInputRate / 1_000_000)
+      + (usage.completion_tokens || 0) * ((rate.output || 0) / 1_000_000);
+  }
+}
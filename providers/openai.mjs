@@ -63,6 +63,7 @@ export class OpenAIProvider extends BaseProvider {
     this.apiKey = config.apiKey || process.env.OPENAI_API_KEY;
     this.baseUrl = config.baseUrl || 'https://api.openai.com/v1';
     this.defaultModel = config.defaultModel || 'gpt-5.5';
+    this.structuredOutput = true;
   }
 
   async complete(messages, options = {}) {
@@ -90,6 +91,7 @@ export class OpenAIProvider extends BaseProvider {
     }
     if (options.tools) requestBody.tools = options.tools;
     if (options.tool_choice) requestBody.tool_choice = options.tool_choice;
+    if (options.response_schema) requestBody.response_format = this.responseFormatFor(options);
 
     const response = await this.fetchWithTimeout(`${this.baseUrl}/chat/completions`, {
       timeoutMs: options.timeoutMs,
@@ -144,6 +146,8 @@ export class OpenAIProvider extends BaseProvider {
       messages: normalizedMessages,
       max_tokens: options.max_tokens || options.maxTokens || 2048,
       stream: true,
+      // Usage only arrives in streams when asked for, as a final chunk with no choices
+      stream_options: { include_usage: true },
     };
     if (options.service_tier || options.serviceTier) {
       requestBody.service_tier = options.service_tier || options.serviceTier;
@@ -152,6 +156,8 @@ export class OpenAIProvider extends BaseProvider {
     if (!model.startsWith('o1')) {
       requestBody.temperature = options.temperature ?? 0.7;
     }
+    if (options.tools) requestBody.tools = options.tools;
+    if (options.tool_choice) requestBody.tool_choice = options.tool_choice;
 
     const response = await this.fetchWithTimeout(`${this.baseUrl}/chat/completions`, {
       timeoutMs: options.timeoutMs,
@@ -169,46 +175,21 @@ export class OpenAIProvider extends BaseProvider {
       throw new Error(`OpenAI error: ${response.status} - ${error}`);
     }
 
-    let fullText = '';
-    let usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
-
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-
-      const chunk = decoder.decode(value, { stream: true });
-      const lines = chunk.split('\n').filter(line => line.trim().startsWith('data:'));
-
-      for (const line of lines) {
-        const data = line.replace('data: ', '').trim();
-        if (data === '[DONE]') continue;
-
-        try {
-          const parsed = JSON.parse(data);
-          const content = parsed.choices?.[0]?.delta?.content || '';
-          if (content) {
-            fullText += content;
-            onChunk(content);
-          }
-          if (parsed.usage) {
-            usage = parsed.usage;
-          }
-        } catch (e) {
-          // Skip invalid JSON
-        }
-      }
-    }
+    const streamed = await this.readChatCompletionStream(response, onChunk);
+    const usage = streamed.usage || {};
 
     return {
-      text: fullText,
-      usage,
+      text: streamed.text,
+      usage: {
+        prompt_tokens: usage.prompt_tokens || 0,
+        completion_tokens: usage.completion_tokens || 0,
+        total_tokens: usage.total_tokens || 0,
+      },
       latencyMs: Date.now() - startTime,
       model,
       provider: this.name,
-      cost: this.calculateCost(usage, model),
+      cost: streamed.usage ? this.calculateCost(usage, model) : null,
+      toolCalls: streamed.toolCalls,
     };
   }
 
@@ -73,6 +73,7 @@ export class OpenRouterProvider extends BaseProvider {
     this.apiKey = config.apiKey || process.env.OPENROUTER_API_KEY;
     this.baseUrl = 'https://openrouter.ai/api/v1';
     this.defaultModel = config.defaultModel || 'openai/gpt-5.4-mini';
+    this.structuredOutput = true;
   }
 
   async complete(messages, options = {}) {
@@ -102,6 +103,7 @@ export class OpenRouterProvider extends BaseProvider {
         stream: false,
         ...(options.tools ? { tools: options.tools } : {}),
         ...(options.tool_choice ? { tool_choice: options.tool_choice } : {}),
+        ...(options.response_schema ? { response_format: this.responseFormatFor(options) } : {}),
       }),
     });
 
@@ -133,6 +135,61 @@ export class OpenRouterProvider extends BaseProvider {
     };
   }
 
+  async streamComplete(messages, options = {}, onChunk = () => {}) {
+    if (!this.apiKey) {
+      throw new Error('OpenRouter API key not configured');
+    }
+
+    const normalizedMessages = this.normalizeMessages(messages);
+    const model = options.model || this.defaultModel;
+    const startTime = Date.now();
+
+    const response = await this.fetchWithTimeout(`${this.baseUrl}/chat/completions`, {
+      timeoutMs: options.timeoutMs,
+      timeout: options.timeout,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${this.apiKey}`,
+        'HTTP-Referer': 'https://github.com/itseffi/ai-product-evals',
+        'X-Title': 'AI Product Evals',
+      },
+      body: JSON.stringify({
+        model,
+        messages: normalizedMessages,
+        temperature: options.temperature ?? 0.7,
+        max_tokens: options.max_tokens || options.maxTokens || 2048,
+        stream: true,
+        stream_options: { include_usage: true },
+        ...(options.tools ? { tools: options.tools } : {}),
+        ...(options.tool_choice ? { tool_choice: options.tool_choice } : {}),
+      }),
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw new Error(`OpenRouter error: ${response.status} - ${error}`);
+    }
+
+    // OpenRouter interleaves ": OPENROUTER PROCESSING" comment lines; the SSE reader skips them
+    const streamed = await this.readChatCompletionStream(response, onChunk);
+    const usage = streamed.usage || {};
+
+    return {
+      text: streamed.text,
+      usage: {
+        prompt_tokens: usage.prompt_tokens || 0,
+        completion_tokens: usage.completion_tokens || 0,
+        total_tokens: usage.total_tokens || 0,
+      },
+      latencyMs: Date.now() - startTime,
+      model,
+      provider: this.name,
+      cost: streamed.usage ? this.calculateCost(usage, model) : null,
+      toolCalls: streamed.toolCalls,
+    };
+  }
+
   async getModels() {
     try {
       const response = await this.fetchWithTimeout(`${this.baseUrl}/models`);
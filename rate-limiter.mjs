@@ -1,28 +1,47 @@
 /**
  * Rate Limiter
- * 
- * Handles API rate limits with token bucket algorithm
+ *
+ * Handles API rate limits with token bucket algorithm. Limits are configurable
+ * per provider and per provider/model, provider rate-limit headers pause a
+ * provider until its window resets, and AdaptiveConcurrency backs parallel runs
+ * off on 429s and ramps them back up while calls succeed.
  */
 
+const DEFAULT_LIMITS = {
+  ollama: { requestsPerMinute: 1000, tokensPerMinute: 1000000 }, // Local, no real limits
+  openai: { requestsPerMinute: 60, tokensPerMinute: 90000 },
+  anthropic: { requestsPerMinute: 60, tokensPerMinute: 100000 },
+  google: { requestsPerMinute: 60, tokensPerMinute: 100000 },
+  openrouter: { requestsPerMinute: 60, tokensPerMinute: 100000 },
+};
+const FALLBACK_LIMITS = { requestsPerMinute: 30, tokensPerMinute: 50000 };
+const LIMIT_FIELDS = {
+  requests_per_minute: 'requestsPerMinute',
+  tokens_per_minute: 'tokensPerMinute',
+};
+// Longer Retry-After values (daily quotas) are not worth sleeping through
+const MAX_PROVIDER_PAUSE_MS = 60000;
+
 class RateLimiter {
   constructor(options = {}) {
+    this.provider = options.provider || null;
     this.requestsPerMinute = options.requestsPerMinute || 60;
     this.tokensPerMinute = options.tokensPerMinute || 100000;
     this.retryAfterMs = options.retryAfterMs || 1000;
     this.maxRetries = options.maxRetries ?? 3;
-    
+
     // Token buckets
     this.requestTokens = this.requestsPerMinute;
     this.tokenBucket = this.tokensPerMinute;
-    
+
     // Refill timestamps
     this.lastRefill = Date.now();
-    
+
     // Queue for pending requests
     this.queue = [];
     this.processing = false;
   }
-  
+
   /**
    * Refill token buckets based on elapsed time
    */
@@ -30,29 +49,31 @@ class RateLimiter {
     const now = Date.now();
     const elapsedMs = now - this.lastRefill;
     const elapsedMinutes = elapsedMs / 60000;
-    
+
     // Refill proportionally
     this.requestTokens = Math.min(
       this.requestsPerMinute,
       this.requestTokens + (this.requestsPerMinute * elapsedMinutes)
     );
-    
+
     this.tokenBucket = Math.min(
       this.tokensPerMinute,
       this.tokenBucket + (this.tokensPerMinute * elapsedMinutes)
     );
-    
+
     this.lastRefill = now;
   }
-  
+
   /**
    * Check if we can make a request
    */
   canRequest(estimatedTokens = 1000) {
     this.refill();
-    return this.requestTokens >= 1 && this.tokenBucket >= estimatedTokens;
+    if (providerPauseMs(this.provider) > 0) return false;
+    // A request larger than the whole bucket waits for a full bucket instead of forever
+    return this.requestTokens >= 1 && this.tokenBucket >= Math.min(estimatedTokens, this.tokensPerMinute);
   }
-  
+
   /**
    * Consume tokens for a request
    */
@@ -60,19 +81,20 @@ class RateLimiter {
     this.requestTokens -= 1;
     this.tokenBucket -= actualTokens;
   }
-  
+
   /**
    * Wait until we can make a request
    */
   async waitForCapacity(estimatedTokens = 1000) {
     while (!this.canRequest(estimatedTokens)) {
-      const waitMs = Math.min(this.retryAfterMs, 5000);
+      const waitMs = Math.max(Math.min(this.retryAfterMs, 5000), Math.min(providerPauseMs(this.provider), 5000));
       await new Promise(resolve => setTimeout(resolve, waitMs));
     }
   }
-  
+
   /**
-   * Execute a function with rate limiting
+   * Execute a function with rate limiting. The estimate is reserved when the
+   * request is admitted and settled against the reported usage afterwards.
    */
   async execute(fn, estimatedTokens = 1000) {
     let lastError = null;
@@ -80,21 +102,30 @@ class RateLimiter {
     // maxRetries counts retries after the first try, so maxRetries=3 allows 4 total attempts.
     for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
       await this.waitForCapacity(estimatedTokens);
+      this.consume(estimatedTokens);
 
       try {
         const result = await fn();
 
-        // Consume actual tokens if available
+        // Settle the reservation with actual tokens if available
         const actualTokens = result?.usage?.total_tokens || estimatedTokens;
-        this.consume(actualTokens);
+        this.tokenBucket += estimatedTokens - actualTokens;
+        notifyObservers('onSuccess', this.provider);
 
         return result;
       } catch (error) {
         lastError = error;
-        if (!isRateLimitError(error) || attempt === this.maxRetries) {
+        this.tokenBucket += estimatedTokens;
+        if (!isRateLimitError(error)) {
+          throw error;
+        }
+        notifyObservers('onRateLimited', this.provider);
+        if (attempt === this.maxRetries) {
           throw error;
         }
 
+        // A Retry-After from the provider replaces the exponential backoff
+        if (providerPauseMs(this.provider) > 0) continue;
         const exponential = this.retryAfterMs * (2 ** attempt);
         const jitter = Math.floor(Math.random() * this.retryAfterMs);
         const waitMs = Math.min(exponential + jitter, 30000);
@@ -106,41 +137,219 @@ class RateLimiter {
   }
 }
 
-function isRateLimitError(error) {
+export function isRateLimitError(error) {
   const message = String(error?.message || '').toLowerCase();
   return message.includes('429') || message.includes('rate limit') || message.includes('rate-limit');
 }
 
+/**
+ * Grow concurrency by one after `limit` consecutive successes, halve it on a
+ * rate-limit error (at most once per cooldown, since one burst of 429s
+ * arrives together)
+ */
+export class AdaptiveConcurrency {
+  constructor(options = {}) {
+    this.min = Math.max(1, options.min ?? 1);
+    this.max = Math.max(this.min, options.max ?? options.initial ?? 1);
+    this.limit = Math.min(this.max, Math.max(this.min, options.initial ?? this.max));
+    this.cooldownMs = options.cooldownMs ?? 2000;
+    this.successes = 0;
+    this.lastDecreaseAt = 0;
+    this.stats = { initial: this.limit, min: this.min, max: this.max, lowest: this.limit, highest: this.limit, rateLimited: 0, decreases: 0, increases: 0 };
+  }
+
+  onSuccess() {
+    this.successes++;
+    if (this.successes >= this.limit && this.limit < this.max) {
+      this.limit++;
+      this.successes = 0;
+      this.stats.increases++;
+      this.stats.highest = Math.max(this.stats.highest, this.limit);
+    }
+  }
+
+  onRateLimited() {
+    this.stats.rateLimited++;
+    this.successes = 0;
+    const now = Date.now();
+    if (now - this.lastDecreaseAt < this.cooldownMs || this.limit === this.min) return;
+    this.limit = Math.max(this.min, Math.floor(this.limit / 2));
+    this.lastDecreaseAt = now;
+    this.stats.decreases++;
+    this.stats.lowest = Math.min(this.stats.lowest, this.limit);
+  }
+
+  snapshot() {
+    return { ...this.stats, final: this.limit };
+  }
+}
+
 // Provider-specific rate limiters
 const limiters = new Map();
+const providerPauses = new Map();
+const observers = new Set();
+let configuredLimits = null;
 
 /**
- * Get or create rate limiter for a provider
+ * Set limits from a suite's `rate_limits` block, on top of RATE_LIMITS (JSON) and the built-in defaults.
+ * Keys are a provider name or `provider/model`; a model entry overrides its provider's fields.
+ * @param {Object|null} suiteLimits - e.g. { "openai": { "requests_per_minute": 500 }, "openai/gpt-5.5": { "tokens_per_minute": 200000 } }
  */
-export function getRateLimiter(provider) {
-  if (!limiters.has(provider)) {
-    // Default limits (can be configured per provider)
-    const limits = {
-      ollama: { requestsPerMinute: 1000, tokensPerMinute: 1000000 }, // Local, no real limits
-      openai: { requestsPerMinute: 60, tokensPerMinute: 90000 },
-      anthropic: { requestsPerMinute: 60, tokensPerMinute: 100000 },
-      google: { requestsPerMinute: 60, tokensPerMinute: 100000 },
-      openrouter: { requestsPerMinute: 60, tokensPerMinute: 100000 },
-    };
-    
-    const config = limits[provider] || { requestsPerMinute: 30, tokensPerMinute: 50000 };
-    limiters.set(provider, new RateLimiter(config));
-  }
-  
-  return limiters.get(provider);
+export function configureRateLimits(suiteLimits = null) {
+  const envLimits = normalizeRateLimits(parseRateLimitsEnv(process.env.RATE_LIMITS), 'RATE_LIMITS');
+  const fromSuite = normalizeRateLimits(suiteLimits, 'rate_limits');
+  configuredLimits = {};
+  for (const key of new Set([...Object.keys(envLimits), ...Object.keys(fromSuite)])) {
+    configuredLimits[key] = { ...envLimits[key], ...fromSuite[key] };
+  }
+  limiters.clear();
+}
+
+/**
+ * Effective limits for a provider, or a provider/model pair
+ */
+export function resolveRateLimits(provider, model = null) {
+  if (!configuredLimits) configureRateLimits();
+  return {
+    ...(DEFAULT_LIMITS[provider] || FALLBACK_LIMITS),
+    ...configuredLimits[provider],
+    ...(model ? configuredLimits[`${provider}/${model}`] : undefined),
+  };
+}
+
+/**
+ * Get or create rate limiter for a provider. Models with their own configured
+ * limits get their own buckets; the rest share the provider's.
+ */
+export function getRateLimiter(provider, model = null) {
+  if (!configuredLimits) configureRateLimits();
+  const key = model && configuredLimits[`${provider}/${model}`] ? `${provider}/${model}` : provider;
+  if (!limiters.has(key)) {
+    limiters.set(key, new RateLimiter({ provider, ...resolveRateLimits(provider, key === provider ? null : model) }));
+  }
+
+  return limiters.get(key);
 }
 
 /**
  * Execute with rate limiting for a specific provider
+ * @param {string} provider
+ * @param {Function} fn
+ * @param {number|{estimatedTokens?: number, model?: string}} [options] - Prompt + max_tokens estimate (default 1000)
  */
-export async function withRateLimit(provider, fn, estimatedTokens = 1000) {
-  const limiter = getRateLimiter(provider);
+export async function withRateLimit(provider, fn, options = {}) {
+  const { estimatedTokens = 1000, model = null } = typeof options === 'number' ? { estimatedTokens: options } : options;
+  const limiter = getRateLimiter(provider, model);
   return limiter.execute(fn, estimatedTokens);
 }
 
+/**
+ * Pause a provider according to rate-limit response headers: Retry-After /
+ * retry-after-ms on 429 and 503, and exhausted request or token windows
+ * (OpenAI x-ratelimit-*, Anthropic anthropic-ratelimit-*, IETF ratelimit-*)
+ * @param {string} provider
+ * @param {{status: number, headers: Headers}} response
+ */
+export function noteRateLimitHeaders(provider, response, now = Date.now()) {
+  const headers = response?.headers;
+  if (!provider || typeof headers?.get !== 'function') return;
+
+  const waits = [];
+  if (response.status === 429 || response.status === 503) {
+    waits.push(parseRetryAfterMs(headers.get('retry-after-ms'), 'ms', now));
+    waits.push(parseRetryAfterMs(headers.get('retry-after'), 's', now));
+  }
+  for (const [remaining, reset] of [
+    ['x-ratelimit-remaining-requests', 'x-ratelimit-reset-requests'],
+    ['x-ratelimit-remaining-tokens', 'x-ratelimit-reset-tokens'],
+    ['anthropic-ratelimit-requests-remaining', 'anthropic-ratelimit-requests-reset'],
+    ['anthropic-ratelimit-tokens-remaining', 'anthropic-ratelimit-tokens-reset'],
+    ['ratelimit-remaining', 'ratelimit-reset'],
+  ]) {
+    if (headers.get(remaining) !== null && Number(headers.get(remaining)) === 0) {
+      waits.push(parseRetryAfterMs(headers.get(reset), 's', now));
+    }
+  }
+
+  const waitMs = Math.max(0, ...waits.filter(value => Number.isFinite(value)));
+  if (waitMs <= 0) return;
+  const until = now + Math.min(waitMs, MAX_PROVIDER_PAUSE_MS);
+  providerPauses.set(provider, Math.max(providerPauses.get(provider) || 0, until));
+}
+
+/**
+ * Receive onSuccess(provider) / onRateLimited(provider) for every rate-limited call
+ * @returns {Function} - Unsubscribe
+ */
+export function observeRateLimits(observer) {
+  observers.add(observer);
+  return () => observers.delete(observer);
+}
+
+/**
+ * Milliseconds until a provider paused by rate-limit headers may be called again
+ */
+export function providerPauseMs(provider, now = Date.now()) {
+  return Math.max(0, (providerPauses.get(provider) || 0) - now);
+}
+
+function notifyObservers(event, provider) {
+  for (const observer of observers) {
+    observer[event]?.(provider);
+  }
+}
+
+/**
+ * Parse a delay: seconds or milliseconds, an OpenAI duration (1s, 6m0s, 250ms)
+ * or an HTTP/ISO date
+ */
+function parseRetryAfterMs(value, unit, now) {
+  if (value === null || value === undefined || value === '') return null;
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) return Number(text) * (unit === 'ms' ? 1 : 1000);
+
+  const parts = [...text.matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)];
+  if (parts.length > 0 && parts.map(part => part[0]).join('') === text) {
+    const unitMs = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+    return parts.reduce((sum, part) => sum + Number(part[1]) * unitMs[part[2]], 0);
+  }
+
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : date - now;
+}
+
+function parseRateLimitsEnv(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`RATE_LIMITS must be JSON, e.g. {"openai":{"requests_per_minute":500}} (${error.message})`);
+  }
+}
+
+function normalizeRateLimits(limits, source) {
+  if (limits === null || limits === undefined) return {};
+  if (typeof limits !== 'object' || Array.isArray(limits)) {
+    throw new Error(`${source} must be an object keyed by provider or provider/model`);
+  }
+  const normalized = {};
+  for (const [key, spec] of Object.entries(limits)) {
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+      throw new Error(`${source}.${key} must be an object with requests_per_minute and/or tokens_per_minute`);
+    }
+    normalized[key] = {};
+    for (const [field, value] of Object.entries(spec)) {
+      const name = LIMIT_FIELDS[field];
+      if (!name) {
+        throw new Error(`${source}.${key}.${field} is not a rate limit (use requests_per_minute or tokens_per_minute)`);
+      }
+      if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+        throw new Error(`${source}.${key}.${field} must be a positive number`);
+      }
+      normalized[key][name] = value;
+    }
+  }
+  return normalized;
+}
+
 export { RateLimiter };
@@ -0,0 +1,349 @@
+#!/usr/bin/env node
+
+/**
+ * Review Server
+ *
+ * Serves app.html with REST endpoints for browsing traces and saving human
+ * labels straight into labels/, so reviewers never shuffle files by hand
+ */
+
+import 'dotenv/config';
+import { createServer } from 'http';
+import { readFileSync, writeFileSync, existsSync, mkdirSync, renameSync } from 'fs';
+import { resolve, join, dirname, relative } from 'path';
+import { fileURLToPath } from 'url';
+import { listTraces, loadTrace, configureTraceStore } from './tracer.mjs';
+import { TRACE_BACKENDS } from './trace-store.mjs';
+import { loadLabels, normalizeLabel, validateLabel } from './labels/schema.mjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_REVIEW_PORT = 4173;
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const TRACE_ID_PATTERN = /^[\w.-]+$/;
+
+/**
+ * Create the review server (call `.listen()` on the result)
+ * @param {Object} options
+ * @param {string} [options.labelsDir] - Where reviewed labels are written (default: labels/)
+ * @param {string} [options.appPath] - Review UI to serve at / (default: app.html next to this file)
+ */
+export function createReviewServer(options = {}) {
+  const labelsDir = resolve(process.cwd(), options.labelsDir || 'labels');
+  const appPath = options.appPath || join(__dirname, 'app.html');
+  const labelFiles = createLabelFileStore(labelsDir);
+
+  return createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    try {
+      const parts = decodePathParts(url.pathname);
+      if (req.method === 'GET' && (url.pathname === '/' || url.pathname === '/app.html')) {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(readFileSync(appPath));
+        return;
+      }
+
+      if (parts[0] !== 'api') {
+        sendJson(res, 404, { error: `Not found: ${url.pathname}` });
+        return;
+      }
+
+      // GET /api/traces?eval=<name>&limit=<n>
+      if (req.method === 'GET' && parts.length === 2 && parts[1] === 'traces') {
+        const limit = Number(url.searchParams.get('limit')) || undefined;
+        sendJson(res, 200, { traces: listTraces({ evalName: url.searchParams.get('eval') || undefined, limit }) });
+        return;
+      }
+
+      // GET /api/traces/:id
+      if (req.method === 'GET' && parts.length === 3 && parts[1] === 'traces') {
+        sendJson(res, 200, loadTrace(checkTraceId(parts[2])));
+        return;
+      }
+
+      // GET /api/traces/:id/records - NDJSON, one review record per result
+      if (req.method === 'GET' && parts.length === 4 && parts[1] === 'traces' && parts[3] === 'records') {
+        const trace = loadTrace(checkTraceId(parts[2]));
+        const saved = new Map(labelFiles.read(trace.id).labels.map(label => [label.id, label]));
+        res.writeHead(200, { 'Content-Type': 'application/x-ndjson; charset=utf-8' });
+        const results = Array.isArray(trace.results) ? trace.results : [];
+        for (const [index, result] of results.entries()) {
+          const id = reviewRecordId(trace.id, index);
+          res.write(`${JSON.stringify({ id, index, traceId: trace.id, evalName: trace.evalName, result, label: saved.get(id) || null })}\n`);
+        }
+        res.end();
+        return;
+      }
+
+      // GET /api/labels?trace=<id>
+      if (req.method === 'GET' && parts.length === 2 && parts[1] === 'labels') {
+        const traceId = url.searchParams.get('trace');
+        const file = labelFiles.read(traceId ? checkTraceId(traceId) : '');
+        sendJson(res, 200, { file: file.relativePath, labels: file.labels });
+        return;
+      }
+
+      // POST /api/labels - { label } or { labels: [...] }
+      if (req.method === 'POST' && parts.length === 2 && parts[1] === 'labels') {
+        const body = await readJsonBody(req);
+        const incoming = Array.isArray(body.labels) ? body.labels : [body.label ?? body];
+        const saved = [];
+        const errors = [];
+
+        for (const [index, raw] of incoming.entries()) {
+          const label = normalizeLabel(raw, index);
+          const labelErrors = validateLabel(label);
+          if (labelErrors.length > 0) {
+            errors.push({ id: label.id, errors: labelErrors });
+            continue;
+          }
+          saved.push(await labelFiles.saveReview(label));
+        }
+
+        sendJson(res, errors.length > 0 && saved.length === 0 ? 400 : 200, {
+          saved: saved.map(entry => entry.label),
+          files: [...new Set(saved.map(entry => entry.file))],
+          errors,
+          ...(saved.length === 1 && incoming.length === 1 ? { label: saved[0].label } : {}),
+        });
+        return;
+      }
+
+      sendJson(res, 404, { error: `Not found: ${req.method} ${url.pathname}` });
+    } catch (error) {
+      const status = error.statusCode || (/not found/i.test(error.message) ? 404 : 500);
+      if (res.headersSent) {
+        res.end();
+      } else {
+        // The rest of an oversized body is never read; close once the 413 is out
+        if (status === 413) res.once('finish', () => req.destroy());
+        sendJson(res, status, { error: error.message });
+      }
+    }
+  });
+}
+
+/**
+ * Review record ID for one trace result; matches the IDs app.html assigns to uploaded traces
+ */
+export function reviewRecordId(traceId, index) {
+  return `${traceId}-${index}`;
+}
+
+/**
+ * Merge one reviewer's verdict into a saved label, keeping every other reviewer's entry.
+ * The top-level critique and reviewer come from a reviewer who voted with the merged
+ * verdict, so a pass label never carries a dissenting fail critique.
+ */
+export function mergeReviewerLabel(existing, incoming) {
+  const reviewer = incoming.reviewer || 'default';
+  const ownEntry = incoming.reviewer_labels.find(entry => (entry.reviewer || 'default') === reviewer);
+  const entry = {
+    reviewer,
+    human_pass: incoming.human_pass,
+    critique: ownEntry?.critique || incoming.critique,
+    reviewed_at: incoming.reviewed_at,
+  };
+  const others = (existing?.reviewer_labels || []).filter(item => (item.reviewer || 'default') !== reviewer);
+  const reviewerLabels = [...others, entry];
+  const votes = reviewerLabels.map(item => item.human_pass).filter(value => value !== null);
+  const passVotes = votes.filter(Boolean).length;
+  const failVotes = votes.length - passVotes;
+  // Majority of reviewers decides; a tie keeps the latest reviewer's verdict
+  const humanPass = passVotes === failVotes ? incoming.human_pass : passVotes > failVotes;
+  const voice = entry.human_pass === humanPass
+    ? entry
+    : [...others].reverse().find(item => item.human_pass === humanPass) || entry;
+  const failureMode = voice === entry
+    ? incoming.failure_mode
+    : humanPass === false && existing?.human_pass === false ? existing.failure_mode : '';
+
+  return {
+    ...existing,
+    ...incoming,
+    reviewer: voice.reviewer,
+    human_pass: humanPass,
+    critique: voice.critique,
+    reviewed_at: voice.reviewed_at,
+    failure_mode: failureMode,
+    reviewer_labels: reviewerLabels,
+    metadata: { ...(existing?.metadata || {}), ...(incoming.metadata || {}) },
+  };
+}
+
+/**
+ * One label file per source trace (labels/review-<trace-id>.json), updated under a per-file lock
+ */
+function createLabelFileStore(labelsDir) {
+  const locks = new Map();
+
+  function pathFor(traceId) {
+    return join(labelsDir, `review-${traceId || 'untraced'}.json`);
+  }
+
+  function read(traceId) {
+    const path = pathFor(traceId);
+    return {
+      path,
+      relativePath: relative(process.cwd(), path),
+      labels: existsSync(path) ? loadLabels(path) : [],
+    };
+  }
+
+  function withLock(path, task) {
+    const run = (locks.get(path) || Promise.resolve()).then(task);
+    const settled = run.catch(() => {});
+    locks.set(path, settled);
+    settled.then(() => {
+      if (locks.get(path) === settled) locks.delete(path);
+    });
+    return run;
+  }
+
+  return {
+    read,
+    saveReview(label) {
+      const traceId = label.source_trace_id && TRACE_ID_PATTERN.test(label.source_trace_id) ? label.source_trace_id : '';
+      const path = pathFor(traceId);
+
+      // Re-read inside the lock so concurrent reviewers merge into the latest file instead of overwriting it
+      return withLock(path, () => {
+        const file = read(traceId);
+        const index = file.labels.findIndex(item => item.id === label.id);
+        const merged = mergeReviewerLabel(index >= 0 ? file.labels[index] : null, label);
+        const labels = index >= 0
+          ? file.labels.map((item, i) => (i === index ? merged : item))
+          : [...file.labels, merged];
+
+        mkdirSync(labelsDir, { recursive: true });
+        const tempPath = `${path}.tmp`;
+        writeFileSync(tempPath, JSON.stringify({
+          suite: merged.suite || undefined,
+          source_trace_id: traceId || undefined,
+          labels,
+        }, null, 2), 'utf8');
+        renameSync(tempPath, path);
+
+        return { file: file.relativePath, label: merged };
+      });
+    },
+  };
+}
+
+function checkTraceId(traceId) {
+  if (!TRACE_ID_PATTERN.test(traceId)) {
+    throw Object.assign(new Error(`Invalid trace ID: ${traceId}`), { statusCode: 400 });
+  }
+  return traceId;
+}
+
+function decodePathParts(pathname) {
+  try {
+    return pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch (error) {
+    if (!(error instanceof URIError)) throw error;
+    throw Object.assign(new Error(`Invalid URL encoding: ${pathname}`), { statusCode: 400 });
+  }
+}
+
+function readJsonBody(req) {
+  return new Promise((resolveBody, reject) => {
+    let size = 0;
+    const chunks = [];
+    const onData = chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        req.off('data', onData);
+        req.pause();
+        reject(Object.assign(new Error('Request body too large'), { statusCode: 413 }));
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on('data', onData);
+    req.on('end', () => {
+      let body;
+      try {
+        body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+      } catch (error) {
+        reject(Object.assign(new Error(`Invalid JSON body: ${error.message}`), { statusCode: 400 }));
+        return;
+      }
+      if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+        reject(Object.assign(new Error('JSON body must be an object'), { statusCode: 400 }));
+        return;
+      }
+      resolveBody(body);
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const config = {
+    port: Number(process.env.REVIEW_PORT) || DEFAULT_REVIEW_PORT,
+    host: process.env.REVIEW_HOST || '127.0.0.1',
+    labelsDir: 'labels',
+    tracesDir: null,
+    traceStore: null,
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--port') {
+      config.port = Number(args[++i]);
+    } else if (arg === '--host') {
+      config.host = args[++i];
+    } else if (arg === '--labels') {
+      config.labelsDir = args[++i];
+    } else if (arg === '--traces') {
+      config.tracesDir = args[++i];
+    } else if (arg === '--trace-store') {
+      config.traceStore = args[++i];
+      if (!TRACE_BACKENDS.includes(config.traceStore)) {
+        throw new Error(`--trace-store must be one of ${TRACE_BACKENDS.join(', ')}: ${config.traceStore}`);
+      }
+    } else if (arg === '--help' || arg === '-h') {
+      console.log(`
+Review Server
+
+Usage:
+  node review-server.mjs [options]
+
+Options:
+  --port <n>              Port to listen on (default: ${DEFAULT_REVIEW_PORT}, or REVIEW_PORT)
+  --host <host>           Interface to bind (default: 127.0.0.1, or REVIEW_HOST)
+  --labels <dir>          Directory reviewed labels are saved to (default: labels)
+  --traces <dir>          Trace directory for the file store (default: traces)
+  --trace-store <type>    Trace backend: file or sqlite (default: TRACE_STORE or file)
+`);
+      process.exit(0);
+    }
+  }
+
+  return config;
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const config = parseArgs();
+  if (config.tracesDir || config.traceStore) {
+    configureTraceStore({
+      ...(config.tracesDir ? { dir: config.tracesDir } : {}),
+      ...(config.traceStore ? { backend: config.traceStore } : {}),
+    });
+  }
+
+  const server = createReviewServer({ labelsDir: config.labelsDir });
+  server.listen(config.port, config.host, () => {
+    console.log(`\n🔎 Review server: http://${config.host}:${config.port}/`);
+    console.log(`   Labels are saved to ${resolve(process.cwd(), config.labelsDir)}\n`);
+  });
+}
@@ -14,17 +14,26 @@ import 'dotenv/config';
 import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
 import { resolve, dirname, extname } from 'path';
 import { fileURLToPath } from 'url';
-import { getProvider, getDefaultProvider, getAvailableProviders } from './providers/index.mjs';
+import { getProvider, getDefaultProvider, getAvailableProviders, registerProviders } from './providers/index.mjs';
 import { evaluate } from './evaluators/index.mjs';
-import { createTrace, addTraceResult, saveTrace, listTraces, getRecentTraces, compareTraces, formatTraceSummary } from './tracer.mjs';
+import { lintEvalConfig, formatLintFinding } from './eval-lint.mjs';
+import { createTrace, addTraceResult, saveTrace, checkpointTrace, loadTrace, resumeTrace, restoreTraceResult, traceResultKey, listTraces, queryResults, getRecentTraces, compareTraces, formatTraceSummary, configureTraceStore } from './tracer.mjs';
+import { TRACE_BACKENDS, parseTimeFilter } from './trace-store.mjs';
 import { getCacheKey, getCachedResponse, setCachedResponse } from './cache.mjs';
-import { withRateLimit } from './rate-limiter.mjs';
+import { withRateLimit, configureRateLimits, observeRateLimits, AdaptiveConcurrency } from './rate-limiter.mjs';
+import { runWorkQueue, ProviderSlots, resolveProviderConcurrency } from './scheduler.mjs';
+import { configureCassette } from './cassette.mjs';
 import { loadDataset, exportResultsToCsv } from './dataset.mjs';
 import { calculateCost, formatCost as formatCostUtil } from './costs.mjs';
-import { runABTest, generateABReport } from './ab-test.mjs';
-import { runConversation, createConversationTest } from './multi-turn.mjs';
+import { runABTest, runExperiment, generateABReport, generateExperimentReport } from './ab-test.mjs';
+import { runConversation, isConversationTestCase, turnRequiresJudge } from './multi-turn.mjs';
+import { isSimulatedUserTestCase, DEFAULT_MAX_TURNS } from './simulated-user.mjs';
+import { isAgentTestCase, runAgentLoop } from './agent.mjs';
+import { paraphraseText, paraphraseKind, DEFAULT_PARAPHRASE_MAX_DROP } from './paraphrase.mjs';
 import { parseBoolean } from './labels/schema.mjs';
 import { parseEnvInteger } from './env-utils.mjs';
+import { percentile } from './stats.mjs';
+import { calculatePerformanceMetrics, evaluateSlo, formatSloCheck } from './slo.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -33,7 +42,10 @@ const __dirname = dirname(__filename);
 const MAX_RETRIES = parseEnvInteger(process.env.MAX_RETRIES, 2, { min: 0, max: 10 });
 const RETRY_DELAY_MS = parseEnvInteger(process.env.RETRY_DELAY_MS, 1000, { min: 0, max: 60000 });
 const PARALLEL_LIMIT = parseEnvInteger(process.env.PARALLEL_LIMIT, 3, { min: 1, max: 100 });
+const PARALLEL_MAX = Math.max(PARALLEL_LIMIT, parseEnvInteger(process.env.PARALLEL_MAX, PARALLEL_LIMIT, { min: 1, max: 100 }));
+const ADAPTIVE_CONCURRENCY = parseBoolean(process.env.ADAPTIVE_CONCURRENCY) !== false;
 const USE_CACHE = parseBoolean(process.env.USE_CACHE) !== false;
+const USE_JUDGE_CACHE = parseBoolean(process.env.USE_JUDGE_CACHE) !== false;
 
 // =============================================================================
 // CLI Argument Parsing
@@ -53,10 +65,21 @@ function parseArgs() {
     skipJudge: false,
     listHistory: false,
     abTest: false,
+    alpha: null,
     multiTurn: false,
     compare: null,
+    traceStore: null,
+    historyTest: null,
+    historySince: null,
+    historyFailures: false,
+    resume: null,
+    record: null,
+    replay: null,
     parallel: false,
     noCache: false,
+    noJudgeCache: false,
+    noLint: false,
+    stream: false,
     clearCache: false,
     allowFailures: false,
     dryRun: false,
@@ -90,12 +113,35 @@ function parseArgs() {
       config.skipJudge = true;
     } else if (arg === '--history' || arg === '-H') {
       config.listHistory = true;
+    } else if (arg === '--test') {
+      config.historyTest = args[++i];
+    } else if (arg === '--since') {
+      config.historySince = parseTimeFilter(args[++i]);
+    } else if (arg === '--failures') {
+      config.historyFailures = true;
     } else if (arg === '--compare' || arg === '-c') {
       config.compare = args[++i];
+    } else if (arg === '--trace-store') {
+      config.traceStore = args[++i];
+      if (!TRACE_BACKENDS.includes(config.traceStore)) {
+        throw new Error(`--trace-store must be one of ${TRACE_BACKENDS.join(', ')}: ${config.traceStore}`);
+      }
+    } else if (arg === '--resume') {
+      config.resume = args[++i];
+    } else if (arg === '--record') {
+      config.record = args[++i];
+    } else if (arg === '--replay') {
+      config.replay = args[++i];
     } else if (arg === '--parallel' || arg === '-P') {
       config.parallel = true;
     } else if (arg === '--no-cache') {
       config.noCache = true;
+    } else if (arg === '--no-judge-cache') {
+      config.noJudgeCache = true;
+    } else if (arg === '--stream') {
+      config.stream = true;
+    } else if (arg === '--no-lint') {
+      config.noLint = true;
     } else if (arg === '--clear-cache') {
       config.clearCache = true;
     } else if (arg === '--allow-failures') {
@@ -119,6 +165,11 @@ function parseArgs() {
       }
     } else if (arg === '--ab-test' || arg === '-A') {
       config.abTest = true;
+    } else if (arg === '--alpha') {
+      config.alpha = parseOptionalNumber(args[++i]);
+      if (config.alpha !== null && (config.alpha <= 0 || config.alpha >= 1)) {
+        throw new Error(`--alpha must be between 0 and 1: ${config.alpha}`);
+      }
     } else if (arg === '--multi-turn' || arg === '-M') {
       config.multiTurn = true;
     } else if (arg === '--help' || arg === '-h') {
@@ -140,7 +191,8 @@ Usage:
   node run-eval.mjs [eval-config.json|.csv|.jsonl] [options]
 
 Options:
-  --provider, -p <name>   Override provider (ollama, openrouter, openai, anthropic, google)
+  --provider, -p <name>   Override provider (ollama, openrouter, openai, anthropic, google, mock,
+                          openai-compatible, or a named endpoint from providers.json)
   --model, -m <name>      Override model name for the selected provider
   --output, -o <file>     Output file for results (default: eval-results.md)
   --format, -f <type>     Output format: md, csv, json, jsonl (default: md)
@@ -148,11 +200,21 @@ Options:
   --verbose, -v           Enable verbose logging
   --skip-judge            Skip LLM-as-judge evaluation (faster, no scoring)
   --list-providers, -l    List available providers and exit
-  --history, -H           Show eval run history
+  --history, -H           Show eval run history; with filters, show matching results across runs
+    --test <name>         History filter: test case name (combine with --provider/--model)
+    --since <when>        History filter: ISO date or relative age such as 30d or 12h
+    --failures            History filter: only FAIL and errored results
+  --trace-store <type>    Trace backend: file (traces/*.json) or sqlite (TRACE_DB_PATH)
   --compare, -c <id>      Compare current run against a previous trace ID
+  --resume <id>           Finish a partial trace, skipping rows that already have a PASS/FAIL verdict
+  --record <dir>          Record raw provider HTTP traffic to a cassette directory (API keys scrubbed)
+  --replay <dir>          Serve provider HTTP traffic from a cassette directory; unmatched requests fail
   --parallel, -P          Run test cases in parallel (faster)
-  --no-cache              Disable response caching
+  --no-cache              Disable response caching (product and judge calls)
+  --no-judge-cache        Disable judge verdict caching only (JUDGE_CACHE_TTL_MS sets its TTL)
+  --stream                Use streaming completions and record TTFT, inter-token latency and tokens/sec
   --clear-cache           Clear response cache and exit
+  --no-lint               Skip the pre-run eval suite lint (see npm run lint)
   --allow-failures        Write reports but exit 0 when eval cases fail
   --dry-run               Show planned calls/cost estimates without calling providers
   --max-calls <n>         Stop after N provider calls, including judge calls
@@ -161,8 +223,9 @@ Options:
   --max-cost <usd>        Stop the run after known cost exceeds this USD ceiling
   --max-call-cost <usd>   Fail a provider call whose estimated or actual cost exceeds this ceiling
   --stream-jsonl [file]   Emit per-event JSONL progress to stderr, or append to file if provided
-  --ab-test, -A           Run as A/B test (config file should have variantA/variantB)
-  --multi-turn, -M        Run as multi-turn conversation test
+  --ab-test, -A           Run as A/B test (variantA/variantB) or N-way experiment (variants: [...])
+  --alpha <p>             Significance level for naming an A/B winner (default: 0.05)
+  --multi-turn, -M        Run a suite without test_cases as one conversation
   --help, -h              Show this help message
 
 Examples:
@@ -174,7 +237,11 @@ Examples:
   node run-eval.mjs --parallel evals/quick-test.json   # Run in parallel
   node run-eval.mjs --format csv -o results.csv        # Export to CSV
   node run-eval.mjs --history                          # View past runs
+  node run-eval.mjs --history --test "Tool Use" --model gpt-4o-mini --since 30d
   node run-eval.mjs --compare 1706500000-abc123        # Compare against past run
+  node run-eval.mjs --resume 1706500000-abc123         # Finish an interrupted run
+  node run-eval.mjs --record cassettes/quick evals/quick-test.json
+  node run-eval.mjs --replay cassettes/quick evals/quick-test.json
 `);
 }
 
@@ -197,6 +264,25 @@ function formatCost(cost) {
   return `$${cost.toFixed(4)}`;
 }
 
+function formatMs(ms) {
+  if (ms === null || ms === undefined) return 'N/A';
+  return ms < 1000 ? `${Math.round(ms * 10) / 10}ms` : formatDuration(Math.round(ms));
+}
+
+function formatTokens(stats) {
+  if (stats.p50 === null) return 'N/A';
+  return `${Math.round(stats.p50)} (${Math.round(stats.p90)})`;
+}
+
+function formatRubricScore(score) {
+  return Number.isInteger(score) ? String(score) : score.toFixed(1);
+}
+
+function formatRate(tokensPerSecond) {
+  if (tokensPerSecond === null || tokensPerSecond === undefined) return 'N/A';
+  return tokensPerSecond.toFixed(1);
+}
+
 function formatScore(score) {
   if (score === null || score === undefined) return 'N/A';
   return `${Math.round(score * 100)}%`;
@@ -247,6 +333,113 @@ function costLimitMessage(results, maxCostUsd) {
     : null;
 }
 
+/**
+ * Per-model TTFT, inter-token latency and throughput percentiles for --stream runs
+ */
+function calculateStreamingMetrics(results) {
+  const byModel = new Map();
+  for (const result of results) {
+    if (!result.success || !result.streaming?.streamed) continue;
+    const key = `${result.provider}/${result.model}`;
+    if (!byModel.has(key)) byModel.set(key, { provider: result.provider, model: result.model, timings: [] });
+    byModel.get(key).timings.push(result.streaming);
+  }
+
+  return [...byModel.values()].map(({ provider, model, timings }) => {
+    const ttft = timings.map(timing => timing.ttftMs);
+    const interToken = timings.map(timing => timing.interTokenMs);
+    const throughput = timings.map(timing => timing.tokensPerSecond);
+    return {
+      provider,
+      model,
+      streamed: timings.length,
+      ttftP50Ms: percentile(ttft, 50),
+      ttftP95Ms: percentile(ttft, 95),
+      interTokenP50Ms: percentile(interToken, 50),
+      interTokenP95Ms: percentile(interToken, 95),
+      tokensPerSecondP50: percentile(throughput, 50),
+      tokensPerSecondP95: percentile(throughput, 95),
+    };
+  });
+}
+
+/**
+ * Per model: how simulated-user conversations ended, how often they resolved
+ * and how many replies resolution took
+ */
+function calculateSimulationMetrics(results) {
+  const byModel = new Map();
+  for (const result of results) {
+    if (!result.success || !result.simulation) continue;
+    const key = `${result.provider}/${result.model}`;
+    if (!byModel.has(key)) byModel.set(key, { provider: result.provider, model: result.model, simulations: [] });
+    byModel.get(key).simulations.push(result.simulation);
+  }
+
+  return [...byModel.values()].map(({ provider, model, simulations }) => {
+    const judged = simulations.filter(simulation => simulation.resolved !== null);
+    const resolved = simulations.filter(simulation => simulation.resolved === true);
+    const turnsToResolution = resolved.map(simulation => simulation.turnsToResolution);
+    const conditions = simulations.flatMap(simulation => simulation.conditions);
+    return {
+      provider,
+      model,
+      conversations: simulations.length,
+      resolved: resolved.length,
+      resolutionRate: judged.length > 0 ? resolved.length / judged.length : null,
+      avgTurnsToResolution: turnsToResolution.length > 0
+        ? turnsToResolution.reduce((sum, turns) => sum + turns, 0) / turnsToResolution.length
+        : null,
+      p95TurnsToResolution: percentile(turnsToResolution, 95),
+      escalated: simulations.filter(simulation => simulation.assistantOutcome === 'escalated').length,
+      gaveUp: simulations.filter(simulation => simulation.assistantOutcome === 'gave_up').length,
+      userGaveUp: simulations.filter(simulation => simulation.endReason === 'user_gave_up').length,
+      maxTurnsReached: simulations.filter(simulation => simulation.endReason === 'max_turns').length,
+      conditionsMet: conditions.filter(condition => condition.met === true).length,
+      conditions: conditions.length,
+    };
+  });
+}
+
+/**
+ * Per judge model: how verdicts were parsed (json, text, repaired) and how often
+ * they could not be parsed even after the repair turn. Panel members count individually.
+ */
+function calculateJudgeParseMetrics(results) {
+  const byJudge = new Map();
+  const record = (provider, model, parse) => {
+    if (!parse) return;
+    const key = `${provider}/${model}`;
+    if (!byJudge.has(key)) byJudge.set(key, { provider, model, calls: 0, json: 0, text: 0, repaired: 0, failed: 0 });
+    const counts = byJudge.get(key);
+    counts.calls++;
+    counts[parse] = (counts[parse] || 0) + 1;
+  };
+
+  // Conversation turns and goal conditions carry their own judge verdicts alongside the overall one
+  const verdicts = results.flatMap(result => [
+    result,
+    ...(Array.isArray(result.turns) ? result.turns : []),
+    ...(result.simulation?.conditions || []),
+  ]);
+  for (const verdict of verdicts) {
+    const metadata = verdict.metadata || {};
+    if (Array.isArray(metadata.panelResults) && metadata.panelResults.length > 0) {
+      for (const member of metadata.panelResults) {
+        record(member.provider, member.model, member.judgeParse);
+      }
+    } else {
+      record(metadata.judge_provider, metadata.judge_model, metadata.judge_parse);
+    }
+  }
+
+  return [...byJudge.values()].map(counts => ({
+    ...counts,
+    repairRate: counts.repaired / counts.calls,
+    parseFailureRate: counts.failed / counts.calls,
+  }));
+}
+
 function calculateReliabilityMetrics(results) {
   const groups = new Map();
   for (const result of results) {
@@ -263,6 +456,7 @@ function calculateReliabilityMetrics(results) {
   const perCase = [];
   let weightedFailureTotal = 0;
   let unauthorizedFailures = 0;
+  let forbiddenToolCalls = 0;
   let recoveryEligible = 0;
   let recovered = 0;
 
@@ -274,10 +468,8 @@ function calculateReliabilityMetrics(results) {
     const stable = new Set(verdicts.map(String)).size <= 1;
     const failureWeight = Number(first.metadata?.safety_weight ?? first.metadata?.failure_weight ?? 1);
     weightedFailureTotal += failed * (Number.isFinite(failureWeight) ? failureWeight : 1);
-    unauthorizedFailures += groupResults.filter(result =>
-      result.metadata?.unauthorized_action === true
-      || /unauthorized action/i.test(result.evalReason || '')
-    ).length;
+    unauthorizedFailures += groupResults.filter(result => result.metadata?.unauthorized_action === true).length;
+    forbiddenToolCalls += groupResults.reduce((sum, result) => sum + (Number(result.metadata?.forbidden_tool_calls) || 0), 0);
     recoveryEligible += groupResults.filter(result => result.metadata?.recovery_expected).length;
     recovered += groupResults.filter(result => result.metadata?.recovery_expected && result.pass === true).length;
 
@@ -306,12 +498,89 @@ function calculateReliabilityMetrics(results) {
     consistency,
     caseCount: perCase.length,
     unauthorizedFailures,
+    forbiddenToolCalls,
     safetyWeightedFailures: weightedFailureTotal,
     recoveryRate: recoveryEligible > 0 ? recovered / recoveryEligible : null,
     perCase,
   };
 }
 
+/**
+ * Per case and model: how often the base prompt passes against its paraphrases.
+ * A case is brittle when its paraphrases pass less often than the base prompt by
+ * at least `maxDrop`; with a `maxDrop` of 0 that is any drop, not every case.
+ */
+function calculateParaphraseRobustness(results, maxDrop = DEFAULT_PARAPHRASE_MAX_DROP) {
+  const groups = new Map();
+  for (const result of results) {
+    if (!result.success || (result.pass !== true && result.pass !== false)) continue;
+    const key = [result.testCase, result.provider, result.model].join('::');
+    if (!groups.has(key)) {
+      groups.set(key, { testCase: result.testCase, provider: result.provider, model: result.model, base: [], variants: new Map() });
+    }
+    const group = groups.get(key);
+    const index = result.metadata?.paraphrase_index;
+    if (!index) {
+      group.base.push(result);
+      continue;
+    }
+    if (!group.variants.has(index)) {
+      group.variants.set(index, { index, kind: result.metadata?.paraphrase_kind || 'manual', prompt: result.prompt ?? null, results: [] });
+    }
+    group.variants.get(index).results.push(result);
+  }
+
+  const passRate = list => (list.length > 0 ? list.filter(result => result.pass === true).length / list.length : null);
+  const cases = [];
+  const byKind = new Map();
+  const baseResults = [];
+  const paraphraseResults = [];
+  for (const group of groups.values()) {
+    if (group.variants.size === 0) continue;
+    const variants = [...group.variants.values()].sort((a, b) => a.index - b.index);
+    const paraphrased = variants.flatMap(variant => variant.results);
+    const basePassRate = passRate(group.base);
+    const paraphrasePassRate = passRate(paraphrased);
+    // Rounded so that e.g. 1 - 0.8 counts as a drop of 0.2
+    const drop = basePassRate === null ? null : Math.round((basePassRate - paraphrasePassRate) * 1e6) / 1e6;
+    const summaries = variants.map(variant => ({
+      index: variant.index,
+      kind: variant.kind,
+      prompt: variant.prompt,
+      runs: variant.results.length,
+      passRate: passRate(variant.results),
+    }));
+    cases.push({
+      testCase: group.testCase,
+      provider: group.provider,
+      model: group.model,
+      baseRuns: group.base.length,
+      basePassRate,
+      paraphraseRuns: paraphrased.length,
+      paraphrasePassRate,
+      drop,
+      brittle: drop !== null && drop > 0 && drop >= maxDrop,
+      worst: summaries.reduce((lowest, variant) => (variant.passRate < lowest.passRate ? variant : lowest)),
+      variants: summaries,
+    });
+    baseResults.push(...group.base);
+    paraphraseResults.push(...paraphrased);
+    for (const variant of variants) {
+      if (!byKind.has(variant.kind)) byKind.set(variant.kind, []);
+      byKind.get(variant.kind).push(...variant.results);
+    }
+  }
+
+  return {
+    maxDrop,
+    cases,
+    brittle: cases.filter(item => item.brittle).length,
+    basePassRate: passRate(baseResults),
+    paraphrasePassRate: passRate(paraphraseResults),
+    byKind: [...byKind.entries()].map(([kind, kindResults]) => ({ kind, runs: kindResults.length, passRate: passRate(kindResults) })),
+  };
+}
+
 function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
@@ -391,7 +660,10 @@ function testCaseRequiresModelProvider(testCase) {
 
 function detectedEvalType(testCase) {
   if (testCase.eval_type) return testCase.eval_type;
+  if (testCase.expected_trajectory || testCase.must_not_call) return 'tool_trajectory';
   if (testCase.expected_tool) return 'tool_call';
+  if (testCase.code_tests) return 'code_execution';
+  if (testCase.json_schema || testCase.json_schema_path) return 'json_schema';
   if (testCase.expected_json) return 'json_match';
   if (testCase.expected_regex) return 'regex';
   if (testCase.expected_contains) return 'contains';
@@ -403,6 +675,7 @@ function detectedEvalType(testCase) {
   if (testCase.context_surface || testCase.required_context_facts || testCase.irrelevant_context_facts) return 'personalization_context';
   if (testCase.response_a || testCase.response_b || testCase.candidate_a || testCase.candidate_b) return 'pairwise_judge';
   if (testCase.retrieved_context_ids && testCase.expected_relevant_context_ids) return 'rag_retrieval';
+  if (testCase.rubric) return 'rubric_judge';
   if (testCase.expected) return 'exact_match';
   if (testCase.criteria) return 'llm_judge';
   return 'existence';
@@ -418,13 +691,22 @@ function evalConfigRequiresJudge(evalConfig) {
   return testCases.some(testCase => {
     if (testCaseRequiresJudge(testCase)) return true;
     const turns = testCase.turns || testCase.conversation || [];
-    return Boolean(testCase.overall_criteria || turns.some(turn => turn.criteria && !turn.expected && !turn.expected_contains));
+    return Boolean(testCase.overall_criteria
+      || turns.some(turn => turn.rubric || (turn.criteria && !turn.expected && !turn.expected_contains))
+      || simulatedGoalConditions(testCase).some(turnRequiresJudge));
   });
 }
 
+function simulatedGoalConditions(testCase) {
+  const conditions = testCase.simulated_user?.goal_conditions;
+  const list = Array.isArray(conditions) ? conditions : conditions ? [conditions] : [];
+  return list.map(condition => (typeof condition === 'string' ? { criteria: condition } : condition));
+}
+
 function testCaseRequiresJudge(testCase) {
   const evalType = detectedEvalType(testCase);
   if (evalType === 'llm_judge') return true;
+  if (evalType === 'rubric_judge') return true;
   if (evalType === 'pairwise_judge') return true;
   if (/^rag_(?!retrieval)/.test(evalType)) return true;
   return false;
@@ -440,7 +722,7 @@ function testCaseMetadata(testCase) {
 }
 
 function buildDryRunPlan(evalConfig, cliConfig) {
-  const testCases = expandTestCases(evalConfig.test_cases || evalConfig.conversations || [evalConfig], cliConfig.repeat);
+  const testCases = expandTestCases(suiteTestCases(evalConfig, cliConfig), cliConfig.repeat);
   const models = resolveDryRunModels(evalConfig, cliConfig);
   const judgePanelMembers = cliConfig.judgePanel
     ? cliConfig.judgePanel.split(',').map(member => member.trim()).filter(Boolean).length
@@ -455,24 +737,42 @@ function buildDryRunPlan(evalConfig, cliConfig) {
 
   for (const testCase of testCases) {
     for (const modelConfig of models) {
-      const requiresModel = testCaseRequiresModelProvider(testCase);
-      const requiresJudge = testCaseRequiresJudge(testCase);
-      const productCallCount = requiresModel ? 1 : 0;
-      const judgeCallCount = requiresJudge ? judgeCallsPerJudgeCase : 0;
+      const conversation = isConversationTestCase(testCase);
+      const simulated = isSimulatedUserTestCase(testCase);
+      // A simulated user runs up to max_turns; plan for all of them
+      const turns = simulated
+        ? Array.from({ length: Number(testCase.simulated_user.max_turns ?? DEFAULT_MAX_TURNS) }, () => ({}))
+        : conversation ? testCase.turns || testCase.conversation : [];
+      const requiresModel = conversation ? turns.length > 0 : testCaseRequiresModelProvider(testCase);
+      const judgeSteps = conversation
+        ? turns.filter(turnRequiresJudge).length
+          // Goal conditions that hold are re-judged on shorter transcripts to find the turn they first held
+          + simulatedGoalConditions(testCase).filter(turnRequiresJudge).length * Math.max(turns.length, 1)
+          + (testCase.overall_criteria ? 1 : 0)
+        : (testCaseRequiresJudge(testCase) ? 1 : 0);
+      const simulatorCallCount = simulated ? turns.length + 1 : 0;
+      const productCallCount = (conversation ? turns.length : (requiresModel ? 1 : 0)) + simulatorCallCount;
+      const judgeCallCount = judgeSteps * judgeCallsPerJudgeCase;
       productCalls += productCallCount;
       judgeCalls += judgeCallCount;
       if (productCallCount === 0 && judgeCallCount === 0) deterministicCases += 1;
 
-      const maxTokens = testCase.max_tokens ?? modelConfig.max_tokens ?? 2048;
-      const messages = [
-        ...(testCase.system_prompt ? [{ role: 'system', content: testCase.system_prompt }] : []),
-        { role: 'user', content: testCase.prompt || testCase.question || '' },
-      ];
+      const maxTokens = testCase.max_tokens ?? modelConfig.max_tokens ?? (conversation ? 512 : 2048);
+      const systemMessages = testCase.system_prompt ? [{ role: 'system', content: testCase.system_prompt }] : [];
+      // A conversation resends its history each turn; earlier replies are budgeted at max_tokens
+      const callPromptTokens = conversation
+        ? turns.map((turn, index) => estimateMessagesTokens([
+            ...systemMessages,
+            ...turns.slice(0, index + 1).map(previous => ({ role: 'user', content: turnUserText(previous) })),
+          ]) + index * maxTokens)
+        : [estimateMessagesTokens([...systemMessages, { role: 'user', content: testCase.prompt || testCase.question || '' }])];
+      const promptTokens = callPromptTokens.reduce((sum, tokens) => sum + tokens, 0);
+      const completionTokens = maxTokens * callPromptTokens.length;
       const providerEstimate = requiresModel
         ? calculateCost(modelConfig.model, {
-            prompt_tokens: estimateMessagesTokens(messages),
-            completion_tokens: maxTokens,
-            total_tokens: estimateMessagesTokens(messages) + maxTokens,
+            prompt_tokens: promptTokens,
+            completion_tokens: completionTokens,
+            total_tokens: promptTokens + completionTokens,
           })
         : 0;
       if (providerEstimate === null || providerEstimate === undefined) {
@@ -487,7 +787,7 @@ function buildDryRunPlan(evalConfig, cliConfig) {
         model: modelConfig.model,
         productCalls: productCallCount,
         judgeCalls: judgeCallCount,
-        evalType: testCase.eval_type || detectDryRunEvalType(testCase),
+        evalType: conversation ? 'multi_turn' : testCase.eval_type || detectDryRunEvalType(testCase),
       });
     }
   }
@@ -520,23 +820,22 @@ function expandTestCases(testCases, repeat = 1) {
   const expanded = [];
 
   for (const testCase of testCases) {
-    const promptVariants = [{ prompt: testCase.prompt, paraphraseIndex: null }];
-    const paraphrases = Array.isArray(testCase.paraphrases) ? testCase.paraphrases : [];
-    for (let i = 0; i < paraphrases.length; i++) {
-      promptVariants.push({ prompt: paraphrases[i], paraphraseIndex: i + 1 });
-    }
+    const promptVariants = isConversationTestCase(testCase)
+      ? conversationParaphrases(testCase)
+      : promptParaphrases(testCase);
 
     for (const variant of promptVariants) {
       for (let repeatIndex = 1; repeatIndex <= repeatCount; repeatIndex++) {
         expanded.push({
           ...testCase,
-          prompt: variant.prompt ?? testCase.prompt,
+          ...variant.fields,
           metadata: {
             ...(testCase.metadata || {}),
             repeat_index: repeatIndex,
             repeat_count: repeatCount,
             paraphrase_index: variant.paraphraseIndex,
-            original_prompt: variant.paraphraseIndex ? testCase.prompt : undefined,
+            paraphrase_kind: variant.paraphraseKind,
+            original_prompt: variant.paraphraseIndex ? variant.originalPrompt : undefined,
           },
         });
       }
@@ -546,10 +845,54 @@ function expandTestCases(testCases, repeat = 1) {
   return expanded;
 }
 
+function promptParaphrases(testCase) {
+  const variants = [{ fields: {}, paraphraseIndex: null }];
+  const paraphrases = Array.isArray(testCase.paraphrases) ? testCase.paraphrases : [];
+  for (let i = 0; i < paraphrases.length; i++) {
+    variants.push({
+      fields: { prompt: paraphraseText(paraphrases[i]) },
+      paraphraseIndex: i + 1,
+      paraphraseKind: paraphraseKind(paraphrases[i]),
+      originalPrompt: testCase.prompt,
+    });
+  }
+  return variants;
+}
+
+/**
+ * Conversation paraphrases live on the turns: variant N sends each turn's
+ * `paraphrases[N-1]` in place of its user message (turns with fewer keep the original)
+ */
+function conversationParaphrases(testCase) {
+  const turns = testCase.turns || testCase.conversation || [];
+  const count = Math.max(0, ...turns.map(turn => (Array.isArray(turn.paraphrases) ? turn.paraphrases.length : 0)));
+  const variants = [{ fields: {}, paraphraseIndex: null }];
+  for (let i = 0; i < count; i++) {
+    variants.push({
+      fields: {
+        turns: turns.map(turn => (paraphraseText(turn.paraphrases?.[i]) ? { ...turn, user: paraphraseText(turn.paraphrases[i]), user_template: undefined, original_user: turnUserText(turn) } : turn)),
+        conversation: undefined,
+      },
+      paraphraseIndex: i + 1,
+      paraphraseKind: paraphraseKind(turns.map(turn => turn.paraphrases?.[i]).find(item => item && typeof item === 'object')),
+      originalPrompt: turnUserText(turns[0]),
+    });
+  }
+  return variants;
+}
+
+function turnUserText(turn = {}) {
+  return turn.user_template || turn.user || turn.prompt || turn.input || '';
+}
+
 function detectDryRunEvalType(testCase) {
+  if (testCase.expected_trajectory || testCase.must_not_call) return 'tool_trajectory';
   if (testCase.expected_tool) return 'tool_call';
+  if (testCase.code_tests) return 'code_execution';
+  if (testCase.json_schema || testCase.json_schema_path) return 'json_schema';
   if (testCase.expected_contains) return 'contains';
   if (testCase.expected_regex) return 'regex';
+  if (testCase.rubric) return 'rubric_judge';
   if (testCase.expected) return 'exact_match';
   if (testCase.criteria) return 'llm_judge';
   return 'existence';
@@ -564,7 +907,14 @@ function judgeMetadata(testCase, evalResult = {}) {
     judge_template: evalResult.judgeTemplate || testCase.judge_template || testCase.metadata?.judge_template,
     judge_template_hash: evalResult.judgeTemplateHash,
     judge_prompt_hash: evalResult.judgePromptHash,
+    judge_response: evalResult.judgeResponse,
+    judge_provider: evalResult.judgeProviderName,
+    judge_model: evalResult.judgeModel,
+    judge_parse: evalResult.judgeParse,
+    judge_structured: evalResult.judgeStructured,
+    judge_cached: judgeWasCached(evalResult),
     panelResults: evalResult.panelResults,
+    rubric_scores: evalResult.rubricScores,
     winner: evalResult.winner,
     expectedWinner: evalResult.expectedWinner,
     shownWinner: evalResult.shownWinner,
@@ -576,6 +926,31 @@ function judgeMetadata(testCase, evalResult = {}) {
   };
 }
 
+/**
+ * True when the verdict came from the judge cache; a panel counts only when every member did
+ */
+function judgeWasCached(evalResult = {}) {
+  if (typeof evalResult.judgeCached === 'boolean') return evalResult.judgeCached;
+  if (Array.isArray(evalResult.panelResults) && evalResult.panelResults.length > 0) {
+    return evalResult.panelResults.every(member => member.judgeCached === true);
+  }
+  return undefined;
+}
+
+function judgeCacheEnabled(cliConfig) {
+  return USE_JUDGE_CACHE && !cliConfig.noCache && !cliConfig.noJudgeCache;
+}
+
+function agentMetadata(result = {}) {
+  if (!result.agent) return {};
+  return {
+    agent_steps: result.agent.steps,
+    agent_max_steps: result.agent.maxSteps,
+    agent_stop_reason: result.agent.stopReason,
+    agent_state: result.agent.state,
+  };
+}
+
 function combineCosts(...costs) {
   const known = costs.filter(cost => typeof cost === 'number');
   return known.length > 0 ? known.reduce((sum, cost) => sum + cost, 0) : null;
@@ -638,11 +1013,19 @@ function enforceActualCallCost({ provider, model, result, maxCallCostUsd, kind }
   }
 }
 
-function createCallBudget(maxCalls) {
+/**
+ * Call counter for --max-calls. With `maxCostUsd` it also admits each call only
+ * if the spend so far, plus the estimates of calls still in flight, plus this
+ * call's estimate stays within --max-cost.
+ */
+function createCallBudget(maxCalls, { maxCostUsd = null, spentUsd = 0 } = {}) {
   return {
     maxCalls,
     used: 0,
     blocked: false,
+    maxCostUsd,
+    spentUsd,
+    reservedUsd: 0,
     consume(kind, details = {}) {
       if (maxCalls === null || maxCalls === undefined) return null;
       if (this.used >= maxCalls) {
@@ -655,9 +1038,32 @@ function createCallBudget(maxCalls) {
     exhausted() {
       return maxCalls !== null && maxCalls !== undefined && this.used >= maxCalls;
     },
+    reserveCost(kind, estimatedCost) {
+      if (maxCostUsd === null || maxCostUsd === undefined) return null;
+      // Unknown pricing reserves nothing; costLimitMessage reports it once the call returns
+      const cost = typeof estimatedCost === 'number' ? estimatedCost : 0;
+      const committed = this.spentUsd + this.reservedUsd;
+      if (committed + cost > maxCostUsd) {
+        this.blocked = true;
+        throw new Error(`Max cost reached before ${kind} call (${formatCost(committed)} spent or in flight + ${formatCost(cost)} estimated > ${formatCost(maxCostUsd)})`);
+      }
+      this.reservedUsd += cost;
+      return { cost };
+    },
+    settleCost(reservation, actualCost) {
+      if (!reservation) return;
+      this.reservedUsd -= reservation.cost;
+      if (typeof actualCost === 'number') this.spentUsd += actualCost;
+    },
   };
 }
 
+function callBudgetStopMessage(callBudget) {
+  return callBudget.exhausted()
+    ? `Max calls reached (${callBudget.used}/${callBudget.maxCalls})`
+    : `Max cost reached (${formatCost(callBudget.spentUsd)} spent of ${formatCost(callBudget.maxCostUsd)})`;
+}
+
 function emitJsonlEvent(cliConfig, event) {
   if (!cliConfig.streamJsonl) return;
   const line = JSON.stringify({ timestamp: new Date().toISOString(), ...event }) + '\n';
@@ -750,6 +1156,85 @@ async function resolveJudgePanel(panelSpec) {
 // Eval Execution with Retry
 // =============================================================================
 
+async function completeWithLimits(provider, messages, completionOptions, testCase, options = {}) {
+  options.callBudget?.consume('completion', {
+    provider: provider.name,
+    model: completionOptions.model,
+    testCase: testCase.name,
+  });
+  enforcePreflightCallCost({
+    provider,
+    model: completionOptions.model,
+    messages,
+    maxTokens: completionOptions.max_tokens,
+    maxCallCostUsd: options.maxCallCostUsd,
+    kind: 'completion',
+  });
+  const reservation = options.callBudget?.reserveCost(
+    'completion',
+    isBillableProvider(provider.name) ? estimateProviderCost(provider, completionOptions.model, messages, completionOptions.max_tokens) : 0
+  );
+  const call = () => withRateLimit(provider.name, async () => {
+    // Tool requests stay on complete(): not every adapter streams tool calls
+    if (options.stream && !completionOptions.tools) {
+      return provider.streamWithTimings(messages, completionOptions);
+    }
+    return provider.complete(messages, completionOptions);
+  }, {
+    model: completionOptions.model,
+    estimatedTokens: estimateMessagesTokens(messages) + (completionOptions.max_tokens || 0),
+  });
+
+  let result;
+  try {
+    result = options.providerSlots ? await options.providerSlots.run(provider.name, call) : await call();
+  } catch (error) {
+    options.callBudget?.settleCost(reservation, null);
+    throw error;
+  }
+  const actualCost = result.cost ?? (result.usage ? calculateCost(completionOptions.model, result.usage) : null);
+  options.callBudget?.settleCost(reservation, actualCost);
+  return result;
+}
+
+/**
+ * Serve a completion from the response cache, or call the provider and cache the reply
+ */
+async function completeWithCache(provider, messages, completionOptions, testCase, options = {}) {
+  const cacheKey = getCacheKey(provider.name, completionOptions.model, messages, completionOptions);
+  // A cached response has no timings to report, so streaming runs always call the provider
+  const useCache = USE_CACHE && !options.noCache && !options.stream && provider.cacheable !== false;
+
+  if (useCache) {
+    const cached = getCachedResponse(cacheKey);
+    if (cached) {
+      cached.latencyMs = 0; // Instant from cache
+      return { result: cached, fromCache: true };
+    }
+  }
+
+  // Run completion with rate limiting
+  const result = await completeWithLimits(provider, messages, completionOptions, testCase, options);
+  if (useCache) {
+    setCachedResponse(cacheKey, result, { kind: 'completion', model: completionOptions.model });
+  }
+  return { result, fromCache: false };
+}
+
+function applyCallCost(provider, model, result, options = {}) {
+  // Calculate accurate cost
+  if (result.usage && result.cost == null) {
+    result.cost = calculateCost(model, result.usage);
+  }
+  enforceActualCallCost({
+    provider,
+    model,
+    result,
+    maxCallCostUsd: options.maxCallCostUsd,
+    kind: 'completion',
+  });
+}
+
 async function runTestCaseWithRetry(testCase, modelConfig, provider, options = {}) {
   let lastError = null;
   
@@ -768,10 +1253,13 @@ async function runTestCaseWithRetry(testCase, modelConfig, provider, options = {
     // Don't retry on certain errors
     if (
       result.error?.includes('API key')
+      || result.error?.includes('No cassette recording')
       || result.error?.includes('not configured')
       || result.error?.includes('No judge provider available')
       || result.evalType === 'llm_judge'
       || result.evalType === 'pairwise_judge'
+      || (result.evalType === 'multi_turn' && result.metadata?.judge_error)
+      || options.callBudget?.blocked
     ) {
       return result;
     }
@@ -835,6 +1323,8 @@ async function runTestCase(testCase, modelConfig, provider, options = {}) {
           timeoutMs: options.timeoutMs,
           callBudget: options.callBudget,
           maxCallCostUsd: options.maxCallCostUsd,
+          judgeCache: options.judgeCache,
+          providerSlots: options.providerSlots,
         });
       }
 
@@ -920,6 +1410,8 @@ async function runTestCase(testCase, modelConfig, provider, options = {}) {
         judgePanel: options.judgePanel,
         callBudget: options.callBudget,
         maxCallCostUsd: options.maxCallCostUsd,
+        judgeCache: options.judgeCache,
+        providerSlots: options.providerSlots,
       });
 
       return {
@@ -948,6 +1440,10 @@ async function runTestCase(testCase, modelConfig, provider, options = {}) {
       };
     }
 
+    if (isConversationTestCase(testCase)) {
+      return await runConversationTestCase(testCase, modelConfig, provider, options);
+    }
+
     // Build messages
     messages = [];
     
@@ -961,60 +1457,31 @@ async function runTestCase(testCase, modelConfig, provider, options = {}) {
       model,
       temperature: testCase.temperature ?? modelConfig.temperature ?? 0.7,
       max_tokens: testCase.max_tokens ?? modelConfig.max_tokens ?? 2048,
+      testCase: testCase.name,
     };
     if (testCase.tools || options.tools) completionOptions.tools = testCase.tools || options.tools;
     if (testCase.tool_choice || options.tool_choice) completionOptions.tool_choice = testCase.tool_choice || options.tool_choice;
 
-    // Check cache first (unless disabled)
     let result;
     let fromCache = false;
-    const cacheKey = getCacheKey(provider.name, model, messages, completionOptions);
-    
-    if (USE_CACHE && !options.noCache) {
-      const cached = getCachedResponse(cacheKey);
-      if (cached) {
-        result = cached;
-        result.latencyMs = 0; // Instant from cache
-        fromCache = true;
-      }
-    }
 
-    // Run completion with rate limiting
-    if (!result) {
-      options.callBudget?.consume('completion', {
-        provider: provider.name,
-        model,
-        testCase: testCase.name,
-      });
-      enforcePreflightCallCost({
-        provider,
-        model,
+    if (isAgentTestCase(testCase, options)) {
+      // Tool results come from the simulated backends, so agent runs bypass the response cache
+      result = await runAgentLoop(testCase, {
         messages,
-        maxTokens: completionOptions.max_tokens,
-        maxCallCostUsd: options.maxCallCostUsd,
-        kind: 'completion',
-      });
-      result = await withRateLimit(provider.name, async () => {
-        return provider.complete(messages, completionOptions);
+        toolHandlers: options.toolHandlers,
+        maxSteps: options.maxSteps,
+        complete: async stepMessages => {
+          const stepResult = await completeWithLimits(provider, stepMessages, completionOptions, testCase, options);
+          applyCallCost(provider, model, stepResult, options);
+          return stepResult;
+        },
       });
-      
-      // Cache the result
-      if (USE_CACHE && !options.noCache) {
-        setCachedResponse(cacheKey, result);
-      }
-    }
-    
-    // Calculate accurate cost
-    if (result.usage && !result.cost) {
-      result.cost = calculateCost(model, result.usage);
+      messages = result.messages;
+    } else {
+      ({ result, fromCache } = await completeWithCache(provider, messages, completionOptions, testCase, options));
+      applyCallCost(provider, model, result, options);
     }
-    enforceActualCallCost({
-      provider,
-      model,
-      result,
-      maxCallCostUsd: options.maxCallCostUsd,
-      kind: 'completion',
-    });
 
     // Evaluate the response
     const evalResult = options.skipJudge && testCaseRequiresJudge(testCase)
@@ -1041,6 +1508,8 @@ async function runTestCase(testCase, modelConfig, provider, options = {}) {
           timeoutMs: options.timeoutMs,
           callBudget: options.callBudget,
           maxCallCostUsd: options.maxCallCostUsd,
+          judgeCache: options.judgeCache,
+          providerSlots: options.providerSlots,
         });
     const totalCost = combineCosts(result.cost, evalResult.cost ?? evalResult.judgeCost);
     const costUnknown = resultCostUnknown(provider.name, result, evalResult);
@@ -1054,6 +1523,7 @@ async function runTestCase(testCase, modelConfig, provider, options = {}) {
         text: result.text,
         usage: result.usage,
         latencyMs: result.latencyMs,
+        streaming: result.streaming || null,
         cost: totalCost,
         costUnknown,
         error: evalResult.reason,
@@ -1065,7 +1535,7 @@ async function runTestCase(testCase, modelConfig, provider, options = {}) {
         prompt: testCase.prompt,
         systemPrompt: testCase.system_prompt,
         promptVersion: testCase.prompt_version || testCase.metadata?.prompt_version || null,
-        metadata: { ...testCaseMetadata(testCase), ...(evalResult.metadata || {}), ...judgeMetadata(testCase, evalResult), product_cost: result.cost, cost_unknown: costUnknown, judge_error: true, metrics: evalResult.metrics },
+        metadata: { ...testCaseMetadata(testCase), ...(evalResult.metadata || {}), ...judgeMetadata(testCase, evalResult), product_cost: result.cost, cost_unknown: costUnknown, judge_error: true, metrics: evalResult.metrics, ...agentMetadata(result) },
         messages,
         transcript: testCase.transcript || null,
         toolCalls: result.toolCalls || result.tool_calls || null,
@@ -1081,6 +1551,7 @@ async function runTestCase(testCase, modelConfig, provider, options = {}) {
       text: result.text,
       usage: result.usage,
       latencyMs: result.latencyMs,
+      streaming: result.streaming || null,
       cost: totalCost,
       costUnknown,
       error: null,
@@ -1093,7 +1564,7 @@ async function runTestCase(testCase, modelConfig, provider, options = {}) {
       prompt: testCase.prompt,
       systemPrompt: testCase.system_prompt,
       promptVersion: testCase.prompt_version || testCase.metadata?.prompt_version || null,
-      metadata: { ...testCaseMetadata(testCase), ...(evalResult.metadata || {}), ...judgeMetadata(testCase, evalResult), product_cost: result.cost, cost_unknown: costUnknown, metrics: evalResult.metrics },
+      metadata: { ...testCaseMetadata(testCase), ...(evalResult.metadata || {}), ...judgeMetadata(testCase, evalResult), product_cost: result.cost, cost_unknown: costUnknown, metrics: evalResult.metrics, ...agentMetadata(result) },
       messages,
       transcript: testCase.transcript || null,
       toolCalls: result.toolCalls || result.tool_calls || null,
@@ -1123,14 +1594,199 @@ async function runTestCase(testCase, modelConfig, provider, options = {}) {
   }
 }
 
+/**
+ * One conversation for one model. Each turn goes through the response cache,
+ * rate limits and budgets like a single-prompt case, and keeps its own eval
+ * result, usage and cost in `turns`.
+ */
+async function runConversationTestCase(testCase, modelConfig, provider, options = {}) {
+  const model = modelConfig.model;
+  const simulator = isSimulatedUserTestCase(testCase) ? resolveSimulator(testCase, modelConfig, provider, options) : null;
+  const conversation = await runConversation(testCase, provider, {
+    model,
+    temperature: testCase.temperature ?? modelConfig.temperature,
+    max_tokens: testCase.max_tokens ?? modelConfig.max_tokens,
+    skipJudge: options.skipJudge,
+    judgeProvider: options.judgeProvider,
+    judgeModel: options.judgeModel,
+    judgePanel: options.judgePanel,
+    timeoutMs: options.timeoutMs,
+    callBudget: options.callBudget,
+    maxCallCostUsd: options.maxCallCostUsd,
+    judgeCache: options.judgeCache,
+    providerSlots: options.providerSlots,
+    tools: options.tools,
+    tool_choice: options.tool_choice,
+    toolHandlers: options.toolHandlers,
+    maxSteps: options.maxSteps,
+    complete: async (messages, completionOptions) => {
+      // Tool turns answer from the simulated backends, so like agent runs they bypass the response cache
+      const { result, fromCache } = completionOptions.tools
+        ? { result: await completeWithLimits(provider, messages, completionOptions, testCase, options), fromCache: false }
+        : await completeWithCache(provider, messages, completionOptions, testCase, options);
+      applyCallCost(provider, model, result, options);
+      return { ...result, fromCache };
+    },
+    simulatorProvider: simulator?.provider,
+    simulatorModel: simulator?.model,
+    completeUser: simulator && (async (messages, completionOptions) => {
+      const { result } = await completeWithCache(simulator.provider, messages, completionOptions, testCase, options);
+      applyCallCost(simulator.provider, completionOptions.model, result, options);
+      return result;
+    }),
+    turnMetadata: (turn, evalResult) => judgeMetadata(turn, evalResult),
+  });
+
+  const turns = conversation.turns;
+  const overallEval = conversation.overallEval;
+  const simulation = conversation.simulation;
+  const conditions = simulation?.conditions || [];
+  const productCost = combineCosts(...turns.map(turn => turn.cost));
+  const simulatorCost = simulation?.cost ?? null;
+  const judgeCost = combineCosts(
+    ...turns.map(turn => turn.judgeCost),
+    ...conditions.map(condition => condition.judgeCost),
+    overallEval?.cost ?? overallEval?.judgeCost
+  );
+  const costUnknown = turns.some(turn => productCostUnknown(provider.name, turn) || turn.judgeCostUnknown)
+    || conditions.some(condition => condition.judgeCostUnknown)
+    || Boolean(overallEval?.judgeCostUnknown)
+    || Boolean(simulation?.costUnknown && isBillableProvider(simulator.provider.name));
+  const failedTurn = turns.find(turn => turn.evalType === 'error' || turn.evalError);
+  const failedCondition = conditions.find(condition => condition.evalError);
+  const overallFailed = isEvaluatorInfrastructureFailure(overallEval);
+  const error = simulation?.error
+    || (failedTurn ? `Turn ${failedTurn.turn}: ${failedTurn.reason}` : null)
+    || (failedCondition ? `Goal condition "${failedCondition.name}": ${failedCondition.reason}` : null)
+    || (overallFailed ? overallEval.reason : null);
+  const judgeError = Boolean(failedTurn?.evalError || (!failedTurn && (failedCondition || overallFailed)));
+
+  return {
+    success: !error,
+    testCase: testCase.name || 'Conversation',
+    model,
+    provider: provider.name,
+    text: turns.filter(turn => turn.assistant !== null).at(-1)?.assistant ?? null,
+    usage: conversation.usage,
+    latencyMs: turns.reduce((sum, turn) => sum + (turn.latencyMs || 0), 0),
+    cost: combineCosts(productCost, judgeCost, simulatorCost),
+    costUnknown,
+    error,
+    pass: conversation.overallPass,
+    score: conversation.overallScore,
+    evalReason: error || conversation.overallReason,
+    evalType: 'multi_turn',
+    fromCache: turns.length > 0 && turns.every(turn => turn.fromCache),
+    prompt: turns[0]?.user ?? '',
+    systemPrompt: testCase.system_prompt,
+    promptVersion: testCase.prompt_version || testCase.metadata?.prompt_version || null,
+    metadata: {
+      ...testCaseMetadata(testCase),
+      ...(overallEval ? judgeMetadata(testCase, overallEval) : {}),
+      judge_cost: judgeCost,
+      product_cost: productCost,
+      cost_unknown: costUnknown,
+      judge_error: judgeError || undefined,
+      turn_count: turns.length,
+      turns_passed: turns.filter(turn => turn.pass === true).length,
+      ...(simulation ? {
+        simulator_cost: simulatorCost,
+        simulator_provider: simulator.provider.name,
+        simulator_model: simulator.model,
+        persona: simulation.persona,
+        resolved: simulation.resolved,
+        turns_to_resolution: simulation.turnsToResolution,
+        end_reason: simulation.endReason,
+        assistant_outcome: simulation.assistantOutcome,
+      } : {}),
+    },
+    messages: conversation.messages,
+    toolCalls: conversationToolField(turns, 'toolCalls'),
+    toolResults: conversationToolField(turns, 'toolResults'),
+    turns,
+    simulation,
+  };
+}
+
+function conversationToolField(turns, field) {
+  const items = turns.flatMap(turn => (turn[field] || []).map(item => ({ ...item, turn: turn.turn })));
+  return items.length > 0 ? items : null;
+}
+
+/**
+ * Provider and model that play a case's simulated user: `simulated_user.provider`/`model`,
+ * then SIMULATOR_PROVIDER/SIMULATOR_MODEL, then the judge, then the model under test
+ */
+function resolveSimulator(testCase, modelConfig, provider, options = {}) {
+  const spec = testCase.simulated_user;
+  const providerName = spec.provider || process.env.SIMULATOR_PROVIDER;
+  if (providerName) {
+    const simulatorProvider = getRunProvider({ provider: providerName });
+    const envModel = spec.provider ? null : process.env.SIMULATOR_MODEL;
+    return { provider: simulatorProvider, model: spec.model || envModel || simulatorProvider.defaultModel };
+  }
+  if (options.judgeProvider) {
+    return { provider: options.judgeProvider, model: spec.model || options.judgeModel || options.judgeProvider.defaultModel };
+  }
+  return { provider, model: spec.model || modelConfig.model };
+}
+
+function printConversationTurns(result, indent) {
+  for (const turn of result.turns || []) {
+    const icon = turn.pass === true ? '✅' : turn.pass === false ? '❌' : '⏭️';
+    const scoreStr = turn.score !== null && turn.score !== undefined ? ` ${formatScore(turn.score)}` : '';
+    console.log(`${indent}Turn ${turn.turn}: ${icon}${scoreStr} ${truncateText(turn.reason || '', 80)}`);
+  }
+}
+
+/**
+ * Test cases for a run. A suite that is itself one conversation (top-level
+ * `turns`) runs as a single case; --multi-turn also treats a suite without
+ * test_cases/conversations that way.
+ */
+function suiteTestCases(evalConfig, cliConfig = {}) {
+  if (evalConfig.test_cases) return evalConfig.test_cases;
+  if (evalConfig.conversations) return evalConfig.conversations;
+  return cliConfig.multiTurn || isConversationTestCase(evalConfig) ? [evalConfig] : [];
+}
+
+function formatParallelism() {
+  if (!ADAPTIVE_CONCURRENCY) return `${PARALLEL_LIMIT} concurrent`;
+  return PARALLEL_MAX > PARALLEL_LIMIT
+    ? `adaptive, ${PARALLEL_LIMIT} concurrent up to ${PARALLEL_MAX}`
+    : `adaptive, up to ${PARALLEL_LIMIT} concurrent`;
+}
+
+function runRowKey(testCase, modelConfig) {
+  return traceResultKey({
+    testCase: testCase.name,
+    provider: modelConfig.provider,
+    model: modelConfig.model,
+    metadata: testCase.metadata,
+  });
+}
+
 async function runEval(evalConfig, cliConfig) {
-  const results = [];
-  const testCases = expandTestCases(evalConfig.test_cases || [], cliConfig.repeat);
+  const testCases = expandTestCases(suiteTestCases(evalConfig, cliConfig), cliConfig.repeat);
   const models = await resolveExecutionModels(evalConfig, cliConfig);
-  const callBudget = createCallBudget(cliConfig.maxCalls);
+  configureRateLimits(evalConfig.rate_limits);
+  const providerConcurrency = resolveProviderConcurrency(evalConfig);
   
-  // Create trace for this run
-  const trace = createTrace(evalConfig);
+  // Create trace for this run, or reopen a partial one and keep its completed rows
+  const trace = cliConfig.resume
+    ? resumeTrace(cliConfig.resume)
+    : createTrace(evalConfig, {
+        provider: cliConfig.provider,
+        model: cliConfig.model,
+        repeat: cliConfig.repeat,
+        ...(cliConfig.multiTurn ? { multiTurn: true } : {}),
+      });
+  const results = trace.results.map(restoreTraceResult);
+  const completedKeys = new Set(trace.results.map(traceResultKey));
+  const callBudget = createCallBudget(cliConfig.maxCalls, {
+    maxCostUsd: cliConfig.maxCostUsd,
+    spentUsd: totalKnownCost(results),
+  });
   
   // Get judge provider for LLM-as-judge evaluations
   let judgeProvider = null;
@@ -1156,69 +1812,103 @@ async function runEval(evalConfig, cliConfig) {
   if (cliConfig.repeat > 1) console.log(`   Repeats: ${cliConfig.repeat}`);
   console.log(`   Models: ${models.length}`);
   console.log(`   Scoring: ${cliConfig.skipJudge ? 'Disabled' : 'Enabled'}`);
-  console.log(`   Parallel: ${cliConfig.parallel ? `Yes (${PARALLEL_LIMIT} concurrent)` : 'No'}`);
-  console.log(`   Caching: ${cliConfig.noCache ? 'Disabled' : 'Enabled'}`);
-  console.log(`   Auto-retry: ${MAX_RETRIES} attempts\n`);
+  console.log(`   Parallel: ${cliConfig.parallel ? `Yes (${formatParallelism()})` : 'No'}`);
+  console.log(`   Caching: ${cliConfig.noCache ? 'Disabled' : cliConfig.stream ? 'Disabled (streaming)' : 'Enabled'}`);
+  console.log(`   Judge caching: ${judgeCacheEnabled(cliConfig) ? 'Enabled' : 'Disabled'}`);
+  console.log(`   Auto-retry: ${MAX_RETRIES} attempts`);
 
   // Build list of all test runs
   const runs = [];
   for (const testCase of testCases) {
     for (const modelConfig of models) {
+      if (completedKeys.has(runRowKey(testCase, modelConfig))) continue;
       runs.push({ testCase, modelConfig });
     }
   }
+  if (cliConfig.resume) {
+    console.log(`   Resuming: ${trace.id} (${results.length} completed, ${runs.length} remaining)`);
+  }
+  console.log('');
+  checkpointTrace(trace);
 
   // Run tests (parallel or sequential)
+  let concurrency = null;
   if (cliConfig.parallel) {
     console.log(`   Running ${runs.length} tests in parallel...\n`);
-    
-    // Process in batches
-    for (let i = 0; i < runs.length; i += PARALLEL_LIMIT) {
-      if (costLimitError) break;
-      const batch = runs.slice(i, i + PARALLEL_LIMIT);
-      const callsBeforeBatch = callBudget.used;
-      
-      const batchResults = await Promise.all(
-        batch.map(async ({ testCase, modelConfig }) => {
-          const provider = getRunProvider(modelConfig);
-
-          return runTestCaseWithRetry(testCase, modelConfig, provider, {
-            skipJudge: cliConfig.skipJudge,
-            judgeProvider,
-            judgeModel,
-            judgePanel,
-            verbose: cliConfig.verbose,
-            noCache: cliConfig.noCache,
-            tools: evalConfig.tools,
-            tool_choice: evalConfig.tool_choice,
-            callBudget,
-            maxCallCostUsd: cliConfig.maxCallCostUsd,
-          });
-        })
-      );
-      
-      for (const result of batchResults) {
+    const controller = ADAPTIVE_CONCURRENCY
+      ? new AdaptiveConcurrency({ initial: PARALLEL_LIMIT, max: PARALLEL_MAX })
+      : null;
+    const stopObserving = controller ? observeRateLimits(controller) : () => {};
+    const providerSlots = new ProviderSlots(providerConcurrency);
+    const checkCallBudget = () => {
+      if (!costLimitError && callBudget.blocked) {
+        costLimitError = callBudgetStopMessage(callBudget);
+        console.error(`\n⏹️  ${costLimitError}`);
+      }
+      return !costLimitError;
+    };
+
+    // A new case starts as soon as one finishes. Budgets are charged per provider
+    // call inside completeWithLimits and the judge calls, so cache hits cost nothing;
+    // admission stops once a call has been refused, not when --max-calls is used up
+    await runWorkQueue(runs, ({ testCase, modelConfig }) => {
+      const provider = getRunProvider(modelConfig);
+
+      return runTestCaseWithRetry(testCase, modelConfig, provider, {
+        skipJudge: cliConfig.skipJudge,
+        judgeProvider,
+        judgeModel,
+        judgePanel,
+        verbose: cliConfig.verbose,
+        noCache: cliConfig.noCache,
+        judgeCache: judgeCacheEnabled(cliConfig),
+        stream: cliConfig.stream,
+        tools: evalConfig.tools,
+        tool_choice: evalConfig.tool_choice,
+        agent: evalConfig.agent,
+        toolHandlers: evalConfig.tool_handlers,
+        maxSteps: evalConfig.max_steps,
+        callBudget,
+        maxCallCostUsd: cliConfig.maxCallCostUsd,
+        providerSlots,
+      });
+    }, {
+      limit: () => (controller ? controller.limit : PARALLEL_LIMIT),
+      admit: checkCallBudget,
+      // Results arrive in run order, so traces and reports do not depend on timing
+      onResult: result => {
         results.push(result);
         addTraceResult(trace, result);
+        checkpointTrace(trace);
         emitJsonlEvent(cliConfig, { type: 'result', result });
-        
+
         const passIcon = result.pass === null ? '⚪' : (result.pass ? '✅' : '❌');
         const scoreStr = result.score !== null ? ` ${formatScore(result.score)}` : '';
-        const cacheStr = result.fromCache ? ' (cached)' : '';
+        const cacheStr = `${result.fromCache ? ' (cached)' : ''}${result.metadata?.judge_cached ? ' (judge cached)' : ''}`;
         console.log(`   ${passIcon} ${result.testCase} | ${result.provider}/${result.model}${scoreStr}${cacheStr}`);
-      }
-      costLimitError = costLimitMessage(results, cliConfig.maxCostUsd);
-      if (costLimitError) {
-        console.error(`\n❌ ${costLimitError}`);
-      } else if ((callBudget.used > callsBeforeBatch && callBudget.exhausted()) || callBudget.blocked) {
-        costLimitError = `Max calls reached (${callBudget.used}/${callBudget.maxCalls})`;
-        console.error(`\n⏹️  ${costLimitError}`);
+        printConversationTurns(result, '      ');
+
+        if (!costLimitError) {
+          costLimitError = costLimitMessage(results, cliConfig.maxCostUsd);
+          if (costLimitError) console.error(`\n❌ ${costLimitError}`);
+        }
+        // A refused call in the last cases leaves nothing more to admit
+        checkCallBudget();
+      },
+    });
+    stopObserving();
+    if (controller) {
+      concurrency = controller.snapshot();
+      if (concurrency.rateLimited > 0 || concurrency.increases > 0) {
+        console.log(`\n   🚦 Concurrency: ${concurrency.initial} → ${concurrency.final} (range ${concurrency.lowest}-${concurrency.highest}, ${concurrency.rateLimited} rate-limited calls)`);
       }
     }
   } else {
     // Sequential execution
     for (const testCase of testCases) {
       if (costLimitError) break;
+      const pendingModels = models.filter(modelConfig => !completedKeys.has(runRowKey(testCase, modelConfig)));
+      if (pendingModels.length === 0) continue;
       console.log(`\n🧪 Test: ${testCase.name}`);
       
       if (testCase.expected || testCase.expected_tool || testCase.expected_contains) {
@@ -1226,13 +1916,12 @@ async function runEval(evalConfig, cliConfig) {
         console.log(`   Expected: ${truncateText(JSON.stringify(expected), 50)}`);
       }
 
-      for (const modelConfig of models) {
+      for (const modelConfig of pendingModels) {
         if (costLimitError) break;
         const provider = getRunProvider(modelConfig);
 
         const model = modelConfig.model;
         process.stdout.write(`   ⏳ ${provider.name}/${model}... `);
-        const callsBeforeRun = callBudget.used;
 
         const result = await runTestCaseWithRetry(testCase, modelConfig, provider, {
           skipJudge: cliConfig.skipJudge,
@@ -1241,22 +1930,31 @@ async function runEval(evalConfig, cliConfig) {
           judgePanel,
           verbose: cliConfig.verbose,
           noCache: cliConfig.noCache,
+          judgeCache: judgeCacheEnabled(cliConfig),
+          stream: cliConfig.stream,
           tools: evalConfig.tools,
           tool_choice: evalConfig.tool_choice,
+          agent: evalConfig.agent,
+          toolHandlers: evalConfig.tool_handlers,
+          maxSteps: evalConfig.max_steps,
           callBudget,
           maxCallCostUsd: cliConfig.maxCallCostUsd,
         });
         
         results.push(result);
         addTraceResult(trace, result);
+        checkpointTrace(trace);
         emitJsonlEvent(cliConfig, { type: 'result', result });
 
         if (result.success) {
           const passIcon = result.pass === null ? '⚪' : (result.pass ? '✅' : '❌');
           const scoreStr = result.score !== null ? ` ${formatScore(result.score)}` : '';
           const retryStr = result.retries ? ` (${result.retries} retries)` : '';
-          const cacheStr = result.fromCache ? ' (cached)' : '';
-          console.log(`${passIcon}${scoreStr} | ${formatDuration(result.latencyMs)} | ${formatCost(result.cost)}${retryStr}${cacheStr}`);
+          const cacheStr = `${result.fromCache ? ' (cached)' : ''}${result.metadata?.judge_cached ? ' (judge cached)' : ''}`;
+          const streamStr = result.streaming?.streamed
+            ? ` | TTFT ${formatDuration(Math.round(result.streaming.ttftMs))}${result.streaming.tokensPerSecond !== null ? ` | ${result.streaming.tokensPerSecond} tok/s` : ''}`
+            : '';
+          console.log(`${passIcon}${scoreStr} | ${formatDuration(result.latencyMs)}${streamStr} | ${formatCost(result.cost)}${retryStr}${cacheStr}`);
           
           if (cliConfig.verbose && result.evalReason) {
             console.log(`      └─ ${result.evalReason}`);
@@ -1264,11 +1962,12 @@ async function runEval(evalConfig, cliConfig) {
         } else {
           console.log(`❌ Error: ${truncateText(result.error, 50)}`);
         }
+        printConversationTurns(result, '      ');
         costLimitError = costLimitMessage(results, cliConfig.maxCostUsd);
         if (costLimitError) {
           console.error(`\n❌ ${costLimitError}`);
-        } else if ((callBudget.used > callsBeforeRun && callBudget.exhausted()) || callBudget.blocked) {
-          costLimitError = `Max calls reached (${callBudget.used}/${callBudget.maxCalls})`;
+        } else if (callBudget.blocked) {
+          costLimitError = callBudgetStopMessage(callBudget);
           console.error(`\n⏹️  ${costLimitError}`);
         }
       }
@@ -1286,12 +1985,26 @@ async function runEval(evalConfig, cliConfig) {
     callsUsed: callBudget.used,
     maxCalls: callBudget.maxCalls,
     reliability: calculateReliabilityMetrics(results),
+    performance: calculatePerformanceMetrics(results),
+    judgeParsing: calculateJudgeParseMetrics(results),
+    simulatedUsers: calculateSimulationMetrics(results),
+    paraphraseRobustness: calculateParaphraseRobustness(results, evalConfig.paraphrase_max_drop),
+    judgeCacheHits: results.filter(r => r.metadata?.judge_cached === true).length,
+    concurrency,
   };
+  summary.slo = evaluateSlo(evalConfig.slo, summary.performance);
   const tracePath = saveTrace(trace, summary);
   console.log(`\n📊 Trace saved: ${tracePath}`);
   emitJsonlEvent(cliConfig, { type: 'summary', summary: { ...summary, traceId: trace.id } });
 
-  return { results, traceId: trace.id, costLimitError };
+  return {
+    results,
+    traceId: trace.id,
+    costLimitError,
+    slo: summary.slo,
+    judgeParsing: summary.judgeParsing,
+    paraphraseRobustness: summary.paraphraseRobustness,
+  };
 }
 
 // =============================================================================
@@ -1358,6 +2071,84 @@ function generateMarkdownReport(evalConfig, results, traceId) {
   }
   lines.push('');
 
+  const performance = calculatePerformanceMetrics(results);
+  lines.push('## Latency & Cost');
+  lines.push('');
+  lines.push('Latency excludes errors and cache hits. Tokens are per-case input/output p50 (p90).');
+  lines.push('');
+  lines.push('| Model | Provider | Latency p50 | Latency p90 | Latency p99 | Cost/Case | Cost/Pass | Input Tokens | Output Tokens |');
+  lines.push('|-------|----------|-------------|-------------|-------------|-----------|-----------|--------------|---------------|');
+  for (const metrics of performance) {
+    const costPerPass = metrics.cost.perPass === null ? 'N/A' : formatCost(metrics.cost.perPass);
+    lines.push(`| ${metrics.model} | ${metrics.provider} | ${formatMs(metrics.latency.p50)} | ${formatMs(metrics.latency.p90)} | ${formatMs(metrics.latency.p99)} | ${formatCost(metrics.cost.perCase)} | ${costPerPass} | ${formatTokens(metrics.tokens.input)} | ${formatTokens(metrics.tokens.output)} |`);
+  }
+  lines.push('');
+
+  const slo = evaluateSlo(evalConfig.slo, performance);
+  if (slo) {
+    lines.push('## SLOs');
+    lines.push('');
+    const evaluated = slo.checks.length - slo.skipped.length;
+    const skippedNote = slo.skipped.length > 0 ? ` ${slo.skipped.length} not evaluated.` : '';
+    lines.push(slo.violations.length === 0
+      ? `All ${evaluated} evaluated SLO checks met.${skippedNote}`
+      : `**${slo.violations.length}/${evaluated} evaluated SLO checks violated.**${skippedNote}`);
+    lines.push('');
+    for (const check of slo.checks) {
+      lines.push(`- ${check.skipped ? '⏭️' : check.pass ? '✅' : '❌'} \`${check.key}\`: ${formatSloCheck(check)}`);
+    }
+    lines.push('');
+  }
+
+  const judgeParsing = calculateJudgeParseMetrics(results);
+  if (judgeParsing.length > 0) {
+    lines.push('## Judge Parsing');
+    lines.push('');
+    lines.push('Verdicts parsed from JSON, legacy SCORE/PASS/REASON text, or after one repair turn; failed verdicts were unusable even after repair.');
+    lines.push('');
+    lines.push('| Judge Model | Provider | Calls | JSON | Text | Repaired | Failed | Failure Rate |');
+    lines.push('|-------------|----------|-------|------|------|----------|--------|--------------|');
+    for (const judge of judgeParsing) {
+      lines.push(`| ${judge.model} | ${judge.provider} | ${judge.calls} | ${judge.json} | ${judge.text} | ${judge.repaired} | ${judge.failed} | ${(judge.parseFailureRate * 100).toFixed(1)}% |`);
+    }
+    lines.push('');
+  }
+
+  const streamingMetrics = calculateStreamingMetrics(results);
+  if (streamingMetrics.length > 0) {
+    lines.push('## Streaming Latency');
+    lines.push('');
+    lines.push('Tokens/sec is output throughput after the first token; p95 throughput is the fast tail.');
+    lines.push('');
+    lines.push('| Model | Provider | Streamed | TTFT p50 | TTFT p95 | Inter-token p50 | Inter-token p95 | Tokens/sec p50 | Tokens/sec p95 |');
+    lines.push('|-------|----------|----------|----------|----------|-----------------|-----------------|----------------|----------------|');
+    for (const metrics of streamingMetrics) {
+      lines.push(`| ${metrics.model} | ${metrics.provider} | ${metrics.streamed} | ${formatMs(metrics.ttftP50Ms)} | ${formatMs(metrics.ttftP95Ms)} | ${formatMs(metrics.interTokenP50Ms)} | ${formatMs(metrics.interTokenP95Ms)} | ${formatRate(metrics.tokensPerSecondP50)} | ${formatRate(metrics.tokensPerSecondP95)} |`);
+    }
+    lines.push('');
+  }
+
+  const simulationMetrics = calculateSimulationMetrics(results);
+  if (simulationMetrics.length > 0) {
+    lines.push('## Simulated Users');
+    lines.push('');
+    lines.push('Turns to resolution is the turn after which every goal condition first held, in conversations that resolved.');
+    lines.push('');
+    lines.push('| Model | Provider | Conversations | Resolved | Avg Turns | p95 Turns | Escalated | Assistant Gave Up | User Gave Up | Max Turns | Goal Conditions |');
+    lines.push('|-------|----------|---------------|----------|-----------|-----------|-----------|-------------------|--------------|-----------|-----------------|');
+    for (const metrics of simulationMetrics) {
+      const resolved = `${metrics.resolved}/${metrics.conversations}${metrics.resolutionRate === null ? '' : ` (${formatScore(metrics.resolutionRate)})`}`;
+      const avgTurns = metrics.avgTurnsToResolution === null ? 'N/A' : metrics.avgTurnsToResolution.toFixed(1);
+      lines.push(`| ${metrics.model} | ${metrics.provider} | ${metrics.conversations} | ${resolved} | ${avgTurns} | ${metrics.p95TurnsToResolution === null ? 'N/A' : Number(metrics.p95TurnsToResolution.toFixed(1))} | ${metrics.escalated} | ${metrics.gaveUp} | ${metrics.userGaveUp} | ${metrics.maxTurnsReached} | ${metrics.conditionsMet}/${metrics.conditions} |`);
+    }
+    lines.push('');
+  }
+
+  const robustness = calculateParaphraseRobustness(results, evalConfig.paraphrase_max_drop);
+  if (robustness.cases.length > 0) {
+    lines.push(...formatParaphraseRobustness(robustness));
+  }
+
   lines.push('## Detailed Results');
   lines.push('');
 
@@ -1377,7 +2168,14 @@ function generateMarkdownReport(evalConfig, results, traceId) {
       lines.push(`- **Score:** ${formatScore(r.score)}`);
       lines.push(`- **Eval Type:** ${r.evalType || 'N/A'}`);
       lines.push(`- **Reason:** ${r.evalReason || 'N/A'}`);
+      const rubricScores = r.metadata?.rubric_scores;
+      if (Array.isArray(rubricScores) && rubricScores.length > 0) {
+        lines.push(`- **Rubric:** ${rubricScores.map(item => `${item.pass ? '✅' : '❌'} ${item.name} ${formatRubricScore(item.score)}/${item.max}`).join(', ')}`);
+      }
       lines.push(`- **Latency:** ${formatDuration(r.latencyMs)}`);
+      if (r.streaming?.streamed) {
+        lines.push(`- **Streaming:** TTFT ${formatMs(r.streaming.ttftMs)}, ${formatMs(r.streaming.interTokenMs)}/token, ${formatRate(r.streaming.tokensPerSecond)} tok/s`);
+      }
       lines.push(`- **Cost:** ${formatCost(r.cost)}`);
       
       if (r.usage) {
@@ -1392,6 +2190,16 @@ function generateMarkdownReport(evalConfig, results, traceId) {
         lines.push(`- **Error:** ${r.error}`);
       }
       
+      if (r.simulation) {
+        lines.push(...formatSimulation(r.simulation));
+      }
+
+      if (Array.isArray(r.turns) && r.turns.length > 0) {
+        lines.push('');
+        lines.push(...formatConversationTurns(r.turns));
+        continue;
+      }
+
       // Always show response for debugging (even if empty or failed)
       lines.push('');
       lines.push('<details>');
@@ -1420,6 +2228,9 @@ function generateMarkdownReport(evalConfig, results, traceId) {
     lines.push(`- **Pass@K:** ${formatScore(reliability.passAtK)}`);
     lines.push(`- **Consistency:** ${formatScore(reliability.consistency)}`);
     lines.push(`- **Unauthorized Failures:** ${reliability.unauthorizedFailures}`);
+    if (reliability.forbiddenToolCalls > 0) {
+      lines.push(`- **Forbidden Tool Calls:** ${reliability.forbiddenToolCalls}`);
+    }
     lines.push(`- **Safety-Weighted Failures:** ${reliability.safetyWeightedFailures}`);
   }
   lines.push('');
@@ -1427,7 +2238,130 @@ function generateMarkdownReport(evalConfig, results, traceId) {
   return lines.join('\n');
 }
 
+/**
+ * Base vs paraphrase pass rates per case and per paraphrase kind, with the
+ * worst paraphrase of each brittle case
+ */
+function formatParaphraseRobustness(robustness) {
+  const lines = [
+    '## Paraphrase Robustness',
+    '',
+    `Cases whose paraphrases pass ${robustness.maxDrop > 0 ? `at least ${formatScore(robustness.maxDrop)} ` : ''}less often than the base prompt are flagged as brittle (${robustness.brittle}/${robustness.cases.length}).`,
+    '',
+    '| Test Case | Model | Base | Paraphrases | Drop | Worst Paraphrase | Brittle |',
+    '|-----------|-------|------|-------------|------|------------------|---------|',
+  ];
+  for (const item of robustness.cases) {
+    const worst = `#${item.worst.index} ${item.worst.kind}: ${formatScore(item.worst.passRate)}`;
+    lines.push(`| ${item.testCase} | ${item.model} | ${formatScore(item.basePassRate)} (${item.baseRuns}) | ${formatScore(item.paraphrasePassRate)} (${item.paraphraseRuns}) | ${formatScore(item.drop)} | ${worst} | ${item.brittle ? '⚠️' : ''} |`);
+  }
+  lines.push('');
+  lines.push('| Paraphrase Kind | Runs | Pass Rate | vs Base |');
+  lines.push('|-----------------|------|-----------|---------|');
+  for (const kind of robustness.byKind) {
+    const delta = robustness.basePassRate === null ? null : kind.passRate - robustness.basePassRate;
+    lines.push(`| ${kind.kind} | ${kind.runs} | ${formatScore(kind.passRate)} | ${delta === null ? 'N/A' : `${delta > 0 ? '+' : ''}${Math.round(delta * 100)} pts`} |`);
+  }
+  lines.push('');
+  const brittle = robustness.cases.filter(item => item.brittle);
+  if (brittle.length > 0) {
+    lines.push('**Brittle prompts:**');
+    lines.push('');
+    for (const item of brittle) {
+      const prompt = String(item.worst.prompt || '').replace(/\s+/g, ' ').replace(/`/g, "'");
+      lines.push(`- **${item.testCase}** (${item.provider}/${item.model}): worst is paraphrase #${item.worst.index} (${item.worst.kind}) \`${truncateText(prompt, 120)}\``);
+    }
+    lines.push('');
+  }
+  return lines;
+}
+
+/**
+ * Persona, outcome and goal conditions for a simulated-user conversation
+ */
+function formatSimulation(simulation) {
+  const resolution = simulation.resolved === null
+    ? 'Not judged'
+    : simulation.resolved ? `Yes, in ${simulation.turnsToResolution} turn(s)` : 'No';
+  const lines = [
+    `- **Persona:** ${simulation.persona || 'inline'}`,
+    `- **Goal:** ${simulation.goal}`,
+    `- **Resolved:** ${resolution}`,
+    `- **Ended:** ${simulation.endReason.replace(/_/g, ' ')}`,
+  ];
+  if (simulation.assistantOutcome) {
+    lines.push(`- **Assistant:** ${simulation.assistantOutcome.replace('_', ' ')} at turn ${simulation.outcomeTurn}`);
+  }
+  if (simulation.expectedOutcome !== 'resolved') {
+    lines.push(`- **Expected Outcome:** ${simulation.expectedOutcome.replace('_', ' ')}`);
+  }
+  for (const condition of simulation.conditions) {
+    const icon = condition.met === true ? '✅' : condition.met === false ? '❌' : '⚪';
+    lines.push(`- **Goal Condition:** ${icon} ${condition.name} (${truncateText(String(condition.reason || '').replace(/\s+/g, ' '), 120)})`);
+  }
+  return lines;
+}
+
+/**
+ * Per-turn table and transcript for a conversation result
+ */
+function formatConversationTurns(turns) {
+  const lines = [
+    '| Turn | Result | Score | Eval Type | Latency | Cost | Reason |',
+    '|------|--------|-------|-----------|---------|------|--------|',
+  ];
+  for (const turn of turns) {
+    const icon = turn.pass === true ? '✅' : turn.pass === false ? '❌' : '⚪';
+    const cost = combineCosts(turn.cost, turn.judgeCost);
+    const reason = String(turn.reason || '').replace(/\|/g, '\\|').replace(/\s+/g, ' ');
+    lines.push(`| ${turn.turn} | ${icon} | ${formatScore(turn.score)} | ${turn.evalType || 'N/A'} | ${formatDuration(turn.latencyMs)}${turn.fromCache ? ' (cached)' : ''} | ${formatCost(cost)} | ${truncateText(reason, 120)} |`);
+  }
+  lines.push('');
+  lines.push('<details>');
+  lines.push('<summary>Conversation</summary>');
+  lines.push('');
+  for (const turn of turns) {
+    lines.push(`**User (turn ${turn.turn}):**`);
+    lines.push('');
+    lines.push('```');
+    lines.push(String(turn.user || '').trim());
+    lines.push('```');
+    lines.push('');
+    if (turn.toolCalls?.length > 0) {
+      lines.push(`**Tool calls (turn ${turn.turn}):**`);
+      lines.push('');
+      lines.push('```');
+      lines.push(...formatTurnToolCalls(turn));
+      lines.push('```');
+      lines.push('');
+    }
+    lines.push(`**Assistant (turn ${turn.turn}):**`);
+    lines.push('');
+    lines.push('```');
+    lines.push(turn.assistant ? turn.assistant.trim() : '(no response content)');
+    lines.push('```');
+    lines.push('');
+  }
+  lines.push('</details>');
+  lines.push('');
+  return lines;
+}
+
+// One line per call: name(args) → result, matched to its result by call id
+function formatTurnToolCalls(turn) {
+  const results = new Map((turn.toolResults || []).map(result => [result.id, result]));
+  return turn.toolCalls.map(call => {
+    const args = typeof call.args === 'string' ? call.args : JSON.stringify(call.args ?? {});
+    const result = results.get(call.id);
+    const output = !result ? '(no result)'
+      : result.error ? `error: ${result.error}`
+        : typeof result.result === 'string' ? result.result : JSON.stringify(result.result);
+    return `${call.name}(${args}) → ${output}`;
+  });
+}
+
 function generateJsonReport(evalConfig, results, traceId) {
+  const performance = calculatePerformanceMetrics(results);
   return JSON.stringify({
     evalName: evalConfig.name,
     traceId,
@@ -1442,6 +2376,12 @@ function generateJsonReport(evalConfig, results, traceId) {
         ? results.filter(r => r.pass === true).length / results.length
         : 0,
       reliability: calculateReliabilityMetrics(results),
+      streaming: calculateStreamingMetrics(results),
+      simulatedUsers: calculateSimulationMetrics(results),
+      paraphraseRobustness: calculateParaphraseRobustness(results, evalConfig.paraphrase_max_drop),
+      performance,
+      slo: evaluateSlo(evalConfig.slo, performance),
+      judgeParsing: calculateJudgeParseMetrics(results),
     },
     results,
   }, null, 2);
@@ -1464,6 +2404,8 @@ function generateJsonlReport(evalConfig, results, traceId) {
     failed: results.filter(r => r.pass === false).length,
     skipped: results.filter(r => r.pass === null).length,
     errors: results.filter(r => !r.success).length,
+    sloViolations: evaluateSlo(evalConfig.slo, calculatePerformanceMetrics(results))?.violations.length ?? null,
+    judgeCacheHits: results.filter(r => r.metadata?.judge_cached === true).length,
   }));
   return lines.join('\n') + '\n';
 }
@@ -1498,6 +2440,46 @@ function printResultsSummary(results) {
   console.log('');
 }
 
+/**
+ * Print result rows across runs for --history filters
+ */
+function printResultHistory(config) {
+  const rows = queryResults({
+    testCase: config.historyTest || undefined,
+    provider: config.provider || undefined,
+    model: config.model || undefined,
+    since: config.historySince || undefined,
+  }).filter(row => !config.historyFailures || row.pass === false || !row.success);
+
+  const filters = [
+    config.historyTest && `test "${config.historyTest}"`,
+    config.provider && `provider ${config.provider}`,
+    config.model && `model ${config.model}`,
+    config.historySince && `since ${config.historySince}`,
+    config.historyFailures && 'failures only',
+  ].filter(Boolean);
+  console.log(`\n📜 Result History (${filters.join(', ')}):\n`);
+
+  if (rows.length === 0) {
+    console.log('  No matching results found.\n');
+    return;
+  }
+
+  const decisive = rows.filter(row => row.pass === true || row.pass === false);
+  const passed = decisive.filter(row => row.pass === true).length;
+  console.log('| Date | Eval | Test Case | Model | Result | Score | Latency | Trace ID |');
+  console.log('|------|------|-----------|-------|--------|-------|---------|----------|');
+  for (const row of rows.slice(0, 50)) {
+    const date = new Date(row.timestamp).toLocaleString();
+    const status = !row.success ? 'ERROR' : row.pass === true ? 'PASS' : row.pass === false ? 'FAIL' : 'SKIP';
+    console.log(`| ${date} | ${row.evalName || 'N/A'} | ${row.testCase} | ${row.provider}/${row.model} | ${status} | ${formatScore(row.score)} | ${formatDuration(row.latencyMs || 0)} | ${row.traceId} |`);
+  }
+  if (rows.length > 50) {
+    console.log(`\n  ... ${rows.length - 50} more results`);
+  }
+  console.log(`\n  ${rows.length} results, pass rate ${decisive.length > 0 ? formatScore(passed / decisive.length) : 'N/A'}\n`);
+}
+
 // =============================================================================
 // Main
 // =============================================================================
@@ -1515,6 +2497,21 @@ async function main() {
 
   initJsonlStream(config);
 
+  if (config.traceStore) {
+    configureTraceStore({ backend: config.traceStore });
+  }
+
+  // The flags win; otherwise CASSETTE_RECORD_DIR / CASSETTE_REPLAY_DIR (e.g. from .env) apply
+  if (!config.record && !config.replay) {
+    config.record = process.env.CASSETTE_RECORD_DIR || null;
+    config.replay = process.env.CASSETTE_REPLAY_DIR || null;
+  }
+  if (config.record || config.replay) {
+    configureCassette({ record: config.record, replay: config.replay });
+    // Cache hits never reach the HTTP layer, so they would be missing from a recording
+    config.noCache = true;
+  }
+
   // List providers mode
   if (config.listProviders) {
     console.log('\n📦 Available Providers:\n');
@@ -1529,14 +2526,18 @@ async function main() {
 
   // List history mode
   if (config.listHistory) {
+    if (config.historyTest || config.historySince || config.historyFailures || config.provider || config.model) {
+      printResultHistory(config);
+      process.exit(0);
+    }
     console.log('\n📜 Eval Run History:\n');
-    const traces = listTraces();
+    const traces = listTraces({ limit: 20 });
     if (traces.length === 0) {
       console.log('  No traces found. Run an eval first.\n');
     } else {
       console.log('| Date | Eval | Passed | Failed | Total | Trace ID |');
       console.log('|------|------|--------|--------|-------|----------|');
-      for (const t of traces.slice(0, 20)) {
+      for (const t of traces) {
         const date = new Date(t.startedAt).toLocaleDateString();
         console.log(`| ${date} | ${t.evalName || 'N/A'} | ${t.passed || 0} | ${t.failed || 0} | ${t.total || 0} | ${t.id} |`);
       }
@@ -1545,6 +2546,26 @@ async function main() {
     process.exit(0);
   }
 
+  // Resume mode reuses the interrupted run's suite and provider/model/repeat options
+  let resumeSource = null;
+  if (config.resume) {
+    if (config.abTest) {
+      console.error('\n❌ --resume is not supported for A/B test runs\n');
+      process.exit(1);
+    }
+    try {
+      resumeSource = loadTrace(config.resume);
+    } catch (error) {
+      console.error(`\n❌ ${error.message}\n`);
+      process.exit(1);
+    }
+    const runOptions = resumeSource.runOptions || {};
+    config.provider = config.provider || runOptions.provider || null;
+    config.model = config.model || runOptions.model || null;
+    if (runOptions.repeat) config.repeat = runOptions.repeat;
+    if (runOptions.multiTurn) config.multiTurn = true;
+  }
+
   // Load eval config (supports JSON, JSONL, CSV)
   const evalFile = config.evalFile || 'evals/llm-comparison.json';
   const evalPath = resolve(process.cwd(), evalFile);
@@ -1552,7 +2573,10 @@ async function main() {
   
   let evalConfig;
   try {
-    if (ext === '.csv' || ext === '.jsonl') {
+    if (resumeSource && !config.evalFile) {
+      evalConfig = resumeSource.config;
+      console.log(`\n📄 Loaded eval config from trace: ${resumeSource.id}`);
+    } else if (ext === '.csv' || ext === '.jsonl') {
       // Use dataset loader for CSV/JSONL
       evalConfig = loadDataset(evalPath);
       if (!shouldSuppressLoadLog(config)) {
@@ -1580,6 +2604,33 @@ async function main() {
     process.exit(1);
   }
 
+  // Typos such as expected_contain would otherwise fall through to an existence check and pass
+  if (!config.noLint) {
+    const findings = lintEvalConfig(JSON.parse(JSON.stringify(evalConfig)));
+    const errors = findings.filter(finding => finding.severity === 'error');
+    for (const finding of findings.filter(item => item.severity !== 'error')) {
+      console.warn(`   ⚠️  ${formatLintFinding(finding)}`);
+    }
+    if (errors.length > 0) {
+      console.error(`\n❌ ${evalFile} failed lint with ${errors.length} error(s):`);
+      for (const finding of errors) {
+        console.error(`   ${formatLintFinding(finding)}`);
+      }
+      console.error('\nFix the suite or pass --no-lint to run anyway.\n');
+      process.exit(1);
+    }
+  }
+
+  // Named endpoints declared by the suite (e.g. a self-hosted vLLM server)
+  if (evalConfig.providers) {
+    registerProviders(evalConfig.providers);
+  }
+
+  if (resumeSource && evalConfig.name !== resumeSource.evalName) {
+    console.error(`\n❌ Trace ${resumeSource.id} is for eval "${resumeSource.evalName}", not "${evalConfig.name}"\n`);
+    process.exit(1);
+  }
+
   if (config.dryRun) {
     const plan = buildDryRunPlan(evalConfig, config);
     if (config.outputFormat === 'json' || config.output.endsWith('.json')) {
@@ -1646,9 +2697,10 @@ async function main() {
 
   console.log(`   Running with: ${executionModels.map(m => `${m.provider}/${m.model}`).join(', ')}`);
 
-  // A/B Test mode
+  // A/B Test / N-way experiment mode
   if (config.abTest) {
-    console.log('\n🧪 Running A/B Test...');
+    const isExperiment = Array.isArray(evalConfig.variants);
+    console.log(isExperiment ? `\n🧪 Running ${evalConfig.variants.length}-way Variant Experiment...` : '\n🧪 Running A/B Test...');
     const [executionModel] = executionModels;
     const provider = getRunProvider(executionModel);
     let judgeProvider = null;
@@ -1668,7 +2720,8 @@ async function main() {
       }
     }
     const callBudget = createCallBudget(config.maxCalls);
-    const abResults = await runABTest(evalConfig, {
+    const runVariants = isExperiment ? runExperiment : runABTest;
+    const abResults = await runVariants(evalConfig, {
       provider,
       model: executionModel.model,
       models: executionModels,
@@ -1680,143 +2733,74 @@ async function main() {
       maxCostUsd: config.maxCostUsd,
       maxCallCostUsd: config.maxCallCostUsd,
       callBudget,
+      alpha: config.alpha,
     });
-    const report = generateABReport(abResults);
-    const abFlatResults = abResults.variantA.results.concat(abResults.variantB.results);
+    const report = isExperiment ? generateExperimentReport(abResults) : generateABReport(abResults);
+    const abFlatResults = abResults.variants.flatMap(variant => variant.results);
     const abCostLimitError = abResults.costLimitError || costLimitMessage(abFlatResults, config.maxCostUsd);
+
+    const trace = createTrace(evalConfig, { provider: config.provider, model: config.model, mode: isExperiment ? 'experiment' : 'ab_test' });
+    for (const result of abFlatResults) {
+      addTraceResult(trace, {
+        ...result,
+        text: result.response,
+        evalReason: result.reason,
+      });
+    }
+    const tracePath = saveTrace(trace, {
+      passed: abFlatResults.filter(r => r.pass === true).length,
+      failed: abFlatResults.filter(r => r.pass === false).length,
+      errors: abFlatResults.filter(r => r.success === false).length,
+      total: abFlatResults.length,
+      costLimitExceeded: Boolean(abCostLimitError),
+      costLimitError: abCostLimitError,
+      experiment: abResults.summary,
+    });
     
     console.log('\n' + report);
+    console.log(`\n📊 Trace saved: ${tracePath}`);
     if (abCostLimitError) {
       console.error(`\n❌ ${abCostLimitError}`);
     }
-    emitJsonlEvent(config, { type: 'summary', summary: { ...abResults.summary, callsUsed: callBudget.used, maxCalls: callBudget.maxCalls, costLimitError: abCostLimitError } });
+    emitJsonlEvent(config, { type: 'summary', summary: { ...abResults.summary, traceId: trace.id, callsUsed: callBudget.used, maxCalls: callBudget.maxCalls, costLimitError: abCostLimitError } });
     
     if (config.output) {
       writeFileSync(config.output, report, 'utf8');
-      console.log(`\n📝 A/B Test report saved to: ${config.output}`);
+      console.log(`\n📝 ${isExperiment ? 'Experiment' : 'A/B Test'} report saved to: ${config.output}`);
     }
     const hasFailures = abFlatResults
       .some(result => result.pass === false || result.success === false) || Boolean(abCostLimitError);
     process.exit(hasFailures && !config.allowFailures ? 1 : 0);
   }
 
-  // Multi-turn mode
-  if (config.multiTurn) {
-    console.log('\n💬 Running Multi-Turn Conversation Test...');
-    const [executionModel] = executionModels;
-    const provider = getRunProvider(executionModel);
-    let judgeProvider = null;
-    let judgePanel = [];
-    let judgeModel = process.env.JUDGE_MODEL || null;
-    if (!config.skipJudge && evalConfigRequiresJudge(evalConfig)) {
-      try {
-        judgePanel = await resolveJudgePanel(config.judgePanel);
-        if (judgePanel.length === 0) {
-          judgeProvider = await resolveJudgeProvider(config);
-          judgeModel = judgeModel || judgeProvider.defaultModel;
-        }
-      } catch (error) {
-        console.warn(`   ⚠️  No judge provider available: ${error.message}`);
-      }
-    }
-    const trace = createTrace(evalConfig);
-    const results = [];
-    const callBudget = createCallBudget(config.maxCalls);
-    
-    // Process each test case as a conversation
-    const testCases = evalConfig.test_cases || evalConfig.conversations || [evalConfig];
-    
-    for (const testCase of testCases) {
-      const existingCostLimitError = costLimitMessage(results, config.maxCostUsd);
-      if (existingCostLimitError) {
-        console.error(`\n❌ ${existingCostLimitError}`);
-        break;
-      }
-      console.log(`\n  Testing: ${testCase.name || 'Conversation'}`);
-      const convResult = await runConversation(testCase, provider, {
-        model: executionModel.model,
-        verbose: config.verbose,
-        judgeProvider,
-        judgeModel,
-        judgePanel,
-        callBudget,
-        maxCallCostUsd: config.maxCallCostUsd,
-      });
-
-      const result = {
-        success: convResult.turns.every(turn => turn.evalType !== 'error'),
-        testCase: testCase.name || 'Conversation',
-        model: executionModel.model,
-        provider: provider.name,
-        text: convResult.turns.map(turn => turn.assistant || '').join('\n\n'),
-        usage: null,
-        latencyMs: convResult.turns.reduce((sum, turn) => sum + (turn.latencyMs || 0), 0),
-        cost: convResult.turns.reduce((sum, turn) => sum + (turn.cost || 0), 0),
-        error: convResult.turns.find(turn => turn.evalType === 'error')?.reason || null,
-        pass: convResult.overallPass,
-        score: convResult.overallScore,
-        evalReason: convResult.overallReason,
-        evalType: 'multi_turn',
-        prompt: testCase.turns?.[0]?.user || testCase.turns?.[0]?.prompt || '',
-        systemPrompt: testCase.system_prompt,
-        promptVersion: testCase.prompt_version || testCase.metadata?.prompt_version || null,
-        metadata: testCaseMetadata(testCase),
-        messages: convResult.messages,
-        transcript: convResult.turns,
-      };
-      results.push(result);
-      addTraceResult(trace, result);
-      emitJsonlEvent(config, { type: 'result', result });
-      
-      // Print turn results
-      convResult.turns.forEach(turn => {
-        const icon = turn.pass === true ? '✅' : turn.pass === false ? '❌' : '⏭️';
-        console.log(`    Turn ${turn.turn}: ${icon} ${turn.reason || ''}`);
-      });
-    }
-
-    const summary = {
-      passed: results.filter(r => r.pass === true).length,
-      failed: results.filter(r => r.pass === false).length,
-      errors: results.filter(r => !r.success).length,
-      total: results.length,
-      costLimitExceeded: Boolean(costLimitMessage(results, config.maxCostUsd)),
-      costLimitError: costLimitMessage(results, config.maxCostUsd),
-    };
-    const tracePath = saveTrace(trace, summary);
-    console.log(`\n📊 Trace saved: ${tracePath}`);
-    emitJsonlEvent(config, { type: 'summary', summary: { ...summary, traceId: trace.id, callsUsed: callBudget.used, maxCalls: callBudget.maxCalls } });
-    printResultsSummary(results);
-
-    const outputPath = resolve(process.cwd(), config.output);
-    let format = config.outputFormat;
-    if (config.output.endsWith('.csv')) format = 'csv';
-    else if (config.output.endsWith('.json')) format = 'json';
-    else if (config.output.endsWith('.jsonl')) format = 'jsonl';
-
-    const content = format === 'json'
-      ? generateJsonReport(evalConfig, results, trace.id)
-      : format === 'csv'
-        ? exportResultsToCsv(results)
-        : generateMarkdownReport(evalConfig, results, trace.id);
-    writeFileSync(outputPath, content, 'utf8');
-    if (config.markdownOutput) {
-      writeFileSync(resolve(process.cwd(), config.markdownOutput), generateMarkdownReport(evalConfig, results, trace.id), 'utf8');
-    }
-    
-    console.log('\n✅ Multi-turn test complete');
-    const multiTurnCostLimitError = costLimitMessage(results, config.maxCostUsd);
-    process.exit((results.some(r => r.pass === false || !r.success) || Boolean(multiTurnCostLimitError)) && !config.allowFailures ? 1 : 0);
-  }
-
   // Run eval
   const startTime = Date.now();
-  const { results, traceId, costLimitError } = await runEval(evalConfig, config);
+  const { results, traceId, costLimitError, slo, judgeParsing, paraphraseRobustness } = await runEval(evalConfig, config);
   const totalTime = Date.now() - startTime;
 
   // Print summary
   printResultsSummary(results);
   console.log(`  ⏱️  Total Time: ${formatDuration(totalTime)}`);
+  if (slo) {
+    const evaluated = slo.checks.length - slo.skipped.length;
+    console.log(`\n  🎯 SLOs: ${evaluated - slo.violations.length}/${evaluated} met${slo.skipped.length > 0 ? `, ${slo.skipped.length} not evaluated` : ''}`);
+    for (const check of slo.violations) {
+      console.log(`     ❌ ${check.key}: ${formatSloCheck(check)}`);
+    }
+    for (const check of slo.skipped) {
+      console.log(`     ⏭️  ${check.key}: ${formatSloCheck(check)}`);
+    }
+  }
+  for (const judge of judgeParsing) {
+    if (judge.repaired === 0 && judge.failed === 0) continue;
+    console.log(`  ⚖️  Judge ${judge.provider}/${judge.model}: ${judge.failed}/${judge.calls} unparseable (${(judge.parseFailureRate * 100).toFixed(1)}%), ${judge.repaired} repaired`);
+  }
+  if (paraphraseRobustness.cases.length > 0) {
+    console.log(`\n  🔀 Paraphrases: base ${formatScore(paraphraseRobustness.basePassRate)}, paraphrased ${formatScore(paraphraseRobustness.paraphrasePassRate)}, ${paraphraseRobustness.brittle}/${paraphraseRobustness.cases.length} brittle`);
+    for (const item of paraphraseRobustness.cases.filter(entry => entry.brittle)) {
+      console.log(`     ⚠️  ${item.testCase} (${item.provider}/${item.model}): ${formatScore(item.basePassRate)} → ${formatScore(item.paraphrasePassRate)}`);
+    }
+  }
 
   // Compare with previous run if requested
   if (config.compare) {
@@ -1827,14 +2811,14 @@ async function main() {
       if (regressions.length > 0) {
         console.log('\n  ❌ REGRESSIONS:');
         for (const r of regressions) {
-          console.log(`     - ${r.testCase} (${r.model}): ${r.was} → ${r.now}`);
+          console.log(`     - ${r.testCase}${r.variant ? ` [${r.variant}]` : ''} (${r.model}): ${r.was} → ${r.now}`);
         }
       }
       
       if (improvements.length > 0) {
         console.log('\n  ✅ IMPROVEMENTS:');
         for (const i of improvements) {
-          console.log(`     - ${i.testCase} (${i.model}): ${i.was} → ${i.now}`);
+          console.log(`     - ${i.testCase}${i.variant ? ` [${i.variant}]` : ''} (${i.model}): ${i.was} → ${i.now}`);
         }
       }
       
@@ -1883,8 +2867,8 @@ async function main() {
     console.error(`\n⚠️  Failed to save results: ${error.message}\n`);
   }
 
-  // Exit with error code if any failures
-  const hasFailures = results.some(r => r.pass === false || !r.success) || Boolean(costLimitError);
+  // Exit with error code if any failures; a missed SLO fails the run like a failing case
+  const hasFailures = results.some(r => r.pass === false || !r.success) || Boolean(costLimitError) || slo?.violations.length > 0;
   process.exit(hasFailures && !config.allowFailures ? 1 : 0);
 }
 
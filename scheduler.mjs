@@ -0,0 +1,152 @@
+/**
+ * Work-Queue Scheduler
+ *
+ * Concurrency pool for --parallel runs: a new case starts as soon as one
+ * finishes, results are emitted in submission order, and per-provider slots
+ * keep product and judge calls in separate lanes
+ */
+
+import { parseEnvInteger } from './env-utils.mjs';
+
+/**
+ * Run `worker` over `items` with at most `limit` in flight.
+ * `admit` is asked before each start; returning false holds admission until
+ * the next case finishes (and stops the queue if it still says no once idle).
+ * `onResult` sees results in item order, whatever order they finish in.
+ * @param {Array} items
+ * @param {(item: any, index: number) => Promise<any>} worker
+ * @param {{limit?: number|(() => number), admit?: (item: any, index: number) => boolean, onResult?: (result: any, item: any, index: number) => void}} [options]
+ * @returns {Promise<{started: number, emitted: number}>}
+ */
+export async function runWorkQueue(items, worker, options = {}) {
+  const limit = typeof options.limit === 'function' ? options.limit : () => options.limit ?? 1;
+  const running = new Set();
+  const finished = new Map();
+  let next = 0;
+  let emitted = 0;
+  let failure = null;
+
+  const emitReady = () => {
+    while (finished.has(emitted)) {
+      const result = finished.get(emitted);
+      finished.delete(emitted);
+      options.onResult?.(result, items[emitted], emitted);
+      emitted++;
+    }
+  };
+
+  while (true) {
+    while (
+      !failure
+      && next < items.length
+      && running.size < Math.max(1, limit())
+      && (options.admit?.(items[next], next) ?? true)
+    ) {
+      const index = next++;
+      const task = Promise.resolve()
+        .then(() => worker(items[index], index))
+        .then(result => {
+          finished.set(index, result);
+          emitReady();
+        })
+        .catch(error => {
+          failure = failure || error;
+        })
+        .finally(() => running.delete(task));
+      running.add(task);
+    }
+    if (running.size === 0) break;
+    await Promise.race(running);
+  }
+
+  if (failure) throw failure;
+  return { started: next, emitted };
+}
+
+/**
+ * Per-provider concurrency caps. Judge calls take slots in their own lane
+ * (`judge:<provider>`), so a judge sharing a provider with the models under
+ * test never holds the slots product calls wait on.
+ */
+export class ProviderSlots {
+  /**
+   * @param {{providers?: Object<string, number>, judge?: number|null}} [caps]
+   */
+  constructor(caps = {}) {
+    this.providerCaps = caps.providers || {};
+    this.judgeCap = caps.judge ?? null;
+    this.lanes = new Map();
+  }
+
+  /**
+   * Run fn once a slot for the provider (or its judge lane) is free
+   */
+  async run(provider, fn, { judge = false } = {}) {
+    const cap = judge ? this.judgeCap : this.providerCaps[provider];
+    if (!cap) return fn();
+
+    const lane = this.lane(judge ? `judge:${provider}` : provider);
+    if (lane.active >= cap) {
+      // The finishing call hands its slot straight over, so active stays counted
+      await new Promise(resolve => lane.waiting.push(resolve));
+    } else {
+      lane.active++;
+    }
+    try {
+      return await fn();
+    } finally {
+      const waiter = lane.waiting.shift();
+      if (waiter) waiter();
+      else lane.active--;
+    }
+  }
+
+  lane(key) {
+    if (!this.lanes.has(key)) this.lanes.set(key, { active: 0, waiting: [] });
+    return this.lanes.get(key);
+  }
+}
+
+/**
+ * Caps from PROVIDER_CONCURRENCY (JSON) / JUDGE_CONCURRENCY, overridden by a
+ * suite's `provider_concurrency` / `judge_concurrency`
+ * @returns {{providers: Object<string, number>, judge: number|null}}
+ */
+export function resolveProviderConcurrency(evalConfig = {}) {
+  const providers = {
+    ...normalizeProviderCaps(parseProviderConcurrencyEnv(process.env.PROVIDER_CONCURRENCY), 'PROVIDER_CONCURRENCY'),
+    ...normalizeProviderCaps(evalConfig.provider_concurrency, 'provider_concurrency'),
+  };
+  const suiteJudge = evalConfig.judge_concurrency;
+  if (suiteJudge !== undefined && suiteJudge !== null && !isPositiveInteger(suiteJudge)) {
+    throw new Error('judge_concurrency must be a positive integer');
+  }
+  const judge = suiteJudge ?? parseEnvInteger(process.env.JUDGE_CONCURRENCY, null, { min: 1, max: 100 });
+  return { providers, judge };
+}
+
+function parseProviderConcurrencyEnv(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`PROVIDER_CONCURRENCY must be JSON, e.g. {"openai":4} (${error.message})`);
+  }
+}
+
+function normalizeProviderCaps(caps, source) {
+  if (caps === null || caps === undefined) return {};
+  if (typeof caps !== 'object' || Array.isArray(caps)) {
+    throw new Error(`${source} must be an object mapping provider names to concurrent calls`);
+  }
+  for (const [provider, cap] of Object.entries(caps)) {
+    if (!isPositiveInteger(cap)) {
+      throw new Error(`${source}.${provider} must be a positive integer`);
+    }
+  }
+  return caps;
+}
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { resolve, dirname } from 'path';
+import {
+  CACHE_BACKENDS,
+  DEFAULT_CACHE_MAX_BYTES,
+  createCacheStore,
+  getCacheStats,
+  pruneCache,
+  exportCacheEntries,
+  importCacheEntries,
+  clearCache,
+  parseCacheKey,
+  parseCacheSize,
+} from '../cache.mjs';
+import { parseTimeFilter } from '../trace-store.mjs';
+
+const USAGE = `Usage: node scripts/cache.mjs <command> [options]
+
+Commands:
+  stats                       Entries, size and expired entries per provider namespace
+  prune [--older-than <age>]  Remove expired entries (or entries older than e.g. 30d), then evict to the size limit
+  inspect <key>               Show one entry; a unique key or digest prefix is enough
+  export <file>               Write entries as JSONL for sharing a cached baseline
+  import <file>               Load exported entries (--overwrite replaces existing keys,
+                              --touch restamps them so they start a fresh TTL)
+  clear                       Remove every entry
+
+Options:
+  --store <file|sqlite>       Cache backend (default: CACHE_STORE or file)
+  --namespace <provider>      Limit prune/export to one provider namespace
+  --max-size <size>           Size limit for eviction, e.g. 200MB (default: CACHE_MAX_BYTES or 512MB)
+  --json                      Machine-readable output`;
+
+const args = process.argv.slice(2);
+const jsonMode = args.includes('--json');
+const [command, target] = args.filter((arg, index) => !arg.startsWith('-') && !isOptionValue(index));
+
+function isOptionValue(index) {
+  return index > 0 && ['--store', '--namespace', '--older-than', '--max-size'].includes(args[index - 1]);
+}
+
+function option(name) {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+}
+
+function formatBytes(bytes) {
+  if (bytes === null || bytes === undefined) return 'none';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 ** 2) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 ** 3) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+  return `${(bytes / 1024 ** 3).toFixed(2)} GB`;
+}
+
+function formatTime(ms) {
+  return ms === null || ms === undefined ? 'N/A' : new Date(ms).toISOString();
+}
+
+function output(report, lines) {
+  console.log(jsonMode ? JSON.stringify(report, null, 2) : lines.join('\n'));
+}
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+if (!command || args.includes('--help') || args.includes('-h')) {
+  console.log(USAGE);
+  process.exit(command ? 0 : 1);
+}
+
+let store;
+try {
+  const backend = option('--store') || process.env.CACHE_STORE || 'file';
+  if (!CACHE_BACKENDS.includes(backend)) {
+    throw new Error(`--store must be one of ${CACHE_BACKENDS.join(', ')}: ${backend}`);
+  }
+  store = createCacheStore({
+    backend,
+    dir: process.env.CACHE_DIR,
+    dbPath: process.env.CACHE_DB_PATH,
+    maxBytes: parseCacheSize(option('--max-size') ?? process.env.CACHE_MAX_BYTES, DEFAULT_CACHE_MAX_BYTES),
+    maxEntries: parseCacheSize(process.env.CACHE_MAX_ENTRIES, null),
+  });
+} catch (error) {
+  fail(error.message);
+}
+
+try {
+  if (command === 'stats') {
+    const stats = getCacheStats(store);
+    const lines = [
+      '# Cache Stats',
+      '',
+      `- Backend: ${stats.backend} (${stats.location})`,
+      `- Entries: ${stats.entries} (${stats.expired} expired)`,
+      `- Size: ${formatBytes(stats.sizeBytes)} of ${formatBytes(stats.maxBytes)}${stats.maxEntries ? `, max ${stats.maxEntries} entries` : ''}`,
+    ];
+    if (stats.legacyFiles > 0) {
+      lines.push(`- Legacy unnamespaced files: ${stats.legacyFiles} (never read; \`prune\` removes them)`);
+    }
+    if (stats.namespaces.length > 0) {
+      lines.push('', '| Namespace | Entries | Completions | Judge | Expired | Size | Oldest | Newest |', '|-----------|---------|-------------|-------|---------|------|--------|--------|');
+      for (const item of stats.namespaces) {
+        lines.push(`| ${item.namespace} | ${item.entries} | ${item.completions} | ${item.judge} | ${item.expired} | ${formatBytes(item.sizeBytes)} | ${formatTime(item.oldest)} | ${formatTime(item.newest)} |`);
+      }
+    }
+    output(stats, lines);
+  } else if (command === 'prune') {
+    const olderThan = option('--older-than');
+    const olderThanMs = olderThan ? Date.now() - Date.parse(parseTimeFilter(olderThan)) : undefined;
+    const report = pruneCache({ olderThanMs, namespace: option('--namespace') }, store);
+    output(report, [
+      '# Cache Prune',
+      '',
+      `- Removed ${olderThan ? `entries older than ${olderThan}` : 'expired entries'}: ${report.removed}`,
+      `- Evicted for size limits: ${report.evicted}`,
+      ...(report.legacy > 0 ? [`- Removed legacy files: ${report.legacy}`] : []),
+    ]);
+  } else if (command === 'inspect') {
+    if (!target) fail('inspect needs a cache key or digest prefix');
+    const matches = parseCacheKey(target)
+      ? [target]
+      : store.list().map(entry => entry.key).filter(key => key.startsWith(target) || key.split('/')[1].startsWith(target));
+    if (matches.length === 0) fail(`No cache entry matches ${target}`);
+    if (matches.length > 1) fail(`${matches.length} cache entries match ${target}; use a longer prefix:\n${matches.slice(0, 10).join('\n')}`);
+    const entry = store.get(matches[0]);
+    if (!entry) fail(`No cache entry matches ${target}`);
+    const lines = [
+      `# Cache Entry ${entry.key}`,
+      '',
+      `- Kind: ${entry.kind}`,
+      `- Model: ${entry.model || 'N/A'}`,
+      `- Created: ${formatTime(entry.createdAt)}`,
+      `- Last used: ${formatTime(entry.accessedAt)}`,
+      `- Size: ${formatBytes(entry.sizeBytes)}`,
+      '',
+      '```json',
+      JSON.stringify(entry.response, null, 2),
+      '```',
+    ];
+    output(entry, lines);
+  } else if (command === 'export') {
+    if (!target) fail('export needs an output file');
+    const path = resolve(process.cwd(), target);
+    const text = exportCacheEntries({ namespace: option('--namespace') }, store);
+    mkdirSync(dirname(path), { recursive: true });
+    writeFileSync(path, text, 'utf8');
+    const count = text.split('\n').filter(Boolean).length;
+    output({ file: path, exported: count }, [`Exported ${count} cache entries to ${path}`]);
+  } else if (command === 'import') {
+    if (!target) fail('import needs a JSONL file from `cache export`');
+    const path = resolve(process.cwd(), target);
+    if (!existsSync(path)) fail(`File not found: ${path}`);
+    const report = importCacheEntries(readFileSync(path, 'utf8'), {
+      overwrite: args.includes('--overwrite'),
+      touch: args.includes('--touch'),
+    }, store);
+    const lines = [
+      '# Cache Import',
+      '',
+      `- Imported: ${report.imported}`,
+      `- Skipped existing: ${report.skipped}`,
+    ];
+    for (const item of report.invalid) {
+      lines.push(`- Invalid line ${item.line}: ${item.reason}`);
+    }
+    output(report, lines);
+    if (report.invalid.length > 0) process.exitCode = 1;
+  } else if (command === 'clear') {
+    const count = clearCache(store);
+    output({ removed: count }, [`Cleared ${count} cached entries`]);
+  } else {
+    fail(`Unknown cache command: ${command}\n\n${USAGE}`);
+  }
+} catch (error) {
+  fail(error.message);
+} finally {
+  store.close();
+}
@@ -1,32 +1,17 @@
 #!/usr/bin/env node
 
-import { readFileSync, readdirSync, existsSync } from 'fs';
-import { resolve, join } from 'path';
+import { resolve } from 'path';
 import { loadLabelsFromDir } from '../labels/schema.mjs';
+import { listTraces, loadTrace as loadStoredTrace } from '../tracer.mjs';
 
-const tracesDir = resolve(process.cwd(), 'traces');
 const labelsDir = resolve(process.cwd(), 'labels');
 
-function listTraceFiles() {
-  if (!existsSync(tracesDir)) return [];
-  return readdirSync(tracesDir)
-    .filter(name => name.endsWith('.json'))
-    .sort()
-    .reverse();
-}
-
 function loadTrace(traceId) {
-  const file = traceId.endsWith('.json') ? traceId : `${traceId}.json`;
-  const path = join(tracesDir, file);
-  try {
-    const trace = JSON.parse(readFileSync(path, 'utf8'));
-    return {
-      ...trace,
-      results: Array.isArray(trace.results) ? trace.results : [],
-    };
-  } catch (error) {
-    throw new Error(`Invalid trace JSON ${path}: ${error.message}`);
-  }
+  const trace = loadStoredTrace(traceId.replace(/\.json$/, ''));
+  return {
+    ...trace,
+    results: Array.isArray(trace.results) ? trace.results : [],
+  };
 }
 
 function categorize(result) {
@@ -39,11 +24,11 @@ function categorize(result) {
     return 'runner_or_provider_error';
   }
 
-  if (reason.includes('llm judge error')) return 'judge_error';
+  if (reason.includes('llm judge error') || reason.includes('rubric judge error') || reason.includes('invalid rubric judge response') || reason.includes('unparseable judge response')) return 'judge_error';
   if (result.evalType === 'tool_call') return 'tool_use_failure';
   if (result.evalType === 'regex') return 'formatting_failure';
   if (result.evalType === 'contains' || result.evalType === 'exact_match') return 'deterministic_assertion_failure';
-  if (result.evalType === 'llm_judge') return 'subjective_quality_failure';
+  if (result.evalType === 'llm_judge' || result.evalType === 'rubric_judge') return 'subjective_quality_failure';
   if (result.evalType === 'json_match') return 'structured_output_failure';
 
   return 'uncategorized_failure';
@@ -78,6 +63,7 @@ function summarize(trace) {
 
   if (ordered.length === 0) {
     lines.push('No failures found in this trace.');
+    appendRubricPivots(lines, results);
     appendLabelPivots(lines, labels);
     return lines.join('\n');
   }
@@ -122,6 +108,7 @@ function summarize(trace) {
 
   lines.push(recommendations[topCategory] || recommendations.uncategorized_failure);
   lines.push('');
+  appendRubricPivots(lines, results);
   appendLabelPivots(lines, labels);
 
   return lines.join('\n');
@@ -174,10 +161,65 @@ function toJson(trace) {
         reason: (item.evalReason || item.response?.error || 'No reason').replace(/\s+/g, ' ').trim(),
       })),
     })),
+    rubricCriteria: buildRubricPivots(results),
     labelPivots: buildLabelPivots(labels),
   };
 }
 
+/**
+ * Per-criterion pass/fail counts across rubric-judged results, worst criterion first
+ */
+function buildRubricPivots(results) {
+  const criteria = new Map();
+  for (const result of results) {
+    const scores = result.rubricScores || result.metadata?.rubric_scores;
+    if (!Array.isArray(scores)) continue;
+    for (const item of scores) {
+      if (!criteria.has(item.name)) criteria.set(item.name, { criterion: item.name, judged: 0, failed: 0, normalizedTotal: 0, failures: [] });
+      const entry = criteria.get(item.name);
+      entry.judged++;
+      entry.normalizedTotal += item.normalized ?? 0;
+      if (!item.pass) {
+        entry.failed++;
+        entry.failures.push({ testCase: result.testCase, provider: result.provider, model: result.model, score: item.score, max: item.max, reason: item.reason });
+      }
+    }
+  }
+
+  return [...criteria.values()]
+    .map(({ normalizedTotal, failures, ...entry }) => ({
+      ...entry,
+      avgScore: entry.judged > 0 ? normalizedTotal / entry.judged : null,
+      samples: failures.slice(0, 5),
+    }))
+    .sort((a, b) => b.failed - a.failed || (a.avgScore ?? 0) - (b.avgScore ?? 0));
+}
+
+function appendRubricPivots(lines, results) {
+  const pivots = buildRubricPivots(results);
+  if (pivots.length === 0) return;
+  lines.push('## Rubric Criteria');
+  lines.push('');
+  lines.push('| Criterion | Judged | Failed | Avg Score |');
+  lines.push('|-----------|--------|--------|-----------|');
+  for (const pivot of pivots) {
+    lines.push(`| ${pivot.criterion} | ${pivot.judged} | ${pivot.failed} | ${pivot.avgScore === null ? 'N/A' : `${Math.round(pivot.avgScore * 100)}%`} |`);
+  }
+  lines.push('');
+
+  for (const pivot of pivots.filter(item => item.failed > 0)) {
+    lines.push(`### ${pivot.criterion}`);
+    lines.push('');
+    for (const sample of pivot.samples) {
+      lines.push(`- ${sample.testCase} | ${sample.provider}/${sample.model} | ${sample.score}/${sample.max} | ${String(sample.reason || '').replace(/\s+/g, ' ').trim()}`);
+    }
+    if (pivot.failed > pivot.samples.length) {
+      lines.push(`- ... ${pivot.failed - pivot.samples.length} more`);
+    }
+    lines.push('');
+  }
+}
+
 function buildLabelPivots(labels) {
   const failed = labels.filter(label => label.human_pass === false);
   return {
@@ -219,7 +261,7 @@ function appendLabelPivots(lines, labels) {
 const args = process.argv.slice(2);
 const jsonMode = args.includes('--json');
 const traceArg = args.find(arg => !arg.startsWith('-'));
-const latest = listTraceFiles()[0];
+const latest = listTraces({ limit: 1 })[0]?.id;
 
 if (!traceArg && !latest) {
   console.error('No traces found. Run an eval first.');
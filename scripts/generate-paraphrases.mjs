@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+
+import 'dotenv/config';
+import { readFileSync, writeFileSync } from 'fs';
+import { basename, dirname, extname, join, resolve } from 'path';
+import { loadDataset } from '../dataset.mjs';
+import { getProvider, getDefaultProvider } from '../providers/index.mjs';
+import { paraphraseSuite, PERTURBATIONS, DEFAULT_PARAPHRASE_COUNT } from '../paraphrase.mjs';
+
+const USAGE = `Usage: node scripts/generate-paraphrases.mjs <suite.json|jsonl|csv> [options]
+
+Writes a copy of the suite with generated paraphrases for review. Run the reviewed
+file with run-eval.mjs to get the Paraphrase Robustness report section.
+
+A JSON suite is copied as-is; a top-level array of test cases becomes its test_cases.
+CSV and JSONL input is loaded the way run-eval.mjs loads it, so the output is a
+normalized JSON suite: defaults such as name "Dataset", max_tokens and metadata are
+filled in, and fields the loader does not recognize are dropped.
+
+Options:
+  --output, -o <file>         Output suite (default: <suite>.paraphrased.json next to the input)
+  --provider <name>           Paraphrasing provider (default: PARAPHRASE_PROVIDER or the default provider)
+  --model <id>                Paraphrasing model (default: PARAPHRASE_MODEL or the provider default)
+  --count <n>                 Model paraphrases per prompt (default: ${DEFAULT_PARAPHRASE_COUNT}; 0 skips the model)
+  --perturbations <list>      Comma-separated ${PERTURBATIONS.join(', ')}, or none (default: all)
+  --seed <n>                  Seed for the perturbations (default: 0)
+  --json                      Machine-readable summary`;
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const option = name => {
+    const index = args.indexOf(name);
+    return index >= 0 ? args[index + 1] : undefined;
+  };
+  const optionNames = ['--output', '-o', '--provider', '--model', '--count', '--perturbations', '--seed'];
+  const perturbations = option('--perturbations');
+  return {
+    input: args.find((arg, index) => !arg.startsWith('-') && !optionNames.includes(args[index - 1])),
+    output: option('--output') || option('-o'),
+    providerName: option('--provider') || process.env.PARAPHRASE_PROVIDER,
+    model: option('--model') || process.env.PARAPHRASE_MODEL,
+    count: option('--count') !== undefined ? Number(option('--count')) : DEFAULT_PARAPHRASE_COUNT,
+    perturbations: perturbations === undefined ? PERTURBATIONS
+      : perturbations === 'none' ? [] : perturbations.split(',').map(kind => kind.trim()).filter(Boolean),
+    seed: option('--seed') !== undefined ? Number(option('--seed')) : 0,
+    json: args.includes('--json'),
+    help: args.includes('--help') || args.includes('-h'),
+  };
+}
+
+function defaultOutputPath(input) {
+  return join(dirname(input), `${basename(input, extname(input))}.paraphrased.json`);
+}
+
+function fail(message) {
+  console.error(message);
+  process.exit(2);
+}
+
+const config = parseArgs();
+if (config.help || !config.input) {
+  console.log(USAGE);
+  process.exit(config.input ? 0 : 2);
+}
+if (!Number.isInteger(config.count) || config.count < 0) fail('--count must be a non-negative integer');
+if (!Number.isFinite(config.seed)) fail('--seed must be a number');
+
+const inputPath = resolve(process.cwd(), config.input);
+const outputPath = resolve(process.cwd(), config.output || defaultOutputPath(config.input));
+if (outputPath === inputPath) fail('Refusing to overwrite the input suite; pass a different --output');
+
+let evalConfig;
+try {
+  const ext = extname(inputPath).toLowerCase();
+  evalConfig = ext === '.csv' || ext === '.jsonl'
+    ? loadDataset(inputPath)
+    : JSON.parse(readFileSync(inputPath, 'utf8'));
+} catch (error) {
+  fail(`Error loading suite ${config.input}: ${error.message}`);
+}
+// run-eval.mjs reads a bare array as the suite's test cases
+if (Array.isArray(evalConfig)) evalConfig = { test_cases: evalConfig };
+if (!evalConfig || typeof evalConfig !== 'object') {
+  fail(`Error loading suite ${config.input}: expected a suite object or an array of test cases`);
+}
+
+let provider = null;
+if (config.count > 0) {
+  try {
+    provider = config.providerName ? getProvider(config.providerName) : await getDefaultProvider();
+  } catch (error) {
+    fail(`No paraphrasing provider: ${error.message}. Pass --provider, or --count 0 for perturbations only.`);
+  }
+}
+const model = provider ? config.model || provider.defaultModel : null;
+
+let result;
+try {
+  result = await paraphraseSuite(evalConfig, provider, {
+    count: config.count,
+    model,
+    perturbations: config.perturbations,
+    seed: config.seed,
+    onCase: (name, outcome) => {
+      if (!config.json) console.error(`  ${name}: ${outcome.slots} paraphrase(s)`);
+    },
+  });
+} catch (error) {
+  fail(error.message);
+}
+
+const { stats } = result;
+const output = {
+  ...result.config,
+  paraphrase_generation: {
+    source: config.input,
+    provider: provider?.name || null,
+    model,
+    count: config.count,
+    perturbations: config.perturbations,
+    seed: config.seed,
+    generated_at: new Date().toISOString(),
+  },
+};
+writeFileSync(outputPath, JSON.stringify(output, null, 2) + '\n', 'utf8');
+
+const summary = {
+  output: outputPath,
+  cases: stats.cases,
+  skipped: stats.skipped,
+  paraphrases: stats.slots,
+  rejected: stats.rejected,
+  calls: stats.calls,
+  cost: stats.costUnknown ? null : stats.cost,
+  errors: stats.errors,
+};
+
+if (config.json) {
+  console.log(JSON.stringify(summary, null, 2));
+} else {
+  const counts = Object.entries(stats.slots).map(([kind, count]) => `${count} ${kind}`).join(', ') || 'none';
+  console.log(`Paraphrased ${stats.cases} case(s) into ${outputPath}`);
+  console.log(`New paraphrases: ${counts}`);
+  if (provider) {
+    console.log(`Model calls: ${stats.calls} (${provider.name}/${model}), cost ${stats.costUnknown ? 'unknown' : `$${stats.cost.toFixed(4)}`}, ${stats.rejected} rejected`);
+  }
+  if (stats.skipped.length > 0) {
+    console.log(`Skipped ${stats.skipped.length} case(s) with no fixed prompt to reword: ${stats.skipped.join(', ')}`);
+  }
+  for (const item of stats.errors) {
+    console.log(`⚠️  ${item.testCase}: model paraphrases failed (${item.error}); perturbations were still added`);
+  }
+  console.log('Review the paraphrases, delete any that change the meaning, then run the file with run-eval.mjs.');
+}
+process.exit(stats.errors.length > 0 ? 1 : 0);
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+
+import { readdirSync, existsSync } from 'fs';
+import { resolve, join, relative, extname } from 'path';
+import { lintEvalConfig, lintEvalFile, formatLintFinding } from '../eval-lint.mjs';
+import { loadDataset } from '../dataset.mjs';
+
+const cwd = process.cwd();
+const evalsDir = resolve(cwd, 'evals');
+
+function getEvalFiles(paths) {
+  if (paths.length > 0) return paths.map(path => resolve(cwd, path));
+  if (!existsSync(evalsDir)) return [];
+  return readdirSync(evalsDir)
+    .filter(name => name.endsWith('.json'))
+    .sort()
+    .map(name => join(evalsDir, name));
+}
+
+function lintFile(file) {
+  if (!existsSync(file)) {
+    return [{ severity: 'error', path: '', message: `File not found: ${file}` }];
+  }
+  if (extname(file).toLowerCase() === '.json') {
+    return lintEvalFile(file);
+  }
+  try {
+    // Datasets are normalized first; the round trip drops the undefined fields the loader fills in
+    return lintEvalConfig(JSON.parse(JSON.stringify(loadDataset(file))));
+  } catch (error) {
+    return [{ severity: 'error', path: '', message: error.message }];
+  }
+}
+
+const args = process.argv.slice(2);
+const jsonMode = args.includes('--json');
+const files = getEvalFiles(args.filter(arg => !arg.startsWith('-')));
+const report = files.map(file => ({ file: relative(cwd, file), findings: lintFile(file) }));
+const errors = report.reduce((sum, item) => sum + item.findings.filter(f => f.severity === 'error').length, 0);
+const warnings = report.reduce((sum, item) => sum + item.findings.filter(f => f.severity === 'warning').length, 0);
+
+if (jsonMode) {
+  console.log(JSON.stringify({ files: report, summary: { files: report.length, errors, warnings } }, null, 2));
+} else {
+  console.log('# Eval Lint');
+  console.log('');
+
+  if (report.length === 0) {
+    console.log('No eval suites found in `evals/`.');
+  }
+  for (const item of report) {
+    if (item.findings.length === 0) {
+      console.log(`- ${item.file}: ok`);
+      continue;
+    }
+    console.log(`- ${item.file}:`);
+    for (const finding of item.findings) {
+      console.log(`  - ${formatLintFinding(finding)}`);
+    }
+  }
+  console.log('');
+  console.log(`${errors} error(s), ${warnings} warning(s) in ${report.length} file(s)`);
+}
+
+process.exit(errors > 0 ? 1 : 0);
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+
+import { readFileSync, readdirSync, existsSync } from 'fs';
+import { resolve, join } from 'path';
+import { createTraceStore, DEFAULT_TRACE_DB } from '../trace-store.mjs';
+
+const args = process.argv.slice(2);
+const jsonMode = args.includes('--json');
+const fromIndex = args.indexOf('--from');
+const dbIndex = args.indexOf('--db');
+const tracesDir = resolve(process.cwd(), fromIndex >= 0 ? args[fromIndex + 1] : 'traces');
+const dbPath = dbIndex >= 0 ? args[dbIndex + 1] : (process.env.TRACE_DB_PATH || DEFAULT_TRACE_DB);
+
+if (!existsSync(tracesDir)) {
+  console.error(`Traces directory not found: ${tracesDir}`);
+  process.exit(1);
+}
+
+let store;
+try {
+  store = createTraceStore({ backend: 'sqlite', dbPath });
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+const report = { from: tracesDir, db: resolve(process.cwd(), dbPath), imported: 0, results: 0, skipped: [] };
+
+for (const name of readdirSync(tracesDir).filter(name => name.endsWith('.json')).sort()) {
+  try {
+    const trace = JSON.parse(readFileSync(join(tracesDir, name), 'utf8'));
+    if (!trace.id) throw new Error('missing trace id');
+    // Re-importing a trace replaces its rows, so the migration can be run repeatedly
+    store.save(trace);
+    report.imported++;
+    report.results += Array.isArray(trace.results) ? trace.results.length : 0;
+  } catch (error) {
+    report.skipped.push({ file: name, reason: error.message });
+  }
+}
+
+store.close();
+
+if (jsonMode) {
+  console.log(JSON.stringify(report, null, 2));
+} else {
+  console.log('# Trace Migration');
+  console.log('');
+  console.log(`- From: ${report.from}`);
+  console.log(`- To: ${report.db}`);
+  console.log(`- Imported traces: ${report.imported}`);
+  console.log(`- Imported results: ${report.results}`);
+  if (report.skipped.length > 0) {
+    console.log(`- Skipped: ${report.skipped.length}`);
+    for (const item of report.skipped) {
+      console.log(`  - ${item.file}: ${item.reason}`);
+    }
+  }
+}
@@ -1,33 +1,20 @@
 #!/usr/bin/env node
 
-import { readFileSync, readdirSync, existsSync } from 'fs';
-import { resolve, join } from 'path';
+import { resolve } from 'path';
 import { loadLabelsFromDir } from '../labels/schema.mjs';
+import { configureTraceStore, listTraces, queryResults } from '../tracer.mjs';
+import { parseTimeFilter } from '../trace-store.mjs';
 
 const args = process.argv.slice(2);
 const jsonMode = args.includes('--json');
 const tracesIndex = args.indexOf('--traces');
 const labelsIndex = args.indexOf('--labels');
-const tracesDir = resolve(process.cwd(), tracesIndex >= 0 ? args[tracesIndex + 1] : 'traces');
+const sinceIndex = args.indexOf('--since');
 const labelsDir = resolve(process.cwd(), labelsIndex >= 0 ? args[labelsIndex + 1] : 'labels');
+const since = sinceIndex >= 0 ? parseTimeFilter(args[sinceIndex + 1]) : null;
 
-function loadTraces() {
-  if (!existsSync(tracesDir)) return [];
-  return readdirSync(tracesDir)
-    .filter(name => name.endsWith('.json'))
-    .map(name => loadTraceFile(name))
-    .filter(Boolean)
-    .sort((a, b) => String(a.startedAt).localeCompare(String(b.startedAt)));
-}
-
-function loadTraceFile(name) {
-  const path = join(tracesDir, name);
-  try {
-    return JSON.parse(readFileSync(path, 'utf8'));
-  } catch (error) {
-    console.warn(`Skipping invalid trace JSON ${path}: ${error.message}`);
-    return null;
-  }
+if (tracesIndex >= 0) {
+  configureTraceStore({ dir: args[tracesIndex + 1] });
 }
 
 function pct(value) {
@@ -51,11 +38,10 @@ function isOperationalLabel(label) {
   return label.reviewer !== 'calibration-author' && label.metadata?.purpose !== 'calibration';
 }
 
-const traces = loadTraces();
+const allResults = queryResults({ since }).map(result => ({ result }));
+const traceIds = new Set(allResults.map(({ result }) => result.traceId));
+const traces = since ? listTraces().filter(trace => traceIds.has(trace.id)) : listTraces().filter(trace => !trace.error);
 const labels = loadLabelsFromDir(labelsDir).filter(isOperationalLabel);
-const allResults = traces.flatMap(trace =>
-  (Array.isArray(trace.results) ? trace.results : []).map(result => ({ trace, result }))
-);
 const decisiveResults = allResults.filter(({ result }) => result.pass === true || result.pass === false);
 const passRate = decisiveResults.length > 0
   ? decisiveResults.filter(({ result }) => result.pass === true).length / decisiveResults.length
@@ -79,8 +65,8 @@ const avgLatency = allResults.length > 0
 const totalCost = allResults.reduce((sum, { result }) => sum + (result.cost || 0), 0);
 
 const byDay = new Map();
-for (const { trace, result } of allResults) {
-  const day = dateKey(result.timestamp || trace.completedAt || trace.startedAt);
+for (const { result } of allResults) {
+  const day = dateKey(result.timestamp);
   if (!byDay.has(day)) {
     byDay.set(day, {
       date: day,
@@ -0,0 +1,220 @@
+/**
+ * Simulated User
+ *
+ * Drives a conversation from a persona and a goal: a second model writes each
+ * user message from the conversation so far until the goal is met, someone
+ * gives up or the turn limit is reached
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { resolve } from 'path';
+import { safeRegexTest, unsafeRegexReason } from './evaluators/index.mjs';
+
+export const DEFAULT_MAX_TURNS = 8;
+export const GOAL_MET_SIGNAL = '[GOAL_MET]';
+export const GIVE_UP_SIGNAL = '[GIVE_UP]';
+export const EXPECTED_OUTCOMES = ['resolved', 'escalated', 'gave_up'];
+
+const PERSONA_NAME_PATTERN = /^[A-Za-z0-9_-]+(?:\.json)?$/;
+
+// Assistant replies that hand the user to someone else, or decline to go on
+const DEFAULT_ESCALATION_PATTERNS = [
+  '\\b(transfer|connect|escalat|hand)\\w*\\b.{0,40}\\b(human|person|agent|specialist|representative|supervisor|manager|team)\\b',
+  '\\b(human|live) (agent|representative|support)\\b.{0,40}\\b(will|can) (contact|reach|call|help)\\b',
+];
+const DEFAULT_GIVE_UP_PATTERNS = [
+  "\\bi(?:'m| am) (?:unable|not able) to help\\b",
+  "\\bi (?:can(?:no|')t|am unable to) (?:help|assist) (?:you )?with (?:this|that)\\b",
+  "\\bthere(?:'s| is) nothing (?:more |else )?i can do\\b",
+];
+
+/**
+ * True for test cases driven by a simulated user rather than scripted turns
+ */
+export function isSimulatedUserTestCase(testCase) {
+  return Boolean(testCase?.simulated_user && typeof testCase.simulated_user === 'object');
+}
+
+/**
+ * Load a persona from personas/<name>.json
+ * @param {string} name - File name, with or without .json
+ * @param {{personasDir?: string}} [options]
+ */
+export function loadPersona(name, options = {}) {
+  if (!PERSONA_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid persona name: ${name}`);
+  }
+  const filename = name.endsWith('.json') ? name : `${name}.json`;
+  const path = resolve(options.personasDir || resolve(process.cwd(), 'personas'), filename);
+  if (!existsSync(path)) {
+    throw new Error(`Persona not found: personas/${filename}`);
+  }
+  const persona = JSON.parse(readFileSync(path, 'utf8'));
+  return { name: name.replace(/\.json$/, ''), ...persona };
+}
+
+/**
+ * Normalize a test case's `simulated_user` block, loading a named persona
+ * @returns {Object} persona, goal, conditions, maxTurns, stop settings and the simulator request fields
+ */
+export function resolveSimulatedUser(testCase, options = {}) {
+  const spec = testCase.simulated_user || {};
+  const persona = typeof spec.persona === 'string' ? loadPersona(spec.persona, options) : (spec.persona || {});
+  if (!spec.goal) {
+    throw new Error('simulated_user needs a goal');
+  }
+  const expectedOutcome = spec.expected_outcome || 'resolved';
+  if (!EXPECTED_OUTCOMES.includes(expectedOutcome)) {
+    throw new Error(`simulated_user.expected_outcome must be one of ${EXPECTED_OUTCOMES.join(', ')}`);
+  }
+  const maxTurns = spec.max_turns ?? DEFAULT_MAX_TURNS;
+  if (!Number.isInteger(maxTurns) || maxTurns < 1) {
+    throw new Error(`simulated_user.max_turns must be a positive integer, got ${JSON.stringify(spec.max_turns)}`);
+  }
+
+  return {
+    persona,
+    goal: spec.goal,
+    facts: { ...(persona.facts || {}), ...(spec.facts || {}) },
+    conditions: normalizeGoalConditions(spec.goal_conditions),
+    maxTurns,
+    openingMessage: spec.opening_message ?? persona.opening_message ?? null,
+    expectedOutcome,
+    stopOnEscalation: spec.stop_on_escalation !== false,
+    escalationPatterns: checkPatterns(spec.escalation_patterns || DEFAULT_ESCALATION_PATTERNS),
+    giveUpPatterns: checkPatterns(spec.give_up_patterns || DEFAULT_GIVE_UP_PATTERNS),
+    provider: spec.provider || null,
+    model: spec.model || null,
+    temperature: spec.temperature ?? persona.temperature ?? 0.7,
+    max_tokens: spec.max_tokens || 256,
+  };
+}
+
+/**
+ * Messages for the simulator model. Roles are flipped so the simulator speaks
+ * as `assistant` and the assistant under test's replies arrive as `user`.
+ * @param {Object} simulation - From resolveSimulatedUser
+ * @param {Array} messages - Conversation so far, from the assistant under test's side
+ */
+export function buildSimulatedUserMessages(simulation, messages) {
+  const flipped = messages
+    .filter(message => message.role === 'user' || message.role === 'assistant')
+    .map(message => ({ role: message.role === 'user' ? 'assistant' : 'user', content: String(message.content ?? '') }));
+  if (flipped.length === 0 || flipped[flipped.length - 1].role !== 'user') {
+    flipped.push({ role: 'user', content: '(The conversation starts now. Write your opening message.)' });
+  }
+  return [{ role: 'system', content: simulatorSystemPrompt(simulation) }, ...flipped];
+}
+
+/**
+ * Split a simulator reply into the next user message and a stop signal
+ * @returns {{message: string, signal: 'goal_met'|'give_up'|null}}
+ */
+export function parseSimulatedUserReply(text) {
+  const raw = String(text ?? '').trim();
+  const signal = raw.includes(GOAL_MET_SIGNAL) ? 'goal_met' : raw.includes(GIVE_UP_SIGNAL) ? 'give_up' : null;
+  const message = raw.replace(GOAL_MET_SIGNAL, '').replace(GIVE_UP_SIGNAL, '').replace(/^(user|me)\s*:\s*/i, '').trim();
+  return { message, signal: signal || (message ? null : 'give_up') };
+}
+
+/**
+ * Whether an assistant reply escalates to a human or gives up. Patterns run
+ * through the same guarded matcher as regex evaluators.
+ * @returns {Promise<'escalated'|'gave_up'|null>}
+ */
+export async function detectAssistantOutcome(text, simulation) {
+  const reply = String(text ?? '');
+  for (const pattern of simulation.escalationPatterns) {
+    if (await safeRegexTest(pattern, 'i', reply)) return 'escalated';
+  }
+  for (const pattern of simulation.giveUpPatterns) {
+    if (await safeRegexTest(pattern, 'i', reply)) return 'gave_up';
+  }
+  return null;
+}
+
+/**
+ * Roll the run up into what a support eval reports: which goal conditions were
+ * met, whether and how fast the conversation resolved, and how it ended
+ * @param {Object} simulation - From resolveSimulatedUser
+ * @param {Object} state - endReason, assistantOutcome, outcomeTurn, resolvedTurn, userCalls, usage, cost, error.
+ *   `resolvedTurn` is the first turn after which every goal condition held; without conditions
+ *   the last answered turn stands in, since the simulated user reports the goal met after it.
+ * @param {Array} conditions - Evaluated goal conditions ({name, met, ...})
+ * @param {Array} turns - Conversation turn entries
+ */
+export function summarizeSimulation(simulation, state, conditions, turns) {
+  const lastAnswered = turns.filter(turn => turn.assistant !== null).at(-1)?.turn ?? null;
+  const skipped = conditions.some(condition => condition.met === null);
+  const conditionsMet = conditions.filter(condition => condition.met === true).length;
+  const resolved = conditions.length > 0
+    ? (skipped ? null : conditionsMet === conditions.length)
+    : state.endReason === 'goal_met';
+  const outcome = simulation.expectedOutcome === 'resolved'
+    ? resolved
+    : resolved === null ? null : state.assistantOutcome === simulation.expectedOutcome && (conditions.length === 0 || resolved);
+
+  return {
+    persona: simulation.persona.name || null,
+    goal: simulation.goal,
+    expectedOutcome: simulation.expectedOutcome,
+    endReason: state.endReason,
+    resolved,
+    turnsToResolution: resolved ? state.resolvedTurn ?? lastAnswered : null,
+    assistantOutcome: state.assistantOutcome || null,
+    outcomeTurn: state.outcomeTurn ?? null,
+    conditions,
+    conditionsMet,
+    pass: state.error ? false : outcome,
+    userCalls: state.userCalls,
+    usage: state.usage,
+    cost: state.cost,
+    costUnknown: state.costUnknown,
+    error: state.error || null,
+  };
+}
+
+function simulatorSystemPrompt(simulation) {
+  const { persona, goal, facts } = simulation;
+  const lines = [
+    'You are role-playing a user who is talking to an AI assistant. Stay in character and write only the user\'s next message.',
+    '',
+    `Persona: ${persona.description || persona.name || 'A typical user.'}`,
+  ];
+  if (persona.style) lines.push(`Style: ${persona.style}`);
+  lines.push(`Goal: ${goal}`);
+  const factLines = Object.entries(facts).map(([key, value]) => `- ${key}: ${typeof value === 'string' ? value : JSON.stringify(value)}`);
+  if (factLines.length > 0) lines.push('', 'Details you know (share them only when they are relevant or asked for):', ...factLines);
+  lines.push(
+    '',
+    'Rules:',
+    '- Write one message, as the user would type it. Never write the assistant\'s part or describe what you are doing.',
+    '- Pursue your goal; push back when an answer does not get you there.',
+    `- When your goal has been fully achieved, reply with exactly ${GOAL_MET_SIGNAL}.`,
+    `- If you would give up on this assistant and leave, reply with exactly ${GIVE_UP_SIGNAL}.`,
+  );
+  return lines.join('\n');
+}
+
+function normalizeGoalConditions(conditions) {
+  const list = Array.isArray(conditions) ? conditions : conditions ? [conditions] : [];
+  return list.map((condition, index) => (typeof condition === 'string'
+    ? { name: condition, criteria: condition }
+    : { ...condition, name: condition.name || condition.criteria || `condition ${index + 1}` }));
+}
+
+function checkPatterns(patterns) {
+  return (Array.isArray(patterns) ? patterns : [patterns]).map(pattern => {
+    const text = String(pattern);
+    const unsafeReason = unsafeRegexReason(text);
+    if (unsafeReason) {
+      throw new Error(`Invalid simulated_user pattern ${JSON.stringify(pattern)}: ${unsafeReason}`);
+    }
+    try {
+      new RegExp(text, 'i');
+    } catch (error) {
+      throw new Error(`Invalid simulated_user pattern ${JSON.stringify(pattern)}: ${error.message}`);
+    }
+    return text;
+  });
+}
@@ -0,0 +1,154 @@
+/**
+ * Performance Metrics & SLOs
+ *
+ * Per-model latency/cost/token distributions and the suite-level `slo`
+ * assertions checked against them after a run
+ */
+
+import { percentile } from './stats.mjs';
+
+export const LATENCY_PERCENTILES = [50, 90, 95, 99];
+
+/**
+ * Supported `slo` keys. Every limit is an upper bound checked per model.
+ */
+export const SLO_LIMITS = {
+  p50_latency_ms: { label: 'p50 latency', unit: 'ms', metric: m => m.latency.p50, usesLatency: true },
+  p90_latency_ms: { label: 'p90 latency', unit: 'ms', metric: m => m.latency.p90, usesLatency: true },
+  p95_latency_ms: { label: 'p95 latency', unit: 'ms', metric: m => m.latency.p95, usesLatency: true },
+  p99_latency_ms: { label: 'p99 latency', unit: 'ms', metric: m => m.latency.p99, usesLatency: true },
+  max_cost_per_case_usd: { label: 'cost per case', unit: 'usd', metric: m => m.cost.perCase, usesCost: true },
+  max_cost_per_pass_usd: { label: 'cost per passing case', unit: 'usd', metric: m => m.cost.perPass, usesCost: true },
+  max_total_cost_usd: { label: 'total cost', unit: 'usd', metric: m => m.cost.total, usesCost: true },
+};
+
+/**
+ * Latency percentiles, cost per (passing) case and token distributions per provider/model.
+ * Latency uses successful provider calls only; cache hits report 0ms and are left out.
+ */
+export function calculatePerformanceMetrics(results) {
+  const byModel = new Map();
+  for (const result of results) {
+    const key = `${result.provider}/${result.model}`;
+    if (!byModel.has(key)) byModel.set(key, { provider: result.provider, model: result.model, results: [] });
+    byModel.get(key).results.push(result);
+  }
+
+  return [...byModel.values()].map(({ provider, model, results: rows }) => {
+    const timed = rows.filter(row => row.success && !row.fromCache).map(row => row.latencyMs);
+    const passed = rows.filter(row => row.pass === true).length;
+    const totalCost = rows.reduce((sum, row) => sum + (row.cost || 0), 0);
+    const withUsage = rows.filter(row => row.success && row.usage);
+
+    return {
+      provider,
+      model,
+      cases: rows.length,
+      passed,
+      latency: {
+        samples: timed.filter(value => Number.isFinite(value)).length,
+        cached: rows.filter(row => row.fromCache).length,
+        ...distribution(timed, LATENCY_PERCENTILES),
+      },
+      cost: {
+        total: totalCost,
+        perCase: rows.length > 0 ? totalCost / rows.length : null,
+        perPass: passed > 0 ? totalCost / passed : null,
+        unknown: rows.some(row => row.costUnknown || row.metadata?.cost_unknown),
+      },
+      tokens: {
+        input: distribution(withUsage.map(row => row.usage.prompt_tokens), [50, 90, 99]),
+        output: distribution(withUsage.map(row => row.usage.completion_tokens), [50, 90, 99]),
+        total: distribution(withUsage.map(row => row.usage.total_tokens), [50, 90, 99]),
+      },
+    };
+  });
+}
+
+/**
+ * Check a suite's `slo` block against per-model metrics
+ * @param {Object} slo - e.g. { p95_latency_ms: 3000, max_cost_per_case_usd: 0.01 }
+ * @param {Array} metrics - Output of calculatePerformanceMetrics
+ * @returns {{checks: Array, violations: Array, skipped: Array}|null} - null when the suite declares no SLO.
+ *   A latency SLO for a model whose every result came from the cache is skipped (`pass: null`):
+ *   a cached rerun has nothing to time, which says nothing about the provider's latency.
+ */
+export function evaluateSlo(slo, metrics) {
+  if (!slo || typeof slo !== 'object' || Object.keys(slo).length === 0) return null;
+
+  const checks = [];
+  for (const modelMetrics of metrics) {
+    for (const [key, limit] of Object.entries(slo)) {
+      const spec = SLO_LIMITS[key] || { label: key, unit: null, metric: () => null };
+      const actual = spec.metric(modelMetrics);
+      const check = {
+        key,
+        label: spec.label,
+        unit: spec.unit,
+        provider: modelMetrics.provider,
+        model: modelMetrics.model,
+        limit,
+        actual,
+        pass: true,
+        skipped: false,
+        reason: null,
+      };
+
+      if (!SLO_LIMITS[key]) {
+        check.pass = false;
+        check.reason = `unknown SLO (expected one of: ${Object.keys(SLO_LIMITS).join(', ')})`;
+      } else if (typeof limit !== 'number' || !Number.isFinite(limit) || limit < 0) {
+        check.pass = false;
+        check.reason = `limit must be a non-negative number, got ${JSON.stringify(limit)}`;
+      } else if (spec.usesLatency && modelMetrics.cases > 0 && modelMetrics.latency.cached === modelMetrics.cases) {
+        check.pass = null;
+        check.skipped = true;
+        check.reason = 'not evaluated: every result was a cache hit';
+      } else if (spec.usesCost && modelMetrics.cost.unknown) {
+        // Unmeasurable SLOs fail: a run without known costs or timings has not met them
+        check.pass = false;
+        check.reason = 'cost unknown for at least one case';
+      } else if (actual === null || actual === undefined) {
+        check.pass = false;
+        check.reason = key === 'max_cost_per_pass_usd' ? 'no passing cases' : 'no measured samples';
+      } else if (actual > limit) {
+        check.pass = false;
+        check.reason = `${formatSloValue(actual, spec.unit)} > ${formatSloValue(limit, spec.unit)}`;
+      }
+      checks.push(check);
+    }
+  }
+
+  return {
+    checks,
+    violations: checks.filter(check => check.pass === false),
+    skipped: checks.filter(check => check.skipped),
+  };
+}
+
+/**
+ * One-line description of an SLO check, e.g. "p95 latency 3.4s > 3.0s (openai/gpt-5.4)"
+ */
+export function formatSloCheck(check) {
+  const actual = check.actual === null || check.actual === undefined ? 'N/A' : formatSloValue(check.actual, check.unit);
+  const detail = check.pass ? `${actual} <= ${formatSloValue(check.limit, check.unit)}` : (check.reason || actual);
+  return `${check.label} ${detail} (${check.provider}/${check.model})`;
+}
+
+function formatSloValue(value, unit) {
+  if (value === null || value === undefined) return 'N/A';
+  if (unit === 'usd') return value === 0 ? '$0' : `$${value < 0.01 ? value.toFixed(6) : value.toFixed(4)}`;
+  return value < 1000 ? `${Math.round(value)}ms` : `${(value / 1000).toFixed(1)}s`;
+}
+
+function distribution(values, percentiles) {
+  const numeric = values.filter(value => typeof value === 'number' && Number.isFinite(value));
+  const stats = {
+    avg: numeric.length > 0 ? numeric.reduce((sum, value) => sum + value, 0) / numeric.length : null,
+  };
+  for (const p of percentiles) {
+    stats[`p${p}`] = percentile(numeric, p);
+  }
+  stats.max = numeric.length > 0 ? Math.max(...numeric) : null;
+  return stats;
+}
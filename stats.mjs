@@ -0,0 +1,177 @@
+/**
+ * Statistics
+ *
+ * Small-sample tests for comparing eval variants on the same test cases,
+ * plus percentiles for latency and throughput reports
+ */
+
+export const DEFAULT_ALPHA = 0.05;
+export const DEFAULT_POWER = 0.8;
+
+/**
+ * Wilson score interval for a pass rate
+ * @returns {{rate: number, lower: number, upper: number}}
+ */
+export function wilsonInterval(successes, total, alpha = DEFAULT_ALPHA) {
+  if (total === 0) return { rate: 0, lower: 0, upper: 1 };
+  const z = normalQuantile(1 - alpha / 2);
+  const rate = successes / total;
+  const denominator = 1 + (z * z) / total;
+  const center = (rate + (z * z) / (2 * total)) / denominator;
+  const margin = (z * Math.sqrt((rate * (1 - rate)) / total + (z * z) / (4 * total * total))) / denominator;
+  return { rate, lower: Math.max(0, center - margin), upper: Math.min(1, center + margin) };
+}
+
+/**
+ * McNemar's test on paired pass/fail outcomes.
+ * Uses the exact binomial form below 25 discordant pairs, otherwise the
+ * continuity-corrected chi-square approximation.
+ * @param {number} onlyA - Pairs where A passed and B failed
+ * @param {number} onlyB - Pairs where B passed and A failed
+ */
+export function mcnemarTest(onlyA, onlyB) {
+  const discordant = onlyA + onlyB;
+  if (discordant === 0) {
+    return { test: 'McNemar (no discordant pairs)', statistic: 0, pValue: 1, onlyA, onlyB };
+  }
+  if (discordant < 25) {
+    return { test: 'McNemar exact (binomial)', statistic: Math.min(onlyA, onlyB), pValue: exactBinomialTwoSided(Math.min(onlyA, onlyB), discordant), onlyA, onlyB };
+  }
+  const statistic = ((Math.abs(onlyA - onlyB) - 1) ** 2) / discordant;
+  return { test: 'McNemar χ² (continuity corrected)', statistic, pValue: chiSquare1Survival(statistic), onlyA, onlyB };
+}
+
+/**
+ * Paired bootstrap percentile confidence interval for the mean of deltas
+ * @param {number[]} deltas - Per-pair differences (B - A)
+ */
+export function pairedBootstrapCI(deltas, { alpha = DEFAULT_ALPHA, iterations = 10000, seed = 42 } = {}) {
+  const n = deltas.length;
+  if (n === 0) return { mean: 0, lower: 0, upper: 0, iterations: 0 };
+  const mean = deltas.reduce((sum, delta) => sum + delta, 0) / n;
+  const random = seededRandom(seed);
+  const means = new Float64Array(iterations);
+
+  for (let i = 0; i < iterations; i++) {
+    let sum = 0;
+    for (let j = 0; j < n; j++) {
+      sum += deltas[Math.floor(random() * n)];
+    }
+    means[i] = sum / n;
+  }
+  means.sort();
+
+  return {
+    mean,
+    lower: means[Math.floor((alpha / 2) * (iterations - 1))],
+    upper: means[Math.ceil((1 - alpha / 2) * (iterations - 1))],
+    iterations,
+  };
+}
+
+/**
+ * Pairs needed for McNemar's test to detect the observed effect
+ * (Connor 1987), given the observed discordant rates.
+ * @returns {number|null} - null when there is no effect to detect
+ */
+export function mcnemarSampleSize(onlyA, onlyB, pairs, { alpha = DEFAULT_ALPHA, power = DEFAULT_POWER } = {}) {
+  if (pairs === 0) return null;
+  const discordantRate = (onlyA + onlyB) / pairs;
+  const effect = Math.abs(onlyA - onlyB) / pairs;
+  if (effect === 0) return null;
+  const zAlpha = normalQuantile(1 - alpha / 2);
+  const zBeta = normalQuantile(power);
+  const numerator = zAlpha * Math.sqrt(discordantRate) + zBeta * Math.sqrt(Math.max(discordantRate - effect * effect, 0));
+  return Math.ceil((numerator * numerator) / (effect * effect));
+}
+
+/**
+ * Holm-Bonferroni step-down correction
+ * @param {number[]} pValues
+ * @returns {number[]} - Adjusted p-values in input order
+ */
+export function holmAdjust(pValues) {
+  const order = pValues.map((pValue, index) => ({ pValue, index })).sort((a, b) => a.pValue - b.pValue);
+  const adjusted = new Array(pValues.length);
+  let running = 0;
+  order.forEach(({ pValue, index }, rank) => {
+    running = Math.max(running, Math.min(1, (pValues.length - rank) * pValue));
+    adjusted[index] = running;
+  });
+  return adjusted;
+}
+
+/**
+ * Percentile with linear interpolation between closest ranks (p in 0-100).
+ * Non-numeric values are ignored.
+ * @returns {number|null} - null for an empty sample
+ */
+export function percentile(values, p) {
+  const sorted = values.filter(value => typeof value === 'number' && Number.isFinite(value)).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+  const rank = (Math.min(100, Math.max(0, p)) / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Deterministic pseudo-random generator in [0, 1) for a numeric seed (32-bit LCG).
+ * Shared by the bootstrap, the mock provider and prompt perturbations so a seed
+ * means the same stream everywhere.
+ * @returns {() => number}
+ */
+export function seededRandom(seed) {
+  let state = (Math.floor(seed) >>> 0) || 1;
+  return () => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    return state / 4294967296;
+  };
+}
+
+/**
+ * Inverse standard normal CDF (Acklam's rational approximation)
+ */
+export function normalQuantile(p) {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+  const a = [-3.969683028665376e1, 2.209460984245205e2, -2.759285104469687e2, 1.38357751867269e2, -3.066479806614716e1, 2.506628277459239];
+  const b = [-5.447609879822406e1, 1.615858368580409e2, -1.556989798598866e2, 6.680131188771972e1, -1.328068155288572e1];
+  const c = [-7.784894002430293e-3, -3.223964580411365e-1, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [7.784695709041462e-3, 3.224671290700398e-1, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) {
+    const q = Math.sqrt(-2 * Math.log(1 - p));
+    return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+function exactBinomialTwoSided(k, n) {
+  // P(X <= k) for X ~ Binomial(n, 0.5), doubled for a two-sided test
+  let term = Math.pow(0.5, n);
+  let cumulative = term;
+  for (let i = 1; i <= k; i++) {
+    term *= (n - i + 1) / i;
+    cumulative += term;
+  }
+  return Math.min(1, 2 * cumulative);
+}
+
+function chiSquare1Survival(statistic) {
+  return 2 * (1 - normalCdf(Math.sqrt(statistic)));
+}
+
+function normalCdf(x) {
+  // Abramowitz-Stegun 7.1.26 erf approximation
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-(x * x) / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
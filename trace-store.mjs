@@ -0,0 +1,403 @@
+/**
+ * Trace Stores
+ *
+ * Pluggable persistence for eval traces: one JSON file per run (default), or a
+ * SQLite database with runs / results / judge_calls tables for cross-run queries
+ */
+
+import { writeFileSync, readFileSync, existsSync, mkdirSync, readdirSync, renameSync } from 'fs';
+import { createRequire } from 'module';
+import { resolve, join, dirname } from 'path';
+
+export const TRACE_BACKENDS = ['file', 'sqlite'];
+export const DEFAULT_TRACE_DB = 'traces/traces.db';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Create a trace store
+ * @param {{backend?: 'file'|'sqlite', dir?: string, dbPath?: string}} options
+ */
+export function createTraceStore(options = {}) {
+  const backend = String(options.backend || 'file').toLowerCase();
+  if (backend === 'file') {
+    return new FileTraceStore(resolve(process.cwd(), options.dir || 'traces'));
+  }
+  if (backend === 'sqlite') {
+    return new SqliteTraceStore(resolve(process.cwd(), options.dbPath || DEFAULT_TRACE_DB));
+  }
+  throw new Error(`Unknown trace store backend: ${options.backend} (expected ${TRACE_BACKENDS.join(' or ')})`);
+}
+
+/**
+ * Parse a time filter: an ISO date/timestamp, or a relative age such as 30d, 12h or 90m
+ * @returns {string|null} - ISO timestamp
+ */
+export function parseTimeFilter(value, now = Date.now()) {
+  if (value === null || value === undefined || value === '') return null;
+  const relative = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([mhdw])$/i);
+  if (relative) {
+    const unitMs = { m: 60_000, h: 3_600_000, d: 86_400_000, w: 604_800_000 }[relative[2].toLowerCase()];
+    return new Date(now - Number(relative[1]) * unitMs).toISOString();
+  }
+  const parsed = new Date(value);
+  if (Number.isNaN(parsed.getTime())) {
+    throw new Error(`Invalid time filter: ${value} (use an ISO date or a relative age like 30d)`);
+  }
+  return parsed.toISOString();
+}
+
+class FileTraceStore {
+  constructor(dir) {
+    this.backend = 'file';
+    this.dir = dir;
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true });
+    }
+  }
+
+  save(trace) {
+    const filepath = join(this.dir, `${trace.id}.json`);
+    const tempPath = `${filepath}.tmp`;
+
+    // Write then rename so an interrupted checkpoint never leaves a truncated trace
+    writeFileSync(tempPath, JSON.stringify(trace, null, 2), 'utf8');
+    renameSync(tempPath, filepath);
+
+    return filepath;
+  }
+
+  load(traceId) {
+    const filepath = join(this.dir, traceId.endsWith('.json') ? traceId : `${traceId}.json`);
+    if (!existsSync(filepath)) {
+      throw new Error(`Trace not found: ${traceId}`);
+    }
+    return JSON.parse(readFileSync(filepath, 'utf8'));
+  }
+
+  listRuns(filters = {}) {
+    if (!existsSync(this.dir)) return [];
+
+    // Files are newest first, so reading stops as soon as `limit` runs match
+    const runs = [];
+    for (const file of this.traceFiles()) {
+      if (filters.limit && runs.length >= filters.limit) break;
+      let run;
+      try {
+        run = runSummary(JSON.parse(readFileSync(join(this.dir, file), 'utf8')));
+      } catch {
+        run = { id: file.replace('.json', ''), error: 'Failed to parse' };
+      }
+      if (!filters.evalName || run.evalName === filters.evalName) runs.push(run);
+    }
+    return runs;
+  }
+
+  queryResults(filters = {}) {
+    const rows = [];
+    for (const file of this.traceFiles()) {
+      let trace;
+      try {
+        trace = JSON.parse(readFileSync(join(this.dir, file), 'utf8'));
+      } catch {
+        continue;
+      }
+      if (filters.traceId && trace.id !== filters.traceId) continue;
+      if (filters.evalName && trace.evalName !== filters.evalName) continue;
+      for (const result of Array.isArray(trace.results) ? trace.results : []) {
+        const row = { traceId: trace.id, evalName: trace.evalName, ...result, timestamp: result.timestamp || trace.startedAt };
+        if (matchesResultFilters(row, filters)) rows.push(row);
+      }
+    }
+    rows.sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)));
+    return filters.limit ? rows.slice(0, filters.limit) : rows;
+  }
+
+  traceFiles() {
+    return readdirSync(this.dir)
+      .filter(f => f.endsWith('.json'))
+      .sort()
+      .reverse(); // Most recent first
+  }
+
+  close() {}
+}
+
+class SqliteTraceStore {
+  constructor(dbPath) {
+    this.backend = 'sqlite';
+    this.dbPath = dbPath;
+    let sqlite;
+    try {
+      sqlite = require('node:sqlite');
+    } catch (error) {
+      throw new Error(`SQLite trace store requires Node.js 22.5+ with node:sqlite (${error.message})`);
+    }
+    mkdirSync(dirname(dbPath), { recursive: true });
+    this.db = new sqlite.DatabaseSync(dbPath);
+    this.db.exec(`
+      PRAGMA journal_mode = WAL;
+      CREATE TABLE IF NOT EXISTS runs (
+        id TEXT PRIMARY KEY,
+        eval_name TEXT,
+        started_at TEXT,
+        completed_at TEXT,
+        passed INTEGER NOT NULL DEFAULT 0,
+        failed INTEGER NOT NULL DEFAULT 0,
+        total INTEGER NOT NULL DEFAULT 0,
+        trace_json TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS results (
+        trace_id TEXT NOT NULL,
+        idx INTEGER NOT NULL,
+        timestamp TEXT,
+        test_case TEXT,
+        variant TEXT,
+        provider TEXT,
+        model TEXT,
+        success INTEGER,
+        pass INTEGER,
+        score REAL,
+        eval_type TEXT,
+        eval_reason TEXT,
+        latency_ms REAL,
+        cost REAL,
+        row_json TEXT NOT NULL,
+        PRIMARY KEY (trace_id, idx)
+      );
+      CREATE INDEX IF NOT EXISTS results_case_model ON results (test_case, provider, model, timestamp);
+      CREATE INDEX IF NOT EXISTS results_timestamp ON results (timestamp);
+      CREATE TABLE IF NOT EXISTS judge_calls (
+        trace_id TEXT NOT NULL,
+        result_idx INTEGER NOT NULL,
+        idx INTEGER NOT NULL,
+        provider TEXT,
+        model TEXT,
+        pass INTEGER,
+        score REAL,
+        reason TEXT,
+        cost REAL,
+        latency_ms REAL,
+        template_hash TEXT,
+        prompt_hash TEXT,
+        PRIMARY KEY (trace_id, result_idx, idx)
+      );
+    `);
+  }
+
+  save(trace) {
+    const { results = [], ...run } = trace;
+    const summary = runSummary(trace);
+    const insertResult = this.db.prepare(`
+      INSERT INTO results (trace_id, idx, timestamp, test_case, variant, provider, model, success, pass, score, eval_type, eval_reason, latency_ms, cost, row_json)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const insertJudgeCall = this.db.prepare(`
+      INSERT INTO judge_calls (trace_id, result_idx, idx, provider, model, pass, score, reason, cost, latency_ms, template_hash, prompt_hash)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    // Checkpoints rewrite the whole run in one transaction, so readers never see a half-written trace
+    this.db.exec('BEGIN');
+    try {
+      this.db.prepare(`
+        INSERT INTO runs (id, eval_name, started_at, completed_at, passed, failed, total, trace_json)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(id) DO UPDATE SET
+          eval_name = excluded.eval_name,
+          started_at = excluded.started_at,
+          completed_at = excluded.completed_at,
+          passed = excluded.passed,
+          failed = excluded.failed,
+          total = excluded.total,
+          trace_json = excluded.trace_json
+      `).run(trace.id, sqlValue(trace.evalName), sqlValue(trace.startedAt), sqlValue(trace.completedAt), summary.passed, summary.failed, summary.total, JSON.stringify(run));
+      this.db.prepare('DELETE FROM results WHERE trace_id = ?').run(trace.id);
+      this.db.prepare('DELETE FROM judge_calls WHERE trace_id = ?').run(trace.id);
+
+      results.forEach((result, idx) => {
+        insertResult.run(
+          trace.id,
+          idx,
+          sqlValue(result.timestamp || trace.startedAt),
+          sqlValue(result.testCase),
+          sqlValue(result.variant),
+          sqlValue(result.provider),
+          sqlValue(result.model),
+          sqlBoolean(result.success),
+          sqlBoolean(result.pass),
+          sqlNumber(result.score),
+          sqlValue(result.evalType),
+          sqlValue(result.evalReason),
+          sqlNumber(result.latencyMs),
+          sqlNumber(result.cost),
+          JSON.stringify(result),
+        );
+        judgeCallsFor(result).forEach((call, callIdx) => {
+          insertJudgeCall.run(
+            trace.id,
+            idx,
+            callIdx,
+            sqlValue(call.provider),
+            sqlValue(call.model),
+            sqlBoolean(call.pass),
+            sqlNumber(call.score),
+            sqlValue(call.reason),
+            sqlNumber(call.cost),
+            sqlNumber(call.latencyMs),
+            sqlValue(call.templateHash),
+            sqlValue(call.promptHash),
+          );
+        });
+      });
+      this.db.exec('COMMIT');
+    } catch (error) {
+      this.db.exec('ROLLBACK');
+      throw error;
+    }
+
+    return `${this.dbPath}#${trace.id}`;
+  }
+
+  load(traceId) {
+    const run = this.db.prepare('SELECT trace_json FROM runs WHERE id = ?').get(traceId);
+    if (!run) {
+      throw new Error(`Trace not found: ${traceId}`);
+    }
+    const rows = this.db.prepare('SELECT row_json FROM results WHERE trace_id = ? ORDER BY idx').all(traceId);
+    return { ...JSON.parse(run.trace_json), results: rows.map(row => JSON.parse(row.row_json)) };
+  }
+
+  listRuns(filters = {}) {
+    const where = filters.evalName ? 'WHERE eval_name = ?' : '';
+    const params = filters.evalName ? [filters.evalName] : [];
+    const limit = filters.limit ? `LIMIT ${Number(filters.limit)}` : '';
+    return this.db.prepare(`
+      SELECT id, eval_name, started_at, completed_at, passed, failed, total
+      FROM runs ${where}
+      ORDER BY id DESC ${limit}
+    `).all(...params).map(row => ({
+      id: row.id,
+      evalName: row.eval_name,
+      startedAt: row.started_at,
+      completedAt: row.completed_at,
+      passed: row.passed,
+      failed: row.failed,
+      total: row.total,
+    }));
+  }
+
+  queryResults(filters = {}) {
+    const clauses = [];
+    const params = [];
+    const add = (clause, value) => {
+      clauses.push(clause);
+      params.push(value);
+    };
+
+    if (filters.traceId) add('r.trace_id = ?', filters.traceId);
+    if (filters.evalName) add('runs.eval_name = ?', filters.evalName);
+    if (filters.testCase) add('r.test_case = ?', filters.testCase);
+    if (filters.provider) add('r.provider = ?', filters.provider);
+    if (filters.model) add('r.model = ?', filters.model);
+    if (filters.variant) add('r.variant = ?', filters.variant);
+    if (filters.evalType) add('r.eval_type = ?', filters.evalType);
+    if (filters.success !== undefined) add('r.success = ?', sqlBoolean(filters.success));
+    if (filters.pass === null) clauses.push('r.pass IS NULL');
+    else if (filters.pass !== undefined) add('r.pass = ?', sqlBoolean(filters.pass));
+    if (filters.since) add('r.timestamp >= ?', filters.since);
+    if (filters.until) add('r.timestamp <= ?', filters.until);
+
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+    const limit = filters.limit ? `LIMIT ${Number(filters.limit)}` : '';
+    return this.db.prepare(`
+      SELECT r.trace_id, runs.eval_name, r.timestamp, r.row_json
+      FROM results r JOIN runs ON runs.id = r.trace_id
+      ${where}
+      ORDER BY r.timestamp DESC, r.trace_id DESC, r.idx DESC ${limit}
+    `).all(...params).map(row => ({
+      traceId: row.trace_id,
+      evalName: row.eval_name,
+      ...JSON.parse(row.row_json),
+      timestamp: row.timestamp,
+    }));
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+function runSummary(trace) {
+  return {
+    id: trace.id,
+    evalName: trace.evalName,
+    startedAt: trace.startedAt,
+    completedAt: trace.completedAt,
+    passed: trace.summary?.passed || 0,
+    failed: trace.summary?.failed || 0,
+    total: trace.results?.length || 0,
+  };
+}
+
+function matchesResultFilters(row, filters) {
+  if (filters.testCase && row.testCase !== filters.testCase) return false;
+  if (filters.provider && row.provider !== filters.provider) return false;
+  if (filters.model && row.model !== filters.model) return false;
+  if (filters.variant && row.variant !== filters.variant) return false;
+  if (filters.evalType && row.evalType !== filters.evalType) return false;
+  if (filters.success !== undefined && Boolean(row.success) !== Boolean(filters.success)) return false;
+  if (filters.pass !== undefined && (row.pass ?? null) !== filters.pass) return false;
+  if (filters.since && String(row.timestamp) < filters.since) return false;
+  if (filters.until && String(row.timestamp) > filters.until) return false;
+  return true;
+}
+
+/**
+ * One entry per judge call behind a result: each panel member, or the single judge
+ */
+function judgeCallsFor(result) {
+  const metadata = result.metadata || {};
+  const panel = result.panelResults || metadata.panelResults;
+  const shared = { templateHash: result.judgeTemplateHash || metadata.judge_template_hash, promptHash: result.judgePromptHash || metadata.judge_prompt_hash };
+
+  if (Array.isArray(panel) && panel.length > 0) {
+    return panel.map(member => ({
+      ...shared,
+      provider: member.provider,
+      model: member.model,
+      pass: member.pass,
+      score: member.score,
+      reason: member.reason,
+      cost: member.judgeCost ?? member.cost,
+      latencyMs: member.judgeLatencyMs ?? member.latencyMs,
+    }));
+  }
+  if (shared.promptHash || metadata.judge_response) {
+    return [{
+      ...shared,
+      provider: metadata.judge_provider,
+      model: metadata.judge_model,
+      pass: metadata.judge_pass ?? result.pass,
+      score: metadata.judge_score ?? result.score,
+      reason: result.evalReason,
+      cost: metadata.judge_cost,
+      latencyMs: metadata.judge_latency_ms,
+    }];
+  }
+  return [];
+}
+
+function sqlValue(value) {
+  return value === undefined || value === null ? null : String(value);
+}
+
+function sqlNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+function sqlBoolean(value) {
+  if (value === true) return 1;
+  if (value === false) return 0;
+  return null;
+}
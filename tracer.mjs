@@ -4,20 +4,39 @@
  * Logs every eval run with full request/response data for later analysis
  */
 
-import { writeFileSync, readFileSync, existsSync, mkdirSync, readdirSync } from 'fs';
-import { resolve, join } from 'path';
+import { createTraceStore, DEFAULT_TRACE_DB } from './trace-store.mjs';
 
-const TRACES_DIR = resolve(process.cwd(), 'traces');
+let traceStoreConfig = {};
+let traceStore = null;
 
-// Ensure traces directory exists
-if (!existsSync(TRACES_DIR)) {
-  mkdirSync(TRACES_DIR, { recursive: true });
+/**
+ * Choose where traces are stored (overrides TRACE_STORE / TRACE_DB_PATH)
+ * @param {{backend?: 'file'|'sqlite', dir?: string, dbPath?: string}} config
+ */
+export function configureTraceStore(config = {}) {
+  traceStore?.close();
+  traceStore = null;
+  traceStoreConfig = { ...traceStoreConfig, ...config };
+}
+
+/**
+ * The active trace store, created on first use
+ */
+export function getTraceStore() {
+  if (!traceStore) {
+    traceStore = createTraceStore({
+      backend: traceStoreConfig.backend || process.env.TRACE_STORE || 'file',
+      dir: traceStoreConfig.dir || 'traces',
+      dbPath: traceStoreConfig.dbPath || process.env.TRACE_DB_PATH || DEFAULT_TRACE_DB,
+    });
+  }
+  return traceStore;
 }
 
 /**
  * Create a new trace for an eval run
  */
-export function createTrace(evalConfig) {
+export function createTrace(evalConfig, runOptions = {}) {
   const traceId = `${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
   const trace = {
     id: traceId,
@@ -25,12 +44,61 @@ export function createTrace(evalConfig) {
     startedAt: new Date().toISOString(),
     completedAt: null,
     config: evalConfig,
+    runOptions,
     results: [],
     summary: null,
   };
   return trace;
 }
 
+/**
+ * Reopen a saved or partial trace so a run can finish into it.
+ * Rows without a decisive verdict are dropped so they get re-run.
+ */
+export function resumeTrace(traceId) {
+  const trace = loadTrace(traceId);
+  const results = Array.isArray(trace.results) ? trace.results : [];
+  trace.results = results.filter(isCompletedTraceResult);
+  trace.completedAt = null;
+  trace.summary = null;
+  trace.resumedAt = [...(trace.resumedAt || []), new Date().toISOString()];
+  return trace;
+}
+
+/**
+ * A trace row counts as completed when it ran cleanly and produced PASS or FAIL
+ */
+export function isCompletedTraceResult(result) {
+  return result?.success === true && (result.pass === true || result.pass === false);
+}
+
+/**
+ * Key identifying one (testCase, model) row, including repeat and paraphrase slots
+ */
+export function traceResultKey(result) {
+  return [
+    result.testCase,
+    result.provider,
+    result.model,
+    result.metadata?.repeat_index ?? 1,
+    result.metadata?.paraphrase_index ?? 'base',
+  ].join('::');
+}
+
+/**
+ * Convert a stored trace row back into the runner's result shape
+ */
+export function restoreTraceResult(entry) {
+  return {
+    ...entry,
+    text: entry.response?.text ?? null,
+    error: entry.response?.error ?? null,
+    prompt: entry.request?.prompt,
+    systemPrompt: entry.request?.systemPrompt,
+    resumed: true,
+  };
+}
+
 /**
  * Add a result to the trace
  */
@@ -39,6 +107,7 @@ export function addTraceResult(trace, result) {
     timestamp: new Date().toISOString(),
     testCase: result.testCase,
     scenario: result.scenario || null,
+    variant: result.variant || result.metadata?.variant || null,
     model: result.model,
     provider: result.provider,
     success: result.success,
@@ -51,16 +120,23 @@ export function addTraceResult(trace, result) {
     shownWinner: result.shownWinner || result.metadata?.shownWinner || null,
     order: result.order || result.metadata?.order || null,
     panelResults: result.panelResults || result.metadata?.panelResults || null,
+    rubricScores: result.rubricScores || result.metadata?.rubric_scores || null,
     latencyMs: result.latencyMs,
+    streaming: result.streaming || null,
     cost: result.cost,
     costUnknown: result.costUnknown || result.metadata?.cost_unknown || false,
     judgeCost: result.metadata?.judge_cost ?? null,
+    judgeCached: result.metadata?.judge_cached === true,
     usage: result.usage,
     promptVersion: result.promptVersion || result.metadata?.prompt_version || null,
     judgeTemplateHash: result.judgeTemplateHash || result.metadata?.judge_template_hash || null,
     judgePromptHash: result.judgePromptHash || result.metadata?.judge_prompt_hash || null,
     metadata: result.metadata || {},
     transcript: result.transcript || null,
+    // Conversation turns, each with its own verdict, usage and cost
+    turns: result.turns || null,
+    // Simulated-user outcome: goal conditions, resolution and how the conversation ended
+    simulation: result.simulation || null,
     messages: result.messages || null,
     toolCalls: result.toolCalls || null,
     toolResults: result.toolResults || null,
@@ -77,6 +153,13 @@ export function addTraceResult(trace, result) {
   });
 }
 
+/**
+ * Write the in-progress trace so a crashed or stopped run can be resumed
+ */
+export function checkpointTrace(trace) {
+  return writeTraceFile(trace);
+}
+
 /**
  * Complete and save the trace
  */
@@ -84,64 +167,42 @@ export function saveTrace(trace, summary) {
   trace.completedAt = new Date().toISOString();
   trace.summary = summary;
   
-  const filename = `${trace.id}.json`;
-  const filepath = join(TRACES_DIR, filename);
-  
-  writeFileSync(filepath, JSON.stringify(trace, null, 2), 'utf8');
-  
-  return filepath;
+  return writeTraceFile(trace);
+}
+
+function writeTraceFile(trace) {
+  return getTraceStore().save(trace);
 }
 
 /**
  * Load a trace by ID
  */
 export function loadTrace(traceId) {
-  const filepath = join(TRACES_DIR, `${traceId}.json`);
-  if (!existsSync(filepath)) {
-    throw new Error(`Trace not found: ${traceId}`);
-  }
-  return JSON.parse(readFileSync(filepath, 'utf8'));
+  return getTraceStore().load(traceId);
 }
 
 /**
- * List all traces
+ * List traces, most recent first
+ * @param {{evalName?: string, limit?: number}} filters
  */
-export function listTraces() {
-  if (!existsSync(TRACES_DIR)) {
-    return [];
-  }
-  
-  const files = readdirSync(TRACES_DIR)
-    .filter(f => f.endsWith('.json'))
-    .sort()
-    .reverse(); // Most recent first
-  
-  return files.map(f => {
-    try {
-      const trace = JSON.parse(readFileSync(join(TRACES_DIR, f), 'utf8'));
-      return {
-        id: trace.id,
-        evalName: trace.evalName,
-        startedAt: trace.startedAt,
-        completedAt: trace.completedAt,
-        passed: trace.summary?.passed || 0,
-        failed: trace.summary?.failed || 0,
-        total: trace.results?.length || 0,
-      };
-    } catch {
-      return { id: f.replace('.json', ''), error: 'Failed to parse' };
-    }
-  });
+export function listTraces(filters = {}) {
+  return getTraceStore().listRuns(filters);
 }
 
 /**
  * Get recent traces for an eval (for comparison)
  */
 export function getRecentTraces(evalName, limit = 10) {
-  const traces = listTraces()
-    .filter(t => t.evalName === evalName)
-    .slice(0, limit);
-  return traces;
+  return listTraces({ evalName, limit });
+}
+
+/**
+ * Query result rows across runs, newest first
+ * @param {Object} filters - traceId, evalName, testCase, provider, model, variant,
+ *   evalType, pass, success, since/until (ISO timestamps) and limit
+ */
+export function queryResults(filters = {}) {
+  return getTraceStore().queryResults(filters);
 }
 
 /**
@@ -155,6 +216,7 @@ export function compareTraces(oldTraceId, newTraceId) {
   const improvements = [];
   const resultKey = r => [
     r.testCase,
+    r.variant || 'no-variant',
     `${r.provider}/${r.model}`,
     r.evalType || 'unknown',
     r.promptVersion || 'no-prompt-version',
@@ -177,6 +239,7 @@ export function compareTraces(oldTraceId, newTraceId) {
       if (oldResult.pass && !newResult.pass) {
         regressions.push({
           testCase: newResult.testCase,
+          variant: newResult.variant || null,
           model: `${newResult.provider}/${newResult.model}`,
           was: 'PASS',
           now: 'FAIL',
@@ -185,6 +248,7 @@ export function compareTraces(oldTraceId, newTraceId) {
       } else if (!oldResult.pass && newResult.pass) {
         improvements.push({
           testCase: newResult.testCase,
+          variant: newResult.variant || null,
           model: `${newResult.provider}/${newResult.model}`,
           was: 'FAIL',
           now: 'PASS',